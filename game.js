@@ -12,18 +12,24 @@
  * @requires THREE.js r150+
  * 
  * ARCHITECTURE:
- * - Procedural maze generation using recursive backtracking algorithm
+ * - simulation.js holds the render-agnostic rules (maze, physics, collision,
+ *   lanes, enemy state machine) and runs headless under Node; this file
+ *   renders them with THREE.js and wires up input, audio and UI
+ * - Procedural maze generation with pluggable algorithms (backtracker, Prim, Kruskal, Eller, rooms)
  * - Physics-based player movement with acceleration and friction
  * - Lane-based combat system with corridor detection
  * - Enemy AI featuring patrol, chase, and attack behaviors
- * - Weapon system with melee (knife) and ranged (pistol) combat
+ * - Data-driven enemy types (jumper, brute, crawler, spitter, splitter) in ENEMY_TYPES
+ * - Data-driven weapons in ZyrathSim.WEAPON_TYPES: knife, pistol, shotgun, SMG and
+ *   grenades, with magazines, reloads and number-key slots
  * - Real-time collision detection with 8-point symmetric checking
  * 
  * GAME MECHANICS:
- * - 30x30 procedurally generated maze
- * - 15 jumping enemies with arcade-style physics
+ * - Procedurally generated maze sized by difficulty (24x24 Easy to 45x45 Nightmare, or Custom)
+ * - Jumping enemies with arcade-style physics (count and speed set by difficulty)
  * - Same-lane attack requirement for balanced gameplay
- * - Weapon switching and ammunition management
+ * - Weapon slots, magazines with reloads and ammo crates that unlock new weapons
+ * - Player hearts with knockback and invulnerability frames (one-hit hardcore on Nightmare)
  * - Win condition: Eliminate all enemies and reach the exit
  * 
  * TECHNICAL FEATURES:
@@ -46,6 +52,11 @@ if (typeof THREE === 'undefined') {
     console.log('THREE.js loaded successfully. Version:', THREE.REVISION);
 }
 
+// Verify the simulation core is available
+if (typeof ZyrathSim === 'undefined') {
+    console.error('simulation.js not loaded!');
+}
+
 // ============================================================================
 // CORE SCENE OBJECTS
 // ============================================================================
@@ -59,21 +70,21 @@ let player, playerMesh;
 /** @type {Array} 2D array representing maze structure (0=path, 1=wall) */
 let maze, mazeWalls = [];
 
+/** @type {THREE.BoxGeometry|null} Unit wall block shared by every wall instance */
+let wallGeometry = null;
+
 /** @type {Array<Object>} Collection of enemy entities */
 let jumpers = [];
 
 /** @type {THREE.Mesh} Exit point mesh and reference */
 let exit, exitMesh, doorExit;
 
-/** @type {Object} Keyboard input state tracker */
+/** @type {Object<string, boolean>} Held keys, by KeyboardEvent.code (physical key) */
 let keys = {};
 
 /** @type {boolean} Game mode flag (currently unused, reserved for future features) */
 let isPrototypeMode = true;
 
-/** @type {number} Timestamp when game session started */
-let gameStartTime = Date.now();
-
 /** @type {boolean} Flag indicating if game loop should process updates */
 let gameActive = true;
 
@@ -102,58 +113,77 @@ let doorMesh = null;
 // GAME CONFIGURATION CONSTANTS
 // ============================================================================
 
-// Player Movement Settings
-/** @const {number} Maximum player movement speed (units per frame) */
-const PLAYER_SPEED = 0.09;
-
-/** @const {number} Acceleration rate for smooth movement (units per frame²) */
-const PLAYER_ACCELERATION = 0.005;
-
-/** @const {number} Friction coefficient for smooth deceleration (0-1 scale) */
-const PLAYER_FRICTION = 0.88;
-
+// Player Movement Settings (speed, acceleration and friction live in simulation.js)
 /** @const {number} Player height for camera positioning (world units) */
-const PLAYER_HEIGHT = 1.5;
+const PLAYER_HEIGHT = ZyrathSim.PLAYER_HEIGHT;
 
 // Maze Configuration
-/** @const {number} Maze dimensions (30x30 grid cells) */
-const MAZE_SIZE = 30;
-
 /** @const {number} Height of maze walls (world units) */
 const WALL_HEIGHT = 3;
 
-// Enemy Configuration
-/** @const {number} Total number of enemies to spawn in maze */
-const JUMPER_COUNT = 15;
-
-/** @const {number} Base movement speed for enemies (units per frame) */
-const JUMPER_SPEED = 0.08;
+// Difficulty Configuration
+/**
+ * @const {Object} Difficulty presets chosen on the game mode screen
+ * Each preset sets the runtime maze size, enemy count and speed (units per frame),
+ * camera height, fog distances, the survival director's live enemy cap and
+ * number of ammo pickups
+ */
+const DIFFICULTY_PRESETS = {
+    easy: { id: 'easy', name: 'Easy', mazeWidth: 24, mazeDepth: 24, enemyCount: 8, enemySpeed: 0.06, enemyHealth: 50, cameraHeight: 10, fogNear: 14, fogFar: 36, maxEnemies: 14, ammoPickups: 4, maxHealth: 5, healthPickups: 3, oneHit: false },
+    normal: { id: 'normal', name: 'Normal', mazeWidth: 30, mazeDepth: 30, enemyCount: 15, enemySpeed: 0.08, enemyHealth: 100, cameraHeight: 9, fogNear: 12, fogFar: 30, maxEnemies: 24, ammoPickups: 2, maxHealth: 3, healthPickups: 2, oneHit: false },
+    hard: { id: 'hard', name: 'Hard', mazeWidth: 36, mazeDepth: 36, enemyCount: 22, enemySpeed: 0.095, enemyHealth: 150, cameraHeight: 9, fogNear: 9, fogFar: 24, maxEnemies: 34, ammoPickups: 1, maxHealth: 3, healthPickups: 1, oneHit: false },
+    nightmare: { id: 'nightmare', name: 'Nightmare', mazeWidth: 45, mazeDepth: 45, enemyCount: 32, enemySpeed: 0.11, enemyHealth: 200, cameraHeight: 8, fogNear: 6, fogFar: 18, maxEnemies: 48, ammoPickups: 0, maxHealth: 1, healthPickups: 0, oneHit: true },
+    custom: { id: 'custom', name: 'Custom', mazeWidth: 30, mazeDepth: 30, enemyCount: 15, enemySpeed: 0.08, enemyHealth: 100, cameraHeight: 9, fogNear: 12, fogFar: 30, maxEnemies: 24, ammoPickups: 2, maxHealth: 3, healthPickups: 2, oneHit: false }
+};
 
-/** @const {number} Chase speed (matched to base speed for consistency) */
-const JUMPER_CHASE_SPEED = 0.08;
+/** @const {Object} Allowed ranges for the Custom difficulty inputs */
+const CUSTOM_DIFFICULTY_LIMITS = {
+    mazeWidth: { min: 15, max: 61 },
+    mazeDepth: { min: 15, max: 61 },
+    enemyCount: { min: 1, max: 60 },
+    enemySpeed: { min: 0.03, max: 0.2 },
+    enemyHealth: { min: 10, max: 500 },
+    fogFar: { min: 10, max: 60 },
+    maxEnemies: { min: 1, max: 80 },
+    ammoPickups: { min: 0, max: 10 },
+    maxHealth: { min: 1, max: 10 },
+    healthPickups: { min: 0, max: 10 }
+};
 
-/** @const {number} Maximum jump height for arcade-style enemy movement */
-const JUMP_HEIGHT = 1.4;
+/**
+ * @const {Object} Custom difficulty input for each setting
+ * The keys double as the share link parameters (see getSeedShareUrl)
+ */
+const CUSTOM_DIFFICULTY_INPUTS = {
+    mazeWidth: 'customMazeWidth',
+    mazeDepth: 'customMazeDepth',
+    enemyCount: 'customEnemyCount',
+    enemySpeed: 'customEnemySpeed',
+    enemyHealth: 'customEnemyHealth',
+    fogFar: 'customFogFar',
+    maxEnemies: 'customMaxEnemies',
+    ammoPickups: 'customAmmoPickups',
+    maxHealth: 'customMaxHealth',
+    healthPickups: 'customHealthPickups'
+};
 
-/** @const {number} Jump animation frequency (normalized 0-1 scale) */
-const JUMP_FREQUENCY = 0.20;
+/** @type {Object} Active difficulty settings (copy of a preset, applied at game start) */
+let difficulty = { ...DIFFICULTY_PRESETS.normal };
 
-// Camera Settings
-/** @const {number} Height of top-down camera above ground plane */
-const CAMERA_HEIGHT = 9; // Zoomed in from 12 to 9
+/** @type {number} Runtime maze width in grid cells (x axis) */
+let mazeWidth = difficulty.mazeWidth;
 
-// Combat Configuration
-/** @const {number} Projectile velocity for pistol (units per frame) */
-const BULLET_SPEED = 0.5;
+/** @type {number} Runtime maze depth in grid cells (z axis) */
+let mazeDepth = difficulty.mazeDepth;
 
-/** @const {number} Minimum time between pistol shots (milliseconds) */
-const SHOOT_COOLDOWN = 300;
+/** @type {Object} Maze layout handed to the simulation core ({ grid, width, depth }) */
+const mazeLayout = { grid: null, width: mazeWidth, depth: mazeDepth };
 
-/** @const {number} Effective range for knife melee attacks (world units) - Circular 360° area, balanced difficulty */
-const KNIFE_RANGE = 2.8;
+// Camera Settings
+/** @type {number} Height of top-down camera above ground plane (set by difficulty) */
+let cameraHeight = difficulty.cameraHeight;
 
-/** @const {number} Minimum time between knife attacks (milliseconds) */
-const KNIFE_COOLDOWN = 200;
+// Combat Configuration: damage, cooldowns, spread and ammo live in ZyrathSim.WEAPON_TYPES
 
 // ============================================================================
 // INPUT STATE MANAGEMENT
@@ -168,6 +198,145 @@ let mouseY = 0;
 /** @type {boolean} Pointer lock API state flag */
 let isPointerLocked = false;
 
+/**
+ * Default key bindings per action, as KeyboardEvent.code values
+ * Codes name physical keys, so the WASD block stays put on AZERTY or QWERTZ.
+ * Esc always pauses (and cancels rebinding) on top of these.
+ * @const {Object<string, Array<string>>}
+ */
+const DEFAULT_KEYMAP = {
+    MoveUp: ['KeyW', 'ArrowUp'],
+    MoveDown: ['KeyS', 'ArrowDown'],
+    MoveLeft: ['KeyA', 'ArrowLeft'],
+    MoveRight: ['KeyD', 'ArrowRight'],
+    Attack: ['Space'],
+    ToggleFlashlight: ['KeyF'],
+    SwitchWeapon: ['KeyQ'],
+    Reload: ['KeyR'],
+    WeaponSlot1: ['Digit1', 'Numpad1'],
+    WeaponSlot2: ['Digit2', 'Numpad2'],
+    WeaponSlot3: ['Digit3', 'Numpad3'],
+    WeaponSlot4: ['Digit4', 'Numpad4'],
+    WeaponSlot5: ['Digit5', 'Numpad5'],
+    OpenShop: ['KeyB'],
+    Pause: ['KeyP']
+};
+
+/** @const {Object<string, string>} Action names on the controls screen */
+const ACTION_LABELS = {
+    MoveUp: 'MOVE UP',
+    MoveDown: 'MOVE DOWN',
+    MoveLeft: 'MOVE LEFT',
+    MoveRight: 'MOVE RIGHT',
+    Attack: 'ATTACK',
+    ToggleFlashlight: 'FLASHLIGHT',
+    SwitchWeapon: 'NEXT WEAPON',
+    Reload: 'RELOAD',
+    WeaponSlot1: 'WEAPON SLOT 1',
+    WeaponSlot2: 'WEAPON SLOT 2',
+    WeaponSlot3: 'WEAPON SLOT 3',
+    WeaponSlot4: 'WEAPON SLOT 4',
+    WeaponSlot5: 'WEAPON SLOT 5',
+    OpenShop: 'SHOP',
+    Pause: 'PAUSE'
+};
+
+/** @const {number} Keys that can be bound to one action */
+const KEYMAP_SLOTS = 2;
+
+/** @type {Object<string, Array<string>>} Active bindings: DEFAULT_KEYMAP overridden by the saved keymap */
+let keymap = JSON.parse(JSON.stringify(DEFAULT_KEYMAP));
+
+/** @type {Object|null} Binding slot waiting for the next key press { action, slot } */
+let rebindingSlot = null;
+
+/** @type {Map|null} Physical key to printed label for the user's layout (where the browser exposes it) */
+let keyboardLayoutMap = null;
+
+/** @const {number} Pixels the touch joystick knob can travel from its centre (full speed) */
+const TOUCH_JOYSTICK_RADIUS = 45;
+
+/** @const {number} Touch joystick deflection (0-1) below which the player doesn't move */
+const TOUCH_JOYSTICK_DEADZONE = 0.15;
+
+/** @const {number} Milliseconds after a touch during which mouse events are the browser's emulation of the tap */
+const TOUCH_MOUSE_GRACE = 800;
+
+/** @type {Object} Floating joystick: the touch driving it, where that touch began and the deflection */
+let touchJoystick = { touchId: null, originX: 0, originY: 0, x: 0, z: 0 };
+
+/** @type {number} performance.now() of the last touch anywhere on the page */
+let lastTouchTime = -Infinity;
+
+/** @type {boolean} Left mouse button held (auto-fire weapons keep firing) */
+let mouseAttackHeld = false;
+
+/** @type {boolean} Touch attack button held (auto-fire weapons keep firing) */
+let touchAttackHeld = false;
+
+/** @type {boolean} Whether the mouse has moved this run, switching facing from movement to the cursor */
+let mouseAimActive = false;
+
+/** @const {number} Right-stick deflection below which gamepad aiming is ignored */
+const GAMEPAD_AIM_DEADZONE = 0.3;
+
+/** @const {number} Left-stick deflection below which gamepad movement is ignored */
+const GAMEPAD_MOVE_DEADZONE = 0.2;
+
+/** @const {number} Left-stick deflection that counts as a d-pad press in menus */
+const GAMEPAD_MENU_THRESHOLD = 0.6;
+
+/**
+ * Standard-mapping button indices for each gamepad action
+ * @const {Object<string, number>}
+ */
+const GAMEPAD_BUTTONS = {
+    attack: 0,      // A / Cross (also "select" in menus)
+    shop: 1,        // B / Circle (also "back" in menus)
+    flashlight: 2,  // X / Square
+    swapWeapon: 3,  // Y / Triangle
+    prevTab: 4,     // LB - previous shop category
+    nextTab: 5,     // RB - next shop category
+    reload: 6,      // LT
+    trigger: 7,     // RT - attack
+    pause: 9,       // Start
+    up: 12,
+    down: 13,
+    left: 14,
+    right: 15
+};
+
+/**
+ * Rumble strength (0-1) and length (milliseconds) per event
+ * @const {Object<string, Object>}
+ */
+const GAMEPAD_RUMBLE = {
+    kill: { strength: 0.25, duration: 80 },
+    hit: { strength: 0.6, duration: 200 },
+    death: { strength: 1.0, duration: 600 }
+};
+
+/** @type {number|null} Index of the gamepad driving the game, null when none is connected */
+let gamepadIndex = null;
+
+/** @type {Array<boolean>} Button states from the previous poll (for press edges) */
+let gamepadPreviousButtons = [];
+
+/** @type {number|null} requestAnimationFrame handle of the gamepad polling loop */
+let gamepadLoopId = null;
+
+/** @type {string|null} Menu the gamepad focus belongs to (focus resets when it changes) */
+let gamepadMenuKey = null;
+
+/** @type {number} Index of the focused element within the current menu */
+let gamepadFocusIndex = 0;
+
+/** @type {THREE.Raycaster|null} Reused cursor-to-ground ray (created lazily once THREE is loaded) */
+let aimRaycaster = null;
+
+/** @type {THREE.Plane|null} Ground plane (y = 0) the cursor ray is intersected with */
+let aimPlane = null;
+
 // ============================================================================
 // WEAPON SYSTEM STATE
 // ============================================================================
@@ -175,11 +344,17 @@ let isPointerLocked = false;
 /** @type {Array<Object>} Active projectiles in scene */
 let bullets = [];
 
-/** @type {number} Timestamp of last weapon discharge */
+/** @type {number} Simulation time (ms) of last weapon discharge */
 let lastShotTime = 0;
 
-/** @type {number} Current pistol ammunition count */
-let ammoCount = 30;
+/** @type {Object<string, Object>} Rounds { loaded, reserve } per owned gun, by WEAPON_TYPES id (the knife needs none) */
+let weaponAmmo = {};
+
+/** @type {Object|null} Reload in progress { weapon, until } (simulation time) */
+let weaponReload = null;
+
+/** @type {Array<Object>} Thrown grenades in flight */
+let grenades = [];
 
 /** @type {number} Enemy kill counter */
 let kills = 0;
@@ -193,9 +368,19 @@ let coins = 0;
 /** @const {number} Coins awarded per enemy kill */
 const COINS_PER_KILL = 10;
 
-/** @type {string} Currently equipped weapon ('knife' or 'pistol') */
+/** @type {string} Equipped weapon (ZyrathSim.WEAPON_TYPES id) */
 let currentWeapon = 'knife';
 
+// ============================================================================
+// PLAYER HEALTH STATE
+// ============================================================================
+
+/** @type {Object} Player hit points and invulnerability window (see ZyrathSim.createPlayerHealth) */
+let playerHealth = ZyrathSim.createPlayerHealth();
+
+/** @type {Array<Object>} Health packs in the maze ({mesh, cellX, cellZ}) */
+let healthPickups = [];
+
 // ============================================================================
 // COSMETIC SHOP SYSTEM - Among Us Style
 // ============================================================================
@@ -293,6 +478,12 @@ const EFFECTS = {
 /** @type {THREE.Mesh|null} Pistol pickup object reference */
 let pistolPickup = null;
 
+/** @type {Array<Object>} Ammo crates in the maze ({mesh, cellX, cellZ}) */
+let ammoPickups = [];
+
+/** @const {Array<string>} Weapons found in ammo crates, one per crate in this order */
+const CRATE_WEAPON_ORDER = ['shotgun', 'smg', 'grenade'];
+
 /** @type {THREE.Mesh|null} Knife mesh attached to player camera */
 let knifeObject = null;
 
@@ -312,8 +503,38 @@ let chasingJumper = null;
 /** @type {Array<Object>} Queue of enemies awaiting chase opportunity */
 let jumperQueue = [];
 
-/** @type {Map<string, Object>} Lane occupation tracker for AI pathfinding */
-let occupiedLanes = new Map();
+/** @type {Object|null} Shared flow field toward the player's cell (roaming chasers and crawler sight) */
+let chaseFlowField = null;
+
+/** @type {Object|null} Corridors of the current maze, shared by every spawner (see getCorridors) */
+let corridorIndex = null;
+
+/** @type {boolean} Hunt: the Overseer lands by the UFO once the last jumper dies (mode screen toggle) */
+let huntBossEnabled = true;
+
+/** @type {string|null} Hunt boss progress: null, 'incoming', 'fighting' or 'defeated' */
+let bossStatus = null;
+
+/** @type {Object|null} Survival AI director (paces waves, surges and lulls; see ZyrathSim.stepDirector) */
+let survivalDirector = null;
+
+/**
+ * @const {Object} Enemy type registry
+ * Speed, health, detection and attack rules come from ZyrathSim.ENEMY_TYPES;
+ * each entry adds the mesh builder the renderer uses for that type
+ */
+const ENEMY_TYPES = {
+    jumper: { ...ZyrathSim.ENEMY_TYPES.jumper, buildMesh: createJumperMesh },
+    brute: { ...ZyrathSim.ENEMY_TYPES.brute, buildMesh: createBruteMesh },
+    crawler: { ...ZyrathSim.ENEMY_TYPES.crawler, buildMesh: createCrawlerMesh },
+    spitter: { ...ZyrathSim.ENEMY_TYPES.spitter, buildMesh: createSpitterMesh },
+    splitter: { ...ZyrathSim.ENEMY_TYPES.splitter, buildMesh: createSplitterMesh },
+    splitling: { ...ZyrathSim.ENEMY_TYPES.splitling, buildMesh: createSplitlingMesh },
+    boss: { ...ZyrathSim.ENEMY_TYPES.boss, buildMesh: createBossMesh }
+};
+
+/** @type {Array<Object>} Spitter projectiles in flight ({mesh, position, velocity, lifetime, maxLifetime}) */
+let enemyProjectiles = [];
 
 // ============================================================================
 // AUDIO SYSTEM (DISABLED)
@@ -337,13 +558,10 @@ let bgmStarted = false;
 /** @const {number} Interval between ambient enemy sounds (milliseconds) */
 const ZOMBIE_GROAN_INTERVAL = 12000;
 
-/** @type {number} Timestamp of last ambient sound playback */
+/** @type {number} Simulation time (ms) of last ambient sound playback */
 let lastZombieGroanTime = 0;
 
-/** @const {number} Interval between footstep sounds (milliseconds) */
-const FOOTSTEP_INTERVAL = 600;
-
-/** @type {number} Timestamp of last footstep sound */
+/** @type {number} Simulation time (ms) of last footstep sound and noise */
 let lastFootstepTime = 0;
 
 // ============================================================================
@@ -375,7 +593,7 @@ function initAudioSystem() {
     try {
         // Load background music - loops continuously with reduced volume
         soundEffects.bgm = new Audio('audio/game_bgm.mp3');
-        soundEffects.bgm.volume = 0.15;  // Subtle background volume (15% - less than SFX)
+        soundEffects.bgm.volume = gameSettings.musicVolume;  // Subtle background volume (15% default - less than SFX)
         soundEffects.bgm.loop = true;     // Loop continuously
         soundEffects.bgm.preload = 'auto';
         
@@ -497,9 +715,12 @@ let assetsLoaded = false;
 /** @const {Array<string>} Rotating gameplay tips displayed on loading screen */
 const gameplayTips = [
     '"Use WASD to move through the maze"',
-    '"Press Q to switch between knife and pistol"',
+    '"Press 1-5 to pick a weapon, or Q for the next one"',
+    '"Press R to reload before your magazine runs dry"',
+    '"Rebind any key under Pause > Controls"',
     '"Click or SPACE to attack enemies"',
     '"Press F to toggle your flashlight"',
+    '"Press Esc or P to pause the hunt"',
     '"Stay in the same corridor to attack jumpers"',
     '"Jumpers patrol their lanes - watch for patterns"',
     '"Find the exit or eliminate all enemies to win"',
@@ -540,7 +761,7 @@ function updateGameTip() {
  * 3. Initializes WebGL renderer with anti-aliasing
  * 4. Generates procedural maze using recursive backtracking
  * 5. Spawns player at maze entrance
- * 6. Creates 15 jumping enemies with lane-based AI
+ * 6. Creates difficulty.enemyCount jumping enemies with lane-based AI
  * 7. Places exit point and pistol pickup
  * 8. Sets up lighting (ambient + directional)
  * 9. Configures input handlers and HUD
@@ -550,6 +771,11 @@ function init() {
     try {
         console.log('Initializing game...');
         
+        // Player settings (music volume, pause on focus loss) and key bindings
+        loadSettings();
+        loadKeymap();
+        loadKeyboardLayout();
+        
         // Scene setup with dark apocalyptic atmosphere
         scene = new THREE.Scene();
         scene.background = new THREE.Color(0x1a0a0a); // Lighter reddish background
@@ -563,7 +789,7 @@ function init() {
             0.1,
             1000
         );
-        camera.position.set(0, CAMERA_HEIGHT, 0);
+        camera.position.set(0, cameraHeight, 0);
         camera.lookAt(0, 0, 0);
         console.log('Camera created (close zoom view)');
         
@@ -613,12 +839,87 @@ function init() {
  * Shows the game mode selection screen
  */
 function showGameModeSelection() {
+    populateMazeAlgorithmOptions();
+    applyUrlRunSettings();
+    
     const modeScreen = document.getElementById('gameModeScreen');
     if (modeScreen) {
         modeScreen.classList.add('visible');
     }
 }
 
+/**
+ * Reads a numeric Custom difficulty input and clamps it to its limits
+ * @param {string} inputId - DOM id of the input
+ * @param {string} key - Key in CUSTOM_DIFFICULTY_LIMITS
+ * @param {number} fallback - Value used when the input is missing or invalid
+ * @returns {number} Clamped value
+ */
+function readCustomDifficultyValue(inputId, key, fallback) {
+    const input = document.getElementById(inputId);
+    const value = input ? Number(input.value) : NaN;
+    if (!Number.isFinite(value)) return fallback;
+    const limits = CUSTOM_DIFFICULTY_LIMITS[key];
+    return Math.max(limits.min, Math.min(limits.max, value));
+}
+
+/**
+ * Applies the difficulty chosen on the game mode screen
+ * Copies the preset into `difficulty` and updates the runtime maze size and camera height.
+ * Custom reads its values from the custom panel inputs.
+ * @returns {void}
+ */
+function applyDifficulty() {
+    const select = document.getElementById('difficultySelect');
+    const presetId = select && DIFFICULTY_PRESETS[select.value] ? select.value : difficulty.id;
+    difficulty = { ...DIFFICULTY_PRESETS[presetId] };
+    
+    if (presetId === 'custom') {
+        const base = DIFFICULTY_PRESETS.custom;
+        difficulty.mazeWidth = Math.round(readCustomDifficultyValue('customMazeWidth', 'mazeWidth', base.mazeWidth));
+        difficulty.mazeDepth = Math.round(readCustomDifficultyValue('customMazeDepth', 'mazeDepth', base.mazeDepth));
+        difficulty.enemyCount = Math.round(readCustomDifficultyValue('customEnemyCount', 'enemyCount', base.enemyCount));
+        difficulty.enemySpeed = readCustomDifficultyValue('customEnemySpeed', 'enemySpeed', base.enemySpeed);
+        difficulty.enemyHealth = Math.round(readCustomDifficultyValue('customEnemyHealth', 'enemyHealth', base.enemyHealth));
+        difficulty.fogFar = readCustomDifficultyValue('customFogFar', 'fogFar', base.fogFar);
+        difficulty.fogNear = difficulty.fogFar * 0.4;
+        difficulty.maxEnemies = Math.round(readCustomDifficultyValue('customMaxEnemies', 'maxEnemies', base.maxEnemies));
+        difficulty.ammoPickups = Math.round(readCustomDifficultyValue('customAmmoPickups', 'ammoPickups', base.ammoPickups));
+        difficulty.maxHealth = Math.round(readCustomDifficultyValue('customMaxHealth', 'maxHealth', base.maxHealth));
+        difficulty.healthPickups = Math.round(readCustomDifficultyValue('customHealthPickups', 'healthPickups', base.healthPickups));
+        const oneHitInput = document.getElementById('customOneHit');
+        difficulty.oneHit = Boolean(oneHitInput && oneHitInput.checked);
+    }
+    
+    // One-hit hardcore: a single heart and nothing to heal
+    if (difficulty.oneHit) {
+        difficulty.maxHealth = 1;
+        difficulty.healthPickups = 0;
+    }
+    
+    mazeWidth = difficulty.mazeWidth;
+    mazeDepth = difficulty.mazeDepth;
+    mazeLayout.width = mazeWidth;
+    mazeLayout.depth = mazeDepth;
+    cameraHeight = difficulty.cameraHeight;
+    
+    console.log(`⚔️ Difficulty: ${difficulty.name} (${mazeWidth}x${mazeDepth}, ${difficulty.enemyCount} enemies (max ${difficulty.maxEnemies}), speed ${difficulty.enemySpeed}, health ${difficulty.enemyHealth}, ${difficulty.oneHit ? 'one-hit hardcore' : difficulty.maxHealth + ' hearts'})`);
+}
+
+/**
+ * Shows the Custom difficulty panel only when Custom is selected
+ * Called from the difficulty select's onchange
+ * @returns {void}
+ */
+function updateDifficultyPanel() {
+    const select = document.getElementById('difficultySelect');
+    const panel = document.getElementById('customDifficultyPanel');
+    if (!select || !panel) return;
+    panel.classList.toggle('visible', select.value === 'custom');
+}
+
+window.updateDifficultyPanel = updateDifficultyPanel;
+
 /**
  * Selects a game mode and starts the game
  * @param {string} mode - 'hunt' or 'survival'
@@ -626,6 +927,30 @@ function showGameModeSelection() {
 function selectGameMode(mode) {
     gameMode = mode;
     console.log(`🎮 Game mode selected: ${mode}`);
+    
+    // Read maze generator choice from the mode screen
+    const algorithmSelect = document.getElementById('mazeAlgorithmSelect');
+    if (algorithmSelect && MAZE_GENERATORS[algorithmSelect.value]) {
+        mazeAlgorithm = algorithmSelect.value;
+    }
+    console.log(`🧩 Maze algorithm: ${mazeAlgorithm}`);
+    
+    // Read loop density (percentage of dead ends to braid)
+    const braidInput = document.getElementById('braidDensityInput');
+    if (braidInput) {
+        braidDensity = Math.max(0, Math.min(100, Number(braidInput.value) || 0)) / 100;
+    }
+    console.log(`🔁 Braid density: ${Math.round(braidDensity * 100)}%`);
+    
+    // Read the hunt boss toggle
+    const bossInput = document.getElementById('huntBossInput');
+    if (bossInput) {
+        huntBossEnabled = bossInput.checked;
+    }
+    console.log(`👑 Hunt boss: ${huntBossEnabled ? 'on' : 'off'}`);
+    
+    // Read difficulty preset (maze size, enemies, fog, pickups)
+    applyDifficulty();
     console.log(`🎮 Global gameMode variable is now: ${gameMode}`);
     
     // Hide mode selection screen
@@ -650,6 +975,9 @@ function startGame() {
     try {
         console.log(`🚀 startGame() called with gameMode: ${gameMode}`);
         
+        // Seed the world PRNG before anything random is created
+        seedWorld();
+        
         // Lighting
         setupLighting();
         console.log('Lighting setup complete');
@@ -683,13 +1011,24 @@ function startGame() {
             createJumpers();
             console.log('Jumping enemies created (Survival Mode - using hunt mode spawning)');
             
-            // NOTE: Monsters spawn automatically when one is killed (2 for every 1 killed)
+            // NOTE: Further monsters are sent by the AI director (see updateDirector)
         }
+        resetDirector();
         
         // Create pistol pickup
         createPistolPickup();
         console.log('Pistol pickup created');
         
+        // Scatter ammo crates and health packs (counts set by difficulty)
+        createAmmoPickups();
+        createHealthPickups();
+        
+        // Check every entity is reachable and show the maze report
+        validateEntityPlacement();
+        
+        // Scatter the danger lights last (see positionDangerLights)
+        positionDangerLights();
+        
         // Setup controls
         setupControls();
         console.log('Controls setup complete');
@@ -702,6 +1041,7 @@ function startGame() {
         setupLoaders();
         
         // Initialize HUD
+        resetPlayerHealth();
         updateWeaponDisplay();
         updateAmmoDisplay();
         updateFlashlightDisplay();
@@ -717,8 +1057,8 @@ function startGame() {
         
         // Note: Background music will start on first user interaction (browser autoplay policy)
         
-        // Reset game start time
-        gameStartTime = Date.now();
+        // Reset the simulation clock (run time, cooldowns, scheduled events)
+        resetSimulationClock();
         
         // Set game as active
         gameActive = true;
@@ -828,6 +1168,54 @@ function playKnifeSound() {
     }
 }
 
+/**
+ * Plays a short synthesized tone for weapon effects
+ * @param {string} type - Oscillator type
+ * @param {number} startFrequency - Frequency at the start (Hz)
+ * @param {number} endFrequency - Frequency at the end (Hz)
+ * @param {number} volume - Starting gain
+ * @param {number} duration - Length in seconds
+ * @returns {void}
+ */
+function playWeaponTone(type, startFrequency, endFrequency, volume, duration) {
+    if (!audioContext) return;
+    try {
+        const now = audioContext.currentTime;
+        const osc = audioContext.createOscillator();
+        const gain = audioContext.createGain();
+        
+        osc.type = type;
+        osc.frequency.setValueAtTime(startFrequency, now);
+        osc.frequency.exponentialRampToValueAtTime(endFrequency, now + duration);
+        gain.gain.setValueAtTime(volume, now);
+        gain.gain.exponentialRampToValueAtTime(0.01, now + duration);
+        
+        osc.connect(gain);
+        gain.connect(audioContext.destination);
+        osc.start(now);
+        osc.stop(now + duration);
+    } catch (e) {
+        console.error('Error playing weapon sound:', e);
+    }
+}
+
+/**
+ * Sound played when each weapon fires, by WEAPON_TYPES sound key
+ * Shotgun: deep boom; SMG: short high crack (it fires ten times a second);
+ * throw: soft whoosh; explosion: long low rumble when a grenade goes off;
+ * reload: a quick metallic click as a reload starts and ends
+ * @const {Object<string, Function>}
+ */
+const WEAPON_SOUNDS = {
+    knife: playKnifeSound,
+    gunshot: playGunshotSound,
+    shotgun: () => playWeaponTone('square', 80, 30, 0.2, 0.2),
+    reload: () => playWeaponTone('triangle', 900, 500, 0.06, 0.08),
+    smg: () => playWeaponTone('square', 160, 90, 0.08, 0.05),
+    throw: () => playWeaponTone('sine', 300, 120, 0.06, 0.2),
+    explosion: () => playWeaponTone('sawtooth', 60, 20, 0.25, 0.6)
+};
+
 /**
  * Plays enemy hit/death sound effect using Web Audio API synthesis
  * Generates a low-frequency impact sound using sine wave oscillator
@@ -1253,4442 +1641,6191 @@ function playFootstepSound() {
 
 // ============= END AUDIO SYSTEM =============
 
-function setupLighting() {
-    // Reddish ambient light - brighter for visibility
-    const ambientLight = new THREE.AmbientLight(0x6a2a2a, 0.5); // Reddish, decent brightness
-    scene.add(ambientLight);
-    
-    // Directional light - reddish moonlight
-    const moonLight = new THREE.DirectionalLight(0x8a3a3a, 0.6); // Brighter reddish tint
-    moonLight.position.set(50, 100, 50);
-    moonLight.castShadow = true;
-    moonLight.shadow.camera.left = -50;
-    moonLight.shadow.camera.right = 50;
-    moonLight.shadow.camera.top = 50;
-    moonLight.shadow.camera.bottom = -50;
-    moonLight.shadow.mapSize.width = 2048;
-    moonLight.shadow.mapSize.height = 2048;
-    scene.add(moonLight);
-    
-    // Red hemisphere light for hellish atmosphere
-    const hemiLight = new THREE.HemisphereLight(0x6a2a2a, 0x3a1010, 0.5); // Brighter red atmosphere
-    scene.add(hemiLight);
-    
-    // Add fog for atmospheric depth - lighter red fog
-    scene.fog = new THREE.Fog(0x2a0808, 12, 30); // Lighter red fog, starts further away
-    
-    // Exit light - green glow (hope in darkness)
-    const exitLight = new THREE.PointLight(0x00ff44, 2, 15);
-    exitLight.position.set(MAZE_SIZE - 2, 3, MAZE_SIZE - 2);
-    scene.add(exitLight);
-    
-    // Add more scattered atmospheric red lights around the map
-    for (let i = 0; i < 8; i++) {
-        const dangerLight = new THREE.PointLight(0xff3333, 1.5, 12);
-        dangerLight.position.set(
-            Math.random() * MAZE_SIZE - MAZE_SIZE/2,
-            2,
-            Math.random() * MAZE_SIZE - MAZE_SIZE/2
-        );
-        scene.add(dangerLight);
-    }
-}
-
 // ============================================================================
-// PROCEDURAL MAZE GENERATION
+// SCENE LIFECYCLE MANAGER
 // ============================================================================
 
+/** @type {Set<THREE.Object3D>} Everything the current run added to the scene */
+const runObjects = new Set();
+
+/** @type {THREE.Group|null} Scene-wide lights, created once and reused by every run */
+let lightingRig = null;
+
+/** @type {THREE.PointLight|null} Green light hovering over the exit */
+let exitLight = null;
+
+/** @type {boolean} True once keyboard, mouse and UI listeners are bound */
+let controlsInitialized = false;
+
 /**
- * Generates a procedural maze using recursive backtracking algorithm
- * Creates a perfect maze (single solution) with guaranteed path from entrance to exit
- * 
+ * Adds an object to the scene and tracks it as part of the current run
+ * @param {THREE.Object3D} object - Object to add
+ * @returns {THREE.Object3D} The same object
+ */
+function addRunObject(object) {
+    scene.add(object);
+    runObjects.add(object);
+    return object;
+}
+
+/**
+ * Removes a tracked run object from the scene and frees its GPU resources
+ * @param {THREE.Object3D} object - Object to remove (null is ignored)
  * @returns {void}
- * 
- * @description
- * Algorithm phases:
- * 1. Initializes MAZE_SIZE x MAZE_SIZE grid filled with walls (value 1)
- * 2. Creates ground plane with dark bloodstained texture
- * 3. Applies recursive backtracking to carve corridors (value 0)
- * 4. Ensures no isolated sections - all paths are connected
- * 5. Constructs 3D wall meshes with dark red material
- * 6. Optimizes mesh count using geometry merging
- * 
- * The algorithm creates organic, winding corridors with dead ends,
- * providing strategic gameplay opportunities and navigation challenges.
  */
-function generateMaze() {
-    // Ground plane setup with apocalyptic texture
-    const groundGeometry = new THREE.PlaneGeometry(MAZE_SIZE * 2, MAZE_SIZE * 2);
-    const groundMaterial = new THREE.MeshStandardMaterial({
-        color: 0x2a0f0f,
-        roughness: 0.95,
-        metalness: 0.0
+function removeRunObject(object) {
+    if (!object) return;
+    scene.remove(object);
+    runObjects.delete(object);
+    disposeObject3D(object);
+}
+
+/**
+ * Disposes a material and every texture it references
+ * @param {THREE.Material} material - Material to dispose
+ * @returns {void}
+ */
+function disposeMaterial(material) {
+    Object.values(material).forEach(value => {
+        if (value && value.isTexture) value.dispose();
     });
-    const ground = new THREE.Mesh(groundGeometry, groundMaterial);
-    ground.rotation.x = -Math.PI / 2;
-    ground.receiveShadow = true;
-    scene.add(ground);
-    
-    // Initialize maze grid with all walls
-    maze = [];
-    for (let i = 0; i < MAZE_SIZE; i++) {
-        maze[i] = [];
-        for (let j = 0; j < MAZE_SIZE; j++) {
-            maze[i][j] = 1;
+    material.dispose();
+}
+
+/**
+ * Disposes the geometries, materials, textures and shadow maps of an object tree
+ * The shared wall geometry is skipped so the next maze can reuse it
+ * @param {THREE.Object3D} object - Root object
+ * @returns {void}
+ */
+function disposeObject3D(object) {
+    object.traverse(child => {
+        if (child.geometry && child.geometry !== wallGeometry) {
+            child.geometry.dispose();
         }
-    }
-    
-    // Recursive backtracking maze generation algorithm
-    const stack = [];
-    const visited = new Set();
-    
-    /**
-     * Gets unvisited neighboring cells at distance 2 (creating corridors)
-     * @param {number} x - Current X coordinate
-     * @param {number} y - Current Y coordinate
-     * @returns {Array<Array<number>>} Array of [neighborX, neighborY, wallX, wallY]
-     */
-    function getNeighbors(x, y) {
-        const neighbors = [];
-        const directions = [[0, 2], [2, 0], [0, -2], [-2, 0]];
-        
-        for (const [dx, dy] of directions) {
-            const nx = x + dx;
-            const ny = y + dy;
-            if (nx >= 1 && nx < MAZE_SIZE - 1 && ny >= 1 && ny < MAZE_SIZE - 1) {
-                const key = `${nx},${ny}`;
-                if (!visited.has(key)) {
-                    neighbors.push([nx, ny, x + dx/2, y + dy/2]);
-                }
-            }
+        if (child.material) {
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(disposeMaterial);
         }
-        return neighbors;
-    }
-    
-    // Begin maze carving from entrance position
-    let current = [1, 1];
-    visited.add('1,1');
-    maze[1][1] = 0;
-    
-    while (true) {
-        const neighbors = getNeighbors(current[0], current[1]);
-        
-        if (neighbors.length > 0) {
-            // Choose random neighbor
-            const [nx, ny, wallX, wallY] = neighbors[Math.floor(Math.random() * neighbors.length)];
-            
-            // Clear the wall between current and neighbor
-            maze[wallX][wallY] = 0;
-            maze[nx][ny] = 0;
-            
-            visited.add(`${nx},${ny}`);
-            stack.push(current);
-            current = [nx, ny];
-        } else if (stack.length > 0) {
-            current = stack.pop();
-        } else {
-            break;
+        if (child.isLight && child.shadow && child.shadow.map) {
+            child.shadow.map.dispose();
+            child.shadow.map = null;
         }
-    }
+    });
+}
+
+/**
+ * Fully tears down the current run
+ * Disposes every tracked object and the walls, then clears the references
+ * that pointed into them. Lights persist and are reconfigured by setupLighting();
+ * pooled effects are handed back to their pools for the next run.
+ * @returns {void}
+ */
+function disposeRunScene() {
+    const objectCount = runObjects.size;
+    runObjects.forEach(object => {
+        scene.remove(object);
+        disposeObject3D(object);
+    });
+    runObjects.clear();
+    disposeWalls();
+    releaseAllPooledObjects();
+    
+    playerMesh = null;
+    exitMesh = null;
+    doorMesh = null;
+    pistolPickup = null;
+    flashlight = null;
+    knifeObject = null;
+    jumpers = [];
+    bullets = [];
+    grenades = [];
+    enemyProjectiles = [];
+    ammoPickups = [];
+    healthPickups = [];
+    trailParticles = [];
     
-    // Add some random dead ends and false paths for confusion
-    for (let attempts = 0; attempts < 15; attempts++) {
-        const x = Math.floor(Math.random() * (MAZE_SIZE - 4)) + 2;
-        const y = Math.floor(Math.random() * (MAZE_SIZE - 4)) + 2;
-        
-        if (maze[x][y] === 1) {
-            // Create a small dead end branch
-            maze[x][y] = 0;
-            if (Math.random() > 0.5 && x + 1 < MAZE_SIZE - 1) maze[x + 1][y] = 0;
-            if (Math.random() > 0.5 && y + 1 < MAZE_SIZE - 1) maze[x][y + 1] = 0;
-        }
+    console.log(`♻️ Run scene disposed: ${objectCount} objects, renderer holds ${renderer.info.memory.geometries} geometries / ${renderer.info.memory.textures} textures`);
+}
+
+// ============================================================================
+// OBJECT POOLS
+// ============================================================================
+
+/** @type {Array<Object>} Every scene object pool (see createObjectPool) */
+const objectPools = [];
+
+/** @type {Array<Object>} Every overlay element pool (see createElementPool) */
+const elementPools = [];
+
+/** @type {Map<string, Object>} Geometries and materials shared by all pooled objects of a kind */
+const pooledResources = new Map();
+
+/** @type {Array<Object>} Pooled one-shot effects playing out */
+let activeEffects = [];
+
+/**
+ * Gets a geometry or material shared by every pooled object of a kind
+ * @param {string} key - Resource name
+ * @param {Function} create - Builds the resource the first time it is asked for
+ * @returns {Object} The shared resource
+ */
+function getPooledResource(key, create) {
+    if (!pooledResources.has(key)) {
+        pooledResources.set(key, create());
     }
-    
-    // Ensure path to exit exists - clear final area
-    maze[MAZE_SIZE - 2][MAZE_SIZE - 2] = 0;
-    maze[MAZE_SIZE - 2][MAZE_SIZE - 3] = 0;
-    maze[MAZE_SIZE - 3][MAZE_SIZE - 2] = 0;
-    maze[MAZE_SIZE - 3][MAZE_SIZE - 3] = 0;
-    
-    // Clear pistol pickup area (convert world coordinates to maze indices)
-    // Pistol at (-6, 0.5, 3) translates to maze coordinates
-    const pistolMazeX = Math.floor(-6 + MAZE_SIZE/2);
-    const pistolMazeZ = Math.floor(3 + MAZE_SIZE/2);
-    
-    // Clear a small area around the pistol location
-    for (let dx = -1; dx <= 1; dx++) {
-        for (let dz = -1; dz <= 1; dz++) {
-            const x = pistolMazeX + dx;
-            const z = pistolMazeZ + dz;
-            if (x >= 0 && x < MAZE_SIZE && z >= 0 && z < MAZE_SIZE) {
-                maze[x][z] = 0;
-            }
+    return pooledResources.get(key);
+}
+
+/**
+ * Creates a pool of reusable scene objects
+ * Objects are built on demand, added to the scene once and only hidden when
+ * released, so transient effects allocate nothing once the pool is warm.
+ * Pools outlive runs: disposeRunScene releases what is in use instead of
+ * disposing it.
+ * @param {Function} build - Builds one object (shared geometry, own material if it fades)
+ * @param {Function} [animate] - One-shot effects: called every tick with (object, progress 0-1)
+ * @param {number} [duration=0] - One-shot effects: length in ticks
+ * @returns {Object} Pool { build, animate, duration, free, active }
+ */
+function createObjectPool(build, animate = null, duration = 0) {
+    const pool = { build, animate, duration, free: [], active: new Set() };
+    objectPools.push(pool);
+    return pool;
+}
+
+/**
+ * Takes an object from a pool, building one if none is free
+ * @param {Object} pool - Pool from createObjectPool
+ * @returns {THREE.Object3D} Visible object in the scene
+ */
+function acquireFromPool(pool) {
+    const object = pool.free.pop() || pool.build();
+    if (object.parent !== scene) scene.add(object);
+    object.visible = true;
+    object.userData.pool = pool;
+    delete object.userData.previousPosition; // Never interpolate from its last use
+    pool.active.add(object);
+    return object;
+}
+
+/**
+ * Hands a pooled object back (hidden, kept in the scene for reuse)
+ * @param {THREE.Object3D} object - Object from acquireFromPool (others are ignored)
+ * @returns {void}
+ */
+function releaseToPool(object) {
+    const pool = object && object.userData.pool;
+    if (!pool || !pool.active.delete(object)) return;
+    object.visible = false;
+    pool.free.push(object);
+}
+
+/**
+ * Plays a one-shot pooled effect at a position
+ * @param {Object} pool - Pool with animate and duration
+ * @param {THREE.Vector3} position - Where the effect plays
+ * @param {Function} [setup] - Per-use settings applied before the first frame
+ * @returns {THREE.Object3D} The effect object
+ */
+function playPooledEffect(pool, position, setup) {
+    const object = acquireFromPool(pool);
+    object.position.copy(position);
+    object.userData.tick = 0;
+    if (setup) setup(object);
+    pool.animate(object, 0);
+    activeEffects.push(object);
+    return object;
+}
+
+/**
+ * Advances every playing one-shot effect by one tick and releases finished ones
+ * @returns {void}
+ */
+function updatePooledEffects() {
+    for (let i = activeEffects.length - 1; i >= 0; i--) {
+        const object = activeEffects[i];
+        const pool = object.userData.pool;
+        object.userData.tick++;
+        const progress = Math.min(object.userData.tick / pool.duration, 1);
+        pool.animate(object, progress);
+        
+        if (progress >= 1) {
+            releaseToPool(object);
+            activeEffects.splice(i, 1);
         }
     }
-    
-    // Create wall meshes
-    createWalls();
 }
 
-function createWalls() {
-    // Clear existing walls
-    mazeWalls.forEach(wall => scene.remove(wall));
-    mazeWalls = [];
+/**
+ * Releases everything the pools lent out (run teardown)
+ * @returns {void}
+ */
+function releaseAllPooledObjects() {
+    objectPools.forEach(pool => {
+        Array.from(pool.active).forEach(releaseToPool);
+    });
+    activeEffects = [];
     
-    let wallMaterial;
+    // Their release events went with the old run's simulation clock
+    elementPools.forEach(pool => {
+        Array.from(pool.active).forEach(element => releasePooledElement(pool, element));
+    });
+}
+
+/**
+ * Creates a pool of reusable overlay elements (floating text)
+ * Released elements stay in the page, hidden, and restart their CSS animation on reuse
+ * @param {Function} build - Builds one element
+ * @param {string} animation - CSS animation to restart ('' keeps the class animation)
+ * @returns {Object} Pool { build, animation, free, active }
+ */
+function createElementPool(build, animation) {
+    const pool = { build, animation, free: [], active: new Set() };
+    elementPools.push(pool);
+    return pool;
+}
+
+/**
+ * Shows a pooled element for a while, then hides it for reuse
+ * The lifetime runs on the simulation clock, so it waits out a pause
+ * @param {Object} pool - Pool from createElementPool
+ * @param {number} lifetime - How long it stays up (simulated ms)
+ * @returns {HTMLElement} The visible element
+ */
+function showPooledElement(pool, lifetime) {
+    const element = pool.free.pop() || pool.build();
+    pool.active.add(element);
+    if (!element.parentNode) document.body.appendChild(element);
+    element.style.display = '';
     
-    if (isPrototypeMode) {
-        wallMaterial = new THREE.MeshStandardMaterial({
-            color: 0x2a1a1a, // Darker stone with red tint
-            roughness: 0.95,
-            metalness: 0.05,
-            emissive: 0x1a0505,
-            emissiveIntensity: 0.1
-        });
-    } else {
-        // In Full mode, we could load textures here
-        wallMaterial = new THREE.MeshStandardMaterial({
-            color: 0x4a4a4a,
-            roughness: 0.9,
-            metalness: 0.1,
-            // If textures are loaded, apply them here
-        });
-    }
+    // Restart the animation: a reused node would otherwise keep its finished state
+    element.style.animation = 'none';
+    void element.offsetWidth;
+    element.style.animation = pool.animation;
     
-    for (let i = 0; i < MAZE_SIZE; i++) {
-        for (let j = 0; j < MAZE_SIZE; j++) {
-            if (maze[i][j] === 1) {
-                // Create SOLID BLOCK walls - no cross shape, just solid cubes
-                const wallGeometry = new THREE.BoxGeometry(1, WALL_HEIGHT, 1);
-                const wallMesh = new THREE.Mesh(wallGeometry, wallMaterial);
-                wallMesh.castShadow = true;
-                wallMesh.receiveShadow = true;
-                
-                wallMesh.position.set(
-                    i - MAZE_SIZE / 2,
-                    WALL_HEIGHT / 2,
-                    j - MAZE_SIZE / 2
-                );
-                scene.add(wallMesh);
-                mazeWalls.push(wallMesh);
-            }
-        }
-    }
+    scheduleSimEvent(lifetime, () => releasePooledElement(pool, element));
+    return element;
 }
 
-function createPlayer() {
-    player = {
-        position: new THREE.Vector3(-MAZE_SIZE / 2 + 1.5, PLAYER_HEIGHT, -MAZE_SIZE / 2 + 1.5),
-        velocity: new THREE.Vector3(),
-        acceleration: new THREE.Vector3(),
-        rotation: 0
-    };
-    
-    if (isPrototypeMode) {
-        // Prototype: realistic player character
-        const playerGroup = new THREE.Group();
-        
-        // Body - shirt/torso
-        const bodyGeometry = new THREE.CylinderGeometry(0.35, 0.35, 1.2, 16);
-        const bodyMaterial = new THREE.MeshStandardMaterial({
-            color: 0x4169E1, // Royal blue shirt
-            roughness: 0.7,
-            metalness: 0.0
-        });
-        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        body.castShadow = true;
-        playerGroup.add(body);
-        
-        // Head - realistic skin tone
-        const headGeometry = new THREE.SphereGeometry(0.35, 16, 16);
-        const headMaterial = new THREE.MeshStandardMaterial({
-            color: 0xFFDBAC, // Skin tone
-            roughness: 0.6,
-            metalness: 0.0
-        });
-        const head = new THREE.Mesh(headGeometry, headMaterial);
-        head.position.y = 0.9;
-        head.castShadow = true;
-        playerGroup.add(head);
-        
-        // Eyes
-        const eyeGeometry = new THREE.SphereGeometry(0.08, 8, 8);
-        const eyeMaterial = new THREE.MeshStandardMaterial({
-            color: 0xffffff,
-            roughness: 0.3,
-            metalness: 0.0
-        });
-        
-        const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        leftEye.position.set(-0.12, 0.95, 0.25);
-        playerGroup.add(leftEye);
-        
-        const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        rightEye.position.set(0.12, 0.95, 0.25);
-        playerGroup.add(rightEye);
-        
-        // Pupils
-        const pupilGeometry = new THREE.SphereGeometry(0.04, 8, 8);
-        const pupilMaterial = new THREE.MeshStandardMaterial({
-            color: 0x000000,
-            roughness: 0.5
-        });
+/**
+ * Hides a pooled element and hands it back to its pool
+ * @param {Object} pool - Pool from createElementPool
+ * @param {HTMLElement} element - Element from showPooledElement
+ * @returns {void}
+ */
+function releasePooledElement(pool, element) {
+    if (!pool.active.delete(element)) return;
+    element.style.display = 'none';
+    pool.free.push(element);
+}
+
+// ============================================================================
+// SEEDED RANDOM NUMBER GENERATION
+// ============================================================================
+
+/** @type {number} Seed of the current run (shown on game over screen, shareable via ?seed=) */
+let worldSeed = 0;
+
+/** @type {Function} Seeded PRNG used by every random decision in world creation */
+let worldRandom = Math.random;
+
+/** @type {Function} Seeded PRNG for spawns during the run (see ZyrathSim.createSpawnRandom) */
+let spawnRandom = Math.random;
+
+/**
+ * Reads the world settings a shared link carries (?seed=, ?maze=, ?loops=,
+ * ?difficulty= and, for Custom, one parameter per CUSTOM_DIFFICULTY_INPUTS key
+ * plus ?oneHit=)
+ * Unknown or missing values come back as null
+ * @returns {Object} { seed, algorithm, loops, difficulty, custom, oneHit } -
+ *   loops is a 0-100 percentage, custom holds the numeric Custom values given
+ */
+function getRunSettingsFromUrl() {
+    const settings = { seed: null, algorithm: null, loops: null, difficulty: null, custom: {}, oneHit: null };
+    try {
+        const params = new URLSearchParams(window.location.search);
+        settings.seed = ZyrathSim.parseSeed(params.get('seed'));
         
-        const leftPupil = new THREE.Mesh(pupilGeometry, pupilMaterial);
-        leftPupil.position.set(-0.12, 0.95, 0.32);
-        playerGroup.add(leftPupil);
+        const algorithm = params.get('maze');
+        if (algorithm && MAZE_GENERATORS[algorithm]) settings.algorithm = algorithm;
         
-        const rightPupil = new THREE.Mesh(pupilGeometry, pupilMaterial);
-        rightPupil.position.set(0.12, 0.95, 0.32);
-        playerGroup.add(rightPupil);
+        const loops = params.get('loops');
+        if (loops !== null && Number.isFinite(Number(loops))) {
+            settings.loops = Math.max(0, Math.min(100, Number(loops)));
+        }
         
-        playerMesh = playerGroup;
-    } else {
-        // Full mode: could load a character model
-        const playerGroup = new THREE.Group();
+        const presetId = params.get('difficulty');
+        if (presetId && DIFFICULTY_PRESETS[presetId]) settings.difficulty = presetId;
         
-        const bodyGeometry = new THREE.CylinderGeometry(0.3, 0.3, 1, 16);
-        const bodyMaterial = new THREE.MeshStandardMaterial({
-            color: 0x0088ff,
-            emissive: 0x003366,
-            roughness: 0.5,
-            metalness: 0.3
+        // Custom values are clamped later by applyDifficulty, like typed ones
+        Object.keys(CUSTOM_DIFFICULTY_INPUTS).forEach(key => {
+            const value = params.get(key);
+            if (value !== null && value !== '' && Number.isFinite(Number(value))) {
+                settings.custom[key] = Number(value);
+            }
         });
-        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        body.castShadow = true;
-        playerGroup.add(body);
-        
-        const headGeometry = new THREE.SphereGeometry(0.3, 16, 16);
-        const head = new THREE.Mesh(headGeometry, bodyMaterial);
-        head.position.y = 0.8;
-        head.castShadow = true;
-        playerGroup.add(head);
-        
-        playerMesh = playerGroup;
+        if (params.has('oneHit')) settings.oneHit = params.get('oneHit') === '1';
+    } catch (error) {
+        console.warn('Could not read run settings from URL:', error);
     }
+    return settings;
+}
+
+/**
+ * Preselects a shared link's settings on the game mode screen
+ * selectGameMode still reads the controls, so the player can change them
+ * @returns {void}
+ */
+function applyUrlRunSettings() {
+    const settings = getRunSettingsFromUrl();
     
-    // Create butcher knife attached to player
-    createKnife();
+    const algorithmSelect = document.getElementById('mazeAlgorithmSelect');
+    if (algorithmSelect && settings.algorithm) {
+        algorithmSelect.value = settings.algorithm;
+    }
     
-    // Create flashlight attached to player
-    createFlashlight();
+    const braidInput = document.getElementById('braidDensityInput');
+    if (braidInput && settings.loops !== null) {
+        braidInput.value = settings.loops;
+        updateBraidDensityLabel();
+    }
     
-    scene.add(playerMesh);
+    const difficultySelect = document.getElementById('difficultySelect');
+    if (difficultySelect && settings.difficulty) {
+        difficultySelect.value = settings.difficulty;
+        updateDifficultyPanel();
+    }
     
-    // Position camera behind player
-    camera.position.copy(player.position);
-    camera.position.y += 0.4;
+    Object.entries(settings.custom).forEach(([key, value]) => {
+        const input = document.getElementById(CUSTOM_DIFFICULTY_INPUTS[key]);
+        if (input) input.value = value;
+    });
+    const oneHitInput = document.getElementById('customOneHit');
+    if (oneHitInput && settings.oneHit !== null) {
+        oneHitInput.checked = settings.oneHit;
+    }
 }
 
-// ============================================================================
-// AVATAR ACCESSORY CREATION FUNCTIONS
-// ============================================================================
+/**
+ * Seeds the world PRNG for a new run
+ * Uses the URL seed when present so shared links replay the same layout,
+ * otherwise rolls a fresh seed
+ * @returns {void}
+ */
+function seedWorld() {
+    const urlSeed = getRunSettingsFromUrl().seed;
+    worldSeed = urlSeed !== null ? urlSeed : Math.floor(Math.random() * 4294967296) >>> 0;
+    worldRandom = ZyrathSim.createSeededRandom(worldSeed);
+    spawnRandom = ZyrathSim.createSpawnRandom(worldSeed);
+    console.log(`🎲 World seed: ${worldSeed}`);
+}
 
 /**
- * Creates a military-style cap accessory
- * @param {number} color - Hex color for the cap
- * @returns {THREE.Group} Military cap mesh group
+ * Builds a shareable link that replays the current maze
+ * The layout depends on the generator, loop density and difficulty (maze
+ * size, enemies, pickups) as well as the seed, so all of them go in
+ * @returns {string} URL of this page with ?seed=, ?maze=, ?loops= and
+ *   ?difficulty= set (plus the Custom values when Custom is played)
  */
-function createMilitaryCap(color) {
-    const capGroup = new THREE.Group();
-    
-    // Cap bill/brim (front visor) - LARGER
-    const billGeometry = new THREE.BoxGeometry(0.6, 0.06, 0.35);
-    const capMaterial = new THREE.MeshStandardMaterial({
-        color: color,
-        roughness: 0.8,
-        metalness: 0.1
-    });
-    const bill = new THREE.Mesh(billGeometry, capMaterial);
-    bill.position.set(0, 1.15, 0.25);
-    bill.rotation.x = -0.2;
-    capGroup.add(bill);
-    
-    // Cap crown (top rounded part) - TALLER
-    const crownGeometry = new THREE.CylinderGeometry(0.32, 0.36, 0.3, 16);
-    const crown = new THREE.Mesh(crownGeometry, capMaterial);
-    crown.position.set(0, 1.25, 0);
-    capGroup.add(crown);
-    
-    // Military star emblem on front
-    const starGeometry = new THREE.CylinderGeometry(0.1, 0.1, 0.03, 5);
-    const starMaterial = new THREE.MeshStandardMaterial({
-        color: 0xFFD700, // Gold
-        roughness: 0.2,
-        metalness: 0.9,
-        emissive: 0xFFD700,
-        emissiveIntensity: 0.3
+function getSeedShareUrl() {
+    const url = new URL(window.location.href);
+    url.searchParams.set('seed', worldSeed);
+    url.searchParams.set('maze', mazeAlgorithm);
+    url.searchParams.set('loops', Math.round(braidDensity * 100));
+    url.searchParams.set('difficulty', difficulty.id);
+    
+    // Custom values only mean something with the Custom preset
+    const custom = difficulty.id === 'custom';
+    Object.keys(CUSTOM_DIFFICULTY_INPUTS).forEach(key => {
+        if (custom) {
+            url.searchParams.set(key, difficulty[key]);
+        } else {
+            url.searchParams.delete(key);
+        }
     });
-    const star = new THREE.Mesh(starGeometry, starMaterial);
-    star.position.set(0, 1.2, 0.38);
-    star.rotation.x = Math.PI / 2;
-    capGroup.add(star);
-    
-    // Camouflage stripes for military look
-    for (let i = 0; i < 3; i++) {
-        const stripeGeometry = new THREE.BoxGeometry(0.3, 0.03, 0.02);
-        const stripeMaterial = new THREE.MeshStandardMaterial({
-            color: 0x2d4a2b, // Dark green camo
-            roughness: 0.9
-        });
-        const stripe = new THREE.Mesh(stripeGeometry, stripeMaterial);
-        stripe.position.set(0.1 * (i - 1), 1.15 + (i * 0.05), 0.32);
-        capGroup.add(stripe);
+    if (custom) {
+        url.searchParams.set('oneHit', difficulty.oneHit ? 1 : 0);
+    } else {
+        url.searchParams.delete('oneHit');
+    }
+    return url.toString();
+}
+
+/**
+ * Shows the current seed on the game over screen
+ * @returns {void}
+ */
+function updateSeedDisplay() {
+    const seedLink = document.getElementById('seedLink');
+    if (seedLink) {
+        seedLink.textContent = worldSeed;
+        seedLink.href = getSeedShareUrl();
+    }
+}
+
+/** @type {Array<THREE.PointLight>} Scattered red danger lights (positions come from the world seed) */
+let dangerLights = [];
+
+/**
+ * Configures scene lighting and fog for the current run
+ * @returns {void}
+ */
+function setupLighting() {
+    // Lights are created once; later runs only re-aim them and update the fog
+    if (!lightingRig) {
+        createLightingRig();
     }
     
-    return capGroup;
+    // Add fog for atmospheric depth - lighter red fog, distance set by difficulty
+    scene.fog = new THREE.Fog(0x2a0808, difficulty.fogNear, difficulty.fogFar);
+    
+    // Exit light follows the exit corner of the current maze size
+    const exitPosition = getExitWorldPosition();
+    exitLight.position.set(exitPosition.x, 3, exitPosition.z);
 }
 
 /**
- * Creates a police cap with badge
- * @param {number} capColor - Hex color for the cap
- * @param {number} badgeColor - Hex color for the badge
- * @returns {THREE.Group} Police cap mesh group
+ * Creates the scene-wide lights once and groups them in lightingRig
+ * @returns {void}
  */
-function createPoliceCap(capColor, badgeColor) {
-    const capGroup = new THREE.Group();
+function createLightingRig() {
+    lightingRig = new THREE.Group();
     
-    // Cap bill/brim - LARGER
-    const billGeometry = new THREE.BoxGeometry(0.6, 0.06, 0.35);
-    const capMaterial = new THREE.MeshStandardMaterial({
-        color: capColor,
-        roughness: 0.7,
-        metalness: 0.2
-    });
-    const bill = new THREE.Mesh(billGeometry, capMaterial);
-    bill.position.set(0, 1.15, 0.25);
-    bill.rotation.x = -0.15;
-    capGroup.add(bill);
+    // Reddish ambient light - brighter for visibility
+    const ambientLight = new THREE.AmbientLight(0x6a2a2a, 0.5); // Reddish, decent brightness
+    lightingRig.add(ambientLight);
     
-    // Cap crown - TALLER
-    const crownGeometry = new THREE.CylinderGeometry(0.32, 0.35, 0.28, 16);
-    const crown = new THREE.Mesh(crownGeometry, capMaterial);
-    crown.position.set(0, 1.25, 0);
-    capGroup.add(crown);
+    // Directional light - reddish moonlight
+    const moonLight = new THREE.DirectionalLight(0x8a3a3a, 0.6); // Brighter reddish tint
+    moonLight.position.set(50, 100, 50);
+    moonLight.castShadow = true;
+    moonLight.shadow.camera.left = -50;
+    moonLight.shadow.camera.right = 50;
+    moonLight.shadow.camera.top = 50;
+    moonLight.shadow.camera.bottom = -50;
+    moonLight.shadow.mapSize.width = 2048;
+    moonLight.shadow.mapSize.height = 2048;
+    lightingRig.add(moonLight);
     
-    // Police badge (LARGER gold star shield)
-    const badgeGeometry = new THREE.CylinderGeometry(0.12, 0.12, 0.04, 6);
-    const badgeMaterial = new THREE.MeshStandardMaterial({
-        color: badgeColor,
-        roughness: 0.1,
-        metalness: 0.95,
-        emissive: badgeColor,
-        emissiveIntensity: 0.4
-    });
-    const badge = new THREE.Mesh(badgeGeometry, badgeMaterial);
-    badge.position.set(0, 1.2, 0.4);
-    badge.rotation.x = Math.PI / 2;
-    capGroup.add(badge);
+    // Red hemisphere light for hellish atmosphere
+    const hemiLight = new THREE.HemisphereLight(0x6a2a2a, 0x3a1010, 0.5); // Brighter red atmosphere
+    lightingRig.add(hemiLight);
     
-    // Badge center detail (star)
-    const starGeometry = new THREE.CylinderGeometry(0.05, 0.05, 0.05, 5);
-    const starMaterial = new THREE.MeshStandardMaterial({
-        color: 0xFFFFFF, // White
-        roughness: 0.1,
-        metalness: 0.95,
-        emissive: 0xFFFFFF,
-        emissiveIntensity: 0.5
-    });
-    const star = new THREE.Mesh(starGeometry, starMaterial);
-    star.position.set(0, 1.2, 0.43);
-    star.rotation.x = Math.PI / 2;
-    capGroup.add(star);
+    // Exit light - green glow (hope in darkness)
+    exitLight = new THREE.PointLight(0x00ff44, 2, 15);
+    lightingRig.add(exitLight);
     
-    // White stripe on cap
-    const stripeGeometry = new THREE.BoxGeometry(0.5, 0.04, 0.02);
-    const stripeMaterial = new THREE.MeshStandardMaterial({
-        color: 0xFFFFFF,
-        roughness: 0.8
-    });
-    const stripe = new THREE.Mesh(stripeGeometry, stripeMaterial);
-    stripe.position.set(0, 1.12, 0.33);
-    capGroup.add(stripe);
+    // Add more scattered atmospheric red lights around the map
+    dangerLights = [];
+    for (let i = 0; i < 8; i++) {
+        const dangerLight = new THREE.PointLight(0xff3333, 1.5, 12);
+        lightingRig.add(dangerLight);
+        dangerLights.push(dangerLight);
+    }
     
-    return capGroup;
+    scene.add(lightingRig);
 }
 
 /**
- * Creates a tactical face mask
- * @param {number} color - Hex color for the mask
- * @returns {THREE.Group} Tactical mask mesh group
+ * Places the scattered danger lights using the world PRNG
+ * Called after the maze and enemies are built so the lights never shift
+ * the world sequence (a headless ZyrathSim run builds the same maze)
+ * @returns {void}
  */
-function createTacticalMask(color) {
-    const maskGroup = new THREE.Group();
-    
-    // Lower face mask (covers nose and mouth) - LARGER
-    const maskGeometry = new THREE.BoxGeometry(0.45, 0.3, 0.18);
-    const maskMaterial = new THREE.MeshStandardMaterial({
-        color: color,
-        roughness: 0.6,
-        metalness: 0.3
-    });
-    const mask = new THREE.Mesh(maskGeometry, maskMaterial);
-    mask.position.set(0, 0.85, 0.3);
-    maskGroup.add(mask);
-    
-    // Breathing filter/vent on front (tech detail)
-    const ventGeometry = new THREE.CylinderGeometry(0.08, 0.08, 0.06, 8);
-    const ventMaterial = new THREE.MeshStandardMaterial({
-        color: 0x333333, // Dark gray
-        roughness: 0.4,
-        metalness: 0.7
-    });
-    const vent = new THREE.Mesh(ventGeometry, ventMaterial);
-    vent.position.set(0, 0.82, 0.4);
-    vent.rotation.x = Math.PI / 2;
-    maskGroup.add(vent);
-    
-    // Red glowing LED indicator (tactical tech)
-    const ledGeometry = new THREE.SphereGeometry(0.03, 8, 8);
-    const ledMaterial = new THREE.MeshStandardMaterial({
-        color: 0xFF0000, // Red
-        emissive: 0xFF0000,
-        emissiveIntensity: 0.8,
-        roughness: 0.1
+function positionDangerLights() {
+    dangerLights.forEach(dangerLight => {
+        dangerLight.position.set(
+            worldRandom() * mazeWidth - mazeWidth/2,
+            2,
+            worldRandom() * mazeDepth - mazeDepth/2
+        );
     });
-    const led = new THREE.Mesh(ledGeometry, ledMaterial);
-    led.position.set(-0.15, 0.9, 0.38);
-    maskGroup.add(led);
+}
+
+// ============================================================================
+// MAZE BRAIDING & KEY CELLS
+// ============================================================================
+
+/** @type {number} Fraction of dead ends (0-1) opened into loops by the braiding pass */
+let braidDensity = 0;
+
+/**
+ * Gets the grid cell the player spawns in
+ * @returns {Array<number>} [x, z] grid cell
+ */
+function getSpawnCell() {
+    return ZyrathSim.getSpawnCell();
+}
+
+/**
+ * Gets the grid cell of the exit (UFO beam / door)
+ * @returns {Array<number>} [x, z] grid cell
+ */
+function getExitCell() {
+    return ZyrathSim.getExitCell(mazeLayout);
+}
+
+/**
+ * Gets the grid cell the pistol pickup sits in
+ * @returns {Array<number>} [x, z] grid cell
+ */
+function getPistolCell() {
+    return ZyrathSim.getPistolCell(mazeLayout);
+}
+
+// ============================================================================
+// MAZE COORDINATE CONVERSION
+// ============================================================================
+
+/**
+ * Converts a grid column to world X (center of the wall block)
+ * @param {number} gridX - Grid X index
+ * @returns {number} World X coordinate
+ */
+function gridToWorldX(gridX) {
+    return ZyrathSim.gridToWorldX(mazeLayout, gridX);
+}
+
+/**
+ * Converts a grid row to world Z (center of the wall block)
+ * @param {number} gridZ - Grid Z index
+ * @returns {number} World Z coordinate
+ */
+function gridToWorldZ(gridZ) {
+    return ZyrathSim.gridToWorldZ(mazeLayout, gridZ);
+}
+
+/**
+ * Converts world X to the grid column used for collision
+ * @param {number} worldX - World X coordinate
+ * @returns {number} Grid X index (may be out of bounds)
+ */
+function worldToGridX(worldX) {
+    return ZyrathSim.worldToGridX(mazeLayout, worldX);
+}
+
+/**
+ * Converts world Z to the grid row used for collision
+ * @param {number} worldZ - World Z coordinate
+ * @returns {number} Grid Z index (may be out of bounds)
+ */
+function worldToGridZ(worldZ) {
+    return ZyrathSim.worldToGridZ(mazeLayout, worldZ);
+}
+
+/**
+ * Checks whether grid indices lie inside the maze
+ * @param {number} gridX - Grid X index
+ * @param {number} gridZ - Grid Z index
+ * @returns {boolean} True if inside the grid
+ */
+function isInsideMaze(gridX, gridZ) {
+    return ZyrathSim.isInsideMaze(mazeLayout, gridX, gridZ);
+}
+
+/**
+ * Gets the world position the player spawns at
+ * @param {number} [y=PLAYER_HEIGHT] - Height to use
+ * @returns {THREE.Vector3} Spawn position
+ */
+function getSpawnWorldPosition(y = PLAYER_HEIGHT) {
+    return new THREE.Vector3().copy(ZyrathSim.getSpawnPosition(mazeLayout, y));
+}
+
+/**
+ * Gets the world position of the exit (UFO beam / door)
+ * @returns {THREE.Vector3} Exit position on the ground
+ */
+function getExitWorldPosition() {
+    return new THREE.Vector3().copy(ZyrathSim.getExitPosition(mazeLayout));
+}
+
+// ============================================================================
+// MAZE LAYOUT REPAIR & PLACEMENT VALIDATION
+// ============================================================================
+
+/** @type {Object|null} Report for the current maze (path lengths, repairs, difficulty score) */
+let mazeReport = null;
+
+/** @type {number} Walls opened or pockets filled while repairing the current maze */
+let mazeRepairCount = 0;
+
+/**
+ * Scores how hard the current maze is likely to be
+ * Combines the shortest spawn-to-exit path with the difficulty settings
+ * and the number of dead ends
+ * @param {number} pathLength - Shortest spawn-to-exit path in cells
+ * @param {number} deadEnds - Dead-end cell count
+ * @returns {number} Difficulty score (higher is harder)
+ */
+function calculateMazeDifficultyScore(pathLength, deadEnds) {
+    const score = pathLength * 0.4
+        + difficulty.enemyCount * 1.5
+        + difficulty.enemySpeed * 250
+        + (difficulty.enemyHealth - ZyrathSim.ENEMY_HEALTH) * 0.1
+        + deadEnds * 0.2
+        + Math.max(0, 40 - difficulty.fogFar) * 0.5
+        - difficulty.ammoPickups * 2
+        - (difficulty.maxHealth - 1) * 4
+        - difficulty.healthPickups * 2;
+    return Math.max(0, Math.round(score));
+}
+
+/**
+ * Gets a label for a maze difficulty score
+ * @param {number} score - Difficulty score
+ * @returns {string} Rating label
+ */
+function getMazeDifficultyRating(score) {
+    if (score < 60) return 'MILD';
+    if (score < 100) return 'TENSE';
+    if (score < 150) return 'BRUTAL';
+    return 'HOPELESS';
+}
+
+/**
+ * Validates entity placement after the run is populated
+ * Rejects (removes) any jumper, ammo crate or health pack spawn cannot reach, then
+ * builds the maze report with shortest path lengths and the difficulty score
+ * @returns {Object} Maze report
+ */
+function validateEntityPlacement() {
+    const [spawnX, spawnZ] = getSpawnCell();
+    const [exitX, exitZ] = getExitCell();
+    const [pistolX, pistolZ] = getPistolCell();
+    const distances = ZyrathSim.floodFillMaze(maze, spawnX, spawnZ);
+    
+    const isReachable = (position) => {
+        const x = worldToGridX(position.x);
+        const z = worldToGridZ(position.z);
+        return isInsideMaze(x, z) && distances[x][z] !== -1;
+    };
     
-    // Side straps
-    const strapGeometry = new THREE.BoxGeometry(0.03, 0.25, 0.03);
-    const strapMaterial = new THREE.MeshStandardMaterial({
-        color: color,
-        roughness: 0.8
-    });
-    const leftStrap = new THREE.Mesh(strapGeometry, strapMaterial);
-    leftStrap.position.set(-0.23, 0.85, 0.15);
-    maskGroup.add(leftStrap);
+    let rejectedJumpers = 0;
+    for (let i = jumpers.length - 1; i >= 0; i--) {
+        if (isReachable(jumpers[i].position)) continue;
+        console.warn(`🚫 Rejected jumper in unreachable lane ${jumpers[i].laneName}`);
+        removeRunObject(jumpers[i].mesh);
+        jumpers.splice(i, 1);
+        rejectedJumpers++;
+    }
+    
+    let rejectedPickups = 0;
+    for (let i = ammoPickups.length - 1; i >= 0; i--) {
+        if (isReachable(ammoPickups[i].mesh.position)) continue;
+        removeRunObject(ammoPickups[i].mesh);
+        ammoPickups.splice(i, 1);
+        rejectedPickups++;
+    }
+    for (let i = healthPickups.length - 1; i >= 0; i--) {
+        if (isReachable(healthPickups[i].mesh.position)) continue;
+        removeRunObject(healthPickups[i].mesh);
+        healthPickups.splice(i, 1);
+        rejectedPickups++;
+    }
+    
+    if (rejectedJumpers > 0) {
+        updateJumperCount();
+    }
+    
+    const pathLength = distances[exitX][exitZ];
+    const deadEnds = ZyrathSim.findDeadEnds(maze).length;
+    const score = calculateMazeDifficultyScore(pathLength, deadEnds);
+    
+    mazeReport = {
+        pathLength: pathLength,
+        pistolDistance: distances[pistolX][pistolZ],
+        deadEnds: deadEnds,
+        repairs: mazeRepairCount,
+        rejectedJumpers: rejectedJumpers,
+        rejectedPickups: rejectedPickups,
+        score: score,
+        rating: getMazeDifficultyRating(score)
+    };
     
-    const rightStrap = new THREE.Mesh(strapGeometry, strapMaterial);
-    rightStrap.position.set(0.23, 0.85, 0.15);
-    maskGroup.add(rightStrap);
+    console.log(`🧭 Maze report: path ${pathLength}, pistol ${mazeReport.pistolDistance}, dead ends ${deadEnds}, repairs ${mazeRepairCount}, rejected ${rejectedJumpers} jumpers / ${rejectedPickups} pickups, score ${score} (${mazeReport.rating})`);
     
-    return maskGroup;
+    showMazeReport(mazeReport);
+    return mazeReport;
 }
 
 /**
- * Creates a medical headlamp
- * @param {number} bandColor - Hex color for the headband
- * @param {number} lampColor - Hex color for the lamp light
- * @returns {THREE.Group} Headlamp mesh group
+ * Shows the maze report banner at the start of a run
+ * @param {Object} report - Report from validateEntityPlacement
+ * @returns {void}
  */
-function createHeadlamp(bandColor, lampColor) {
-    const lampGroup = new THREE.Group();
-    
-    // Headband - THICKER
-    const bandGeometry = new THREE.TorusGeometry(0.37, 0.04, 8, 16);
-    const bandMaterial = new THREE.MeshStandardMaterial({
-        color: bandColor,
-        roughness: 0.7
-    });
-    const band = new THREE.Mesh(bandGeometry, bandMaterial);
-    band.position.set(0, 1.05, 0);
-    band.rotation.x = Math.PI / 2;
-    lampGroup.add(band);
+function showMazeReport(report) {
+    const banner = document.getElementById('mazeReport');
+    if (!banner) return;
     
-    // Lamp housing (on forehead) - LARGER
-    const lampGeometry = new THREE.CylinderGeometry(0.1, 0.12, 0.15, 8);
-    const lampMaterial = new THREE.MeshStandardMaterial({
-        color: 0xCCCCCC, // Lighter metallic
-        roughness: 0.2,
-        metalness: 0.8
-    });
-    const lamp = new THREE.Mesh(lampGeometry, lampMaterial);
-    lamp.position.set(0, 1.05, 0.38);
-    lamp.rotation.x = Math.PI / 2;
-    lampGroup.add(lamp);
+    const scoreElement = document.getElementById('mazeReportScore');
+    const detailElement = document.getElementById('mazeReportDetail');
+    if (scoreElement) {
+        scoreElement.textContent = `DIFFICULTY ${report.score} - ${report.rating}`;
+    }
+    if (detailElement) {
+        const healthLabel = difficulty.oneHit ? 'One-hit hardcore' : `${difficulty.maxHealth} hearts`;
+        detailElement.textContent = `${difficulty.name} ${mazeWidth}x${mazeDepth} • ${healthLabel} • Shortest path ${report.pathLength} • Dead ends ${report.deadEnds}`;
+    }
     
-    // Lamp light (glowing) - LARGER AND BRIGHTER
-    const lightGeometry = new THREE.CircleGeometry(0.09, 12);
-    const lightMaterial = new THREE.MeshStandardMaterial({
-        color: lampColor,
-        emissive: lampColor,
-        emissiveIntensity: 1.2,
-        roughness: 0.1
-    });
-    const light = new THREE.Mesh(lightGeometry, lightMaterial);
-    light.position.set(0, 1.05, 0.45);
-    lampGroup.add(light);
+    banner.classList.add('show');
+    clearTimeout(banner.hideTimer);
+    banner.hideTimer = setTimeout(() => banner.classList.remove('show'), 4000);
+}
+
+// ============================================================================
+// PROCEDURAL MAZE GENERATION
+// ============================================================================
+
+// ============================================================================
+// MAZE GENERATOR REGISTRY
+// ============================================================================
+
+/** @type {string} Active maze generator key (selected on the game mode screen) */
+let mazeAlgorithm = 'backtracker';
+
+/**
+ * @const {Object} Maze generator registry (carve functions live in simulation.js)
+ * Every entry carves the same maze[x][z] 0/1 grid (0 = path, 1 = wall)
+ * starting from a grid filled with walls
+ */
+const MAZE_GENERATORS = ZyrathSim.MAZE_GENERATORS;
+
+/**
+ * Fills the maze algorithm dropdown on the game mode screen from the registry
+ * @returns {void}
+ */
+function populateMazeAlgorithmOptions() {
+    const select = document.getElementById('mazeAlgorithmSelect');
+    if (!select || select.options.length > 0) return;
     
-    // Medical cross symbol on headband
-    const crossH = new THREE.BoxGeometry(0.08, 0.02, 0.02);
-    const crossV = new THREE.BoxGeometry(0.02, 0.08, 0.02);
-    const crossMaterial = new THREE.MeshStandardMaterial({
-        color: 0xFF0000, // Red medical cross
-        emissive: 0xFF0000,
-        emissiveIntensity: 0.3,
-        roughness: 0.5
+    Object.values(MAZE_GENERATORS).forEach(generator => {
+        const option = document.createElement('option');
+        option.value = generator.id;
+        option.textContent = generator.name;
+        select.appendChild(option);
     });
-    const crossH1 = new THREE.Mesh(crossH, crossMaterial);
-    crossH1.position.set(-0.3, 1.05, 0);
-    lampGroup.add(crossH1);
-    
-    const crossV1 = new THREE.Mesh(crossV, crossMaterial);
-    crossV1.position.set(-0.3, 1.05, 0);
-    lampGroup.add(crossV1);
-    
-    // Second cross on other side
-    const crossH2 = new THREE.Mesh(crossH, crossMaterial);
-    crossH2.position.set(0.3, 1.05, 0);
-    lampGroup.add(crossH2);
-    
-    const crossV2 = new THREE.Mesh(crossV, crossMaterial);
-    crossV2.position.set(0.3, 1.05, 0);
-    lampGroup.add(crossV2);
-    
-    return lampGroup;
+    select.value = mazeAlgorithm;
 }
 
 /**
- * Creates welding/industrial goggles
- * @param {number} frameColor - Hex color for goggle frames
- * @param {number} lensColor - Hex color for lenses
- * @returns {THREE.Group} Goggles mesh group
+ * Keeps the loop density label on the game mode screen in sync with its slider
+ * @returns {void}
  */
-function createWeldingGoggles(frameColor, lensColor) {
-    const gogglesGroup = new THREE.Group();
-    
-    // Left lens - LARGER
-    const lensGeometry = new THREE.CylinderGeometry(0.13, 0.13, 0.07, 16);
-    const lensMaterial = new THREE.MeshStandardMaterial({
-        color: lensColor,
-        roughness: 0.05,
-        metalness: 0.95,
-        emissive: lensColor,
-        emissiveIntensity: 0.5
+function updateBraidDensityLabel() {
+    const braidInput = document.getElementById('braidDensityInput');
+    const braidLabel = document.getElementById('braidDensityValue');
+    if (braidInput && braidLabel) {
+        braidLabel.textContent = `${braidInput.value}%`;
+    }
+}
+
+window.updateBraidDensityLabel = updateBraidDensityLabel;
+
+// ============================================================================
+// PROCEDURAL MAZE GENERATION
+// ============================================================================
+
+/**
+ * Generates a procedural maze using the selected generator from MAZE_GENERATORS
+ * The layout comes from ZyrathSim.generateMazeLayout; all random choices use
+ * worldRandom, so a seed always rebuilds the same layout (in Node too)
+ * 
+ * @returns {void}
+ * 
+ * @description
+ * Algorithm phases:
+ * 1. Initializes mazeWidth x mazeDepth grid filled with walls (value 1)
+ * 2. Creates ground plane with dark bloodstained texture
+ * 3. Runs the active generator (mazeAlgorithm) to carve corridors (value 0)
+ * 4. Braids braidDensity of the dead ends into loops
+ * 5. Validates that spawn still reaches the exit (rebuilds otherwise, and
+ *    falls back to the backtracker with carved corridors if every try fails)
+ * 6. Constructs 3D wall meshes with dark red material
+ * 7. Draws every wall block as one InstancedMesh (single draw call)
+ * 
+ * The default recursive backtracker creates organic, winding corridors with
+ * dead ends; the other generators give very different lane topologies.
+ */
+function generateMaze() {
+    // Ground plane setup with apocalyptic texture
+    const groundGeometry = new THREE.PlaneGeometry(mazeWidth * 2, mazeDepth * 2);
+    const groundMaterial = new THREE.MeshStandardMaterial({
+        color: 0x2a0f0f,
+        roughness: 0.95,
+        metalness: 0.0
     });
-    const leftLens = new THREE.Mesh(lensGeometry, lensMaterial);
-    leftLens.position.set(-0.15, 0.95, 0.34);
-    leftLens.rotation.x = Math.PI / 2;
-    gogglesGroup.add(leftLens);
-    
-    // Right lens - LARGER
-    const rightLens = new THREE.Mesh(lensGeometry, lensMaterial);
-    rightLens.position.set(0.15, 0.95, 0.34);
-    rightLens.rotation.x = Math.PI / 2;
-    gogglesGroup.add(rightLens);
+    const ground = new THREE.Mesh(groundGeometry, groundMaterial);
+    ground.rotation.x = -Math.PI / 2;
+    ground.receiveShadow = true;
+    addRunObject(ground);
     
-    // Thick metal frames around lenses
-    const frameGeometry = new THREE.TorusGeometry(0.14, 0.025, 8, 16);
-    const frameMaterial = new THREE.MeshStandardMaterial({
-        color: frameColor,
-        roughness: 0.3,
-        metalness: 0.8
+    // Build the grid, repair cut-off cells and retry if validation still fails
+    const layout = ZyrathSim.generateMazeLayout({
+        width: mazeWidth,
+        depth: mazeDepth,
+        algorithm: mazeAlgorithm,
+        braidDensity: braidDensity,
+        random: worldRandom
     });
-    const leftFrame = new THREE.Mesh(frameGeometry, frameMaterial);
-    leftFrame.position.set(-0.15, 0.95, 0.34);
-    gogglesGroup.add(leftFrame);
-    
-    const rightFrame = new THREE.Mesh(frameGeometry, frameMaterial);
-    rightFrame.position.set(0.15, 0.95, 0.34);
-    gogglesGroup.add(rightFrame);
-    
-    // Bridge connector - THICKER
-    const bridgeGeometry = new THREE.BoxGeometry(0.1, 0.06, 0.06);
-    const bridge = new THREE.Mesh(bridgeGeometry, frameMaterial);
-    bridge.position.set(0, 0.95, 0.34);
-    gogglesGroup.add(bridge);
-    
-    // Side protective shields
-    const shieldGeometry = new THREE.BoxGeometry(0.04, 0.2, 0.15);
-    const leftShield = new THREE.Mesh(shieldGeometry, frameMaterial);
-    leftShield.position.set(-0.25, 0.95, 0.3);
-    gogglesGroup.add(leftShield);
-    
-    const rightShield = new THREE.Mesh(shieldGeometry, frameMaterial);
-    rightShield.position.set(0.25, 0.95, 0.3);
-    gogglesGroup.add(rightShield);
+    maze = layout.grid;
+    mazeLayout.grid = maze;
+    mazeRepairCount = layout.repairs;
     
-    // Strap/band (goes around head) - THICKER
-    const strapGeometry = new THREE.TorusGeometry(0.37, 0.03, 8, 16);
-    const strap = new THREE.Mesh(strapGeometry, frameMaterial);
-    strap.position.set(0, 0.95, 0);
-    strap.rotation.x = Math.PI / 2;
-    gogglesGroup.add(strap);
+    console.log(`Maze carved with ${layout.generator.name}, braided ${layout.openedWalls} dead ends (${Math.round(braidDensity * 100)}%)`);
+    if (layout.attempts > 1) {
+        console.warn(`⚠️ Maze rebuilt ${layout.attempts - 1} time(s): spawn could not reach pistol or exit`);
+    }
+    if (mazeRepairCount > 0) {
+        console.warn(`🛠️ Repaired maze: ${mazeRepairCount} cells carved or filled`);
+    }
     
-    return gogglesGroup;
+    // Create wall meshes
+    createWalls();
 }
 
 /**
- * Creates a Batman-style cowl/mask
- * @param {number} color - Hex color for the cowl
- * @returns {THREE.Group} Cowl mesh group
+ * Removes the wall meshes from the scene and frees their GPU resources
+ * The shared wall geometry is kept for the next maze
+ * @returns {void}
  */
-function createCowlMask(color) {
-    const cowlGroup = new THREE.Group();
-    
-    // Main cowl (covers top and back of head) - LARGER
-    const cowlGeometry = new THREE.SphereGeometry(0.39, 16, 16, 0, Math.PI * 2, 0, Math.PI * 0.7);
-    const cowlMaterial = new THREE.MeshStandardMaterial({
-        color: color,
-        roughness: 0.3,
-        metalness: 0.5
-    });
-    const cowl = new THREE.Mesh(cowlGeometry, cowlMaterial);
-    cowl.position.set(0, 0.9, 0);
-    cowlGroup.add(cowl);
-    
-    // Bat ears (pointed) - MUCH TALLER AND WIDER
-    const earGeometry = new THREE.ConeGeometry(0.11, 0.4, 8);
-    const leftEar = new THREE.Mesh(earGeometry, cowlMaterial);
-    leftEar.position.set(-0.22, 1.35, 0);
-    cowlGroup.add(leftEar);
-    
-    const rightEar = new THREE.Mesh(earGeometry, cowlMaterial);
-    rightEar.position.set(0.22, 1.35, 0);
-    cowlGroup.add(rightEar);
-    
-    // Face mask part (covers nose area) - LARGER
-    const faceGeometry = new THREE.BoxGeometry(0.38, 0.2, 0.12);
-    const faceMask = new THREE.Mesh(faceGeometry, cowlMaterial);
-    faceMask.position.set(0, 0.88, 0.34);
-    cowlGroup.add(faceMask);
-    
-    // Yellow bat symbol on forehead
-    const batSymbolGeometry = new THREE.BoxGeometry(0.15, 0.08, 0.02);
-    const batSymbolMaterial = new THREE.MeshStandardMaterial({
-        color: 0xFFD700, // Gold
-        emissive: 0xFFD700,
-        emissiveIntensity: 0.4,
-        roughness: 0.2,
-        metalness: 0.8
+function disposeWalls() {
+    mazeWalls.forEach(wall => {
+        scene.remove(wall);
+        if (wall.material) wall.material.dispose();
+        if (wall.dispose) wall.dispose();
     });
-    const batSymbol = new THREE.Mesh(batSymbolGeometry, batSymbolMaterial);
-    batSymbol.position.set(0, 1.1, 0.37);
-    cowlGroup.add(batSymbol);
-    
-    // Sharp jawline pieces
-    const jawGeometry = new THREE.BoxGeometry(0.08, 0.15, 0.08);
-    const leftJaw = new THREE.Mesh(jawGeometry, cowlMaterial);
-    leftJaw.position.set(-0.18, 0.8, 0.28);
-    cowlGroup.add(leftJaw);
-    
-    const rightJaw = new THREE.Mesh(jawGeometry, cowlMaterial);
-    rightJaw.position.set(0.18, 0.8, 0.28);
-    cowlGroup.add(rightJaw);
-    
-    return cowlGroup;
+    mazeWalls = [];
 }
 
 /**
- * Creates a combat helmet with visor
- * @param {number} helmetColor - Hex color for helmet
- * @param {number} visorColor - Hex color for visor
- * @returns {THREE.Group} Combat helmet mesh group
+ * Builds the maze walls as a single InstancedMesh
+ * One shared BoxGeometry and material, one instance matrix per wall cell,
+ * so the wall count no longer adds draw calls as mazes get larger
+ * @returns {void}
  */
-function createCombatHelmet(helmetColor, visorColor) {
-    const helmetGroup = new THREE.Group();
+function createWalls() {
+    // Clear existing walls
+    disposeWalls();
     
-    // Main helmet shell - LARGER
-    const helmetGeometry = new THREE.SphereGeometry(0.4, 16, 16, 0, Math.PI * 2, 0, Math.PI * 0.65);
-    const helmetMaterial = new THREE.MeshStandardMaterial({
-        color: helmetColor,
-        roughness: 0.2,
-        metalness: 0.8
-    });
-    const helmet = new THREE.Mesh(helmetGeometry, helmetMaterial);
-    helmet.position.set(0, 0.9, 0);
-    helmetGroup.add(helmet);
+    if (!wallGeometry) {
+        wallGeometry = new THREE.BoxGeometry(1, WALL_HEIGHT, 1);
+    }
     
-    // Visor (transparent glowing) - TALLER AND BRIGHTER
-    const visorGeometry = new THREE.BoxGeometry(0.55, 0.22, 0.03);
-    const visorMaterial = new THREE.MeshStandardMaterial({
-        color: visorColor,
-        roughness: 0.05,
-        metalness: 0.95,
-        emissive: visorColor,
-        emissiveIntensity: 0.8,
-        transparent: true,
-        opacity: 0.8
-    });
-    const visor = new THREE.Mesh(visorGeometry, visorMaterial);
-    visor.position.set(0, 0.93, 0.38);
-    helmetGroup.add(visor);
+    let wallMaterial;
     
-    // Armor plates on sides
-    const plateGeometry = new THREE.BoxGeometry(0.12, 0.2, 0.08);
-    const leftPlate = new THREE.Mesh(plateGeometry, helmetMaterial);
-    leftPlate.position.set(-0.28, 0.88, 0.1);
-    helmetGroup.add(leftPlate);
+    if (isPrototypeMode) {
+        wallMaterial = new THREE.MeshStandardMaterial({
+            color: 0x2a1a1a, // Darker stone with red tint
+            roughness: 0.95,
+            metalness: 0.05,
+            emissive: 0x1a0505,
+            emissiveIntensity: 0.1
+        });
+    } else {
+        // In Full mode, we could load textures here
+        wallMaterial = new THREE.MeshStandardMaterial({
+            color: 0x4a4a4a,
+            roughness: 0.9,
+            metalness: 0.1,
+            // If textures are loaded, apply them here
+        });
+    }
     
-    const rightPlate = new THREE.Mesh(plateGeometry, helmetMaterial);
-    rightPlate.position.set(0.28, 0.88, 0.1);
-    helmetGroup.add(rightPlate);
+    let wallCount = 0;
+    for (let i = 0; i < mazeWidth; i++) {
+        for (let j = 0; j < mazeDepth; j++) {
+            if (maze[i][j] === 1) wallCount++;
+        }
+    }
     
-    // Top crest/ridge
-    const crestGeometry = new THREE.BoxGeometry(0.08, 0.25, 0.3);
-    const crest = new THREE.Mesh(crestGeometry, helmetMaterial);
-    crest.position.set(0, 1.15, 0.05);
-    helmetGroup.add(crest);
+    // SOLID BLOCK walls - no cross shape, just solid cubes
+    const wallMesh = new THREE.InstancedMesh(wallGeometry, wallMaterial, wallCount);
+    wallMesh.castShadow = true;
+    wallMesh.receiveShadow = true;
+    // Instances span the whole maze; the geometry's bounding sphere only covers one block
+    wallMesh.frustumCulled = false;
     
-    // LED status lights on helmet
-    const ledGeometry = new THREE.SphereGeometry(0.025, 8, 8);
-    const ledMaterial = new THREE.MeshStandardMaterial({
-        color: 0x00FF00, // Green
-        emissive: 0x00FF00,
-        emissiveIntensity: 1.0,
-        roughness: 0.1
-    });
-    const led1 = new THREE.Mesh(ledGeometry, ledMaterial);
-    led1.position.set(-0.25, 1.05, 0.25);
-    helmetGroup.add(led1);
+    const matrix = new THREE.Matrix4();
+    let index = 0;
+    for (let i = 0; i < mazeWidth; i++) {
+        for (let j = 0; j < mazeDepth; j++) {
+            if (maze[i][j] === 1) {
+                matrix.makeTranslation(gridToWorldX(i), WALL_HEIGHT / 2, gridToWorldZ(j));
+                wallMesh.setMatrixAt(index++, matrix);
+            }
+        }
+    }
+    wallMesh.instanceMatrix.needsUpdate = true;
     
-    const led2 = new THREE.Mesh(ledGeometry, ledMaterial);
-    led2.position.set(0.25, 1.05, 0.25);
-    helmetGroup.add(led2);
+    scene.add(wallMesh);
+    mazeWalls.push(wallMesh);
     
-    return helmetGroup;
+    console.log(`🧱 Walls built: ${wallCount} instances in 1 draw call`);
 }
 
-/**
- * Creates a fedora hat with sunglasses (detective style)
- * @param {number} hatColor - Hex color for fedora
- * @param {number} glassesColor - Hex color for sunglasses
- * @returns {THREE.Group} Fedora and sunglasses mesh group
- */
-function createFedoraSunglasses(hatColor, glassesColor) {
-    const group = new THREE.Group();
-    
-    // Fedora brim - WIDER
-    const brimGeometry = new THREE.CylinderGeometry(0.5, 0.5, 0.04, 16);
-    const hatMaterial = new THREE.MeshStandardMaterial({
-        color: hatColor,
-        roughness: 0.8,
-        metalness: 0.1
-    });
-    const brim = new THREE.Mesh(brimGeometry, hatMaterial);
-    brim.position.set(0, 1.22, 0);
-    group.add(brim);
+function createPlayer() {
+    player = {
+        position: getSpawnWorldPosition(),
+        velocity: new THREE.Vector3(),
+        rotation: 0
+    };
     
-    // Fedora crown - TALLER
-    const crownGeometry = new THREE.CylinderGeometry(0.3, 0.32, 0.3, 16);
-    const crown = new THREE.Mesh(crownGeometry, hatMaterial);
-    crown.position.set(0, 1.38, 0);
-    group.add(crown);
-    
-    // Hat band with buckle
-    const bandGeometry = new THREE.TorusGeometry(0.31, 0.02, 8, 16);
-    const bandMaterial = new THREE.MeshStandardMaterial({
-        color: 0x000000, // Black
-        roughness: 0.6
-    });
-    const band = new THREE.Mesh(bandGeometry, bandMaterial);
-    band.position.set(0, 1.25, 0);
-    band.rotation.x = Math.PI / 2;
-    group.add(band);
-    
-    // Sunglasses - LARGER with individual lenses
-    const lensGeometry = new THREE.BoxGeometry(0.16, 0.14, 0.03);
-    const glassesMaterial = new THREE.MeshStandardMaterial({
-        color: glassesColor,
-        roughness: 0.1,
-        metalness: 0.9,
-        transparent: true,
-        opacity: 0.9
-    });
-    const leftLens = new THREE.Mesh(lensGeometry, glassesMaterial);
-    leftLens.position.set(-0.12, 0.95, 0.36);
-    group.add(leftLens);
-    
-    const rightLens = new THREE.Mesh(lensGeometry, glassesMaterial);
-    rightLens.position.set(0.12, 0.95, 0.36);
-    group.add(rightLens);
+    if (isPrototypeMode) {
+        // Prototype: realistic player character
+        const playerGroup = new THREE.Group();
+        
+        // Body - shirt/torso
+        const bodyGeometry = new THREE.CylinderGeometry(0.35, 0.35, 1.2, 16);
+        const bodyMaterial = new THREE.MeshStandardMaterial({
+            color: 0x4169E1, // Royal blue shirt
+            roughness: 0.7,
+            metalness: 0.0
+        });
+        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+        body.castShadow = true;
+        playerGroup.add(body);
+        
+        // Head - realistic skin tone
+        const headGeometry = new THREE.SphereGeometry(0.35, 16, 16);
+        const headMaterial = new THREE.MeshStandardMaterial({
+            color: 0xFFDBAC, // Skin tone
+            roughness: 0.6,
+            metalness: 0.0
+        });
+        const head = new THREE.Mesh(headGeometry, headMaterial);
+        head.position.y = 0.9;
+        head.castShadow = true;
+        playerGroup.add(head);
+        
+        // Eyes
+        const eyeGeometry = new THREE.SphereGeometry(0.08, 8, 8);
+        const eyeMaterial = new THREE.MeshStandardMaterial({
+            color: 0xffffff,
+            roughness: 0.3,
+            metalness: 0.0
+        });
+        
+        const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+        leftEye.position.set(-0.12, 0.95, 0.25);
+        playerGroup.add(leftEye);
+        
+        const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+        rightEye.position.set(0.12, 0.95, 0.25);
+        playerGroup.add(rightEye);
+        
+        // Pupils
+        const pupilGeometry = new THREE.SphereGeometry(0.04, 8, 8);
+        const pupilMaterial = new THREE.MeshStandardMaterial({
+            color: 0x000000,
+            roughness: 0.5
+        });
+        
+        const leftPupil = new THREE.Mesh(pupilGeometry, pupilMaterial);
+        leftPupil.position.set(-0.12, 0.95, 0.32);
+        playerGroup.add(leftPupil);
+        
+        const rightPupil = new THREE.Mesh(pupilGeometry, pupilMaterial);
+        rightPupil.position.set(0.12, 0.95, 0.32);
+        playerGroup.add(rightPupil);
+        
+        playerMesh = playerGroup;
+    } else {
+        // Full mode: could load a character model
+        const playerGroup = new THREE.Group();
+        
+        const bodyGeometry = new THREE.CylinderGeometry(0.3, 0.3, 1, 16);
+        const bodyMaterial = new THREE.MeshStandardMaterial({
+            color: 0x0088ff,
+            emissive: 0x003366,
+            roughness: 0.5,
+            metalness: 0.3
+        });
+        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+        body.castShadow = true;
+        playerGroup.add(body);
+        
+        const headGeometry = new THREE.SphereGeometry(0.3, 16, 16);
+        const head = new THREE.Mesh(headGeometry, bodyMaterial);
+        head.position.y = 0.8;
+        head.castShadow = true;
+        playerGroup.add(head);
+        
+        playerMesh = playerGroup;
+    }
     
-    // Sunglasses bridge
-    const bridgeGeometry = new THREE.BoxGeometry(0.06, 0.03, 0.03);
-    const frameMaterial = new THREE.MeshStandardMaterial({
-        color: 0x000000,
-        roughness: 0.3,
-        metalness: 0.8
-    });
-    const bridge = new THREE.Mesh(bridgeGeometry, frameMaterial);
-    bridge.position.set(0, 0.95, 0.36);
-    group.add(bridge);
+    // Create butcher knife attached to player
+    createKnife();
     
-    // Sunglasses arms
-    const armGeometry = new THREE.BoxGeometry(0.03, 0.03, 0.25);
-    const leftArm = new THREE.Mesh(armGeometry, frameMaterial);
-    leftArm.position.set(-0.2, 0.95, 0.15);
-    group.add(leftArm);
+    // Create flashlight attached to player
+    createFlashlight();
     
-    const rightArm = new THREE.Mesh(armGeometry, frameMaterial);
-    rightArm.position.set(0.2, 0.95, 0.15);
-    group.add(rightArm);
+    addRunObject(playerMesh);
     
-    return group;
+    // Position camera behind player
+    camera.position.copy(player.position);
+    camera.position.y += 0.4;
 }
 
+// ============================================================================
+// AVATAR ACCESSORY CREATION FUNCTIONS
+// ============================================================================
+
 /**
- * Creates a santa hat
- * @param {number} hatColor - Hex color for santa hat (red)
- * @returns {THREE.Group} Santa hat mesh group
+ * Creates a military-style cap accessory
+ * @param {number} color - Hex color for the cap
+ * @returns {THREE.Group} Military cap mesh group
  */
-function createSantaHat(hatColor) {
-    const group = new THREE.Group();
+function createMilitaryCap(color) {
+    const capGroup = new THREE.Group();
     
-    // Main cone of the hat (red) - FIXED: No tilt, perfectly centered
-    const coneGeometry = new THREE.ConeGeometry(0.35, 0.5, 16);
-    const hatMaterial = new THREE.MeshStandardMaterial({
-        color: hatColor || 0xFF0000,
+    // Cap bill/brim (front visor) - LARGER
+    const billGeometry = new THREE.BoxGeometry(0.6, 0.06, 0.35);
+    const capMaterial = new THREE.MeshStandardMaterial({
+        color: color,
         roughness: 0.8,
         metalness: 0.1
     });
-    const cone = new THREE.Mesh(coneGeometry, hatMaterial);
-    cone.position.set(0, 1.35, 0); // Centered above head
-    // No rotation - keep it upright
-    group.add(cone);
+    const bill = new THREE.Mesh(billGeometry, capMaterial);
+    bill.position.set(0, 1.15, 0.25);
+    bill.rotation.x = -0.2;
+    capGroup.add(bill);
     
-    // White fur trim at base
-    const trimGeometry = new THREE.TorusGeometry(0.35, 0.06, 12, 16);
-    const whiteMaterial = new THREE.MeshStandardMaterial({
-        color: 0xFFFFFF,
-        roughness: 0.9
+    // Cap crown (top rounded part) - TALLER
+    const crownGeometry = new THREE.CylinderGeometry(0.32, 0.36, 0.3, 16);
+    const crown = new THREE.Mesh(crownGeometry, capMaterial);
+    crown.position.set(0, 1.25, 0);
+    capGroup.add(crown);
+    
+    // Military star emblem on front
+    const starGeometry = new THREE.CylinderGeometry(0.1, 0.1, 0.03, 5);
+    const starMaterial = new THREE.MeshStandardMaterial({
+        color: 0xFFD700, // Gold
+        roughness: 0.2,
+        metalness: 0.9,
+        emissive: 0xFFD700,
+        emissiveIntensity: 0.3
     });
-    const trim = new THREE.Mesh(trimGeometry, whiteMaterial);
-    trim.position.set(0, 1.15, 0);
-    trim.rotation.x = Math.PI / 2;
-    group.add(trim);
+    const star = new THREE.Mesh(starGeometry, starMaterial);
+    star.position.set(0, 1.2, 0.38);
+    star.rotation.x = Math.PI / 2;
+    capGroup.add(star);
     
-    // White pom-pom at tip - FIXED: Centered above cone
-    const pompomGeometry = new THREE.SphereGeometry(0.1, 12, 12);
-    const pompom = new THREE.Mesh(pompomGeometry, whiteMaterial);
-    pompom.position.set(0, 1.6, 0); // Directly above, no offset
-    group.add(pompom);
+    // Camouflage stripes for military look
+    for (let i = 0; i < 3; i++) {
+        const stripeGeometry = new THREE.BoxGeometry(0.3, 0.03, 0.02);
+        const stripeMaterial = new THREE.MeshStandardMaterial({
+            color: 0x2d4a2b, // Dark green camo
+            roughness: 0.9
+        });
+        const stripe = new THREE.Mesh(stripeGeometry, stripeMaterial);
+        stripe.position.set(0.1 * (i - 1), 1.15 + (i * 0.05), 0.32);
+        capGroup.add(stripe);
+    }
     
-    return group;
+    return capGroup;
 }
 
 /**
- * Creates a wizard hat
- * @param {number} hatColor - Hex color for wizard hat (purple)
- * @returns {THREE.Group} Wizard hat mesh group
+ * Creates a police cap with badge
+ * @param {number} capColor - Hex color for the cap
+ * @param {number} badgeColor - Hex color for the badge
+ * @returns {THREE.Group} Police cap mesh group
  */
-function createWizardHat(hatColor) {
-    const group = new THREE.Group();
+function createPoliceCap(capColor, badgeColor) {
+    const capGroup = new THREE.Group();
     
-    // Tall pointed cone
-    const coneGeometry = new THREE.ConeGeometry(0.3, 0.7, 16);
-    const hatMaterial = new THREE.MeshStandardMaterial({
-        color: hatColor || 0x4B0082,
+    // Cap bill/brim - LARGER
+    const billGeometry = new THREE.BoxGeometry(0.6, 0.06, 0.35);
+    const capMaterial = new THREE.MeshStandardMaterial({
+        color: capColor,
         roughness: 0.7,
         metalness: 0.2
     });
-    const cone = new THREE.Mesh(coneGeometry, hatMaterial);
-    cone.position.set(0, 1.5, 0);
-    group.add(cone);
+    const bill = new THREE.Mesh(billGeometry, capMaterial);
+    bill.position.set(0, 1.15, 0.25);
+    bill.rotation.x = -0.15;
+    capGroup.add(bill);
     
-    // Wide brim at base
-    const brimGeometry = new THREE.CylinderGeometry(0.45, 0.45, 0.04, 16);
-    const brim = new THREE.Mesh(brimGeometry, hatMaterial);
-    brim.position.set(0, 1.18, 0);
-    group.add(brim);
+    // Cap crown - TALLER
+    const crownGeometry = new THREE.CylinderGeometry(0.32, 0.35, 0.28, 16);
+    const crown = new THREE.Mesh(crownGeometry, capMaterial);
+    crown.position.set(0, 1.25, 0);
+    capGroup.add(crown);
     
-    // Golden stars decoration
-    const starGeometry = new THREE.SphereGeometry(0.03, 8, 8);
-    const starMaterial = new THREE.MeshStandardMaterial({
-        color: 0xFFD700,
-        emissive: 0xFFD700,
-        emissiveIntensity: 0.5,
-        metalness: 0.9
+    // Police badge (LARGER gold star shield)
+    const badgeGeometry = new THREE.CylinderGeometry(0.12, 0.12, 0.04, 6);
+    const badgeMaterial = new THREE.MeshStandardMaterial({
+        color: badgeColor,
+        roughness: 0.1,
+        metalness: 0.95,
+        emissive: badgeColor,
+        emissiveIntensity: 0.4
     });
+    const badge = new THREE.Mesh(badgeGeometry, badgeMaterial);
+    badge.position.set(0, 1.2, 0.4);
+    badge.rotation.x = Math.PI / 2;
+    capGroup.add(badge);
     
-    // Add 3 golden stars on the hat
-    for (let i = 0; i < 3; i++) {
-        const star = new THREE.Mesh(starGeometry, starMaterial);
-        const angle = (i / 3) * Math.PI * 2;
-        star.position.set(
-            Math.cos(angle) * 0.25,
-            1.3 + (i * 0.15),
-            Math.sin(angle) * 0.25
-        );
-        group.add(star);
-    }
+    // Badge center detail (star)
+    const starGeometry = new THREE.CylinderGeometry(0.05, 0.05, 0.05, 5);
+    const starMaterial = new THREE.MeshStandardMaterial({
+        color: 0xFFFFFF, // White
+        roughness: 0.1,
+        metalness: 0.95,
+        emissive: 0xFFFFFF,
+        emissiveIntensity: 0.5
+    });
+    const star = new THREE.Mesh(starGeometry, starMaterial);
+    star.position.set(0, 1.2, 0.43);
+    star.rotation.x = Math.PI / 2;
+    capGroup.add(star);
     
-    return group;
+    // White stripe on cap
+    const stripeGeometry = new THREE.BoxGeometry(0.5, 0.04, 0.02);
+    const stripeMaterial = new THREE.MeshStandardMaterial({
+        color: 0xFFFFFF,
+        roughness: 0.8
+    });
+    const stripe = new THREE.Mesh(stripeGeometry, stripeMaterial);
+    stripe.position.set(0, 1.12, 0.33);
+    capGroup.add(stripe);
+    
+    return capGroup;
 }
 
 /**
- * Creates devil horns accessory
- * @param {number} hornColor - Hex color for horns (default dark red)
- * @returns {THREE.Group} Devil horns mesh group
+ * Creates a tactical face mask
+ * @param {number} color - Hex color for the mask
+ * @returns {THREE.Group} Tactical mask mesh group
  */
-function createDevilHorns(hornColor) {
-    const group = new THREE.Group();
+function createTacticalMask(color) {
+    const maskGroup = new THREE.Group();
     
-    const hornMaterial = new THREE.MeshStandardMaterial({
-        color: hornColor || 0x8B0000,
-        roughness: 0.3,
-        metalness: 0.4,
-        emissive: hornColor || 0x8B0000,
-        emissiveIntensity: 0.2
+    // Lower face mask (covers nose and mouth) - LARGER
+    const maskGeometry = new THREE.BoxGeometry(0.45, 0.3, 0.18);
+    const maskMaterial = new THREE.MeshStandardMaterial({
+        color: color,
+        roughness: 0.6,
+        metalness: 0.3
     });
+    const mask = new THREE.Mesh(maskGeometry, maskMaterial);
+    mask.position.set(0, 0.85, 0.3);
+    maskGroup.add(mask);
     
-    // Left horn - curved upward
-    const hornSegments = 8;
-    const leftHornGroup = new THREE.Group();
-    for (let i = 0; i < hornSegments; i++) {
-        const scale = 1 - (i / hornSegments) * 0.7; // Taper
-        const hornSegGeo = new THREE.ConeGeometry(0.06 * scale, 0.08, 8);
-        const hornSeg = new THREE.Mesh(hornSegGeo, hornMaterial);
-        hornSeg.position.y = i * 0.06;
-        hornSeg.rotation.z = -i * 0.15; // Curve outward
-        leftHornGroup.add(hornSeg);
-    }
-    leftHornGroup.position.set(-0.2, 1.3, 0.1);
-    leftHornGroup.rotation.z = 0.3;
-    group.add(leftHornGroup);
-    
-    // Right horn - curved upward (mirrored)
-    const rightHornGroup = new THREE.Group();
-    for (let i = 0; i < hornSegments; i++) {
-        const scale = 1 - (i / hornSegments) * 0.7;
-        const hornSegGeo = new THREE.ConeGeometry(0.06 * scale, 0.08, 8);
-        const hornSeg = new THREE.Mesh(hornSegGeo, hornMaterial);
-        hornSeg.position.y = i * 0.06;
-        hornSeg.rotation.z = i * 0.15; // Curve outward
-        rightHornGroup.add(hornSeg);
-    }
-    rightHornGroup.position.set(0.2, 1.3, 0.1);
-    rightHornGroup.rotation.z = -0.3;
-    group.add(rightHornGroup);
+    // Breathing filter/vent on front (tech detail)
+    const ventGeometry = new THREE.CylinderGeometry(0.08, 0.08, 0.06, 8);
+    const ventMaterial = new THREE.MeshStandardMaterial({
+        color: 0x333333, // Dark gray
+        roughness: 0.4,
+        metalness: 0.7
+    });
+    const vent = new THREE.Mesh(ventGeometry, ventMaterial);
+    vent.position.set(0, 0.82, 0.4);
+    vent.rotation.x = Math.PI / 2;
+    maskGroup.add(vent);
     
-    // Horn tips glow
-    const tipGlowGeo = new THREE.SphereGeometry(0.04, 8, 8);
-    const tipGlowMat = new THREE.MeshStandardMaterial({
-        color: 0xFF4500,
-        emissive: 0xFF4500,
-        emissiveIntensity: 1.5,
-        transparent: true,
-        opacity: 0.8
+    // Red glowing LED indicator (tactical tech)
+    const ledGeometry = new THREE.SphereGeometry(0.03, 8, 8);
+    const ledMaterial = new THREE.MeshStandardMaterial({
+        color: 0xFF0000, // Red
+        emissive: 0xFF0000,
+        emissiveIntensity: 0.8,
+        roughness: 0.1
     });
+    const led = new THREE.Mesh(ledGeometry, ledMaterial);
+    led.position.set(-0.15, 0.9, 0.38);
+    maskGroup.add(led);
     
-    const leftTip = new THREE.Mesh(tipGlowGeo, tipGlowMat);
-    leftTip.position.set(-0.25, 1.75, 0.05);
-    group.add(leftTip);
+    // Side straps
+    const strapGeometry = new THREE.BoxGeometry(0.03, 0.25, 0.03);
+    const strapMaterial = new THREE.MeshStandardMaterial({
+        color: color,
+        roughness: 0.8
+    });
+    const leftStrap = new THREE.Mesh(strapGeometry, strapMaterial);
+    leftStrap.position.set(-0.23, 0.85, 0.15);
+    maskGroup.add(leftStrap);
     
-    const rightTip = new THREE.Mesh(tipGlowGeo, tipGlowMat);
-    rightTip.position.set(0.25, 1.75, 0.05);
-    group.add(rightTip);
+    const rightStrap = new THREE.Mesh(strapGeometry, strapMaterial);
+    rightStrap.position.set(0.23, 0.85, 0.15);
+    maskGroup.add(rightStrap);
     
-    return group;
+    return maskGroup;
 }
 
 /**
- * Creates angel halo accessory
- * @param {number} haloColor - Hex color for halo (default white/gold)
- * @returns {THREE.Group} Angel halo mesh group
+ * Creates a medical headlamp
+ * @param {number} bandColor - Hex color for the headband
+ * @param {number} lampColor - Hex color for the lamp light
+ * @returns {THREE.Group} Headlamp mesh group
  */
-function createAngelHalo(haloColor) {
-    const group = new THREE.Group();
+function createHeadlamp(bandColor, lampColor) {
+    const lampGroup = new THREE.Group();
     
-    // Main halo ring
-    const haloGeometry = new THREE.TorusGeometry(0.35, 0.04, 16, 32);
-    const haloMaterial = new THREE.MeshStandardMaterial({
-        color: haloColor || 0xFFFFFF,
-        roughness: 0.1,
-        metalness: 1.0,
-        emissive: haloColor || 0xFFFFFF,
-        emissiveIntensity: 0.8
+    // Headband - THICKER
+    const bandGeometry = new THREE.TorusGeometry(0.37, 0.04, 8, 16);
+    const bandMaterial = new THREE.MeshStandardMaterial({
+        color: bandColor,
+        roughness: 0.7
     });
-    const halo = new THREE.Mesh(haloGeometry, haloMaterial);
-    halo.position.set(0, 1.55, 0);
-    halo.rotation.x = Math.PI / 2;
-    group.add(halo);
+    const band = new THREE.Mesh(bandGeometry, bandMaterial);
+    band.position.set(0, 1.05, 0);
+    band.rotation.x = Math.PI / 2;
+    lampGroup.add(band);
     
-    // Inner glow ring
-    const innerGlowGeometry = new THREE.TorusGeometry(0.35, 0.06, 16, 32);
-    const glowMaterial = new THREE.MeshStandardMaterial({
-        color: 0xFFFF00,
-        emissive: 0xFFFF00,
-        emissiveIntensity: 1.5,
-        transparent: true,
-        opacity: 0.5
+    // Lamp housing (on forehead) - LARGER
+    const lampGeometry = new THREE.CylinderGeometry(0.1, 0.12, 0.15, 8);
+    const lampMaterial = new THREE.MeshStandardMaterial({
+        color: 0xCCCCCC, // Lighter metallic
+        roughness: 0.2,
+        metalness: 0.8
     });
-    const innerGlow = new THREE.Mesh(innerGlowGeometry, glowMaterial);
-    innerGlow.position.set(0, 1.55, 0);
-    innerGlow.rotation.x = Math.PI / 2;
-    group.add(innerGlow);
+    const lamp = new THREE.Mesh(lampGeometry, lampMaterial);
+    lamp.position.set(0, 1.05, 0.38);
+    lamp.rotation.x = Math.PI / 2;
+    lampGroup.add(lamp);
     
-    // Sparkle points around halo
-    const sparkleGeo = new THREE.SphereGeometry(0.025, 8, 8);
-    const sparkleMat = new THREE.MeshStandardMaterial({
-        color: 0xFFFFFF,
-        emissive: 0xFFFFFF,
-        emissiveIntensity: 2.0,
-        transparent: true,
-        opacity: 0.9
+    // Lamp light (glowing) - LARGER AND BRIGHTER
+    const lightGeometry = new THREE.CircleGeometry(0.09, 12);
+    const lightMaterial = new THREE.MeshStandardMaterial({
+        color: lampColor,
+        emissive: lampColor,
+        emissiveIntensity: 1.2,
+        roughness: 0.1
     });
+    const light = new THREE.Mesh(lightGeometry, lightMaterial);
+    light.position.set(0, 1.05, 0.45);
+    lampGroup.add(light);
     
-    for (let i = 0; i < 8; i++) {
-        const sparkle = new THREE.Mesh(sparkleGeo, sparkleMat);
-        const angle = (i / 8) * Math.PI * 2;
-        sparkle.position.set(
-            Math.cos(angle) * 0.35,
-            1.55,
-            Math.sin(angle) * 0.35
-        );
-        group.add(sparkle);
-    }
-    
-    return group;
-}
-
-/**
- * Creates a royal crown
- * @param {number} crownColor - Hex color for crown (gold)
- * @returns {THREE.Group} Crown mesh group
- */
-function createCrown(crownColor) {
-    const group = new THREE.Group();
+    // Medical cross symbol on headband
+    const crossH = new THREE.BoxGeometry(0.08, 0.02, 0.02);
+    const crossV = new THREE.BoxGeometry(0.02, 0.08, 0.02);
+    const crossMaterial = new THREE.MeshStandardMaterial({
+        color: 0xFF0000, // Red medical cross
+        emissive: 0xFF0000,
+        emissiveIntensity: 0.3,
+        roughness: 0.5
+    });
+    const crossH1 = new THREE.Mesh(crossH, crossMaterial);
+    crossH1.position.set(-0.3, 1.05, 0);
+    lampGroup.add(crossH1);
     
-    // Crown base (golden band with decorative pattern)
-    const bandGeometry = new THREE.CylinderGeometry(0.36, 0.38, 0.15, 32);
-    const crownMaterial = new THREE.MeshStandardMaterial({
-        color: crownColor || 0xFFD700,
-        roughness: 0.15,
-        metalness: 1.0,
-        emissive: crownColor || 0xFFD700,
-        emissiveIntensity: 0.4
-    });
-    const band = new THREE.Mesh(bandGeometry, crownMaterial);
-    band.position.set(0, 1.2, 0);
-    group.add(band);
+    const crossV1 = new THREE.Mesh(crossV, crossMaterial);
+    crossV1.position.set(-0.3, 1.05, 0);
+    lampGroup.add(crossV1);
     
-    // Decorative ridges on band
-    for (let i = 0; i < 16; i++) {
-        const ridgeGeometry = new THREE.BoxGeometry(0.02, 0.16, 0.01);
-        const ridge = new THREE.Mesh(ridgeGeometry, crownMaterial);
-        const angle = (i / 16) * Math.PI * 2;
-        ridge.position.set(
-            Math.cos(angle) * 0.37,
-            1.2,
-            Math.sin(angle) * 0.37
-        );
-        ridge.rotation.y = -angle;
-        group.add(ridge);
-    }
+    // Second cross on other side
+    const crossH2 = new THREE.Mesh(crossH, crossMaterial);
+    crossH2.position.set(0.3, 1.05, 0);
+    lampGroup.add(crossH2);
     
-    // Crown spikes (5 main points) - taller and more elegant
-    for (let i = 0; i < 5; i++) {
-        const angle = (i / 5) * Math.PI * 2;
-        
-        // Main spike
-        const spikeGeometry = new THREE.ConeGeometry(0.1, 0.35, 8);
-        const spike = new THREE.Mesh(spikeGeometry, crownMaterial);
-        spike.position.set(
-            Math.cos(angle) * 0.35,
-            1.42,
-            Math.sin(angle) * 0.35
-        );
-        group.add(spike);
-        
-        // Smaller spike between main spikes
-        const smallSpikeGeometry = new THREE.ConeGeometry(0.06, 0.2, 8);
-        const smallSpike = new THREE.Mesh(smallSpikeGeometry, crownMaterial);
-        const betweenAngle = angle + (Math.PI / 5);
-        smallSpike.position.set(
-            Math.cos(betweenAngle) * 0.36,
-            1.34,
-            Math.sin(betweenAngle) * 0.36
-        );
-        group.add(smallSpike);
-        
-        // Jewel at base of each main spike
-        const jewelGeometry = new THREE.SphereGeometry(0.05, 12, 12);
-        const jewelMaterial = new THREE.MeshStandardMaterial({
-            color: 0xFF0000,
-            roughness: 0.05,
-            metalness: 1.0,
-            emissive: 0xFF0000,
-            emissiveIntensity: 0.8
-        });
-        const jewel = new THREE.Mesh(jewelGeometry, jewelMaterial);
-        jewel.position.set(
-            Math.cos(angle) * 0.35,
-            1.26,
-            Math.sin(angle) * 0.35
-        );
-        group.add(jewel);
-        
-        // Small emeralds on small spikes
-        const emeraldGeo = new THREE.SphereGeometry(0.03, 8, 8);
-        const emeraldMat = new THREE.MeshStandardMaterial({
-            color: 0x00FF00,
-            roughness: 0.1,
-            metalness: 0.9,
-            emissive: 0x00FF00,
-            emissiveIntensity: 0.5
-        });
-        const emerald = new THREE.Mesh(emeraldGeo, emeraldMat);
-        emerald.position.set(
-            Math.cos(betweenAngle) * 0.36,
-            1.24,
-            Math.sin(betweenAngle) * 0.36
-        );
-        group.add(emerald);
-    }
+    const crossV2 = new THREE.Mesh(crossV, crossMaterial);
+    crossV2.position.set(0.3, 1.05, 0);
+    lampGroup.add(crossV2);
     
-    return group;
+    return lampGroup;
 }
 
 /**
- * Adds appropriate accessory to player mesh based on avatar
- * @param {string} accessoryType - Type of accessory to create
- * @param {Object} avatar - Avatar data with accessory colors
- * @returns {void}
+ * Creates welding/industrial goggles
+ * @param {number} frameColor - Hex color for goggle frames
+ * @param {number} lensColor - Hex color for lenses
+ * @returns {THREE.Group} Goggles mesh group
  */
-function addPlayerAccessory(accessoryType, avatar) {
-    if (!playerMesh || accessoryType === 'none') return;
+function createWeldingGoggles(frameColor, lensColor) {
+    const gogglesGroup = new THREE.Group();
     
-    // Remove any existing accessories first
-    removePlayerAccessory();
+    // Left lens - LARGER
+    const lensGeometry = new THREE.CylinderGeometry(0.13, 0.13, 0.07, 16);
+    const lensMaterial = new THREE.MeshStandardMaterial({
+        color: lensColor,
+        roughness: 0.05,
+        metalness: 0.95,
+        emissive: lensColor,
+        emissiveIntensity: 0.5
+    });
+    const leftLens = new THREE.Mesh(lensGeometry, lensMaterial);
+    leftLens.position.set(-0.15, 0.95, 0.34);
+    leftLens.rotation.x = Math.PI / 2;
+    gogglesGroup.add(leftLens);
     
-    let accessory = null;
+    // Right lens - LARGER
+    const rightLens = new THREE.Mesh(lensGeometry, lensMaterial);
+    rightLens.position.set(0.15, 0.95, 0.34);
+    rightLens.rotation.x = Math.PI / 2;
+    gogglesGroup.add(rightLens);
     
-    switch(accessoryType) {
-        case 'military_cap':
-            accessory = createMilitaryCap(avatar.accessoryColor);
-            break;
-        case 'police_cap':
-            accessory = createPoliceCap(avatar.accessoryColor, avatar.badgeColor);
-            break;
-        case 'tactical_mask':
-            accessory = createTacticalMask(avatar.accessoryColor);
-            break;
-        case 'headlamp':
-            accessory = createHeadlamp(avatar.accessoryColor, avatar.lampColor);
-            break;
-        case 'welding_goggles':
-            accessory = createWeldingGoggles(avatar.accessoryColor, avatar.lensColor);
-            break;
-        case 'cowl_mask':
-            accessory = createCowlMask(avatar.accessoryColor);
-            break;
-        case 'combat_helmet':
-            accessory = createCombatHelmet(avatar.accessoryColor, avatar.visorColor);
-            break;
-        case 'fedora_sunglasses':
-            accessory = createFedoraSunglasses(avatar.accessoryColor, avatar.glassesColor);
-            break;
-        case 'santa_hat':
-            accessory = createSantaHat(avatar.accessoryColor);
-            break;
-        case 'wizard_hat':
-            accessory = createWizardHat(avatar.accessoryColor);
-            break;
-        case 'crown':
-            accessory = createCrown(avatar.accessoryColor);
-            break;
-        case 'angel_halo':
-            accessory = createAngelHalo(avatar.accessoryColor);
-            break;
-        case 'devil_horns':
-            accessory = createDevilHorns(avatar.accessoryColor);
-            break;
-    }
+    // Thick metal frames around lenses
+    const frameGeometry = new THREE.TorusGeometry(0.14, 0.025, 8, 16);
+    const frameMaterial = new THREE.MeshStandardMaterial({
+        color: frameColor,
+        roughness: 0.3,
+        metalness: 0.8
+    });
+    const leftFrame = new THREE.Mesh(frameGeometry, frameMaterial);
+    leftFrame.position.set(-0.15, 0.95, 0.34);
+    gogglesGroup.add(leftFrame);
     
-    if (accessory) {
-        accessory.name = 'playerAccessory'; // Tag for easy removal
-        playerMesh.add(accessory);
-        console.log(`Added ${accessoryType} accessory to player`);
-    }
-}
-
-/**
- * Removes current accessory from player mesh
- * @returns {void}
- */
-function removePlayerAccessory() {
-    if (!playerMesh) return;
+    const rightFrame = new THREE.Mesh(frameGeometry, frameMaterial);
+    rightFrame.position.set(0.15, 0.95, 0.34);
+    gogglesGroup.add(rightFrame);
     
-    const existingAccessory = playerMesh.getObjectByName('playerAccessory');
-    if (existingAccessory) {
-        playerMesh.remove(existingAccessory);
-        console.log('Removed existing accessory');
-    }
-}
-
-// Trail particle system
-let trailParticles = [];
-let trailActive = false;
-let trailRainbow = false;
-let trailHue = 0;
-
-/**
- * Adds particle trail effect to player
- * @param {number} color - Hex color for trail
- * @param {number} intensity - Trail intensity (0-2)
- * @param {boolean} rainbow - Whether to use rainbow cycling
- */
-function addPlayerTrail(color, intensity = 1.0, rainbow = false) {
-    trailActive = true;
-    trailRainbow = rainbow;
-    console.log(`Trail activated: color=${color.toString(16)}, intensity=${intensity}, rainbow=${rainbow}`);
+    // Bridge connector - THICKER
+    const bridgeGeometry = new THREE.BoxGeometry(0.1, 0.06, 0.06);
+    const bridge = new THREE.Mesh(bridgeGeometry, frameMaterial);
+    bridge.position.set(0, 0.95, 0.34);
+    gogglesGroup.add(bridge);
+    
+    // Side protective shields
+    const shieldGeometry = new THREE.BoxGeometry(0.04, 0.2, 0.15);
+    const leftShield = new THREE.Mesh(shieldGeometry, frameMaterial);
+    leftShield.position.set(-0.25, 0.95, 0.3);
+    gogglesGroup.add(leftShield);
+    
+    const rightShield = new THREE.Mesh(shieldGeometry, frameMaterial);
+    rightShield.position.set(0.25, 0.95, 0.3);
+    gogglesGroup.add(rightShield);
+    
+    // Strap/band (goes around head) - THICKER
+    const strapGeometry = new THREE.TorusGeometry(0.37, 0.03, 8, 16);
+    const strap = new THREE.Mesh(strapGeometry, frameMaterial);
+    strap.position.set(0, 0.95, 0);
+    strap.rotation.x = Math.PI / 2;
+    gogglesGroup.add(strap);
+    
+    return gogglesGroup;
 }
 
 /**
- * Removes player trail effect
+ * Creates a Batman-style cowl/mask
+ * @param {number} color - Hex color for the cowl
+ * @returns {THREE.Group} Cowl mesh group
  */
-function removePlayerTrail() {
-    trailActive = false;
-    trailRainbow = false;
-    // Clean up existing particles
-    trailParticles.forEach(particle => {
-        if (particle.parent) {
-            particle.parent.remove(particle);
-        }
-    });
-    trailParticles = [];
-}
-
+function createCowlMask(color) {
+    const cowlGroup = new THREE.Group();
+    
+    // Main cowl (covers top and back of head) - LARGER
+    const cowlGeometry = new THREE.SphereGeometry(0.39, 16, 16, 0, Math.PI * 2, 0, Math.PI * 0.7);
+    const cowlMaterial = new THREE.MeshStandardMaterial({
+        color: color,
+        roughness: 0.3,
+        metalness: 0.5
+    });
+    const cowl = new THREE.Mesh(cowlGeometry, cowlMaterial);
+    cowl.position.set(0, 0.9, 0);
+    cowlGroup.add(cowl);
+    
+    // Bat ears (pointed) - MUCH TALLER AND WIDER
+    const earGeometry = new THREE.ConeGeometry(0.11, 0.4, 8);
+    const leftEar = new THREE.Mesh(earGeometry, cowlMaterial);
+    leftEar.position.set(-0.22, 1.35, 0);
+    cowlGroup.add(leftEar);
+    
+    const rightEar = new THREE.Mesh(earGeometry, cowlMaterial);
+    rightEar.position.set(0.22, 1.35, 0);
+    cowlGroup.add(rightEar);
+    
+    // Face mask part (covers nose area) - LARGER
+    const faceGeometry = new THREE.BoxGeometry(0.38, 0.2, 0.12);
+    const faceMask = new THREE.Mesh(faceGeometry, cowlMaterial);
+    faceMask.position.set(0, 0.88, 0.34);
+    cowlGroup.add(faceMask);
+    
+    // Yellow bat symbol on forehead
+    const batSymbolGeometry = new THREE.BoxGeometry(0.15, 0.08, 0.02);
+    const batSymbolMaterial = new THREE.MeshStandardMaterial({
+        color: 0xFFD700, // Gold
+        emissive: 0xFFD700,
+        emissiveIntensity: 0.4,
+        roughness: 0.2,
+        metalness: 0.8
+    });
+    const batSymbol = new THREE.Mesh(batSymbolGeometry, batSymbolMaterial);
+    batSymbol.position.set(0, 1.1, 0.37);
+    cowlGroup.add(batSymbol);
+    
+    // Sharp jawline pieces
+    const jawGeometry = new THREE.BoxGeometry(0.08, 0.15, 0.08);
+    const leftJaw = new THREE.Mesh(jawGeometry, cowlMaterial);
+    leftJaw.position.set(-0.18, 0.8, 0.28);
+    cowlGroup.add(leftJaw);
+    
+    const rightJaw = new THREE.Mesh(jawGeometry, cowlMaterial);
+    rightJaw.position.set(0.18, 0.8, 0.28);
+    cowlGroup.add(rightJaw);
+    
+    return cowlGroup;
+}
+
 /**
- * Updates trail particles (called every frame)
+ * Creates a combat helmet with visor
+ * @param {number} helmetColor - Hex color for helmet
+ * @param {number} visorColor - Hex color for visor
+ * @returns {THREE.Group} Combat helmet mesh group
  */
-function updateTrailParticles() {
-    if (!trailActive || !playerMesh) return;
+function createCombatHelmet(helmetColor, visorColor) {
+    const helmetGroup = new THREE.Group();
     
-    const effect = EFFECTS[equippedCosmetics.effect];
-    if (!effect || !effect.trailColor) return;
+    // Main helmet shell - LARGER
+    const helmetGeometry = new THREE.SphereGeometry(0.4, 16, 16, 0, Math.PI * 2, 0, Math.PI * 0.65);
+    const helmetMaterial = new THREE.MeshStandardMaterial({
+        color: helmetColor,
+        roughness: 0.2,
+        metalness: 0.8
+    });
+    const helmet = new THREE.Mesh(helmetGeometry, helmetMaterial);
+    helmet.position.set(0, 0.9, 0);
+    helmetGroup.add(helmet);
     
-    const effectType = equippedCosmetics.effect;
+    // Visor (transparent glowing) - TALLER AND BRIGHTER
+    const visorGeometry = new THREE.BoxGeometry(0.55, 0.22, 0.03);
+    const visorMaterial = new THREE.MeshStandardMaterial({
+        color: visorColor,
+        roughness: 0.05,
+        metalness: 0.95,
+        emissive: visorColor,
+        emissiveIntensity: 0.8,
+        transparent: true,
+        opacity: 0.8
+    });
+    const visor = new THREE.Mesh(visorGeometry, visorMaterial);
+    visor.position.set(0, 0.93, 0.38);
+    helmetGroup.add(visor);
     
-    // Spawn new particles every few frames
-    if (Math.random() < 0.4) {
-        let particleColor = effect.trailColor;
-        let particleGeometry, particleMaterial, particle;
-        
-        // Different particle effects based on trail type
-        switch(effectType) {
-            case 'fire_trail':
-                // Fire particles with flickering
-                particleGeometry = new THREE.SphereGeometry(0.12, 8, 8);
-                particleColor = Math.random() > 0.5 ? 0xFF4500 : 0xFF8C00;
-                particleMaterial = new THREE.MeshStandardMaterial({
-                    color: particleColor,
-                    emissive: particleColor,
-                    emissiveIntensity: 1.5,
-                    transparent: true,
-                    opacity: 0.9
-                });
-                particle = new THREE.Mesh(particleGeometry, particleMaterial);
-                particle.userData.flicker = true;
-                particle.userData.riseSpeed = 0.05;
-                break;
-                
-            case 'ice_trail':
-                // Icy crystals
-                particleGeometry = new THREE.OctahedronGeometry(0.1, 0);
-                particleMaterial = new THREE.MeshStandardMaterial({
-                    color: 0x87CEEB,
-                    emissive: 0xADD8E6,
-                    emissiveIntensity: 0.8,
-                    transparent: true,
-                    opacity: 0.8,
-                    metalness: 0.9,
-                    roughness: 0.1
-                });
-                particle = new THREE.Mesh(particleGeometry, particleMaterial);
-                particle.userData.spin = true;
-                particle.userData.fallSpeed = 0.02;
-                break;
-                
-            case 'electric_trail':
-                // Electric sparks
-                particleGeometry = new THREE.SphereGeometry(0.08, 6, 6);
-                particleMaterial = new THREE.MeshStandardMaterial({
-                    color: 0x00FFFF,
-                    emissive: 0x00FFFF,
-                    emissiveIntensity: 2.0,
-                    transparent: true,
-                    opacity: 1.0
-                });
-                particle = new THREE.Mesh(particleGeometry, particleMaterial);
-                particle.userData.jitter = true;
-                particle.userData.jitterAmount = 0.15;
-                break;
-                
-            case 'toxic_trail':
-                // Toxic bubbles
-                particleGeometry = new THREE.SphereGeometry(0.15, 8, 8);
-                particleMaterial = new THREE.MeshStandardMaterial({
-                    color: 0x00FF00,
-                    emissive: 0x00FF00,
-                    emissiveIntensity: 1.2,
-                    transparent: true,
-                    opacity: 0.6
-                });
-                particle = new THREE.Mesh(particleGeometry, particleMaterial);
-                particle.userData.float = true;
-                particle.userData.wobble = true;
-                break;
-                
-            case 'shadow_trail':
-                // Dark smoke
-                particleGeometry = new THREE.SphereGeometry(0.18, 8, 8);
-                particleMaterial = new THREE.MeshStandardMaterial({
-                    color: 0x1C1C1C,
-                    emissive: 0x000000,
-                    emissiveIntensity: 0.3,
-                    transparent: true,
-                    opacity: 0.7
-                });
-                particle = new THREE.Mesh(particleGeometry, particleMaterial);
-                particle.userData.expand = true;
-                break;
-                
-            case 'golden_trail':
-                // Golden stars
-                particleGeometry = new THREE.OctahedronGeometry(0.1, 0);
-                particleMaterial = new THREE.MeshStandardMaterial({
-                    color: 0xFFD700,
-                    emissive: 0xFFD700,
-                    emissiveIntensity: 1.8,
-                    transparent: true,
-                    opacity: 0.95,
-                    metalness: 1.0,
-                    roughness: 0.0
-                });
-                particle = new THREE.Mesh(particleGeometry, particleMaterial);
-                particle.userData.twinkle = true;
-                particle.userData.spin = true;
-                break;
-                
-            case 'blood_trail':
-                // Blood drops
-                particleGeometry = new THREE.SphereGeometry(0.1, 8, 8);
-                particleMaterial = new THREE.MeshStandardMaterial({
-                    color: 0x8B0000,
-                    emissive: 0x660000,
-                    emissiveIntensity: 0.5,
-                    transparent: true,
-                    opacity: 0.85
-                });
-                particle = new THREE.Mesh(particleGeometry, particleMaterial);
-                particle.userData.drip = true;
-                particle.userData.fallSpeed = 0.03;
-                break;
-                
-            case 'cosmic_trail':
-                // Cosmic nebula
-                particleGeometry = new THREE.SphereGeometry(0.12, 8, 8);
-                const cosmicColors = [0x8B00FF, 0xFF00FF, 0x4B0082];
-                particleColor = cosmicColors[Math.floor(Math.random() * cosmicColors.length)];
-                particleMaterial = new THREE.MeshStandardMaterial({
-                    color: particleColor,
-                    emissive: particleColor,
-                    emissiveIntensity: 1.5,
-                    transparent: true,
-                    opacity: 0.8
-                });
-                particle = new THREE.Mesh(particleGeometry, particleMaterial);
-                particle.userData.pulse = true;
-                particle.userData.spin = true;
-                break;
-                
-            case 'rainbow_trail':
-                // Rainbow cycling
-                trailHue = (trailHue + 2) % 360;
-                particleColor = new THREE.Color().setHSL(trailHue / 360, 1.0, 0.5).getHex();
-                particleGeometry = new THREE.SphereGeometry(0.12, 8, 8);
-                particleMaterial = new THREE.MeshStandardMaterial({
-                    color: particleColor,
-                    emissive: particleColor,
-                    emissiveIntensity: 1.8,
-                    transparent: true,
-                    opacity: 0.9
-                });
-                particle = new THREE.Mesh(particleGeometry, particleMaterial);
-                particle.userData.rainbow = true;
-                break;
-                
-            case 'energy_trail':
-                // Energy plasma
-                particleGeometry = new THREE.SphereGeometry(0.1, 8, 8);
-                particleMaterial = new THREE.MeshStandardMaterial({
-                    color: 0x00FFFF,
-                    emissive: 0x00FFFF,
-                    emissiveIntensity: 2.0,
-                    transparent: true,
-                    opacity: 0.9
-                });
-                particle = new THREE.Mesh(particleGeometry, particleMaterial);
-                particle.userData.energyPulse = true;
-                break;
-                
-            case 'neon_trail':
-                // Neon glow
-                particleGeometry = new THREE.SphereGeometry(0.1, 8, 8);
-                const neonColors = [0xFF1493, 0x00FFFF, 0x7FFF00];
-                particleColor = neonColors[Math.floor(Math.random() * neonColors.length)];
-                particleMaterial = new THREE.MeshStandardMaterial({
-                    color: particleColor,
-                    emissive: particleColor,
-                    emissiveIntensity: 2.5,
-                    transparent: true,
-                    opacity: 1.0
-                });
-                particle = new THREE.Mesh(particleGeometry, particleMaterial);
-                particle.userData.neonFlash = true;
-                break;
-                
-            default:
-                // Default sphere
-                particleGeometry = new THREE.SphereGeometry(0.1, 8, 8);
-                particleMaterial = new THREE.MeshStandardMaterial({
-                    color: particleColor,
-                    emissive: particleColor,
-                    emissiveIntensity: effect.trailIntensity || 1.0,
-                    transparent: true,
-                    opacity: 0.8
-                });
-                particle = new THREE.Mesh(particleGeometry, particleMaterial);
-        }
-        
-        particle.position.copy(playerMesh.position);
-        particle.position.y += 0.5; // Mid-body height
-        particle.userData.life = 1.0; // Particle lifetime
-        particle.userData.baseScale = 1.0;
-        particle.userData.time = 0;
-        
-        scene.add(particle);
-        trailParticles.push(particle);
-    }
+    // Armor plates on sides
+    const plateGeometry = new THREE.BoxGeometry(0.12, 0.2, 0.08);
+    const leftPlate = new THREE.Mesh(plateGeometry, helmetMaterial);
+    leftPlate.position.set(-0.28, 0.88, 0.1);
+    helmetGroup.add(leftPlate);
     
-    // Update existing particles with unique behaviors
-    for (let i = trailParticles.length - 1; i >= 0; i--) {
-        const particle = trailParticles[i];
-        particle.userData.life -= 0.02;
-        particle.userData.time += 0.1;
-        
-        // Apply special effects based on particle type
-        if (particle.userData.flicker) {
-            // Fire flickers
-            particle.material.emissiveIntensity = 1.5 + Math.sin(particle.userData.time * 5) * 0.5;
-            particle.position.y += particle.userData.riseSpeed;
-        }
-        
-        if (particle.userData.spin) {
-            particle.rotation.x += 0.1;
-            particle.rotation.y += 0.15;
-        }
-        
-        if (particle.userData.jitter) {
-            // Electric jitter
-            particle.position.x += (Math.random() - 0.5) * particle.userData.jitterAmount;
-            particle.position.z += (Math.random() - 0.5) * particle.userData.jitterAmount;
-        }
-        
-        if (particle.userData.float) {
-            // Toxic float up slowly
-            particle.position.y += 0.02;
-        }
-        
-        if (particle.userData.wobble) {
-            // Wobble side to side
-            particle.position.x += Math.sin(particle.userData.time) * 0.02;
-        }
-        
-        if (particle.userData.expand) {
-            // Shadow expands
-            particle.userData.baseScale += 0.02;
-        }
-        
-        if (particle.userData.twinkle) {
-            // Stars twinkle
-            particle.material.emissiveIntensity = 1.8 + Math.sin(particle.userData.time * 3) * 0.8;
-        }
-        
-        if (particle.userData.drip) {
-            // Blood drips down
-            particle.position.y -= particle.userData.fallSpeed;
-        }
-        
-        if (particle.userData.pulse) {
-            // Cosmic pulse
-            const pulse = Math.sin(particle.userData.time * 2) * 0.3 + 1.0;
-            particle.material.emissiveIntensity = pulse * 1.5;
-        }
-        
-        if (particle.userData.rainbow) {
-            // Rainbow color shift
-            const hue = (particle.userData.time * 10) % 360;
-            const color = new THREE.Color().setHSL(hue / 360, 1.0, 0.5);
-            particle.material.color.copy(color);
-            particle.material.emissive.copy(color);
-        }
-        
-        if (particle.userData.energyPulse) {
-            // Energy pulse effect
-            const pulse = Math.sin(particle.userData.time * 4) * 0.5 + 1.0;
-            particle.material.emissiveIntensity = pulse * 2.0;
-        }
-        
-        if (particle.userData.neonFlash) {
-            // Neon flash effect
-            particle.material.emissiveIntensity = 2.5 + Math.random() * 0.5;
-        }
-        
-        if (particle.userData.fallSpeed) {
-            // Fall down
-            particle.position.y -= particle.userData.fallSpeed;
-        }
+    const rightPlate = new THREE.Mesh(plateGeometry, helmetMaterial);
+    rightPlate.position.set(0.28, 0.88, 0.1);
+    helmetGroup.add(rightPlate);
+    
+    // Top crest/ridge
+    const crestGeometry = new THREE.BoxGeometry(0.08, 0.25, 0.3);
+    const crest = new THREE.Mesh(crestGeometry, helmetMaterial);
+    crest.position.set(0, 1.15, 0.05);
+    helmetGroup.add(crest);
+    
+    // LED status lights on helmet
+    const ledGeometry = new THREE.SphereGeometry(0.025, 8, 8);
+    const ledMaterial = new THREE.MeshStandardMaterial({
+        color: 0x00FF00, // Green
+        emissive: 0x00FF00,
+        emissiveIntensity: 1.0,
+        roughness: 0.1
+    });
+    const led1 = new THREE.Mesh(ledGeometry, ledMaterial);
+    led1.position.set(-0.25, 1.05, 0.25);
+    helmetGroup.add(led1);
+    
+    const led2 = new THREE.Mesh(ledGeometry, ledMaterial);
+    led2.position.set(0.25, 1.05, 0.25);
+    helmetGroup.add(led2);
+    
+    return helmetGroup;
+}
+
+/**
+ * Creates a fedora hat with sunglasses (detective style)
+ * @param {number} hatColor - Hex color for fedora
+ * @param {number} glassesColor - Hex color for sunglasses
+ * @returns {THREE.Group} Fedora and sunglasses mesh group
+ */
+function createFedoraSunglasses(hatColor, glassesColor) {
+    const group = new THREE.Group();
+    
+    // Fedora brim - WIDER
+    const brimGeometry = new THREE.CylinderGeometry(0.5, 0.5, 0.04, 16);
+    const hatMaterial = new THREE.MeshStandardMaterial({
+        color: hatColor,
+        roughness: 0.8,
+        metalness: 0.1
+    });
+    const brim = new THREE.Mesh(brimGeometry, hatMaterial);
+    brim.position.set(0, 1.22, 0);
+    group.add(brim);
+    
+    // Fedora crown - TALLER
+    const crownGeometry = new THREE.CylinderGeometry(0.3, 0.32, 0.3, 16);
+    const crown = new THREE.Mesh(crownGeometry, hatMaterial);
+    crown.position.set(0, 1.38, 0);
+    group.add(crown);
+    
+    // Hat band with buckle
+    const bandGeometry = new THREE.TorusGeometry(0.31, 0.02, 8, 16);
+    const bandMaterial = new THREE.MeshStandardMaterial({
+        color: 0x000000, // Black
+        roughness: 0.6
+    });
+    const band = new THREE.Mesh(bandGeometry, bandMaterial);
+    band.position.set(0, 1.25, 0);
+    band.rotation.x = Math.PI / 2;
+    group.add(band);
+    
+    // Sunglasses - LARGER with individual lenses
+    const lensGeometry = new THREE.BoxGeometry(0.16, 0.14, 0.03);
+    const glassesMaterial = new THREE.MeshStandardMaterial({
+        color: glassesColor,
+        roughness: 0.1,
+        metalness: 0.9,
+        transparent: true,
+        opacity: 0.9
+    });
+    const leftLens = new THREE.Mesh(lensGeometry, glassesMaterial);
+    leftLens.position.set(-0.12, 0.95, 0.36);
+    group.add(leftLens);
+    
+    const rightLens = new THREE.Mesh(lensGeometry, glassesMaterial);
+    rightLens.position.set(0.12, 0.95, 0.36);
+    group.add(rightLens);
+    
+    // Sunglasses bridge
+    const bridgeGeometry = new THREE.BoxGeometry(0.06, 0.03, 0.03);
+    const frameMaterial = new THREE.MeshStandardMaterial({
+        color: 0x000000,
+        roughness: 0.3,
+        metalness: 0.8
+    });
+    const bridge = new THREE.Mesh(bridgeGeometry, frameMaterial);
+    bridge.position.set(0, 0.95, 0.36);
+    group.add(bridge);
+    
+    // Sunglasses arms
+    const armGeometry = new THREE.BoxGeometry(0.03, 0.03, 0.25);
+    const leftArm = new THREE.Mesh(armGeometry, frameMaterial);
+    leftArm.position.set(-0.2, 0.95, 0.15);
+    group.add(leftArm);
+    
+    const rightArm = new THREE.Mesh(armGeometry, frameMaterial);
+    rightArm.position.set(0.2, 0.95, 0.15);
+    group.add(rightArm);
+    
+    return group;
+}
+
+/**
+ * Creates a santa hat
+ * @param {number} hatColor - Hex color for santa hat (red)
+ * @returns {THREE.Group} Santa hat mesh group
+ */
+function createSantaHat(hatColor) {
+    const group = new THREE.Group();
+    
+    // Main cone of the hat (red) - FIXED: No tilt, perfectly centered
+    const coneGeometry = new THREE.ConeGeometry(0.35, 0.5, 16);
+    const hatMaterial = new THREE.MeshStandardMaterial({
+        color: hatColor || 0xFF0000,
+        roughness: 0.8,
+        metalness: 0.1
+    });
+    const cone = new THREE.Mesh(coneGeometry, hatMaterial);
+    cone.position.set(0, 1.35, 0); // Centered above head
+    // No rotation - keep it upright
+    group.add(cone);
+    
+    // White fur trim at base
+    const trimGeometry = new THREE.TorusGeometry(0.35, 0.06, 12, 16);
+    const whiteMaterial = new THREE.MeshStandardMaterial({
+        color: 0xFFFFFF,
+        roughness: 0.9
+    });
+    const trim = new THREE.Mesh(trimGeometry, whiteMaterial);
+    trim.position.set(0, 1.15, 0);
+    trim.rotation.x = Math.PI / 2;
+    group.add(trim);
+    
+    // White pom-pom at tip - FIXED: Centered above cone
+    const pompomGeometry = new THREE.SphereGeometry(0.1, 12, 12);
+    const pompom = new THREE.Mesh(pompomGeometry, whiteMaterial);
+    pompom.position.set(0, 1.6, 0); // Directly above, no offset
+    group.add(pompom);
+    
+    return group;
+}
+
+/**
+ * Creates a wizard hat
+ * @param {number} hatColor - Hex color for wizard hat (purple)
+ * @returns {THREE.Group} Wizard hat mesh group
+ */
+function createWizardHat(hatColor) {
+    const group = new THREE.Group();
+    
+    // Tall pointed cone
+    const coneGeometry = new THREE.ConeGeometry(0.3, 0.7, 16);
+    const hatMaterial = new THREE.MeshStandardMaterial({
+        color: hatColor || 0x4B0082,
+        roughness: 0.7,
+        metalness: 0.2
+    });
+    const cone = new THREE.Mesh(coneGeometry, hatMaterial);
+    cone.position.set(0, 1.5, 0);
+    group.add(cone);
+    
+    // Wide brim at base
+    const brimGeometry = new THREE.CylinderGeometry(0.45, 0.45, 0.04, 16);
+    const brim = new THREE.Mesh(brimGeometry, hatMaterial);
+    brim.position.set(0, 1.18, 0);
+    group.add(brim);
+    
+    // Golden stars decoration
+    const starGeometry = new THREE.SphereGeometry(0.03, 8, 8);
+    const starMaterial = new THREE.MeshStandardMaterial({
+        color: 0xFFD700,
+        emissive: 0xFFD700,
+        emissiveIntensity: 0.5,
+        metalness: 0.9
+    });
+    
+    // Add 3 golden stars on the hat
+    for (let i = 0; i < 3; i++) {
+        const star = new THREE.Mesh(starGeometry, starMaterial);
+        const angle = (i / 3) * Math.PI * 2;
+        star.position.set(
+            Math.cos(angle) * 0.25,
+            1.3 + (i * 0.15),
+            Math.sin(angle) * 0.25
+        );
+        group.add(star);
+    }
+    
+    return group;
+}
+
+/**
+ * Creates devil horns accessory
+ * @param {number} hornColor - Hex color for horns (default dark red)
+ * @returns {THREE.Group} Devil horns mesh group
+ */
+function createDevilHorns(hornColor) {
+    const group = new THREE.Group();
+    
+    const hornMaterial = new THREE.MeshStandardMaterial({
+        color: hornColor || 0x8B0000,
+        roughness: 0.3,
+        metalness: 0.4,
+        emissive: hornColor || 0x8B0000,
+        emissiveIntensity: 0.2
+    });
+    
+    // Left horn - curved upward
+    const hornSegments = 8;
+    const leftHornGroup = new THREE.Group();
+    for (let i = 0; i < hornSegments; i++) {
+        const scale = 1 - (i / hornSegments) * 0.7; // Taper
+        const hornSegGeo = new THREE.ConeGeometry(0.06 * scale, 0.08, 8);
+        const hornSeg = new THREE.Mesh(hornSegGeo, hornMaterial);
+        hornSeg.position.y = i * 0.06;
+        hornSeg.rotation.z = -i * 0.15; // Curve outward
+        leftHornGroup.add(hornSeg);
+    }
+    leftHornGroup.position.set(-0.2, 1.3, 0.1);
+    leftHornGroup.rotation.z = 0.3;
+    group.add(leftHornGroup);
+    
+    // Right horn - curved upward (mirrored)
+    const rightHornGroup = new THREE.Group();
+    for (let i = 0; i < hornSegments; i++) {
+        const scale = 1 - (i / hornSegments) * 0.7;
+        const hornSegGeo = new THREE.ConeGeometry(0.06 * scale, 0.08, 8);
+        const hornSeg = new THREE.Mesh(hornSegGeo, hornMaterial);
+        hornSeg.position.y = i * 0.06;
+        hornSeg.rotation.z = i * 0.15; // Curve outward
+        rightHornGroup.add(hornSeg);
+    }
+    rightHornGroup.position.set(0.2, 1.3, 0.1);
+    rightHornGroup.rotation.z = -0.3;
+    group.add(rightHornGroup);
+    
+    // Horn tips glow
+    const tipGlowGeo = new THREE.SphereGeometry(0.04, 8, 8);
+    const tipGlowMat = new THREE.MeshStandardMaterial({
+        color: 0xFF4500,
+        emissive: 0xFF4500,
+        emissiveIntensity: 1.5,
+        transparent: true,
+        opacity: 0.8
+    });
+    
+    const leftTip = new THREE.Mesh(tipGlowGeo, tipGlowMat);
+    leftTip.position.set(-0.25, 1.75, 0.05);
+    group.add(leftTip);
+    
+    const rightTip = new THREE.Mesh(tipGlowGeo, tipGlowMat);
+    rightTip.position.set(0.25, 1.75, 0.05);
+    group.add(rightTip);
+    
+    return group;
+}
+
+/**
+ * Creates angel halo accessory
+ * @param {number} haloColor - Hex color for halo (default white/gold)
+ * @returns {THREE.Group} Angel halo mesh group
+ */
+function createAngelHalo(haloColor) {
+    const group = new THREE.Group();
+    
+    // Main halo ring
+    const haloGeometry = new THREE.TorusGeometry(0.35, 0.04, 16, 32);
+    const haloMaterial = new THREE.MeshStandardMaterial({
+        color: haloColor || 0xFFFFFF,
+        roughness: 0.1,
+        metalness: 1.0,
+        emissive: haloColor || 0xFFFFFF,
+        emissiveIntensity: 0.8
+    });
+    const halo = new THREE.Mesh(haloGeometry, haloMaterial);
+    halo.position.set(0, 1.55, 0);
+    halo.rotation.x = Math.PI / 2;
+    group.add(halo);
+    
+    // Inner glow ring
+    const innerGlowGeometry = new THREE.TorusGeometry(0.35, 0.06, 16, 32);
+    const glowMaterial = new THREE.MeshStandardMaterial({
+        color: 0xFFFF00,
+        emissive: 0xFFFF00,
+        emissiveIntensity: 1.5,
+        transparent: true,
+        opacity: 0.5
+    });
+    const innerGlow = new THREE.Mesh(innerGlowGeometry, glowMaterial);
+    innerGlow.position.set(0, 1.55, 0);
+    innerGlow.rotation.x = Math.PI / 2;
+    group.add(innerGlow);
+    
+    // Sparkle points around halo
+    const sparkleGeo = new THREE.SphereGeometry(0.025, 8, 8);
+    const sparkleMat = new THREE.MeshStandardMaterial({
+        color: 0xFFFFFF,
+        emissive: 0xFFFFFF,
+        emissiveIntensity: 2.0,
+        transparent: true,
+        opacity: 0.9
+    });
+    
+    for (let i = 0; i < 8; i++) {
+        const sparkle = new THREE.Mesh(sparkleGeo, sparkleMat);
+        const angle = (i / 8) * Math.PI * 2;
+        sparkle.position.set(
+            Math.cos(angle) * 0.35,
+            1.55,
+            Math.sin(angle) * 0.35
+        );
+        group.add(sparkle);
+    }
+    
+    return group;
+}
+
+/**
+ * Creates a royal crown
+ * @param {number} crownColor - Hex color for crown (gold)
+ * @returns {THREE.Group} Crown mesh group
+ */
+function createCrown(crownColor) {
+    const group = new THREE.Group();
+    
+    // Crown base (golden band with decorative pattern)
+    const bandGeometry = new THREE.CylinderGeometry(0.36, 0.38, 0.15, 32);
+    const crownMaterial = new THREE.MeshStandardMaterial({
+        color: crownColor || 0xFFD700,
+        roughness: 0.15,
+        metalness: 1.0,
+        emissive: crownColor || 0xFFD700,
+        emissiveIntensity: 0.4
+    });
+    const band = new THREE.Mesh(bandGeometry, crownMaterial);
+    band.position.set(0, 1.2, 0);
+    group.add(band);
+    
+    // Decorative ridges on band
+    for (let i = 0; i < 16; i++) {
+        const ridgeGeometry = new THREE.BoxGeometry(0.02, 0.16, 0.01);
+        const ridge = new THREE.Mesh(ridgeGeometry, crownMaterial);
+        const angle = (i / 16) * Math.PI * 2;
+        ridge.position.set(
+            Math.cos(angle) * 0.37,
+            1.2,
+            Math.sin(angle) * 0.37
+        );
+        ridge.rotation.y = -angle;
+        group.add(ridge);
+    }
+    
+    // Crown spikes (5 main points) - taller and more elegant
+    for (let i = 0; i < 5; i++) {
+        const angle = (i / 5) * Math.PI * 2;
+        
+        // Main spike
+        const spikeGeometry = new THREE.ConeGeometry(0.1, 0.35, 8);
+        const spike = new THREE.Mesh(spikeGeometry, crownMaterial);
+        spike.position.set(
+            Math.cos(angle) * 0.35,
+            1.42,
+            Math.sin(angle) * 0.35
+        );
+        group.add(spike);
+        
+        // Smaller spike between main spikes
+        const smallSpikeGeometry = new THREE.ConeGeometry(0.06, 0.2, 8);
+        const smallSpike = new THREE.Mesh(smallSpikeGeometry, crownMaterial);
+        const betweenAngle = angle + (Math.PI / 5);
+        smallSpike.position.set(
+            Math.cos(betweenAngle) * 0.36,
+            1.34,
+            Math.sin(betweenAngle) * 0.36
+        );
+        group.add(smallSpike);
+        
+        // Jewel at base of each main spike
+        const jewelGeometry = new THREE.SphereGeometry(0.05, 12, 12);
+        const jewelMaterial = new THREE.MeshStandardMaterial({
+            color: 0xFF0000,
+            roughness: 0.05,
+            metalness: 1.0,
+            emissive: 0xFF0000,
+            emissiveIntensity: 0.8
+        });
+        const jewel = new THREE.Mesh(jewelGeometry, jewelMaterial);
+        jewel.position.set(
+            Math.cos(angle) * 0.35,
+            1.26,
+            Math.sin(angle) * 0.35
+        );
+        group.add(jewel);
+        
+        // Small emeralds on small spikes
+        const emeraldGeo = new THREE.SphereGeometry(0.03, 8, 8);
+        const emeraldMat = new THREE.MeshStandardMaterial({
+            color: 0x00FF00,
+            roughness: 0.1,
+            metalness: 0.9,
+            emissive: 0x00FF00,
+            emissiveIntensity: 0.5
+        });
+        const emerald = new THREE.Mesh(emeraldGeo, emeraldMat);
+        emerald.position.set(
+            Math.cos(betweenAngle) * 0.36,
+            1.24,
+            Math.sin(betweenAngle) * 0.36
+        );
+        group.add(emerald);
+    }
+    
+    return group;
+}
+
+/**
+ * Adds appropriate accessory to player mesh based on avatar
+ * @param {string} accessoryType - Type of accessory to create
+ * @param {Object} avatar - Avatar data with accessory colors
+ * @returns {void}
+ */
+function addPlayerAccessory(accessoryType, avatar) {
+    if (!playerMesh || accessoryType === 'none') return;
+    
+    // Remove any existing accessories first
+    removePlayerAccessory();
+    
+    let accessory = null;
+    
+    switch(accessoryType) {
+        case 'military_cap':
+            accessory = createMilitaryCap(avatar.accessoryColor);
+            break;
+        case 'police_cap':
+            accessory = createPoliceCap(avatar.accessoryColor, avatar.badgeColor);
+            break;
+        case 'tactical_mask':
+            accessory = createTacticalMask(avatar.accessoryColor);
+            break;
+        case 'headlamp':
+            accessory = createHeadlamp(avatar.accessoryColor, avatar.lampColor);
+            break;
+        case 'welding_goggles':
+            accessory = createWeldingGoggles(avatar.accessoryColor, avatar.lensColor);
+            break;
+        case 'cowl_mask':
+            accessory = createCowlMask(avatar.accessoryColor);
+            break;
+        case 'combat_helmet':
+            accessory = createCombatHelmet(avatar.accessoryColor, avatar.visorColor);
+            break;
+        case 'fedora_sunglasses':
+            accessory = createFedoraSunglasses(avatar.accessoryColor, avatar.glassesColor);
+            break;
+        case 'santa_hat':
+            accessory = createSantaHat(avatar.accessoryColor);
+            break;
+        case 'wizard_hat':
+            accessory = createWizardHat(avatar.accessoryColor);
+            break;
+        case 'crown':
+            accessory = createCrown(avatar.accessoryColor);
+            break;
+        case 'angel_halo':
+            accessory = createAngelHalo(avatar.accessoryColor);
+            break;
+        case 'devil_horns':
+            accessory = createDevilHorns(avatar.accessoryColor);
+            break;
+    }
+    
+    if (accessory) {
+        accessory.name = 'playerAccessory'; // Tag for easy removal
+        playerMesh.add(accessory);
+        console.log(`Added ${accessoryType} accessory to player`);
+    }
+}
+
+/**
+ * Removes current accessory from player mesh
+ * @returns {void}
+ */
+function removePlayerAccessory() {
+    if (!playerMesh) return;
+    
+    const existingAccessory = playerMesh.getObjectByName('playerAccessory');
+    if (existingAccessory) {
+        playerMesh.remove(existingAccessory);
+        console.log('Removed existing accessory');
+    }
+}
+
+// Trail particle system
+let trailParticles = [];
+let trailActive = false;
+let trailRainbow = false;
+let trailHue = 0;
+
+/**
+ * Adds particle trail effect to player
+ * @param {number} color - Hex color for trail
+ * @param {number} intensity - Trail intensity (0-2)
+ * @param {boolean} rainbow - Whether to use rainbow cycling
+ */
+function addPlayerTrail(color, intensity = 1.0, rainbow = false) {
+    trailActive = true;
+    trailRainbow = rainbow;
+    console.log(`Trail activated: color=${color.toString(16)}, intensity=${intensity}, rainbow=${rainbow}`);
+}
+
+/**
+ * Removes player trail effect
+ */
+function removePlayerTrail() {
+    trailActive = false;
+    trailRainbow = false;
+    // Clean up existing particles
+    trailParticles.forEach(releaseToPool);
+    trailParticles = [];
+}
+
+/** @const {Object} Trails that roll a fresh color for every particle */
+const TRAIL_PALETTES = {
+    fire_trail: [0xFF4500, 0xFF8C00],
+    cosmic_trail: [0x8B00FF, 0xFF00FF, 0x4B0082],
+    neon_trail: [0xFF1493, 0x00FFFF, 0x7FFF00]
+};
+
+/** @type {Object<string, Object>} Trail particle pools by effect ID */
+const trailParticlePools = {};
+
+/** @type {THREE.Color} Reused for rainbow trail colors */
+const trailScratchColor = new THREE.Color();
+
+/**
+ * Builds one pooled trail particle for an effect
+ * The geometry is shared per effect; each particle owns its material since it fades
+ * @param {string} effectType - Effect ID in EFFECTS
+ * @returns {THREE.Mesh} Particle with its behavior flags in userData
+ */
+function buildTrailParticle(effectType) {
+    const effect = EFFECTS[effectType];
+    let particleColor = effect.trailColor;
+    let particleGeometry, particleMaterial, particle;
+    
+    // Different particle effects based on trail type
+    switch(effectType) {
+        case 'fire_trail':
+            // Fire particles with flickering
+            particleGeometry = getPooledResource(`trailGeometry:${effectType}`, () => new THREE.SphereGeometry(0.12, 8, 8));
+            particleColor = TRAIL_PALETTES.fire_trail[0];
+            particleMaterial = new THREE.MeshStandardMaterial({
+                color: particleColor,
+                emissive: particleColor,
+                emissiveIntensity: 1.5,
+                transparent: true,
+                opacity: 0.9
+            });
+            particle = new THREE.Mesh(particleGeometry, particleMaterial);
+            particle.userData.flicker = true;
+            particle.userData.riseSpeed = 0.05;
+            break;
+            
+        case 'ice_trail':
+            // Icy crystals
+            particleGeometry = getPooledResource(`trailGeometry:${effectType}`, () => new THREE.OctahedronGeometry(0.1, 0));
+            particleMaterial = new THREE.MeshStandardMaterial({
+                color: 0x87CEEB,
+                emissive: 0xADD8E6,
+                emissiveIntensity: 0.8,
+                transparent: true,
+                opacity: 0.8,
+                metalness: 0.9,
+                roughness: 0.1
+            });
+            particle = new THREE.Mesh(particleGeometry, particleMaterial);
+            particle.userData.spin = true;
+            particle.userData.fallSpeed = 0.02;
+            break;
+            
+        case 'electric_trail':
+            // Electric sparks
+            particleGeometry = getPooledResource(`trailGeometry:${effectType}`, () => new THREE.SphereGeometry(0.08, 6, 6));
+            particleMaterial = new THREE.MeshStandardMaterial({
+                color: 0x00FFFF,
+                emissive: 0x00FFFF,
+                emissiveIntensity: 2.0,
+                transparent: true,
+                opacity: 1.0
+            });
+            particle = new THREE.Mesh(particleGeometry, particleMaterial);
+            particle.userData.jitter = true;
+            particle.userData.jitterAmount = 0.15;
+            break;
+            
+        case 'toxic_trail':
+            // Toxic bubbles
+            particleGeometry = getPooledResource(`trailGeometry:${effectType}`, () => new THREE.SphereGeometry(0.15, 8, 8));
+            particleMaterial = new THREE.MeshStandardMaterial({
+                color: 0x00FF00,
+                emissive: 0x00FF00,
+                emissiveIntensity: 1.2,
+                transparent: true,
+                opacity: 0.6
+            });
+            particle = new THREE.Mesh(particleGeometry, particleMaterial);
+            particle.userData.float = true;
+            particle.userData.wobble = true;
+            break;
+            
+        case 'shadow_trail':
+            // Dark smoke
+            particleGeometry = getPooledResource(`trailGeometry:${effectType}`, () => new THREE.SphereGeometry(0.18, 8, 8));
+            particleMaterial = new THREE.MeshStandardMaterial({
+                color: 0x1C1C1C,
+                emissive: 0x000000,
+                emissiveIntensity: 0.3,
+                transparent: true,
+                opacity: 0.7
+            });
+            particle = new THREE.Mesh(particleGeometry, particleMaterial);
+            particle.userData.expand = true;
+            break;
+            
+        case 'golden_trail':
+            // Golden stars
+            particleGeometry = getPooledResource(`trailGeometry:${effectType}`, () => new THREE.OctahedronGeometry(0.1, 0));
+            particleMaterial = new THREE.MeshStandardMaterial({
+                color: 0xFFD700,
+                emissive: 0xFFD700,
+                emissiveIntensity: 1.8,
+                transparent: true,
+                opacity: 0.95,
+                metalness: 1.0,
+                roughness: 0.0
+            });
+            particle = new THREE.Mesh(particleGeometry, particleMaterial);
+            particle.userData.twinkle = true;
+            particle.userData.spin = true;
+            break;
+            
+        case 'blood_trail':
+            // Blood drops
+            particleGeometry = getPooledResource(`trailGeometry:${effectType}`, () => new THREE.SphereGeometry(0.1, 8, 8));
+            particleMaterial = new THREE.MeshStandardMaterial({
+                color: 0x8B0000,
+                emissive: 0x660000,
+                emissiveIntensity: 0.5,
+                transparent: true,
+                opacity: 0.85
+            });
+            particle = new THREE.Mesh(particleGeometry, particleMaterial);
+            particle.userData.drip = true;
+            particle.userData.fallSpeed = 0.03;
+            break;
+            
+        case 'cosmic_trail':
+            // Cosmic nebula
+            particleGeometry = getPooledResource(`trailGeometry:${effectType}`, () => new THREE.SphereGeometry(0.12, 8, 8));
+            particleColor = TRAIL_PALETTES.cosmic_trail[0];
+            particleMaterial = new THREE.MeshStandardMaterial({
+                color: particleColor,
+                emissive: particleColor,
+                emissiveIntensity: 1.5,
+                transparent: true,
+                opacity: 0.8
+            });
+            particle = new THREE.Mesh(particleGeometry, particleMaterial);
+            particle.userData.pulse = true;
+            particle.userData.spin = true;
+            break;
+            
+        case 'rainbow_trail':
+            // Rainbow cycling
+            particleColor = 0xFF0000; // Recolored on every spawn
+            particleGeometry = getPooledResource(`trailGeometry:${effectType}`, () => new THREE.SphereGeometry(0.12, 8, 8));
+            particleMaterial = new THREE.MeshStandardMaterial({
+                color: particleColor,
+                emissive: particleColor,
+                emissiveIntensity: 1.8,
+                transparent: true,
+                opacity: 0.9
+            });
+            particle = new THREE.Mesh(particleGeometry, particleMaterial);
+            particle.userData.rainbow = true;
+            break;
+            
+        case 'energy_trail':
+            // Energy plasma
+            particleGeometry = getPooledResource(`trailGeometry:${effectType}`, () => new THREE.SphereGeometry(0.1, 8, 8));
+            particleMaterial = new THREE.MeshStandardMaterial({
+                color: 0x00FFFF,
+                emissive: 0x00FFFF,
+                emissiveIntensity: 2.0,
+                transparent: true,
+                opacity: 0.9
+            });
+            particle = new THREE.Mesh(particleGeometry, particleMaterial);
+            particle.userData.energyPulse = true;
+            break;
+            
+        case 'neon_trail':
+            // Neon glow
+            particleGeometry = getPooledResource(`trailGeometry:${effectType}`, () => new THREE.SphereGeometry(0.1, 8, 8));
+            particleColor = TRAIL_PALETTES.neon_trail[0];
+            particleMaterial = new THREE.MeshStandardMaterial({
+                color: particleColor,
+                emissive: particleColor,
+                emissiveIntensity: 2.5,
+                transparent: true,
+                opacity: 1.0
+            });
+            particle = new THREE.Mesh(particleGeometry, particleMaterial);
+            particle.userData.neonFlash = true;
+            break;
+            
+        default:
+            // Default sphere
+            particleGeometry = getPooledResource(`trailGeometry:${effectType}`, () => new THREE.SphereGeometry(0.1, 8, 8));
+            particleMaterial = new THREE.MeshStandardMaterial({
+                color: particleColor,
+                emissive: particleColor,
+                emissiveIntensity: effect.trailIntensity || 1.0,
+                transparent: true,
+                opacity: 0.8
+            });
+            particle = new THREE.Mesh(particleGeometry, particleMaterial);
+    }
+    
+    return particle;
+}
+
+/**
+ * Gets (creating on first use) the particle pool of a trail effect
+ * @param {string} effectType - Effect ID in EFFECTS
+ * @returns {Object} Pool from createObjectPool
+ */
+function getTrailParticlePool(effectType) {
+    if (!trailParticlePools[effectType]) {
+        trailParticlePools[effectType] = createObjectPool(() => buildTrailParticle(effectType));
+    }
+    return trailParticlePools[effectType];
+}
+
+/**
+ * Updates trail particles (called every frame)
+ */
+function updateTrailParticles() {
+    if (!trailActive || !playerMesh) return;
+    
+    const effect = EFFECTS[equippedCosmetics.effect];
+    if (!effect || !effect.trailColor) return;
+    
+    const effectType = equippedCosmetics.effect;
+    
+    // Spawn new particles every few frames
+    if (Math.random() < 0.4) {
+        const particle = acquireFromPool(getTrailParticlePool(effectType));
+        
+        // Colorful trails recolor every particle they spawn
+        const palette = TRAIL_PALETTES[effectType];
+        if (palette) {
+            const particleColor = palette[Math.floor(Math.random() * palette.length)];
+            particle.material.color.setHex(particleColor);
+            particle.material.emissive.setHex(particleColor);
+        } else if (effectType === 'rainbow_trail') {
+            trailHue = (trailHue + 2) % 360;
+            trailScratchColor.setHSL(trailHue / 360, 1.0, 0.5);
+            particle.material.color.copy(trailScratchColor);
+            particle.material.emissive.copy(trailScratchColor);
+        }
+        
+        particle.position.copy(playerMesh.position);
+        particle.position.y += 0.5; // Mid-body height
+        particle.rotation.set(0, 0, 0);
+        particle.userData.life = 1.0; // Particle lifetime
+        particle.userData.baseScale = 1.0;
+        particle.userData.time = 0;
+        
+        trailParticles.push(particle);
+    }
+    
+    // Update existing particles with unique behaviors
+    for (let i = trailParticles.length - 1; i >= 0; i--) {
+        const particle = trailParticles[i];
+        particle.userData.life -= 0.02;
+        particle.userData.time += 0.1;
+        
+        // Apply special effects based on particle type
+        if (particle.userData.flicker) {
+            // Fire flickers
+            particle.material.emissiveIntensity = 1.5 + Math.sin(particle.userData.time * 5) * 0.5;
+            particle.position.y += particle.userData.riseSpeed;
+        }
+        
+        if (particle.userData.spin) {
+            particle.rotation.x += 0.1;
+            particle.rotation.y += 0.15;
+        }
+        
+        if (particle.userData.jitter) {
+            // Electric jitter
+            particle.position.x += (Math.random() - 0.5) * particle.userData.jitterAmount;
+            particle.position.z += (Math.random() - 0.5) * particle.userData.jitterAmount;
+        }
+        
+        if (particle.userData.float) {
+            // Toxic float up slowly
+            particle.position.y += 0.02;
+        }
+        
+        if (particle.userData.wobble) {
+            // Wobble side to side
+            particle.position.x += Math.sin(particle.userData.time) * 0.02;
+        }
+        
+        if (particle.userData.expand) {
+            // Shadow expands
+            particle.userData.baseScale += 0.02;
+        }
+        
+        if (particle.userData.twinkle) {
+            // Stars twinkle
+            particle.material.emissiveIntensity = 1.8 + Math.sin(particle.userData.time * 3) * 0.8;
+        }
+        
+        if (particle.userData.drip) {
+            // Blood drips down
+            particle.position.y -= particle.userData.fallSpeed;
+        }
+        
+        if (particle.userData.pulse) {
+            // Cosmic pulse
+            const pulse = Math.sin(particle.userData.time * 2) * 0.3 + 1.0;
+            particle.material.emissiveIntensity = pulse * 1.5;
+        }
+        
+        if (particle.userData.rainbow) {
+            // Rainbow color shift
+            const hue = (particle.userData.time * 10) % 360;
+            trailScratchColor.setHSL(hue / 360, 1.0, 0.5);
+            particle.material.color.copy(trailScratchColor);
+            particle.material.emissive.copy(trailScratchColor);
+        }
+        
+        if (particle.userData.energyPulse) {
+            // Energy pulse effect
+            const pulse = Math.sin(particle.userData.time * 4) * 0.5 + 1.0;
+            particle.material.emissiveIntensity = pulse * 2.0;
+        }
+        
+        if (particle.userData.neonFlash) {
+            // Neon flash effect
+            particle.material.emissiveIntensity = 2.5 + Math.random() * 0.5;
+        }
+        
+        if (particle.userData.fallSpeed) {
+            // Fall down
+            particle.position.y -= particle.userData.fallSpeed;
+        }
+        
+        // Fade out and scale
+        particle.material.opacity = particle.userData.life * 0.8;
+        const scale = particle.userData.life * particle.userData.baseScale;
+        particle.scale.setScalar(scale);
+        
+        // Remove dead particles
+        if (particle.userData.life <= 0) {
+            releaseToPool(particle);
+            trailParticles.splice(i, 1);
+        }
+    }
+    
+    // Limit max particles for performance
+    while (trailParticles.length > 60) {
+        const oldest = trailParticles.shift();
+        releaseToPool(oldest);
+    }
+}
+
+/**
+ * Removes player body glow/aura
+ */
+function removeBodyGlow() {
+    if (!playerMesh) return;
+    const bodyGlow = playerMesh.getObjectByName('bodyGlow');
+    if (bodyGlow) {
+        playerMesh.remove(bodyGlow);
+    }
+}
+
+/**
+ * Adds glowing aura around player body (highly visible from top-down)
+ * @param {number} glowColor - Hex color for the glow
+ * @param {number} intensity - Glow intensity (0-2)
+ * @param {boolean} rainbow - Whether to use rainbow effect
+ * @param {boolean} pulse - Whether to pulse the glow
+ */
+function addBodyGlow(glowColor, intensity = 0.5, rainbow = false, pulse = false) {
+    if (!playerMesh) return;
+    
+    const group = new THREE.Group();
+    group.name = 'bodyGlow';
+    
+    // Create multiple glowing rings around the player for maximum visibility
+    const ringCount = 3;
+    for (let i = 0; i < ringCount; i++) {
+        const radius = 0.4 + i * 0.15;
+        const ringGeo = new THREE.TorusGeometry(radius, 0.05 + i * 0.02, 8, 32);
+        const ringMat = new THREE.MeshStandardMaterial({
+            color: glowColor,
+            emissive: glowColor,
+            emissiveIntensity: intensity - i * 0.3,
+            transparent: true,
+            opacity: 0.7 - i * 0.15,
+            side: THREE.DoubleSide
+        });
+        const ring = new THREE.Mesh(ringGeo, ringMat);
+        ring.rotation.x = Math.PI / 2; // Lay flat for top-down visibility
+        ring.position.y = 0.1 + i * 0.1;
+        group.add(ring);
+        
+        // Store for animation
+        ring.userData.baseY = ring.position.y;
+        ring.userData.ringIndex = i;
+    }
+    
+    // Add vertical glow pillars for side visibility
+    const pillarGeo = new THREE.CylinderGeometry(0.4, 0.4, 1.5, 16, 1, true);
+    const pillarMat = new THREE.MeshStandardMaterial({
+        color: glowColor,
+        emissive: glowColor,
+        emissiveIntensity: intensity * 0.6,
+        transparent: true,
+        opacity: 0.3,
+        side: THREE.DoubleSide
+    });
+    const pillar = new THREE.Mesh(pillarGeo, pillarMat);
+    pillar.position.y = 0.5;
+    group.add(pillar);
+    
+    // Add top glow disc (most visible from top-down)
+    const discGeo = new THREE.CircleGeometry(0.5, 32);
+    const discMat = new THREE.MeshStandardMaterial({
+        color: glowColor,
+        emissive: glowColor,
+        emissiveIntensity: intensity * 1.5,
+        transparent: true,
+        opacity: 0.6,
+        side: THREE.DoubleSide
+    });
+    const topDisc = new THREE.Mesh(discGeo, discMat);
+    topDisc.rotation.x = -Math.PI / 2;
+    topDisc.position.y = 1.2;
+    group.add(topDisc);
+    
+    const bottomDisc = new THREE.Mesh(discGeo, discMat);
+    bottomDisc.rotation.x = -Math.PI / 2;
+    bottomDisc.position.y = -0.2;
+    group.add(bottomDisc);
+    
+    // Store animation data
+    group.userData.rainbow = rainbow;
+    group.userData.pulse = pulse;
+    group.userData.baseIntensity = intensity;
+    group.userData.time = 0;
+    
+    playerMesh.add(group);
+}
+
+/**
+ * Animates body glow effects (rainbow, pulse, rotation)
+ */
+function updateBodyGlowAnimation() {
+    if (!playerMesh) return;
+    
+    const bodyGlow = playerMesh.getObjectByName('bodyGlow');
+    if (!bodyGlow) return;
+    
+    bodyGlow.userData.time = (bodyGlow.userData.time || 0) + 0.02;
+    const time = bodyGlow.userData.time;
+    
+    // Animate all children
+    bodyGlow.children.forEach((child, index) => {
+        if (!child.material) return;
+        
+        // Rainbow effect
+        if (bodyGlow.userData.rainbow) {
+            const hue = (time * 0.5 + index * 0.1) % 1;
+            const color = new THREE.Color().setHSL(hue, 1, 0.5);
+            child.material.color.copy(color);
+            child.material.emissive.copy(color);
+        }
+        
+        // Pulse effect
+        if (bodyGlow.userData.pulse) {
+            const pulse = 0.5 + Math.sin(time * 2) * 0.5;
+            child.material.emissiveIntensity = bodyGlow.userData.baseIntensity * (0.5 + pulse);
+            if (child.material.opacity) {
+                child.material.opacity = 0.3 + pulse * 0.4;
+            }
+        }
+        
+        // Rotate rings
+        if (child.geometry.type === 'TorusGeometry' && child.userData.ringIndex !== undefined) {
+            child.rotation.z = time * (0.5 + child.userData.ringIndex * 0.2);
+            // Float up and down
+            child.position.y = child.userData.baseY + Math.sin(time + child.userData.ringIndex) * 0.05;
+        }
+    });
+}
+
+function createFlashlight() {
+    // Create SpotLight for flashlight effect - brighter for dark environment
+    flashlight = new THREE.SpotLight(0xffffdd, 8, 25, Math.PI / 4.5, 0.3, 1); // Much brighter and wider cone
+    flashlight.position.set(0, 0.5, 0);
+    flashlight.target.position.set(0, 0, 5);
+    flashlight.castShadow = false; // Disable shadows for better performance
+    
+    // Start with flashlight OFF
+    flashlight.visible = false;
+    
+    playerMesh.add(flashlight);
+    playerMesh.add(flashlight.target);
+    
+    console.log('Flashlight created and attached to player');
+}
+
+function toggleFlashlight() {
+    flashlightOn = !flashlightOn;
+    if (flashlight) {
+        flashlight.visible = flashlightOn;
+        console.log('Flashlight toggled:', flashlightOn ? 'ON' : 'OFF');
+    } else {
+        console.error('Flashlight not initialized!');
+    }
+    // playFlashlightSound(); // DISABLED
+    updateFlashlightDisplay();
+}
+
+function createKnife(knifeStyle = 'standard', knifeColor = 0xe8e8e8, knifeGlow = 0x666666) {
+    // Remove existing knife if any
+    if (knifeObject) {
+        playerMesh.remove(knifeObject);
+        knifeObject = null;
+    }
+    
+    const knifeGroup = new THREE.Group();
+    
+    // Different knife designs based on avatar
+    switch(knifeStyle) {
+        case 'combat': // Military combat knife
+            createCombatKnife(knifeGroup, knifeColor, knifeGlow);
+            break;
+        case 'butterfly': // Butterfly knife
+            createButterflyKnife(knifeGroup, knifeColor, knifeGlow);
+            break;
+        case 'baton': // Police baton
+            createPoliceBaton(knifeGroup, knifeColor, knifeGlow);
+            break;
+        case 'stealth': // Silent assassin blade
+            createStealthBlade(knifeGroup, knifeColor, knifeGlow);
+            break;
+        case 'scalpel': // Medical scalpel
+            createScalpel(knifeGroup, knifeColor, knifeGlow);
+            break;
+        case 'plasma': // Plasma cutter
+            createPlasmaCutter(knifeGroup, knifeColor, knifeGlow);
+            break;
+        case 'batarang': // Batarang blade
+            createBatarang(knifeGroup, knifeColor, knifeGlow);
+            break;
+        case 'energy': // Energy sword
+            createEnergySword(knifeGroup, knifeColor, knifeGlow);
+            break;
+        case 'revolver': // Detective revolver
+            createRevolver(knifeGroup, knifeColor, knifeGlow);
+            break;
+        case 'katana': // Katana sword
+            createKatana(knifeGroup, knifeColor, knifeGlow);
+            break;
+        case 'cleaver': // Meat cleaver
+            createCleaver(knifeGroup, knifeColor, knifeGlow);
+            break;
+        case 'karambit': // Karambit blade
+            createKarambit(knifeGroup, knifeColor, knifeGlow);
+            break;
+        case 'lightsaber': // Lightsaber
+            createLightsaber(knifeGroup, knifeColor, knifeGlow);
+            break;
+        default: // Standard butcher knife
+            createStandardKnife(knifeGroup, knifeColor, knifeGlow);
+            break;
+    }
+    
+    // Position knife BEHIND player
+    knifeGroup.position.set(0.25, 0.3, -0.4);
+    knifeGroup.rotation.z = -Math.PI / 8;
+    knifeGroup.rotation.x = Math.PI / 6;
+    knifeGroup.rotation.y = Math.PI / 8;
+    
+    // Store original position for animation
+    knifeGroup.userData.originalPosition = knifeGroup.position.clone();
+    knifeGroup.userData.originalRotation = knifeGroup.rotation.clone();
+    knifeGroup.userData.isSwinging = false;
+    
+    playerMesh.add(knifeGroup);
+    knifeObject = knifeGroup;
+}
+
+// Standard butcher knife
+function createStandardKnife(knifeGroup, color, glow) {
+    const bladeGeometry = new THREE.BoxGeometry(0.12, 0.9, 0.025);
+    const bladeMaterial = new THREE.MeshStandardMaterial({
+        color: color,
+        metalness: 0.95,
+        roughness: 0.05,
+        emissive: glow,
+        emissiveIntensity: 0.2
+    });
+    const blade = new THREE.Mesh(bladeGeometry, bladeMaterial);
+    blade.position.y = 0.45;
+    blade.castShadow = true;
+    knifeGroup.add(blade);
+    
+    // Serrations
+    for (let i = 0; i < 5; i++) {
+        const serrGeometry = new THREE.BoxGeometry(0.13, 0.04, 0.01);
+        const serr = new THREE.Mesh(serrGeometry, bladeMaterial);
+        serr.position.y = 0.2 + (i * 0.15);
+        serr.position.z = 0.02;
+        knifeGroup.add(serr);
+    }
+    
+    // Tip
+    const tipGeometry = new THREE.ConeGeometry(0.06, 0.18, 4);
+    const tip = new THREE.Mesh(tipGeometry, bladeMaterial);
+    tip.position.y = 0.99;
+    tip.rotation.z = Math.PI / 4;
+    knifeGroup.add(tip);
+    
+    // Handle
+    const handleGeometry = new THREE.CylinderGeometry(0.055, 0.075, 0.45, 12);
+    const handleMaterial = new THREE.MeshStandardMaterial({
+        color: 0x3d1f0f,
+        roughness: 0.7,
+        emissive: 0x1a0a00,
+        emissiveIntensity: 0.1
+    });
+    const handle = new THREE.Mesh(handleGeometry, handleMaterial);
+    handle.position.y = -0.22;
+    knifeGroup.add(handle);
+    
+    // Guard
+    const guardGeometry = new THREE.BoxGeometry(0.25, 0.06, 0.1);
+    const guardMaterial = new THREE.MeshStandardMaterial({
+        color: 0x4a4a4a,
+        metalness: 0.9,
+        roughness: 0.2
+    });
+    const guard = new THREE.Mesh(guardGeometry, guardMaterial);
+    guard.position.y = 0;
+    knifeGroup.add(guard);
+}
+
+// Combat military knife
+function createCombatKnife(knifeGroup, color, glow) {
+    const bladeGeometry = new THREE.BoxGeometry(0.1, 0.95, 0.03);
+    const bladeMaterial = new THREE.MeshStandardMaterial({
+        color: color,
+        metalness: 0.98,
+        roughness: 0.02,
+        emissive: glow,
+        emissiveIntensity: 0.4
+    });
+    const blade = new THREE.Mesh(bladeGeometry, bladeMaterial);
+    blade.position.y = 0.48;
+    knifeGroup.add(blade);
+    
+    // Tactical serrated edge
+    for (let i = 0; i < 8; i++) {
+        const serrGeometry = new THREE.BoxGeometry(0.11, 0.02, 0.01);
+        const serr = new THREE.Mesh(serrGeometry, bladeMaterial);
+        serr.position.y = 0.1 + (i * 0.1);
+        serr.position.z = 0.02;
+        knifeGroup.add(serr);
+    }
+    
+    // Handle with tactical grip
+    const handleGeometry = new THREE.CylinderGeometry(0.06, 0.06, 0.4, 8);
+    const handleMaterial = new THREE.MeshStandardMaterial({
+        color: 0x2F4F2F, // Olive green
+        roughness: 0.8
+    });
+    const handle = new THREE.Mesh(handleGeometry, handleMaterial);
+    handle.position.y = -0.2;
+    knifeGroup.add(handle);
+    
+    // Pommel with compass
+    const pommelGeometry = new THREE.CylinderGeometry(0.08, 0.08, 0.05, 12);
+    const pommelMaterial = new THREE.MeshStandardMaterial({
+        color: glow,
+        emissive: glow,
+        emissiveIntensity: 0.6,
+        metalness: 0.9
+    });
+    const pommel = new THREE.Mesh(pommelGeometry, pommelMaterial);
+    pommel.position.y = -0.45;
+    knifeGroup.add(pommel);
+}
+
+// Butterfly knife - Dual blade design
+function createButterflyKnife(knifeGroup, color, glow) {
+    // Main blade
+    const bladeGeometry = new THREE.BoxGeometry(0.06, 0.55, 0.02);
+    const bladeMaterial = new THREE.MeshStandardMaterial({
+        color: color,
+        metalness: 0.98,
+        roughness: 0.02,
+        emissive: glow,
+        emissiveIntensity: 0.6
+    });
+    const blade = new THREE.Mesh(bladeGeometry, bladeMaterial);
+    blade.position.y = 0.35;
+    knifeGroup.add(blade);
+    
+    // Blade edge glow
+    const edgeGeometry = new THREE.BoxGeometry(0.065, 0.55, 0.008);
+    const edgeMaterial = new THREE.MeshStandardMaterial({
+        color: glow,
+        emissive: glow,
+        emissiveIntensity: 1.2,
+        transparent: true,
+        opacity: 0.6
+    });
+    const edge = new THREE.Mesh(edgeGeometry, edgeMaterial);
+    edge.position.set(0, 0.35, 0.015);
+    knifeGroup.add(edge);
+    
+    // Sharp tip
+    const tipGeometry = new THREE.ConeGeometry(0.03, 0.12, 4);
+    const tip = new THREE.Mesh(tipGeometry, bladeMaterial);
+    tip.position.y = 0.68;
+    tip.rotation.z = Math.PI / 4;
+    knifeGroup.add(tip);
+    
+    // Handle pivot point
+    const pivotGeometry = new THREE.CylinderGeometry(0.025, 0.025, 0.08, 12);
+    const pivotMaterial = new THREE.MeshStandardMaterial({
+        color: 0x888888,
+        metalness: 0.95,
+        roughness: 0.1
+    });
+    const pivot = new THREE.Mesh(pivotGeometry, pivotMaterial);
+    pivot.position.y = 0.05;
+    pivot.rotation.x = Math.PI / 2;
+    knifeGroup.add(pivot);
+    
+    // Left handle (opened position)
+    const leftHandleGeometry = new THREE.BoxGeometry(0.04, 0.5, 0.12);
+    const handleMaterial = new THREE.MeshStandardMaterial({
+        color: color,
+        metalness: 0.9,
+        roughness: 0.2,
+        emissive: glow,
+        emissiveIntensity: 0.3
+    });
+    const leftHandle = new THREE.Mesh(leftHandleGeometry, handleMaterial);
+    leftHandle.position.set(-0.06, -0.2, 0);
+    knifeGroup.add(leftHandle);
+    
+    // Right handle (opened position)
+    const rightHandle = new THREE.Mesh(leftHandleGeometry, handleMaterial);
+    rightHandle.position.set(0.06, -0.2, 0);
+    knifeGroup.add(rightHandle);
+    
+    // Handle holes/cutouts for style
+    for (let i = 0; i < 2; i++) {
+        const holeGeometry = new THREE.TorusGeometry(0.03, 0.008, 8, 12);
+        const holeMaterial = new THREE.MeshStandardMaterial({
+            color: glow,
+            emissive: glow,
+            emissiveIntensity: 1.0
+        });
         
-        // Fade out and scale
-        particle.material.opacity = particle.userData.life * 0.8;
-        const scale = particle.userData.life * particle.userData.baseScale;
-        particle.scale.setScalar(scale);
+        const leftHole = new THREE.Mesh(holeGeometry, holeMaterial);
+        leftHole.position.set(-0.06, -0.25 + i * 0.15, 0);
+        leftHole.rotation.y = Math.PI / 2;
+        knifeGroup.add(leftHole);
         
-        // Remove dead particles
-        if (particle.userData.life <= 0) {
-            scene.remove(particle);
-            trailParticles.splice(i, 1);
-        }
+        const rightHole = new THREE.Mesh(holeGeometry, holeMaterial);
+        rightHole.position.set(0.06, -0.25 + i * 0.15, 0);
+        rightHole.rotation.y = Math.PI / 2;
+        knifeGroup.add(rightHole);
     }
     
-    // Limit max particles for performance
-    while (trailParticles.length > 60) {
-        const oldest = trailParticles.shift();
-        scene.remove(oldest);
-    }
+    // Tang connecting handles to blade
+    const tangGeometry = new THREE.BoxGeometry(0.02, 0.15, 0.02);
+    const tang = new THREE.Mesh(tangGeometry, pivotMaterial);
+    tang.position.y = 0.125;
+    knifeGroup.add(tang);
+    
+    // Latch/lock mechanism
+    const latchGeometry = new THREE.BoxGeometry(0.08, 0.02, 0.015);
+    const latchMaterial = new THREE.MeshStandardMaterial({
+        color: 0xFFD700,
+        metalness: 1.0,
+        emissive: glow,
+        emissiveIntensity: 0.5
+    });
+    const latch = new THREE.Mesh(latchGeometry, latchMaterial);
+    latch.position.y = -0.45;
+    knifeGroup.add(latch);
 }
 
-/**
- * Removes player body glow/aura
- */
-function removeBodyGlow() {
-    if (!playerMesh) return;
-    const bodyGlow = playerMesh.getObjectByName('bodyGlow');
-    if (bodyGlow) {
-        playerMesh.remove(bodyGlow);
-    }
-}
 
-/**
- * Adds glowing aura around player body (highly visible from top-down)
- * @param {number} glowColor - Hex color for the glow
- * @param {number} intensity - Glow intensity (0-2)
- * @param {boolean} rainbow - Whether to use rainbow effect
- * @param {boolean} pulse - Whether to pulse the glow
- */
-function addBodyGlow(glowColor, intensity = 0.5, rainbow = false, pulse = false) {
-    if (!playerMesh) return;
-    
-    const group = new THREE.Group();
-    group.name = 'bodyGlow';
+// Police baton
+function createPoliceBaton(knifeGroup, color, glow) {
+    const batonGeometry = new THREE.CylinderGeometry(0.05, 0.06, 1.0, 12);
+    const batonMaterial = new THREE.MeshStandardMaterial({
+        color: color,
+        metalness: 0.7,
+        roughness: 0.3,
+        emissive: glow,
+        emissiveIntensity: 0.3
+    });
+    const baton = new THREE.Mesh(batonGeometry, batonMaterial);
+    baton.position.y = 0.3;
+    knifeGroup.add(baton);
     
-    // Create multiple glowing rings around the player for maximum visibility
-    const ringCount = 3;
-    for (let i = 0; i < ringCount; i++) {
-        const radius = 0.4 + i * 0.15;
-        const ringGeo = new THREE.TorusGeometry(radius, 0.05 + i * 0.02, 8, 32);
-        const ringMat = new THREE.MeshStandardMaterial({
-            color: glowColor,
-            emissive: glowColor,
-            emissiveIntensity: intensity - i * 0.3,
-            transparent: true,
-            opacity: 0.7 - i * 0.15,
-            side: THREE.DoubleSide
+    // LED strips
+    for (let i = 0; i < 3; i++) {
+        const ledGeometry = new THREE.TorusGeometry(0.07, 0.01, 8, 12);
+        const ledMaterial = new THREE.MeshStandardMaterial({
+            color: glow,
+            emissive: glow,
+            emissiveIntensity: 0.9,
+            metalness: 1.0
         });
-        const ring = new THREE.Mesh(ringGeo, ringMat);
-        ring.rotation.x = Math.PI / 2; // Lay flat for top-down visibility
-        ring.position.y = 0.1 + i * 0.1;
-        group.add(ring);
-        
-        // Store for animation
-        ring.userData.baseY = ring.position.y;
-        ring.userData.ringIndex = i;
+        const led = new THREE.Mesh(ledGeometry, ledMaterial);
+        led.position.y = 0.2 + (i * 0.2);
+        led.rotation.x = Math.PI / 2;
+        knifeGroup.add(led);
     }
     
-    // Add vertical glow pillars for side visibility
-    const pillarGeo = new THREE.CylinderGeometry(0.4, 0.4, 1.5, 16, 1, true);
-    const pillarMat = new THREE.MeshStandardMaterial({
-        color: glowColor,
-        emissive: glowColor,
-        emissiveIntensity: intensity * 0.6,
-        transparent: true,
-        opacity: 0.3,
-        side: THREE.DoubleSide
-    });
-    const pillar = new THREE.Mesh(pillarGeo, pillarMat);
-    pillar.position.y = 0.5;
-    group.add(pillar);
-    
-    // Add top glow disc (most visible from top-down)
-    const discGeo = new THREE.CircleGeometry(0.5, 32);
-    const discMat = new THREE.MeshStandardMaterial({
-        color: glowColor,
-        emissive: glowColor,
-        emissiveIntensity: intensity * 1.5,
-        transparent: true,
-        opacity: 0.6,
-        side: THREE.DoubleSide
+    // Handle grip
+    const handleGeometry = new THREE.CylinderGeometry(0.07, 0.07, 0.25, 12);
+    const handleMaterial = new THREE.MeshStandardMaterial({
+        color: 0x000000,
+        roughness: 0.9
     });
-    const topDisc = new THREE.Mesh(discGeo, discMat);
-    topDisc.rotation.x = -Math.PI / 2;
-    topDisc.position.y = 1.2;
-    group.add(topDisc);
-    
-    const bottomDisc = new THREE.Mesh(discGeo, discMat);
-    bottomDisc.rotation.x = -Math.PI / 2;
-    bottomDisc.position.y = -0.2;
-    group.add(bottomDisc);
-    
-    // Store animation data
-    group.userData.rainbow = rainbow;
-    group.userData.pulse = pulse;
-    group.userData.baseIntensity = intensity;
-    group.userData.time = 0;
-    
-    playerMesh.add(group);
+    const handle = new THREE.Mesh(handleGeometry, handleMaterial);
+    handle.position.y = -0.3;
+    knifeGroup.add(handle);
 }
 
-/**
- * Animates body glow effects (rainbow, pulse, rotation)
- */
-function updateBodyGlowAnimation() {
-    if (!playerMesh) return;
-    
-    const bodyGlow = playerMesh.getObjectByName('bodyGlow');
-    if (!bodyGlow) return;
-    
-    bodyGlow.userData.time = (bodyGlow.userData.time || 0) + 0.02;
-    const time = bodyGlow.userData.time;
+// Stealth assassin blade
+function createStealthBlade(knifeGroup, color, glow) {
+    const bladeGeometry = new THREE.BoxGeometry(0.08, 1.1, 0.015);
+    const bladeMaterial = new THREE.MeshStandardMaterial({
+        color: color,
+        metalness: 0.99,
+        roughness: 0.01,
+        emissive: glow,
+        emissiveIntensity: 0.5
+    });
+    const blade = new THREE.Mesh(bladeGeometry, bladeMaterial);
+    blade.position.y = 0.55;
+    knifeGroup.add(blade);
     
-    // Animate all children
-    bodyGlow.children.forEach((child, index) => {
-        if (!child.material) return;
-        
-        // Rainbow effect
-        if (bodyGlow.userData.rainbow) {
-            const hue = (time * 0.5 + index * 0.1) % 1;
-            const color = new THREE.Color().setHSL(hue, 1, 0.5);
-            child.material.color.copy(color);
-            child.material.emissive.copy(color);
-        }
-        
-        // Pulse effect
-        if (bodyGlow.userData.pulse) {
-            const pulse = 0.5 + Math.sin(time * 2) * 0.5;
-            child.material.emissiveIntensity = bodyGlow.userData.baseIntensity * (0.5 + pulse);
-            if (child.material.opacity) {
-                child.material.opacity = 0.3 + pulse * 0.4;
-            }
-        }
-        
-        // Rotate rings
-        if (child.geometry.type === 'TorusGeometry' && child.userData.ringIndex !== undefined) {
-            child.rotation.z = time * (0.5 + child.userData.ringIndex * 0.2);
-            // Float up and down
-            child.position.y = child.userData.baseY + Math.sin(time + child.userData.ringIndex) * 0.05;
-        }
+    // Red glowing edge
+    const edgeGeometry = new THREE.BoxGeometry(0.09, 1.1, 0.005);
+    const edgeMaterial = new THREE.MeshStandardMaterial({
+        color: glow,
+        emissive: glow,
+        emissiveIntensity: 1.0,
+        transparent: true,
+        opacity: 0.7
+    });
+    const edge = new THREE.Mesh(edgeGeometry, edgeMaterial);
+    edge.position.y = 0.55;
+    edge.position.z = 0.01;
+    knifeGroup.add(edge);
+    
+    // Handle
+    const handleGeometry = new THREE.CylinderGeometry(0.05, 0.05, 0.35, 12);
+    const handleMaterial = new THREE.MeshStandardMaterial({
+        color: 0x000000,
+        roughness: 0.9
     });
+    const handle = new THREE.Mesh(handleGeometry, handleMaterial);
+    handle.position.y = -0.18;
+    knifeGroup.add(handle);
 }
 
-function createFlashlight() {
-    // Create SpotLight for flashlight effect - brighter for dark environment
-    flashlight = new THREE.SpotLight(0xffffdd, 8, 25, Math.PI / 4.5, 0.3, 1); // Much brighter and wider cone
-    flashlight.position.set(0, 0.5, 0);
-    flashlight.target.position.set(0, 0, 5);
-    flashlight.castShadow = false; // Disable shadows for better performance
-    
-    // Start with flashlight OFF
-    flashlight.visible = false;
+// Medical scalpel
+function createScalpel(knifeGroup, color, glow) {
+    const bladeGeometry = new THREE.BoxGeometry(0.05, 0.4, 0.01);
+    const bladeMaterial = new THREE.MeshStandardMaterial({
+        color: color,
+        metalness: 1.0,
+        roughness: 0.0,
+        emissive: glow,
+        emissiveIntensity: 0.6
+    });
+    const blade = new THREE.Mesh(bladeGeometry, bladeMaterial);
+    blade.position.y = 0.5;
+    knifeGroup.add(blade);
     
-    playerMesh.add(flashlight);
-    playerMesh.add(flashlight.target);
+    // Sterile glow
+    const glowGeometry = new THREE.BoxGeometry(0.06, 0.42, 0.03);
+    const glowMaterial = new THREE.MeshStandardMaterial({
+        color: glow,
+        emissive: glow,
+        emissiveIntensity: 0.8,
+        transparent: true,
+        opacity: 0.5
+    });
+    const glowMesh = new THREE.Mesh(glowGeometry, glowMaterial);
+    glowMesh.position.y = 0.5;
+    knifeGroup.add(glowMesh);
     
-    console.log('Flashlight created and attached to player');
+    // Medical handle
+    const handleGeometry = new THREE.CylinderGeometry(0.04, 0.04, 0.5, 12);
+    const handleMaterial = new THREE.MeshStandardMaterial({
+        color: 0xFFFFFF,
+        roughness: 0.5,
+        metalness: 0.3
+    });
+    const handle = new THREE.Mesh(handleGeometry, handleMaterial);
+    handle.position.y = 0;
+    knifeGroup.add(handle);
 }
 
-function toggleFlashlight() {
-    flashlightOn = !flashlightOn;
-    if (flashlight) {
-        flashlight.visible = flashlightOn;
-        console.log('Flashlight toggled:', flashlightOn ? 'ON' : 'OFF');
-    } else {
-        console.error('Flashlight not initialized!');
+// Plasma cutter
+function createPlasmaCutter(knifeGroup, color, glow) {
+    const handleGeometry = new THREE.CylinderGeometry(0.08, 0.08, 0.6, 12);
+    const handleMaterial = new THREE.MeshStandardMaterial({
+        color: 0xFF8C00, // Orange
+        roughness: 0.4,
+        metalness: 0.6
+    });
+    const handle = new THREE.Mesh(handleGeometry, handleMaterial);
+    handle.position.y = 0.1;
+    knifeGroup.add(handle);
+    
+    // Plasma blade
+    const plasmaGeometry = new THREE.BoxGeometry(0.1, 0.8, 0.05);
+    const plasmaMaterial = new THREE.MeshStandardMaterial({
+        color: color,
+        emissive: glow,
+        emissiveIntensity: 1.2,
+        transparent: true,
+        opacity: 0.8,
+        metalness: 1.0
+    });
+    const plasma = new THREE.Mesh(plasmaGeometry, plasmaMaterial);
+    plasma.position.y = 0.7;
+    knifeGroup.add(plasma);
+    
+    // Electric sparks
+    for (let i = 0; i < 4; i++) {
+        const sparkGeometry = new THREE.SphereGeometry(0.03, 8, 8);
+        const sparkMaterial = new THREE.MeshStandardMaterial({
+            color: 0xFFD700,
+            emissive: 0xFFD700,
+            emissiveIntensity: 1.5
+        });
+        const spark = new THREE.Mesh(sparkGeometry, sparkMaterial);
+        spark.position.y = 0.5 + Math.random() * 0.5;
+        spark.position.x = (Math.random() - 0.5) * 0.1;
+        knifeGroup.add(spark);
     }
-    // playFlashlightSound(); // DISABLED
-    updateFlashlightDisplay();
 }
 
-function createKnife(knifeStyle = 'standard', knifeColor = 0xe8e8e8, knifeGlow = 0x666666) {
-    // Remove existing knife if any
-    if (knifeObject) {
-        playerMesh.remove(knifeObject);
-        knifeObject = null;
-    }
+// Batarang blade - Dark knight throwing blade
+function createBatarang(knifeGroup, color, glow) {
+    // Main central body
+    const bodyGeometry = new THREE.BoxGeometry(0.35, 0.12, 0.03);
+    const bodyMaterial = new THREE.MeshStandardMaterial({
+        color: color,
+        metalness: 0.96,
+        roughness: 0.1,
+        emissive: glow,
+        emissiveIntensity: 0.5
+    });
+    const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+    body.position.y = 0.5;
+    knifeGroup.add(body);
     
-    const knifeGroup = new THREE.Group();
+    // Sharp edges glow
+    const edgeGeometry = new THREE.BoxGeometry(0.36, 0.13, 0.01);
+    const edgeMaterial = new THREE.MeshStandardMaterial({
+        color: glow,
+        emissive: glow,
+        emissiveIntensity: 1.2,
+        transparent: true,
+        opacity: 0.6
+    });
+    const edgeGlow = new THREE.Mesh(edgeGeometry, edgeMaterial);
+    edgeGlow.position.set(0, 0.5, 0.02);
+    knifeGroup.add(edgeGlow);
     
-    // Different knife designs based on avatar
-    switch(knifeStyle) {
-        case 'combat': // Military combat knife
-            createCombatKnife(knifeGroup, knifeColor, knifeGlow);
-            break;
-        case 'butterfly': // Butterfly knife
-            createButterflyKnife(knifeGroup, knifeColor, knifeGlow);
-            break;
-        case 'baton': // Police baton
-            createPoliceBaton(knifeGroup, knifeColor, knifeGlow);
-            break;
-        case 'stealth': // Silent assassin blade
-            createStealthBlade(knifeGroup, knifeColor, knifeGlow);
-            break;
-        case 'scalpel': // Medical scalpel
-            createScalpel(knifeGroup, knifeColor, knifeGlow);
-            break;
-        case 'plasma': // Plasma cutter
-            createPlasmaCutter(knifeGroup, knifeColor, knifeGlow);
-            break;
-        case 'batarang': // Batarang blade
-            createBatarang(knifeGroup, knifeColor, knifeGlow);
-            break;
-        case 'energy': // Energy sword
-            createEnergySword(knifeGroup, knifeColor, knifeGlow);
-            break;
-        case 'revolver': // Detective revolver
-            createRevolver(knifeGroup, knifeColor, knifeGlow);
-            break;
-        case 'katana': // Katana sword
-            createKatana(knifeGroup, knifeColor, knifeGlow);
-            break;
-        case 'cleaver': // Meat cleaver
-            createCleaver(knifeGroup, knifeColor, knifeGlow);
-            break;
-        case 'karambit': // Karambit blade
-            createKarambit(knifeGroup, knifeColor, knifeGlow);
-            break;
-        case 'lightsaber': // Lightsaber
-            createLightsaber(knifeGroup, knifeColor, knifeGlow);
-            break;
-        default: // Standard butcher knife
-            createStandardKnife(knifeGroup, knifeColor, knifeGlow);
-            break;
-    }
+    // Left wing blade
+    const leftWingGeometry = new THREE.ConeGeometry(0.14, 0.25, 3);
+    const leftWing = new THREE.Mesh(leftWingGeometry, bodyMaterial);
+    leftWing.position.set(-0.18, 0.52, 0);
+    leftWing.rotation.z = -Math.PI / 2.5;
+    knifeGroup.add(leftWing);
     
-    // Position knife BEHIND player
-    knifeGroup.position.set(0.25, 0.3, -0.4);
-    knifeGroup.rotation.z = -Math.PI / 8;
-    knifeGroup.rotation.x = Math.PI / 6;
-    knifeGroup.rotation.y = Math.PI / 8;
+    // Left wing glow
+    const leftWingGlow = new THREE.Mesh(
+        new THREE.ConeGeometry(0.15, 0.26, 3),
+        edgeMaterial
+    );
+    leftWingGlow.position.set(-0.18, 0.52, 0.015);
+    leftWingGlow.rotation.z = -Math.PI / 2.5;
+    knifeGroup.add(leftWingGlow);
     
-    // Store original position for animation
-    knifeGroup.userData.originalPosition = knifeGroup.position.clone();
-    knifeGroup.userData.originalRotation = knifeGroup.rotation.clone();
-    knifeGroup.userData.isSwinging = false;
+    // Right wing blade
+    const rightWing = new THREE.Mesh(leftWingGeometry, bodyMaterial);
+    rightWing.position.set(0.18, 0.52, 0);
+    rightWing.rotation.z = Math.PI / 2.5;
+    knifeGroup.add(rightWing);
     
-    playerMesh.add(knifeGroup);
-    knifeObject = knifeGroup;
+    // Right wing glow
+    const rightWingGlow = new THREE.Mesh(
+        new THREE.ConeGeometry(0.15, 0.26, 3),
+        edgeMaterial
+    );
+    rightWingGlow.position.set(0.18, 0.52, 0.015);
+    rightWingGlow.rotation.z = Math.PI / 2.5;
+    knifeGroup.add(rightWingGlow);
+    
+    // Center spike
+    const spikeGeometry = new THREE.ConeGeometry(0.04, 0.15, 4);
+    const spike = new THREE.Mesh(spikeGeometry, bodyMaterial);
+    spike.position.y = 0.625;
+    spike.rotation.z = Math.PI / 4;
+    knifeGroup.add(spike);
+    
+    // Bat symbol cutout (center circle)
+    const centerHoleGeometry = new THREE.TorusGeometry(0.06, 0.01, 8, 16);
+    const centerHoleMaterial = new THREE.MeshStandardMaterial({
+        color: glow,
+        emissive: glow,
+        emissiveIntensity: 1.5
+    });
+    const centerHole = new THREE.Mesh(centerHoleGeometry, centerHoleMaterial);
+    centerHole.position.y = 0.5;
+    knifeGroup.add(centerHole);
+    
+    // Grip handle
+    const gripGeometry = new THREE.CylinderGeometry(0.04, 0.04, 0.15, 12);
+    const gripMaterial = new THREE.MeshStandardMaterial({
+        color: 0x1C1C1C,
+        roughness: 0.9
+    });
+    const grip = new THREE.Mesh(gripGeometry, gripMaterial);
+    grip.position.y = 0.38;
+    knifeGroup.add(grip);
+    
+    // Decorative notches on wings
+    for (let side = -1; side <= 1; side += 2) {
+        for (let i = 0; i < 3; i++) {
+            const notchGeometry = new THREE.BoxGeometry(0.02, 0.05, 0.02);
+            const notch = new THREE.Mesh(notchGeometry, bodyMaterial);
+            notch.position.set(side * (0.05 + i * 0.05), 0.5 + i * 0.03, 0);
+            notch.rotation.z = side * Math.PI / 6;
+            knifeGroup.add(notch);
+        }
+    }
 }
 
-// Standard butcher knife
-function createStandardKnife(knifeGroup, color, glow) {
-    const bladeGeometry = new THREE.BoxGeometry(0.12, 0.9, 0.025);
-    const bladeMaterial = new THREE.MeshStandardMaterial({
-        color: color,
-        metalness: 0.95,
-        roughness: 0.05,
+// Energy sword - High-tech plasma blade
+function createEnergySword(knifeGroup, color, glow) {
+    // Handle base
+    const handleGeometry = new THREE.CylinderGeometry(0.065, 0.085, 0.45, 16);
+    const handleMaterial = new THREE.MeshStandardMaterial({
+        color: 0x2C2C2C,
+        roughness: 0.3,
+        metalness: 0.85,
         emissive: glow,
         emissiveIntensity: 0.2
     });
-    const blade = new THREE.Mesh(bladeGeometry, bladeMaterial);
-    blade.position.y = 0.45;
-    blade.castShadow = true;
-    knifeGroup.add(blade);
+    const handle = new THREE.Mesh(handleGeometry, handleMaterial);
+    handle.position.y = -0.12;
+    knifeGroup.add(handle);
     
-    // Serrations
+    // Power core rings on handle
     for (let i = 0; i < 5; i++) {
-        const serrGeometry = new THREE.BoxGeometry(0.13, 0.04, 0.01);
-        const serr = new THREE.Mesh(serrGeometry, bladeMaterial);
-        serr.position.y = 0.2 + (i * 0.15);
-        serr.position.z = 0.02;
-        knifeGroup.add(serr);
+        const ringGeometry = new THREE.TorusGeometry(0.07, 0.008, 8, 16);
+        const ringMaterial = new THREE.MeshStandardMaterial({
+            color: glow,
+            emissive: glow,
+            emissiveIntensity: 1.2 - i * 0.1,
+            metalness: 1.0
+        });
+        const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+        ring.position.y = -0.05 - i * 0.07;
+        ring.rotation.x = Math.PI / 2;
+        knifeGroup.add(ring);
     }
     
-    // Tip
-    const tipGeometry = new THREE.ConeGeometry(0.06, 0.18, 4);
-    const tip = new THREE.Mesh(tipGeometry, bladeMaterial);
-    tip.position.y = 0.99;
-    tip.rotation.z = Math.PI / 4;
-    knifeGroup.add(tip);
-    
-    // Handle
-    const handleGeometry = new THREE.CylinderGeometry(0.055, 0.075, 0.45, 12);
-    const handleMaterial = new THREE.MeshStandardMaterial({
-        color: 0x3d1f0f,
-        roughness: 0.7,
-        emissive: 0x1a0a00,
-        emissiveIntensity: 0.1
-    });
-    const handle = new THREE.Mesh(handleGeometry, handleMaterial);
-    handle.position.y = -0.22;
-    knifeGroup.add(handle);
-    
-    // Guard
-    const guardGeometry = new THREE.BoxGeometry(0.25, 0.06, 0.1);
+    // Guard/emitter
+    const guardGeometry = new THREE.CylinderGeometry(0.09, 0.07, 0.08, 6);
     const guardMaterial = new THREE.MeshStandardMaterial({
-        color: 0x4a4a4a,
-        metalness: 0.9,
-        roughness: 0.2
+        color: 0x444444,
+        metalness: 0.95,
+        roughness: 0.1
     });
     const guard = new THREE.Mesh(guardGeometry, guardMaterial);
-    guard.position.y = 0;
+    guard.position.y = 0.14;
     knifeGroup.add(guard);
-}
-
-// Combat military knife
-function createCombatKnife(knifeGroup, color, glow) {
-    const bladeGeometry = new THREE.BoxGeometry(0.1, 0.95, 0.03);
-    const bladeMaterial = new THREE.MeshStandardMaterial({
-        color: color,
-        metalness: 0.98,
-        roughness: 0.02,
-        emissive: glow,
-        emissiveIntensity: 0.4
-    });
-    const blade = new THREE.Mesh(bladeGeometry, bladeMaterial);
-    blade.position.y = 0.48;
-    knifeGroup.add(blade);
-    
-    // Tactical serrated edge
-    for (let i = 0; i < 8; i++) {
-        const serrGeometry = new THREE.BoxGeometry(0.11, 0.02, 0.01);
-        const serr = new THREE.Mesh(serrGeometry, bladeMaterial);
-        serr.position.y = 0.1 + (i * 0.1);
-        serr.position.z = 0.02;
-        knifeGroup.add(serr);
-    }
     
-    // Handle with tactical grip
-    const handleGeometry = new THREE.CylinderGeometry(0.06, 0.06, 0.4, 8);
-    const handleMaterial = new THREE.MeshStandardMaterial({
-        color: 0x2F4F2F, // Olive green
-        roughness: 0.8
+    // Energy blade core - white hot center
+    const coreGeometry = new THREE.BoxGeometry(0.09, 1.25, 0.045);
+    const coreMaterial = new THREE.MeshStandardMaterial({
+        color: 0xFFFFFF,
+        emissive: 0xFFFFFF,
+        emissiveIntensity: 2.5,
+        transparent: true,
+        opacity: 0.9
     });
-    const handle = new THREE.Mesh(handleGeometry, handleMaterial);
-    handle.position.y = -0.2;
-    knifeGroup.add(handle);
+    const core = new THREE.Mesh(coreGeometry, coreMaterial);
+    core.position.y = 0.78;
+    knifeGroup.add(core);
     
-    // Pommel with compass
-    const pommelGeometry = new THREE.CylinderGeometry(0.08, 0.08, 0.05, 12);
-    const pommelMaterial = new THREE.MeshStandardMaterial({
-        color: glow,
-        emissive: glow,
-        emissiveIntensity: 0.6,
-        metalness: 0.9
-    });
-    const pommel = new THREE.Mesh(pommelGeometry, pommelMaterial);
-    pommel.position.y = -0.45;
-    knifeGroup.add(pommel);
-}
-
-// Butterfly knife - Dual blade design
-function createButterflyKnife(knifeGroup, color, glow) {
-    // Main blade
-    const bladeGeometry = new THREE.BoxGeometry(0.06, 0.55, 0.02);
+    // Main energy blade
+    const bladeGeometry = new THREE.BoxGeometry(0.12, 1.25, 0.07);
     const bladeMaterial = new THREE.MeshStandardMaterial({
         color: color,
-        metalness: 0.98,
-        roughness: 0.02,
         emissive: glow,
-        emissiveIntensity: 0.6
+        emissiveIntensity: 2.0,
+        transparent: true,
+        opacity: 0.85,
+        metalness: 0.9,
+        roughness: 0.0
     });
     const blade = new THREE.Mesh(bladeGeometry, bladeMaterial);
-    blade.position.y = 0.35;
+    blade.position.y = 0.78;
     knifeGroup.add(blade);
     
-    // Blade edge glow
-    const edgeGeometry = new THREE.BoxGeometry(0.065, 0.55, 0.008);
-    const edgeMaterial = new THREE.MeshStandardMaterial({
+    // Outer energy glow
+    const glowGeometry = new THREE.BoxGeometry(0.15, 1.25, 0.09);
+    const glowMaterial = new THREE.MeshStandardMaterial({
         color: glow,
         emissive: glow,
-        emissiveIntensity: 1.2,
+        emissiveIntensity: 1.5,
         transparent: true,
-        opacity: 0.6
-    });
-    const edge = new THREE.Mesh(edgeGeometry, edgeMaterial);
-    edge.position.set(0, 0.35, 0.015);
-    knifeGroup.add(edge);
-    
-    // Sharp tip
-    const tipGeometry = new THREE.ConeGeometry(0.03, 0.12, 4);
-    const tip = new THREE.Mesh(tipGeometry, bladeMaterial);
-    tip.position.y = 0.68;
-    tip.rotation.z = Math.PI / 4;
-    knifeGroup.add(tip);
-    
-    // Handle pivot point
-    const pivotGeometry = new THREE.CylinderGeometry(0.025, 0.025, 0.08, 12);
-    const pivotMaterial = new THREE.MeshStandardMaterial({
-        color: 0x888888,
-        metalness: 0.95,
-        roughness: 0.1
-    });
-    const pivot = new THREE.Mesh(pivotGeometry, pivotMaterial);
-    pivot.position.y = 0.05;
-    pivot.rotation.x = Math.PI / 2;
-    knifeGroup.add(pivot);
-    
-    // Left handle (opened position)
-    const leftHandleGeometry = new THREE.BoxGeometry(0.04, 0.5, 0.12);
-    const handleMaterial = new THREE.MeshStandardMaterial({
-        color: color,
-        metalness: 0.9,
-        roughness: 0.2,
-        emissive: glow,
-        emissiveIntensity: 0.3
+        opacity: 0.5
     });
-    const leftHandle = new THREE.Mesh(leftHandleGeometry, handleMaterial);
-    leftHandle.position.set(-0.06, -0.2, 0);
-    knifeGroup.add(leftHandle);
-    
-    // Right handle (opened position)
-    const rightHandle = new THREE.Mesh(leftHandleGeometry, handleMaterial);
-    rightHandle.position.set(0.06, -0.2, 0);
-    knifeGroup.add(rightHandle);
+    const glowBlade = new THREE.Mesh(glowGeometry, glowMaterial);
+    glowBlade.position.y = 0.78;
+    knifeGroup.add(glowBlade);
     
-    // Handle holes/cutouts for style
-    for (let i = 0; i < 2; i++) {
-        const holeGeometry = new THREE.TorusGeometry(0.03, 0.008, 8, 12);
-        const holeMaterial = new THREE.MeshStandardMaterial({
+    // Energy particles along blade
+    for (let i = 0; i < 8; i++) {
+        const particleGeometry = new THREE.SphereGeometry(0.02, 8, 8);
+        const particleMaterial = new THREE.MeshStandardMaterial({
             color: glow,
             emissive: glow,
-            emissiveIntensity: 1.0
+            emissiveIntensity: 2.0,
+            transparent: true,
+            opacity: 0.7
         });
-        
-        const leftHole = new THREE.Mesh(holeGeometry, holeMaterial);
-        leftHole.position.set(-0.06, -0.25 + i * 0.15, 0);
-        leftHole.rotation.y = Math.PI / 2;
-        knifeGroup.add(leftHole);
-        
-        const rightHole = new THREE.Mesh(holeGeometry, holeMaterial);
-        rightHole.position.set(0.06, -0.25 + i * 0.15, 0);
-        rightHole.rotation.y = Math.PI / 2;
-        knifeGroup.add(rightHole);
+        const particle = new THREE.Mesh(particleGeometry, particleMaterial);
+        particle.position.set(
+            (Math.random() - 0.5) * 0.08,
+            0.25 + i * 0.15,
+            (Math.random() - 0.5) * 0.05
+        );
+        knifeGroup.add(particle);
     }
     
-    // Tang connecting handles to blade
-    const tangGeometry = new THREE.BoxGeometry(0.02, 0.15, 0.02);
-    const tang = new THREE.Mesh(tangGeometry, pivotMaterial);
-    tang.position.y = 0.125;
-    knifeGroup.add(tang);
+    // Blade tip point
+    const tipGeometry = new THREE.ConeGeometry(0.06, 0.18, 4);
+    const tip = new THREE.Mesh(tipGeometry, bladeMaterial);
+    tip.position.y = 1.5;
+    tip.rotation.z = Math.PI / 4;
+    knifeGroup.add(tip);
     
-    // Latch/lock mechanism
-    const latchGeometry = new THREE.BoxGeometry(0.08, 0.02, 0.015);
-    const latchMaterial = new THREE.MeshStandardMaterial({
-        color: 0xFFD700,
-        metalness: 1.0,
+    // Pommel power cell
+    const pommelGeometry = new THREE.SphereGeometry(0.05, 12, 12);
+    const pommelMaterial = new THREE.MeshStandardMaterial({
+        color: glow,
         emissive: glow,
-        emissiveIntensity: 0.5
+        emissiveIntensity: 1.5,
+        transparent: true,
+        opacity: 0.8,
+        metalness: 0.9
     });
-    const latch = new THREE.Mesh(latchGeometry, latchMaterial);
-    latch.position.y = -0.45;
-    knifeGroup.add(latch);
+    const pommel = new THREE.Mesh(pommelGeometry, pommelMaterial);
+    pommel.position.y = -0.38;
+    knifeGroup.add(pommel);
 }
 
-
-// Police baton
-function createPoliceBaton(knifeGroup, color, glow) {
-    const batonGeometry = new THREE.CylinderGeometry(0.05, 0.06, 1.0, 12);
-    const batonMaterial = new THREE.MeshStandardMaterial({
+// Detective revolver
+function createRevolver(knifeGroup, color, glow) {
+    // Barrel
+    const barrelGeometry = new THREE.CylinderGeometry(0.04, 0.04, 0.5, 12);
+    const gunMaterial = new THREE.MeshStandardMaterial({
         color: color,
-        metalness: 0.7,
-        roughness: 0.3,
+        metalness: 0.9,
+        roughness: 0.2,
         emissive: glow,
-        emissiveIntensity: 0.3
+        emissiveIntensity: 0.2
     });
-    const baton = new THREE.Mesh(batonGeometry, batonMaterial);
-    baton.position.y = 0.3;
-    knifeGroup.add(baton);
+    const barrel = new THREE.Mesh(barrelGeometry, gunMaterial);
+    barrel.position.y = 0.35;
+    barrel.rotation.x = Math.PI / 2;
+    knifeGroup.add(barrel);
     
-    // LED strips
-    for (let i = 0; i < 3; i++) {
-        const ledGeometry = new THREE.TorusGeometry(0.07, 0.01, 8, 12);
-        const ledMaterial = new THREE.MeshStandardMaterial({
-            color: glow,
-            emissive: glow,
-            emissiveIntensity: 0.9,
-            metalness: 1.0
-        });
-        const led = new THREE.Mesh(ledGeometry, ledMaterial);
-        led.position.y = 0.2 + (i * 0.2);
-        led.rotation.x = Math.PI / 2;
-        knifeGroup.add(led);
-    }
+    // Cylinder
+    const cylinderGeometry = new THREE.CylinderGeometry(0.08, 0.08, 0.12, 6);
+    const cylinder = new THREE.Mesh(cylinderGeometry, gunMaterial);
+    cylinder.position.y = 0.1;
+    cylinder.rotation.x = Math.PI / 2;
+    knifeGroup.add(cylinder);
     
-    // Handle grip
-    const handleGeometry = new THREE.CylinderGeometry(0.07, 0.07, 0.25, 12);
+    // Handle
+    const handleGeometry = new THREE.BoxGeometry(0.08, 0.3, 0.12);
     const handleMaterial = new THREE.MeshStandardMaterial({
-        color: 0x000000,
-        roughness: 0.9
+        color: 0x654321, // Brown wood
+        roughness: 0.8
     });
     const handle = new THREE.Mesh(handleGeometry, handleMaterial);
-    handle.position.y = -0.3;
+    handle.position.y = -0.15;
     knifeGroup.add(handle);
+    
+    // Hammer
+    const hammerGeometry = new THREE.BoxGeometry(0.03, 0.08, 0.06);
+    const hammer = new THREE.Mesh(hammerGeometry, gunMaterial);
+    hammer.position.set(0, 0.08, -0.08);
+    knifeGroup.add(hammer);
 }
 
-// Stealth assassin blade
-function createStealthBlade(knifeGroup, color, glow) {
-    const bladeGeometry = new THREE.BoxGeometry(0.08, 1.1, 0.015);
+// Katana sword - Enhanced fantasy design
+function createKatana(knifeGroup, color, glow) {
+    // Main blade with curved shape
+    const bladeGeometry = new THREE.BoxGeometry(0.06, 0.9, 0.015);
     const bladeMaterial = new THREE.MeshStandardMaterial({
         color: color,
-        metalness: 0.99,
+        metalness: 0.98,
         roughness: 0.01,
         emissive: glow,
-        emissiveIntensity: 0.5
+        emissiveIntensity: 0.6
     });
     const blade = new THREE.Mesh(bladeGeometry, bladeMaterial);
-    blade.position.y = 0.55;
+    blade.position.y = 0.48;
     knifeGroup.add(blade);
     
-    // Red glowing edge
-    const edgeGeometry = new THREE.BoxGeometry(0.09, 1.1, 0.005);
+    // Decorative edge glow
+    const edgeGeometry = new THREE.BoxGeometry(0.065, 0.9, 0.005);
     const edgeMaterial = new THREE.MeshStandardMaterial({
         color: glow,
         emissive: glow,
-        emissiveIntensity: 1.0,
+        emissiveIntensity: 1.2,
         transparent: true,
-        opacity: 0.7
+        opacity: 0.6
     });
     const edge = new THREE.Mesh(edgeGeometry, edgeMaterial);
-    edge.position.y = 0.55;
-    edge.position.z = 0.01;
+    edge.position.set(0, 0.48, 0.01);
     knifeGroup.add(edge);
     
-    // Handle
-    const handleGeometry = new THREE.CylinderGeometry(0.05, 0.05, 0.35, 12);
+    // Sharp tip
+    const tipGeometry = new THREE.ConeGeometry(0.03, 0.12, 4);
+    const tip = new THREE.Mesh(tipGeometry, bladeMaterial);
+    tip.position.y = 0.98;
+    tip.rotation.z = Math.PI / 4;
+    knifeGroup.add(tip);
+    
+    // Ornate guard (tsuba) with decorative pattern
+    const guardGeometry = new THREE.CylinderGeometry(0.12, 0.12, 0.02, 6);
+    const guardMaterial = new THREE.MeshStandardMaterial({
+        color: 0xC0C0C0,
+        metalness: 1.0,
+        roughness: 0.2,
+        emissive: glow,
+        emissiveIntensity: 0.3
+    });
+    const guard = new THREE.Mesh(guardGeometry, guardMaterial);
+    guard.position.y = 0.03;
+    knifeGroup.add(guard);
+    
+    // Decorative swirls on guard
+    for (let i = 0; i < 6; i++) {
+        const swirlGeometry = new THREE.TorusGeometry(0.04, 0.008, 6, 8, Math.PI);
+        const swirlMaterial = new THREE.MeshStandardMaterial({
+            color: glow,
+            emissive: glow,
+            emissiveIntensity: 0.8,
+            metalness: 1.0
+        });
+        const swirl = new THREE.Mesh(swirlGeometry, swirlMaterial);
+        swirl.position.y = 0.035;
+        swirl.rotation.y = (i * Math.PI) / 3;
+        swirl.rotation.z = Math.PI / 2;
+        knifeGroup.add(swirl);
+    }
+    
+    // Handle (tsuka) with ornate wrapping
+    const handleGeometry = new THREE.CylinderGeometry(0.045, 0.05, 0.32, 8);
     const handleMaterial = new THREE.MeshStandardMaterial({
-        color: 0x000000,
-        roughness: 0.9
+        color: 0x4B0082, // Deep purple
+        roughness: 0.6,
+        metalness: 0.4
     });
     const handle = new THREE.Mesh(handleGeometry, handleMaterial);
-    handle.position.y = -0.18;
+    handle.position.y = -0.16;
     knifeGroup.add(handle);
+    
+    // Diamond wrap pattern
+    for (let i = 0; i < 5; i++) {
+        const wrapGeometry = new THREE.TorusGeometry(0.052, 0.006, 6, 12);
+        const wrapMaterial = new THREE.MeshStandardMaterial({
+            color: 0xFFD700,
+            metalness: 1.0,
+            emissive: 0xFFD700,
+            emissiveIntensity: 0.3
+        });
+        const wrap = new THREE.Mesh(wrapGeometry, wrapMaterial);
+        wrap.position.y = -0.05 - i * 0.06;
+        wrap.rotation.x = Math.PI / 2;
+        knifeGroup.add(wrap);
+    }
+    
+    // Ornate pommel with gem
+    const pommelGeometry = new THREE.CylinderGeometry(0.06, 0.045, 0.04, 8);
+    const pommelMaterial = new THREE.MeshStandardMaterial({
+        color: 0xC0C0C0,
+        metalness: 1.0,
+        roughness: 0.1
+    });
+    const pommel = new THREE.Mesh(pommelGeometry, pommelMaterial);
+    pommel.position.y = -0.34;
+    knifeGroup.add(pommel);
+    
+    // Glowing gem in pommel
+    const gemGeometry = new THREE.SphereGeometry(0.025, 12, 12);
+    const gemMaterial = new THREE.MeshStandardMaterial({
+        color: glow,
+        emissive: glow,
+        emissiveIntensity: 1.5,
+        transparent: true,
+        opacity: 0.8
+    });
+    const gem = new THREE.Mesh(gemGeometry, gemMaterial);
+    gem.position.y = -0.34;
+    knifeGroup.add(gem);
 }
 
-// Medical scalpel
-function createScalpel(knifeGroup, color, glow) {
-    const bladeGeometry = new THREE.BoxGeometry(0.05, 0.4, 0.01);
+// Meat cleaver
+function createCleaver(knifeGroup, color, glow) {
+    // Wide, rectangular blade
+    const bladeGeometry = new THREE.BoxGeometry(0.2, 0.5, 0.04);
     const bladeMaterial = new THREE.MeshStandardMaterial({
         color: color,
-        metalness: 1.0,
-        roughness: 0.0,
+        metalness: 0.95,
+        roughness: 0.1,
         emissive: glow,
-        emissiveIntensity: 0.6
+        emissiveIntensity: 0.3
     });
     const blade = new THREE.Mesh(bladeGeometry, bladeMaterial);
-    blade.position.y = 0.5;
+    blade.position.y = 0.3;
     knifeGroup.add(blade);
     
-    // Sterile glow
-    const glowGeometry = new THREE.BoxGeometry(0.06, 0.42, 0.03);
-    const glowMaterial = new THREE.MeshStandardMaterial({
-        color: glow,
-        emissive: glow,
-        emissiveIntensity: 0.8,
-        transparent: true,
-        opacity: 0.5
+    // Blade hole (for hanging)
+    const holeGeometry = new THREE.TorusGeometry(0.04, 0.01, 8, 12);
+    const holeMaterial = new THREE.MeshStandardMaterial({
+        color: 0x000000,
+        metalness: 0.5
     });
-    const glowMesh = new THREE.Mesh(glowGeometry, glowMaterial);
-    glowMesh.position.y = 0.5;
-    knifeGroup.add(glowMesh);
+    const hole = new THREE.Mesh(holeGeometry, holeMaterial);
+    hole.position.set(0, 0.45, 0);
+    hole.rotation.y = Math.PI / 2;
+    knifeGroup.add(hole);
     
-    // Medical handle
-    const handleGeometry = new THREE.CylinderGeometry(0.04, 0.04, 0.5, 12);
-    const handleMaterial = new THREE.MeshStandardMaterial({
-        color: 0xFFFFFF,
-        roughness: 0.5,
-        metalness: 0.3
-    });
-    const handle = new THREE.Mesh(handleGeometry, handleMaterial);
-    handle.position.y = 0;
-    knifeGroup.add(handle);
-}
-
-// Plasma cutter
-function createPlasmaCutter(knifeGroup, color, glow) {
-    const handleGeometry = new THREE.CylinderGeometry(0.08, 0.08, 0.6, 12);
-    const handleMaterial = new THREE.MeshStandardMaterial({
-        color: 0xFF8C00, // Orange
-        roughness: 0.4,
-        metalness: 0.6
+    // Blood stains
+    const stainGeometry = new THREE.CircleGeometry(0.03, 8);
+    const stainMaterial = new THREE.MeshStandardMaterial({
+        color: 0x8B0000,
+        roughness: 0.9
     });
-    const handle = new THREE.Mesh(handleGeometry, handleMaterial);
-    handle.position.y = 0.1;
-    knifeGroup.add(handle);
+    for (let i = 0; i < 3; i++) {
+        const stain = new THREE.Mesh(stainGeometry, stainMaterial);
+        stain.position.set(Math.random() * 0.1 - 0.05, 0.2 + i * 0.1, 0.021);
+        knifeGroup.add(stain);
+    }
     
-    // Plasma blade
-    const plasmaGeometry = new THREE.BoxGeometry(0.1, 0.8, 0.05);
-    const plasmaMaterial = new THREE.MeshStandardMaterial({
-        color: color,
-        emissive: glow,
-        emissiveIntensity: 1.2,
-        transparent: true,
-        opacity: 0.8,
-        metalness: 1.0
-    });
-    const plasma = new THREE.Mesh(plasmaGeometry, plasmaMaterial);
-    plasma.position.y = 0.7;
-    knifeGroup.add(plasma);
+    // Handle
+    const handleGeometry = new THREE.BoxGeometry(0.06, 0.25, 0.1);
+    const handleMaterial = new THREE.MeshStandardMaterial({
+        color: 0x3d1f0f,
+        roughness: 0.7
+    });
+    const handle = new THREE.Mesh(handleGeometry, handleMaterial);
+    handle.position.y = -0.1;
+    knifeGroup.add(handle);
     
-    // Electric sparks
-    for (let i = 0; i < 4; i++) {
-        const sparkGeometry = new THREE.SphereGeometry(0.03, 8, 8);
-        const sparkMaterial = new THREE.MeshStandardMaterial({
-            color: 0xFFD700,
-            emissive: 0xFFD700,
-            emissiveIntensity: 1.5
+    // Rivets on handle
+    for (let i = 0; i < 3; i++) {
+        const rivetGeometry = new THREE.CylinderGeometry(0.01, 0.01, 0.11, 8);
+        const rivetMaterial = new THREE.MeshStandardMaterial({
+            color: 0x888888,
+            metalness: 0.9
         });
-        const spark = new THREE.Mesh(sparkGeometry, sparkMaterial);
-        spark.position.y = 0.5 + Math.random() * 0.5;
-        spark.position.x = (Math.random() - 0.5) * 0.1;
-        knifeGroup.add(spark);
+        const rivet = new THREE.Mesh(rivetGeometry, rivetMaterial);
+        rivet.position.set(0, -0.05 - i * 0.08, 0);
+        rivet.rotation.x = Math.PI / 2;
+        knifeGroup.add(rivet);
     }
 }
 
-// Batarang blade - Dark knight throwing blade
-function createBatarang(knifeGroup, color, glow) {
-    // Main central body
-    const bodyGeometry = new THREE.BoxGeometry(0.35, 0.12, 0.03);
-    const bodyMaterial = new THREE.MeshStandardMaterial({
+// Karambit blade - Enhanced tactical design
+function createKarambit(knifeGroup, color, glow) {
+    // Main curved blade with serrations
+    const bladeGeometry = new THREE.BoxGeometry(0.08, 0.4, 0.025);
+    const bladeMaterial = new THREE.MeshStandardMaterial({
         color: color,
-        metalness: 0.96,
-        roughness: 0.1,
+        metalness: 0.98,
+        roughness: 0.02,
         emissive: glow,
-        emissiveIntensity: 0.5
+        emissiveIntensity: 0.7
     });
-    const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-    body.position.y = 0.5;
-    knifeGroup.add(body);
+    const blade = new THREE.Mesh(bladeGeometry, bladeMaterial);
+    blade.position.y = 0.22;
+    blade.rotation.z = Math.PI / 5; // Curved angle
+    knifeGroup.add(blade);
     
-    // Sharp edges glow
-    const edgeGeometry = new THREE.BoxGeometry(0.36, 0.13, 0.01);
+    // Glowing edge
+    const edgeGeometry = new THREE.BoxGeometry(0.085, 0.4, 0.01);
     const edgeMaterial = new THREE.MeshStandardMaterial({
         color: glow,
         emissive: glow,
-        emissiveIntensity: 1.2,
+        emissiveIntensity: 1.5,
         transparent: true,
-        opacity: 0.6
+        opacity: 0.7
     });
-    const edgeGlow = new THREE.Mesh(edgeGeometry, edgeMaterial);
-    edgeGlow.position.set(0, 0.5, 0.02);
-    knifeGroup.add(edgeGlow);
-    
-    // Left wing blade
-    const leftWingGeometry = new THREE.ConeGeometry(0.14, 0.25, 3);
-    const leftWing = new THREE.Mesh(leftWingGeometry, bodyMaterial);
-    leftWing.position.set(-0.18, 0.52, 0);
-    leftWing.rotation.z = -Math.PI / 2.5;
-    knifeGroup.add(leftWing);
-    
-    // Left wing glow
-    const leftWingGlow = new THREE.Mesh(
-        new THREE.ConeGeometry(0.15, 0.26, 3),
-        edgeMaterial
-    );
-    leftWingGlow.position.set(-0.18, 0.52, 0.015);
-    leftWingGlow.rotation.z = -Math.PI / 2.5;
-    knifeGroup.add(leftWingGlow);
-    
-    // Right wing blade
-    const rightWing = new THREE.Mesh(leftWingGeometry, bodyMaterial);
-    rightWing.position.set(0.18, 0.52, 0);
-    rightWing.rotation.z = Math.PI / 2.5;
-    knifeGroup.add(rightWing);
-    
-    // Right wing glow
-    const rightWingGlow = new THREE.Mesh(
-        new THREE.ConeGeometry(0.15, 0.26, 3),
-        edgeMaterial
-    );
-    rightWingGlow.position.set(0.18, 0.52, 0.015);
-    rightWingGlow.rotation.z = Math.PI / 2.5;
-    knifeGroup.add(rightWingGlow);
+    const edge = new THREE.Mesh(edgeGeometry, edgeMaterial);
+    edge.position.y = 0.22;
+    edge.position.z = 0.018;
+    edge.rotation.z = Math.PI / 5;
+    knifeGroup.add(edge);
     
-    // Center spike
-    const spikeGeometry = new THREE.ConeGeometry(0.04, 0.15, 4);
-    const spike = new THREE.Mesh(spikeGeometry, bodyMaterial);
-    spike.position.y = 0.625;
-    spike.rotation.z = Math.PI / 4;
-    knifeGroup.add(spike);
+    // Serrated back edge
+    for (let i = 0; i < 6; i++) {
+        const serrGeometry = new THREE.BoxGeometry(0.09, 0.015, 0.015);
+        const serr = new THREE.Mesh(serrGeometry, bladeMaterial);
+        const angle = Math.PI / 5;
+        const yOffset = 0.05 + i * 0.06;
+        serr.position.x = -yOffset * Math.sin(angle);
+        serr.position.y = yOffset * Math.cos(angle);
+        serr.position.z = -0.015;
+        serr.rotation.z = angle;
+        knifeGroup.add(serr);
+    }
     
-    // Bat symbol cutout (center circle)
-    const centerHoleGeometry = new THREE.TorusGeometry(0.06, 0.01, 8, 16);
-    const centerHoleMaterial = new THREE.MeshStandardMaterial({
-        color: glow,
-        emissive: glow,
-        emissiveIntensity: 1.5
-    });
-    const centerHole = new THREE.Mesh(centerHoleGeometry, centerHoleMaterial);
-    centerHole.position.y = 0.5;
-    knifeGroup.add(centerHole);
+    // Hooked tip
+    const hookGeometry = new THREE.TorusGeometry(0.09, 0.02, 8, 12, Math.PI);
+    const hook = new THREE.Mesh(hookGeometry, bladeMaterial);
+    hook.position.set(0.08, 0.38, 0);
+    hook.rotation.y = Math.PI / 2;
+    hook.rotation.z = -Math.PI / 2.5;
+    knifeGroup.add(hook);
     
-    // Grip handle
-    const gripGeometry = new THREE.CylinderGeometry(0.04, 0.04, 0.15, 12);
-    const gripMaterial = new THREE.MeshStandardMaterial({
-        color: 0x1C1C1C,
-        roughness: 0.9
-    });
-    const grip = new THREE.Mesh(gripGeometry, gripMaterial);
-    grip.position.y = 0.38;
-    knifeGroup.add(grip);
+    // Hook glow
+    const hookGlowGeometry = new THREE.TorusGeometry(0.095, 0.015, 8, 12, Math.PI);
+    const hookGlow = new THREE.Mesh(hookGlowGeometry, edgeMaterial);
+    hookGlow.position.set(0.08, 0.38, 0);
+    hookGlow.rotation.y = Math.PI / 2;
+    hookGlow.rotation.z = -Math.PI / 2.5;
+    knifeGroup.add(hookGlow);
     
-    // Decorative notches on wings
-    for (let side = -1; side <= 1; side += 2) {
-        for (let i = 0; i < 3; i++) {
-            const notchGeometry = new THREE.BoxGeometry(0.02, 0.05, 0.02);
-            const notch = new THREE.Mesh(notchGeometry, bodyMaterial);
-            notch.position.set(side * (0.05 + i * 0.05), 0.5 + i * 0.03, 0);
-            notch.rotation.z = side * Math.PI / 6;
-            knifeGroup.add(notch);
-        }
-    }
-}
-
-// Energy sword - High-tech plasma blade
-function createEnergySword(knifeGroup, color, glow) {
-    // Handle base
-    const handleGeometry = new THREE.CylinderGeometry(0.065, 0.085, 0.45, 16);
+    // Tactical handle with texture
+    const handleGeometry = new THREE.BoxGeometry(0.055, 0.18, 0.09);
     const handleMaterial = new THREE.MeshStandardMaterial({
-        color: 0x2C2C2C,
-        roughness: 0.3,
-        metalness: 0.85,
-        emissive: glow,
-        emissiveIntensity: 0.2
+        color: 0x1C1C1C,
+        roughness: 0.8,
+        metalness: 0.2
     });
     const handle = new THREE.Mesh(handleGeometry, handleMaterial);
-    handle.position.y = -0.12;
+    handle.position.y = 0;
     knifeGroup.add(handle);
     
-    // Power core rings on handle
-    for (let i = 0; i < 5; i++) {
-        const ringGeometry = new THREE.TorusGeometry(0.07, 0.008, 8, 16);
-        const ringMaterial = new THREE.MeshStandardMaterial({
-            color: glow,
-            emissive: glow,
-            emissiveIntensity: 1.2 - i * 0.1,
-            metalness: 1.0
+    // Grip grooves
+    for (let i = 0; i < 4; i++) {
+        const grooveGeometry = new THREE.BoxGeometry(0.06, 0.01, 0.095);
+        const grooveMaterial = new THREE.MeshStandardMaterial({
+            color: 0x000000,
+            roughness: 1.0
         });
-        const ring = new THREE.Mesh(ringGeometry, ringMaterial);
-        ring.position.y = -0.05 - i * 0.07;
-        ring.rotation.x = Math.PI / 2;
-        knifeGroup.add(ring);
+        const groove = new THREE.Mesh(grooveGeometry, grooveMaterial);
+        groove.position.y = -0.06 + i * 0.04;
+        knifeGroup.add(groove);
     }
     
-    // Guard/emitter
-    const guardGeometry = new THREE.CylinderGeometry(0.09, 0.07, 0.08, 6);
-    const guardMaterial = new THREE.MeshStandardMaterial({
-        color: 0x444444,
+    // Reinforced finger ring
+    const ringGeometry = new THREE.TorusGeometry(0.065, 0.015, 12, 20);
+    const ringMaterial = new THREE.MeshStandardMaterial({
+        color: color,
         metalness: 0.95,
-        roughness: 0.1
+        roughness: 0.1,
+        emissive: glow,
+        emissiveIntensity: 0.4
     });
-    const guard = new THREE.Mesh(guardGeometry, guardMaterial);
-    guard.position.y = 0.14;
-    knifeGroup.add(guard);
+    const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+    ring.position.set(0, -0.12, 0);
+    ring.rotation.x = Math.PI / 2;
+    knifeGroup.add(ring);
     
-    // Energy blade core - white hot center
-    const coreGeometry = new THREE.BoxGeometry(0.09, 1.25, 0.045);
+    // Ring safety notches
+    for (let i = 0; i < 3; i++) {
+        const notchGeometry = new THREE.BoxGeometry(0.01, 0.02, 0.01);
+        const notch = new THREE.Mesh(notchGeometry, bladeMaterial);
+        const angle = (i * Math.PI * 2) / 3;
+        notch.position.set(
+            Math.cos(angle) * 0.065,
+            -0.12,
+            Math.sin(angle) * 0.065
+        );
+        knifeGroup.add(notch);
+    }
+    
+    // Lanyard hole
+    const lanyardGeometry = new THREE.TorusGeometry(0.015, 0.005, 8, 12);
+    const lanyard = new THREE.Mesh(lanyardGeometry, ringMaterial);
+    lanyard.position.set(0, -0.09, -0.05);
+    lanyard.rotation.x = Math.PI / 2;
+    knifeGroup.add(lanyard);
+}
+
+// Lightsaber - Enhanced sci-fi energy blade
+function createLightsaber(knifeGroup, color, glow) {
+    // Core energy blade - bright inner glow
+    const coreGeometry = new THREE.CylinderGeometry(0.02, 0.02, 0.88, 16);
     const coreMaterial = new THREE.MeshStandardMaterial({
         color: 0xFFFFFF,
         emissive: 0xFFFFFF,
         emissiveIntensity: 2.5,
         transparent: true,
-        opacity: 0.9
+        opacity: 0.95
     });
     const core = new THREE.Mesh(coreGeometry, coreMaterial);
-    core.position.y = 0.78;
+    core.position.y = 0.52;
     knifeGroup.add(core);
     
     // Main energy blade
-    const bladeGeometry = new THREE.BoxGeometry(0.12, 1.25, 0.07);
+    const bladeGeometry = new THREE.CylinderGeometry(0.028, 0.028, 0.88, 16);
     const bladeMaterial = new THREE.MeshStandardMaterial({
         color: color,
+        metalness: 0.2,
+        roughness: 0.1,
         emissive: glow,
-        emissiveIntensity: 2.0,
-        transparent: true,
-        opacity: 0.85,
-        metalness: 0.9,
-        roughness: 0.0
+        emissiveIntensity: 2.2,
+        transparent: true,
+        opacity: 0.85
     });
     const blade = new THREE.Mesh(bladeGeometry, bladeMaterial);
-    blade.position.y = 0.78;
+    blade.position.y = 0.52;
     knifeGroup.add(blade);
     
-    // Outer energy glow
-    const glowGeometry = new THREE.BoxGeometry(0.15, 1.25, 0.09);
+    // Outer glow halo
+    const glowGeometry = new THREE.CylinderGeometry(0.045, 0.045, 0.88, 16);
     const glowMaterial = new THREE.MeshStandardMaterial({
         color: glow,
         emissive: glow,
-        emissiveIntensity: 1.5,
+        emissiveIntensity: 1.8,
         transparent: true,
-        opacity: 0.5
+        opacity: 0.4
     });
     const glowBlade = new THREE.Mesh(glowGeometry, glowMaterial);
-    glowBlade.position.y = 0.78;
+    glowBlade.position.y = 0.52;
     knifeGroup.add(glowBlade);
     
-    // Energy particles along blade
-    for (let i = 0; i < 8; i++) {
-        const particleGeometry = new THREE.SphereGeometry(0.02, 8, 8);
-        const particleMaterial = new THREE.MeshStandardMaterial({
-            color: glow,
-            emissive: glow,
-            emissiveIntensity: 2.0,
-            transparent: true,
-            opacity: 0.7
-        });
-        const particle = new THREE.Mesh(particleGeometry, particleMaterial);
-        particle.position.set(
-            (Math.random() - 0.5) * 0.08,
-            0.25 + i * 0.15,
-            (Math.random() - 0.5) * 0.05
-        );
-        knifeGroup.add(particle);
-    }
-    
-    // Blade tip point
-    const tipGeometry = new THREE.ConeGeometry(0.06, 0.18, 4);
-    const tip = new THREE.Mesh(tipGeometry, bladeMaterial);
-    tip.position.y = 1.5;
-    tip.rotation.z = Math.PI / 4;
-    knifeGroup.add(tip);
-    
-    // Pommel power cell
-    const pommelGeometry = new THREE.SphereGeometry(0.05, 12, 12);
-    const pommelMaterial = new THREE.MeshStandardMaterial({
+    // Extended outer aura
+    const auraGeometry = new THREE.CylinderGeometry(0.06, 0.06, 0.88, 16);
+    const auraMaterial = new THREE.MeshStandardMaterial({
         color: glow,
         emissive: glow,
-        emissiveIntensity: 1.5,
+        emissiveIntensity: 1.2,
         transparent: true,
-        opacity: 0.8,
-        metalness: 0.9
-    });
-    const pommel = new THREE.Mesh(pommelGeometry, pommelMaterial);
-    pommel.position.y = -0.38;
-    knifeGroup.add(pommel);
-}
-
-// Detective revolver
-function createRevolver(knifeGroup, color, glow) {
-    // Barrel
-    const barrelGeometry = new THREE.CylinderGeometry(0.04, 0.04, 0.5, 12);
-    const gunMaterial = new THREE.MeshStandardMaterial({
-        color: color,
-        metalness: 0.9,
-        roughness: 0.2,
-        emissive: glow,
-        emissiveIntensity: 0.2
+        opacity: 0.2
     });
-    const barrel = new THREE.Mesh(barrelGeometry, gunMaterial);
-    barrel.position.y = 0.35;
-    barrel.rotation.x = Math.PI / 2;
-    knifeGroup.add(barrel);
-    
-    // Cylinder
-    const cylinderGeometry = new THREE.CylinderGeometry(0.08, 0.08, 0.12, 6);
-    const cylinder = new THREE.Mesh(cylinderGeometry, gunMaterial);
-    cylinder.position.y = 0.1;
-    cylinder.rotation.x = Math.PI / 2;
-    knifeGroup.add(cylinder);
+    const aura = new THREE.Mesh(auraGeometry, auraMaterial);
+    aura.position.y = 0.52;
+    knifeGroup.add(aura);
     
-    // Handle
-    const handleGeometry = new THREE.BoxGeometry(0.08, 0.3, 0.12);
-    const handleMaterial = new THREE.MeshStandardMaterial({
-        color: 0x654321, // Brown wood
-        roughness: 0.8
+    // Emitter (top of hilt where blade emerges)
+    const emitterGeometry = new THREE.CylinderGeometry(0.035, 0.05, 0.06, 16);
+    const hiltMaterial = new THREE.MeshStandardMaterial({
+        color: 0xA8A8A8,
+        metalness: 0.95,
+        roughness: 0.15
     });
-    const handle = new THREE.Mesh(handleGeometry, handleMaterial);
-    handle.position.y = -0.15;
-    knifeGroup.add(handle);
+    const emitter = new THREE.Mesh(emitterGeometry, hiltMaterial);
+    emitter.position.y = 0.11;
+    knifeGroup.add(emitter);
     
-    // Hammer
-    const hammerGeometry = new THREE.BoxGeometry(0.03, 0.08, 0.06);
-    const hammer = new THREE.Mesh(hammerGeometry, gunMaterial);
-    hammer.position.set(0, 0.08, -0.08);
-    knifeGroup.add(hammer);
-}
-
-// Katana sword - Enhanced fantasy design
-function createKatana(knifeGroup, color, glow) {
-    // Main blade with curved shape
-    const bladeGeometry = new THREE.BoxGeometry(0.06, 0.9, 0.015);
-    const bladeMaterial = new THREE.MeshStandardMaterial({
-        color: color,
-        metalness: 0.98,
-        roughness: 0.01,
+    // Emitter glow ring
+    const emitterGlowGeometry = new THREE.TorusGeometry(0.04, 0.008, 8, 16);
+    const emitterGlowMaterial = new THREE.MeshStandardMaterial({
+        color: glow,
         emissive: glow,
-        emissiveIntensity: 0.6
+        emissiveIntensity: 1.5
     });
-    const blade = new THREE.Mesh(bladeGeometry, bladeMaterial);
-    blade.position.y = 0.48;
-    knifeGroup.add(blade);
+    const emitterGlow = new THREE.Mesh(emitterGlowGeometry, emitterGlowMaterial);
+    emitterGlow.position.y = 0.09;
+    emitterGlow.rotation.x = Math.PI / 2;
+    knifeGroup.add(emitterGlow);
     
-    // Decorative edge glow
-    const edgeGeometry = new THREE.BoxGeometry(0.065, 0.9, 0.005);
-    const edgeMaterial = new THREE.MeshStandardMaterial({
-        color: glow,
-        emissive: glow,
+    // Main hilt body
+    const hiltGeometry = new THREE.CylinderGeometry(0.045, 0.05, 0.32, 16);
+    const hilt = new THREE.Mesh(hiltGeometry, hiltMaterial);
+    hilt.position.y = -0.08;
+    knifeGroup.add(hilt);
+    
+    // Activation switch/button
+    const buttonGeometry = new THREE.BoxGeometry(0.02, 0.04, 0.025);
+    const buttonMaterial = new THREE.MeshStandardMaterial({
+        color: 0xFF0000,
+        emissive: 0xFF0000,
         emissiveIntensity: 1.2,
-        transparent: true,
-        opacity: 0.6
+        metalness: 0.8
     });
-    const edge = new THREE.Mesh(edgeGeometry, edgeMaterial);
-    edge.position.set(0, 0.48, 0.01);
-    knifeGroup.add(edge);
-    
-    // Sharp tip
-    const tipGeometry = new THREE.ConeGeometry(0.03, 0.12, 4);
-    const tip = new THREE.Mesh(tipGeometry, bladeMaterial);
-    tip.position.y = 0.98;
-    tip.rotation.z = Math.PI / 4;
-    knifeGroup.add(tip);
+    const button = new THREE.Mesh(buttonGeometry, buttonMaterial);
+    button.position.set(0.052, 0.02, 0);
+    knifeGroup.add(button);
     
-    // Ornate guard (tsuba) with decorative pattern
-    const guardGeometry = new THREE.CylinderGeometry(0.12, 0.12, 0.02, 6);
-    const guardMaterial = new THREE.MeshStandardMaterial({
-        color: 0xC0C0C0,
-        metalness: 1.0,
-        roughness: 0.2,
-        emissive: glow,
-        emissiveIntensity: 0.3
+    // Control panel
+    const panelGeometry = new THREE.BoxGeometry(0.055, 0.08, 0.015);
+    const panelMaterial = new THREE.MeshStandardMaterial({
+        color: 0x1C1C1C,
+        metalness: 0.6,
+        roughness: 0.3
     });
-    const guard = new THREE.Mesh(guardGeometry, guardMaterial);
-    guard.position.y = 0.03;
-    knifeGroup.add(guard);
+    const panel = new THREE.Mesh(panelGeometry, panelMaterial);
+    panel.position.set(0.048, 0, 0);
+    knifeGroup.add(panel);
     
-    // Decorative swirls on guard
-    for (let i = 0; i < 6; i++) {
-        const swirlGeometry = new THREE.TorusGeometry(0.04, 0.008, 6, 8, Math.PI);
-        const swirlMaterial = new THREE.MeshStandardMaterial({
-            color: glow,
-            emissive: glow,
-            emissiveIntensity: 0.8,
-            metalness: 1.0
+    // LED indicator lights
+    for (let i = 0; i < 3; i++) {
+        const ledGeometry = new THREE.SphereGeometry(0.006, 8, 8);
+        const ledMaterial = new THREE.MeshStandardMaterial({
+            color: i === 0 ? 0x00FF00 : (i === 1 ? 0x00FF00 : 0xFF0000),
+            emissive: i === 0 ? 0x00FF00 : (i === 1 ? 0x00FF00 : 0xFF0000),
+            emissiveIntensity: 1.5
         });
-        const swirl = new THREE.Mesh(swirlGeometry, swirlMaterial);
-        swirl.position.y = 0.035;
-        swirl.rotation.y = (i * Math.PI) / 3;
-        swirl.rotation.z = Math.PI / 2;
-        knifeGroup.add(swirl);
+        const led = new THREE.Mesh(ledGeometry, ledMaterial);
+        led.position.set(0.053, -0.02 - i * 0.02, 0);
+        knifeGroup.add(led);
     }
     
-    // Handle (tsuka) with ornate wrapping
-    const handleGeometry = new THREE.CylinderGeometry(0.045, 0.05, 0.32, 8);
-    const handleMaterial = new THREE.MeshStandardMaterial({
-        color: 0x4B0082, // Deep purple
-        roughness: 0.6,
-        metalness: 0.4
+    // Grip rings
+    for (let i = 0; i < 4; i++) {
+        const ringGeometry = new THREE.TorusGeometry(0.051, 0.004, 8, 16);
+        const ringMaterial = new THREE.MeshStandardMaterial({
+            color: 0x000000,
+            metalness: 0.7,
+            roughness: 0.4
+        });
+        const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+        ring.position.y = -0.06 - i * 0.06;
+        ring.rotation.x = Math.PI / 2;
+        knifeGroup.add(ring);
+    }
+    
+    // Pommel (bottom cap)
+    const pommelGeometry = new THREE.CylinderGeometry(0.038, 0.055, 0.08, 16);
+    const pommel = new THREE.Mesh(pommelGeometry, hiltMaterial);
+    pommel.position.y = -0.28;
+    knifeGroup.add(pommel);
+    
+    // Pommel accent ring
+    const pommelRingGeometry = new THREE.TorusGeometry(0.046, 0.006, 8, 16);
+    const pommelRing = new THREE.Mesh(pommelRingGeometry, emitterGlowMaterial);
+    pommelRing.position.y = -0.25;
+    pommelRing.rotation.x = Math.PI / 2;
+    knifeGroup.add(pommelRing);
+}
+
+function createExit() {
+    exit = getExitWorldPosition();
+    
+    // Create UFO flying in the sky with blue ray effects - SMALLER VERSION
+    const ufoGroup = new THREE.Group();
+    
+    // UFO Main Body (disc shape) - REDUCED SIZE
+    const ufoBodyGeometry = new THREE.CylinderGeometry(0.8, 1.0, 0.3, 32);
+    const ufoBodyMaterial = new THREE.MeshStandardMaterial({
+        color: 0x888888,
+        metalness: 0.8,
+        roughness: 0.2,
+        emissive: 0x333366,
+        emissiveIntensity: 0.3
+    });
+    const ufoBody = new THREE.Mesh(ufoBodyGeometry, ufoBodyMaterial);
+    ufoGroup.add(ufoBody);
+    
+    // UFO Dome (top) - SMALLER
+    const ufoDomeGeometry = new THREE.SphereGeometry(0.6, 32, 16, 0, Math.PI * 2, 0, Math.PI / 2);
+    const ufoDomeMaterial = new THREE.MeshStandardMaterial({
+        color: 0x4488ff,
+        transparent: true,
+        opacity: 0.7,
+        emissive: 0x2244aa,
+        emissiveIntensity: 0.5
     });
-    const handle = new THREE.Mesh(handleGeometry, handleMaterial);
-    handle.position.y = -0.16;
-    knifeGroup.add(handle);
+    const ufoDome = new THREE.Mesh(ufoDomeGeometry, ufoDomeMaterial);
+    ufoDome.position.y = 0.15;
+    ufoGroup.add(ufoDome);
     
-    // Diamond wrap pattern
-    for (let i = 0; i < 5; i++) {
-        const wrapGeometry = new THREE.TorusGeometry(0.052, 0.006, 6, 12);
-        const wrapMaterial = new THREE.MeshStandardMaterial({
-            color: 0xFFD700,
-            metalness: 1.0,
-            emissive: 0xFFD700,
-            emissiveIntensity: 0.3
+    // UFO Lights around the rim - SMALLER AND FEWER
+    for (let i = 0; i < 6; i++) {
+        const angle = (i / 6) * Math.PI * 2;
+        const lightGeometry = new THREE.SphereGeometry(0.05, 8, 8);
+        const lightMaterial = new THREE.MeshStandardMaterial({
+            color: 0xffffff,
+            emissive: 0xffffff,
+            emissiveIntensity: 1.0
         });
-        const wrap = new THREE.Mesh(wrapGeometry, wrapMaterial);
-        wrap.position.y = -0.05 - i * 0.06;
-        wrap.rotation.x = Math.PI / 2;
-        knifeGroup.add(wrap);
+        const light = new THREE.Mesh(lightGeometry, lightMaterial);
+        light.position.x = Math.cos(angle) * 0.9;
+        light.position.z = Math.sin(angle) * 0.9;
+        light.position.y = -0.1;
+        ufoGroup.add(light);
+        
+        // Point lights for each rim light
+        const pointLight = new THREE.PointLight(0xffffff, 0.3, 3);
+        pointLight.position.copy(light.position);
+        ufoGroup.add(pointLight);
     }
     
-    // Ornate pommel with gem
-    const pommelGeometry = new THREE.CylinderGeometry(0.06, 0.045, 0.04, 8);
-    const pommelMaterial = new THREE.MeshStandardMaterial({
-        color: 0xC0C0C0,
-        metalness: 1.0,
-        roughness: 0.1
+    // Blue tractor beam cone - MUCH NARROWER
+    const beamGeometry = new THREE.ConeGeometry(1.2, 5, 16, 1, true);
+    const beamMaterial = new THREE.MeshStandardMaterial({
+        color: 0x0088ff,
+        transparent: true,
+        opacity: 0.25,
+        emissive: 0x0066cc,
+        emissiveIntensity: 0.3,
+        side: THREE.DoubleSide
     });
-    const pommel = new THREE.Mesh(pommelGeometry, pommelMaterial);
-    pommel.position.y = -0.34;
-    knifeGroup.add(pommel);
+    const beam = new THREE.Mesh(beamGeometry, beamMaterial);
+    beam.position.y = -2.5;
+    beam.rotation.x = Math.PI;
+    ufoGroup.add(beam);
     
-    // Glowing gem in pommel
-    const gemGeometry = new THREE.SphereGeometry(0.025, 12, 12);
-    const gemMaterial = new THREE.MeshStandardMaterial({
-        color: glow,
-        emissive: glow,
-        emissiveIntensity: 1.5,
+    // Blue ray circle on ground - VERY SMALL CIRCLE
+    const groundBeamGeometry = new THREE.CircleGeometry(1.2, 32);
+    const groundBeamMaterial = new THREE.MeshStandardMaterial({
+        color: 0x0088ff,
         transparent: true,
-        opacity: 0.8
-    });
-    const gem = new THREE.Mesh(gemGeometry, gemMaterial);
-    gem.position.y = -0.34;
-    knifeGroup.add(gem);
-}
-
-// Meat cleaver
-function createCleaver(knifeGroup, color, glow) {
-    // Wide, rectangular blade
-    const bladeGeometry = new THREE.BoxGeometry(0.2, 0.5, 0.04);
-    const bladeMaterial = new THREE.MeshStandardMaterial({
-        color: color,
-        metalness: 0.95,
-        roughness: 0.1,
-        emissive: glow,
-        emissiveIntensity: 0.3
+        opacity: 0.5,
+        emissive: 0x0066cc,
+        emissiveIntensity: 0.6
     });
-    const blade = new THREE.Mesh(bladeGeometry, bladeMaterial);
-    blade.position.y = 0.3;
-    knifeGroup.add(blade);
+    const groundBeam = new THREE.Mesh(groundBeamGeometry, groundBeamMaterial);
+    groundBeam.rotation.x = -Math.PI / 2;
+    groundBeam.position.y = 0.1;
+    ufoGroup.add(groundBeam);
     
-    // Blade hole (for hanging)
-    const holeGeometry = new THREE.TorusGeometry(0.04, 0.01, 8, 12);
-    const holeMaterial = new THREE.MeshStandardMaterial({
-        color: 0x000000,
-        metalness: 0.5
-    });
-    const hole = new THREE.Mesh(holeGeometry, holeMaterial);
-    hole.position.set(0, 0.45, 0);
-    hole.rotation.y = Math.PI / 2;
-    knifeGroup.add(hole);
+    // Main blue beam light from UFO - REDUCED INTENSITY
+    const beamLight = new THREE.SpotLight(0x0088ff, 2, 8, Math.PI / 6, 0.5, 1);
+    beamLight.position.set(0, 2, 0);
+    beamLight.target.position.set(0, 0, 0);
+    ufoGroup.add(beamLight);
+    ufoGroup.add(beamLight.target);
     
-    // Blood stains
-    const stainGeometry = new THREE.CircleGeometry(0.03, 8);
-    const stainMaterial = new THREE.MeshStandardMaterial({
-        color: 0x8B0000,
-        roughness: 0.9
-    });
-    for (let i = 0; i < 3; i++) {
-        const stain = new THREE.Mesh(stainGeometry, stainMaterial);
-        stain.position.set(Math.random() * 0.1 - 0.05, 0.2 + i * 0.1, 0.021);
-        knifeGroup.add(stain);
-    }
+    // Additional blue point light for ground illumination - REDUCED
+    const groundLight = new THREE.PointLight(0x0088ff, 1.5, 6);
+    groundLight.position.set(0, 1, 0);
+    ufoGroup.add(groundLight);
     
-    // Handle
-    const handleGeometry = new THREE.BoxGeometry(0.06, 0.25, 0.1);
-    const handleMaterial = new THREE.MeshStandardMaterial({
-        color: 0x3d1f0f,
-        roughness: 0.7
-    });
-    const handle = new THREE.Mesh(handleGeometry, handleMaterial);
-    handle.position.y = -0.1;
-    knifeGroup.add(handle);
+    // Position UFO just above the end of maze, close to walls (lower height)
+    ufoGroup.position.set(exit.x, 5, exit.z);
+    ufoGroup.userData.originalY = 5;
+    ufoGroup.userData.time = 0;
     
-    // Rivets on handle
-    for (let i = 0; i < 3; i++) {
-        const rivetGeometry = new THREE.CylinderGeometry(0.01, 0.01, 0.11, 8);
-        const rivetMaterial = new THREE.MeshStandardMaterial({
-            color: 0x888888,
-            metalness: 0.9
-        });
-        const rivet = new THREE.Mesh(rivetGeometry, rivetMaterial);
-        rivet.position.set(0, -0.05 - i * 0.08, 0);
-        rivet.rotation.x = Math.PI / 2;
-        knifeGroup.add(rivet);
-    }
+    addRunObject(ufoGroup);
+    exitMesh = ufoGroup;
+    
+    console.log('UFO exit created at position:', ufoGroup.position);
 }
 
-// Karambit blade - Enhanced tactical design
-function createKarambit(knifeGroup, color, glow) {
-    // Main curved blade with serrations
-    const bladeGeometry = new THREE.BoxGeometry(0.08, 0.4, 0.025);
-    const bladeMaterial = new THREE.MeshStandardMaterial({
-        color: color,
-        metalness: 0.98,
-        roughness: 0.02,
-        emissive: glow,
-        emissiveIntensity: 0.7
-    });
-    const blade = new THREE.Mesh(bladeGeometry, bladeMaterial);
-    blade.position.y = 0.22;
-    blade.rotation.z = Math.PI / 5; // Curved angle
-    knifeGroup.add(blade);
+// ============================================================================
+// ENEMY SPAWNING SYSTEM
+// ============================================================================
+
+/**
+ * Creates and spawns jumping enemies throughout the maze corridors
+ * Implements intelligent distribution algorithm for balanced gameplay
+ * 
+ * @returns {void}
+ * 
+ * @description
+ * Spawn algorithm (corridor rules live in simulation.js):
+ * 1. Reads the maze's horizontal and vertical corridors from the corridor index
+ * 2. Filters corridors by minimum length (2+ cells) to ensure mobility
+ * 3. Prioritizes longer corridors (5+ cells) for better enemy placement
+ * 4. Spawns difficulty.enemyCount enemies with minimum 4-unit spacing
+ * 5. Hands each corridor to spawnEnemy (type roll, AI state, mesh)
+ * 
+ * Each enemy is confined to their spawn corridor for lane-based combat,
+ * creating predictable but challenging patrol patterns.
+ */
+function createJumpers() {
+    console.log('Initializing enemy spawn system...');
     
-    // Glowing edge
-    const edgeGeometry = new THREE.BoxGeometry(0.085, 0.4, 0.01);
-    const edgeMaterial = new THREE.MeshStandardMaterial({
-        color: glow,
-        emissive: glow,
-        emissiveIntensity: 1.5,
-        transparent: true,
-        opacity: 0.7
-    });
-    const edge = new THREE.Mesh(edgeGeometry, edgeMaterial);
-    edge.position.y = 0.22;
-    edge.position.z = 0.018;
-    edge.rotation.z = Math.PI / 5;
-    knifeGroup.add(edge);
+    // Clear any existing enemy entities
+    jumpers.forEach(jumper => removeRunObject(jumper.mesh));
+    jumpers = [];
     
-    // Serrated back edge
-    for (let i = 0; i < 6; i++) {
-        const serrGeometry = new THREE.BoxGeometry(0.09, 0.015, 0.015);
-        const serr = new THREE.Mesh(serrGeometry, bladeMaterial);
-        const angle = Math.PI / 5;
-        const yOffset = 0.05 + i * 0.06;
-        serr.position.x = -yOffset * Math.sin(angle);
-        serr.position.y = yOffset * Math.cos(angle);
-        serr.position.z = -0.015;
-        serr.rotation.z = angle;
-        knifeGroup.add(serr);
+    console.log(`Maze size: ${mazeWidth}x${mazeDepth}, looking for corridors...`);
+    
+    // Corridor detection phase - find all valid spawn locations
+    const corridors = getCorridors();
+    console.log(`✅ Found ${corridors.length} unique corridors in the maze`);
+    
+    // Select corridors with good spacing, prioritizing long ones
+    const selectedCorridors = ZyrathSim.selectPatrolCorridors(corridors, difficulty.enemyCount);
+    console.log(`📍 Creating ${selectedCorridors.length} jumping enemies (prioritizing long corridors)`);
+    
+    if (selectedCorridors.length === 0) {
+        console.error('❌ NO CORRIDORS FOUND! Cannot create jumpers!');
+        return;
     }
     
-    // Hooked tip
-    const hookGeometry = new THREE.TorusGeometry(0.09, 0.02, 8, 12, Math.PI);
-    const hook = new THREE.Mesh(hookGeometry, bladeMaterial);
-    hook.position.set(0.08, 0.38, 0);
-    hook.rotation.y = Math.PI / 2;
-    hook.rotation.z = -Math.PI / 2.5;
-    knifeGroup.add(hook);
+    selectedCorridors.forEach((corridor, i) => {
+        const jumper = spawnEnemy(corridor, worldRandom);
+        console.log(`Created ${jumper.type} ${i} in ${jumper.laneName} (${corridor.type}, length ${corridor.length}), patrol: ${jumper.patrolMin.toFixed(1)} to ${jumper.patrolMax.toFixed(1)}, position: (${jumper.position.x.toFixed(2)}, ${jumper.position.z.toFixed(2)})`);
+    });
     
-    // Hook glow
-    const hookGlowGeometry = new THREE.TorusGeometry(0.095, 0.015, 8, 12, Math.PI);
-    const hookGlow = new THREE.Mesh(hookGlowGeometry, edgeMaterial);
-    hookGlow.position.set(0.08, 0.38, 0);
-    hookGlow.rotation.y = Math.PI / 2;
-    hookGlow.rotation.z = -Math.PI / 2.5;
-    knifeGroup.add(hookGlow);
+    console.log(`✅ Total jumpers created: ${jumpers.length}`);
+    
+    // Update enemy count display
+    updateJumperCount();
+}
+
+/**
+ * Gets the current maze's corridors, scanning the grid only when the maze changed
+ * @returns {Array<Object>} Corridors from ZyrathSim.findCorridors
+ */
+function getCorridors() {
+    corridorIndex = ZyrathSim.updateCorridorIndex(corridorIndex, mazeLayout);
+    return corridorIndex.corridors;
+}
+
+/**
+ * Spawns one enemy patrolling a corridor - the single entry point for
+ * starting patrols, survival waves and boss minions
+ * @param {Object} corridor - Corridor from getCorridors
+ * @param {Function} random - Seeded PRNG (worldRandom at world creation, spawnRandom after)
+ * @param {string} [typeId] - Key in ENEMY_TYPES (rolled when omitted)
+ * @returns {Object} The new jumper, with mesh and in the jumpers array
+ */
+function spawnEnemy(corridor, random, typeId) {
+    return addJumper(ZyrathSim.createEnemy(mazeLayout, corridor, difficulty.enemySpeed, random, difficulty.enemyHealth, typeId));
+}
+
+/**
+ * Gives a simulation jumper state its mesh and adds it to the run
+ * Position and direction become THREE.Vector3 so the renderer can lerp them;
+ * the mesh comes from the type's builder in ENEMY_TYPES
+ * @param {Object} state - Jumper state from ZyrathSim.createEnemy / createBoss / splitJumper
+ * @returns {Object} The same jumper, now with mesh and in the jumpers array
+ */
+function addJumper(state) {
+    state.position = new THREE.Vector3().copy(state.position);
+    state.direction = new THREE.Vector3().copy(state.direction);
+    state.mesh = (ENEMY_TYPES[state.type] || ENEMY_TYPES.jumper).buildMesh();
+    state.mesh.position.copy(state.position);
+    addRunObject(state.mesh);
+    jumpers.push(state);
+    return state;
+}
+
+/**
+ * Builds an enemy mesh from a style - bright and aggressive so it reads at a distance
+ * Child order matters: body, left eye, right eye, ring (animated in updateJumpers),
+ * legs, the suspicion icon, then any type-specific extras
+ * @param {Object} [style] - Overrides for the plain jumper look
+ * @param {number} [style.bodyRadius=0.3] - Body sphere radius
+ * @param {number} [style.bodyColor=0xFF3300] - Body color
+ * @param {number} [style.bodyEmissive=0xFF1100] - Body glow color (restored after hit flashes)
+ * @param {number} [style.bodyFlatten=1] - Vertical body scale (crawlers are flat)
+ * @param {number} [style.eyeColor=0xFFFF00] - Eye color
+ * @param {number} [style.ringColor=0xFF6600] - Glow ring color
+ * @param {number} [style.legCount=2] - Legs spread around the body
+ * @returns {THREE.Group} Enemy mesh
+ */
+function createEnemyMesh(style = {}) {
+    const bodyRadius = style.bodyRadius || 0.3;
+    const bodyColor = style.bodyColor !== undefined ? style.bodyColor : 0xFF3300;
+    const bodyEmissive = style.bodyEmissive !== undefined ? style.bodyEmissive : 0xFF1100;
+    const eyeColor = style.eyeColor !== undefined ? style.eyeColor : 0xFFFF00;
+    const ringColor = style.ringColor !== undefined ? style.ringColor : 0xFF6600;
+    const legCount = style.legCount || 2;
+    const sizeScale = bodyRadius / 0.3;
+    
+    const jumperGroup = new THREE.Group();
+    
+    // Compact body - smaller than player but VERY visible
+    const bodyGeometry = new THREE.SphereGeometry(bodyRadius, 16, 16);
+    const bodyMaterial = new THREE.MeshStandardMaterial({
+        color: bodyColor,
+        roughness: 0.5,
+        metalness: 0.3,
+        emissive: bodyEmissive,
+        emissiveIntensity: 0.6 // Stronger glow
+    });
+    const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+    body.scale.y = style.bodyFlatten || 1;
+    body.castShadow = true;
+    body.userData.baseEmissive = bodyEmissive;
+    jumperGroup.add(body);
     
-    // Tactical handle with texture
-    const handleGeometry = new THREE.BoxGeometry(0.055, 0.18, 0.09);
-    const handleMaterial = new THREE.MeshStandardMaterial({
-        color: 0x1C1C1C,
-        roughness: 0.8,
-        metalness: 0.2
+    // Glowing eyes - VERY visible with strong emission
+    const eyeGeometry = new THREE.SphereGeometry(0.08 * sizeScale, 8, 8);
+    const eyeMaterial = new THREE.MeshStandardMaterial({
+        color: eyeColor,
+        emissive: eyeColor,
+        emissiveIntensity: 2.0 // Maximum glow
     });
-    const handle = new THREE.Mesh(handleGeometry, handleMaterial);
-    handle.position.y = 0;
-    knifeGroup.add(handle);
     
-    // Grip grooves
-    for (let i = 0; i < 4; i++) {
-        const grooveGeometry = new THREE.BoxGeometry(0.06, 0.01, 0.095);
-        const grooveMaterial = new THREE.MeshStandardMaterial({
-            color: 0x000000,
-            roughness: 1.0
-        });
-        const groove = new THREE.Mesh(grooveGeometry, grooveMaterial);
-        groove.position.y = -0.06 + i * 0.04;
-        knifeGroup.add(groove);
-    }
+    const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+    leftEye.position.set(-0.12 * sizeScale, 0.1 * sizeScale, 0.25 * sizeScale);
+    jumperGroup.add(leftEye);
     
-    // Reinforced finger ring
-    const ringGeometry = new THREE.TorusGeometry(0.065, 0.015, 12, 20);
-    const ringMaterial = new THREE.MeshStandardMaterial({
-        color: color,
-        metalness: 0.95,
-        roughness: 0.1,
-        emissive: glow,
-        emissiveIntensity: 0.4
+    const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+    rightEye.position.set(0.12 * sizeScale, 0.1 * sizeScale, 0.25 * sizeScale);
+    jumperGroup.add(rightEye);
+    
+    // Glowing ring around body for extra visibility
+    const ringGeometry = new THREE.TorusGeometry(bodyRadius + 0.05, 0.03, 8, 16);
+    const ringMaterial = new THREE.MeshBasicMaterial({
+        color: ringColor,
+        transparent: true,
+        opacity: 0.6
     });
     const ring = new THREE.Mesh(ringGeometry, ringMaterial);
-    ring.position.set(0, -0.12, 0);
     ring.rotation.x = Math.PI / 2;
-    knifeGroup.add(ring);
+    jumperGroup.add(ring);
     
-    // Ring safety notches
-    for (let i = 0; i < 3; i++) {
-        const notchGeometry = new THREE.BoxGeometry(0.01, 0.02, 0.01);
-        const notch = new THREE.Mesh(notchGeometry, bladeMaterial);
-        const angle = (i * Math.PI * 2) / 3;
-        notch.position.set(
-            Math.cos(angle) * 0.065,
-            -0.12,
-            Math.sin(angle) * 0.065
-        );
-        knifeGroup.add(notch);
+    // Small legs for jumping effect
+    const legGeometry = new THREE.CylinderGeometry(0.06 * sizeScale, 0.06 * sizeScale, 0.2 * sizeScale, 6);
+    const legMaterial = new THREE.MeshStandardMaterial({
+        color: bodyColor,
+        roughness: 0.7
+    });
+    
+    for (let i = 0; i < legCount; i++) {
+        const leg = new THREE.Mesh(legGeometry, legMaterial);
+        if (legCount === 2) {
+            leg.position.set(i === 0 ? -0.12 * sizeScale : 0.12 * sizeScale, -(bodyRadius + 0.05), 0);
+        } else {
+            // Spread legs all around (crawlers)
+            const angle = (i / legCount) * Math.PI * 2;
+            leg.position.set(Math.cos(angle) * bodyRadius, -bodyRadius * (style.bodyFlatten || 1), Math.sin(angle) * bodyRadius);
+            leg.rotation.z = Math.cos(angle) * 0.8;
+            leg.rotation.x = -Math.sin(angle) * 0.8;
+        }
+        jumperGroup.add(leg);
     }
     
-    // Lanyard hole
-    const lanyardGeometry = new THREE.TorusGeometry(0.015, 0.005, 8, 12);
-    const lanyard = new THREE.Mesh(lanyardGeometry, ringMaterial);
-    lanyard.position.set(0, -0.09, -0.05);
-    lanyard.rotation.x = Math.PI / 2;
-    knifeGroup.add(lanyard);
+    // Suspicion meter floating above the head (see updateSuspicionIcon)
+    const suspicionIcon = createSuspicionIcon();
+    suspicionIcon.position.y = bodyRadius + 0.6;
+    jumperGroup.add(suspicionIcon);
+    jumperGroup.userData.suspicionIcon = suspicionIcon;
+    
+    jumperGroup.castShadow = true;
+    jumperGroup.visible = true; // Force visible
+    return jumperGroup;
 }
 
-// Lightsaber - Enhanced sci-fi energy blade
-function createLightsaber(knifeGroup, color, glow) {
-    // Core energy blade - bright inner glow
-    const coreGeometry = new THREE.CylinderGeometry(0.02, 0.02, 0.88, 16);
-    const coreMaterial = new THREE.MeshStandardMaterial({
-        color: 0xFFFFFF,
-        emissive: 0xFFFFFF,
-        emissiveIntensity: 2.5,
-        transparent: true,
-        opacity: 0.95
+/**
+ * Builds the suspicion meter: a flat ring with a disc that fills it
+ * Lies flat so it faces the overhead camera; hidden until the jumper notices something
+ * @returns {THREE.Group} Icon group (userData.fill is the growing disc)
+ */
+function createSuspicionIcon() {
+    const icon = new THREE.Group();
+    
+    const frame = new THREE.Mesh(
+        new THREE.RingGeometry(0.16, 0.22, 20),
+        new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.8, side: THREE.DoubleSide })
+    );
+    frame.rotation.x = -Math.PI / 2;
+    icon.add(frame);
+    
+    const fill = new THREE.Mesh(
+        new THREE.CircleGeometry(0.16, 20),
+        new THREE.MeshBasicMaterial({ color: 0xffdd00, transparent: true, opacity: 0.9, side: THREE.DoubleSide })
+    );
+    fill.rotation.x = -Math.PI / 2;
+    icon.add(fill);
+    
+    icon.userData.fill = fill;
+    icon.visible = false;
+    return icon;
+}
+
+/**
+ * Shows how suspicious a jumper is above its head
+ * Yellow while it fills, red once it gives chase, orange while searching or
+ * following a noise; hidden on an unaware patrol
+ * @param {Object} jumper - Jumper with mesh
+ */
+function updateSuspicionIcon(jumper) {
+    const icon = jumper.mesh.userData.suspicionIcon;
+    if (!icon) return;
+    
+    const searching = jumper.state === 'searching' || jumper.state === 'investigating';
+    const hunting = jumper.state === 'chasing' && jumper.type !== 'boss';
+    icon.visible = hunting || searching || jumper.suspicion > 0;
+    if (!icon.visible) return;
+    
+    const fillAmount = hunting ? 1 : Math.max(jumper.suspicion, searching ? 0.5 : 0);
+    const fill = icon.userData.fill;
+    fill.scale.set(Math.max(fillAmount, 0.01), Math.max(fillAmount, 0.01), 1);
+    fill.material.color.setHex(hunting ? 0xff0000 : searching ? 0xff8800 : 0xffdd00);
+}
+
+/**
+ * Builds the plain jumper mesh (red sphere, yellow eyes)
+ * @returns {THREE.Group} Enemy mesh
+ */
+function createJumperMesh() {
+    return createEnemyMesh();
+}
+
+/**
+ * Builds the Brute mesh - big, dark red, with iron shoulder plates
+ * @returns {THREE.Group} Enemy mesh
+ */
+function createBruteMesh() {
+    const group = createEnemyMesh({
+        bodyRadius: 0.45,
+        bodyColor: 0x8B0000,
+        bodyEmissive: 0x550000,
+        eyeColor: 0xFF6600,
+        ringColor: 0x888888
+    });
+    
+    const plateGeometry = new THREE.BoxGeometry(0.25, 0.12, 0.35);
+    const plateMaterial = new THREE.MeshStandardMaterial({
+        color: 0x555555,
+        metalness: 0.9,
+        roughness: 0.3
+    });
+    [-1, 1].forEach(side => {
+        const plate = new THREE.Mesh(plateGeometry, plateMaterial);
+        plate.position.set(side * 0.38, 0.22, 0);
+        plate.rotation.z = side * -0.5;
+        group.add(plate);
+    });
+    return group;
+}
+
+/**
+ * Builds the Crawler mesh - a flat purple bug with six legs
+ * @returns {THREE.Group} Enemy mesh
+ */
+function createCrawlerMesh() {
+    return createEnemyMesh({
+        bodyRadius: 0.28,
+        bodyColor: 0x7A1FCC,
+        bodyEmissive: 0x440088,
+        bodyFlatten: 0.5,
+        eyeColor: 0x00FFFF,
+        ringColor: 0xAA44FF,
+        legCount: 6
+    });
+}
+
+/**
+ * Builds the Spitter mesh - green, with an acid sac and a spout
+ * @returns {THREE.Group} Enemy mesh
+ */
+function createSpitterMesh() {
+    const group = createEnemyMesh({
+        bodyColor: 0x33AA22,
+        bodyEmissive: 0x116600,
+        eyeColor: 0xFFFFFF,
+        ringColor: 0x66FF33
     });
-    const core = new THREE.Mesh(coreGeometry, coreMaterial);
-    core.position.y = 0.52;
-    knifeGroup.add(core);
     
-    // Main energy blade
-    const bladeGeometry = new THREE.CylinderGeometry(0.028, 0.028, 0.88, 16);
-    const bladeMaterial = new THREE.MeshStandardMaterial({
-        color: color,
-        metalness: 0.2,
-        roughness: 0.1,
-        emissive: glow,
-        emissiveIntensity: 2.2,
+    const sacMaterial = new THREE.MeshStandardMaterial({
+        color: 0x99FF00,
+        emissive: 0x66CC00,
+        emissiveIntensity: 1.2,
         transparent: true,
         opacity: 0.85
     });
-    const blade = new THREE.Mesh(bladeGeometry, bladeMaterial);
-    blade.position.y = 0.52;
-    knifeGroup.add(blade);
+    const sac = new THREE.Mesh(new THREE.SphereGeometry(0.16, 12, 12), sacMaterial);
+    sac.position.set(0, 0.28, -0.08);
+    group.add(sac);
     
-    // Outer glow halo
-    const glowGeometry = new THREE.CylinderGeometry(0.045, 0.045, 0.88, 16);
-    const glowMaterial = new THREE.MeshStandardMaterial({
-        color: glow,
-        emissive: glow,
-        emissiveIntensity: 1.8,
-        transparent: true,
-        opacity: 0.4
+    const spout = new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.08, 0.2, 8), sacMaterial);
+    spout.position.set(0, -0.05, 0.32);
+    spout.rotation.x = Math.PI / 2;
+    group.add(spout);
+    return group;
+}
+
+/**
+ * Builds the Splitter mesh - orange, with a dark seam where it splits
+ * @returns {THREE.Group} Enemy mesh
+ */
+function createSplitterMesh() {
+    const group = createEnemyMesh({
+        bodyRadius: 0.34,
+        bodyColor: 0xFF9900,
+        bodyEmissive: 0xCC5500,
+        eyeColor: 0xFF0000,
+        ringColor: 0xFFCC00
+    });
+    
+    const seam = new THREE.Mesh(
+        new THREE.TorusGeometry(0.345, 0.025, 8, 24),
+        new THREE.MeshBasicMaterial({ color: 0x220000 })
+    );
+    group.add(seam); // Vertical band (the ring lies flat)
+    return group;
+}
+
+/**
+ * Builds the Splitling mesh - a small copy of the splitter
+ * @returns {THREE.Group} Enemy mesh
+ */
+function createSplitlingMesh() {
+    return createEnemyMesh({
+        bodyRadius: 0.18,
+        bodyColor: 0xFFAA22,
+        bodyEmissive: 0xCC5500,
+        eyeColor: 0xFF0000,
+        ringColor: 0xFFCC00
     });
-    const glowBlade = new THREE.Mesh(glowGeometry, glowMaterial);
-    glowBlade.position.y = 0.52;
-    knifeGroup.add(glowBlade);
+}
+
+/**
+ * Builds the Overseer mesh - a huge violet brute crowned with glowing spikes
+ * @returns {THREE.Group} Enemy mesh
+ */
+function createBossMesh() {
+    const group = createEnemyMesh({
+        bodyRadius: 0.65,
+        bodyColor: 0x330055,
+        bodyEmissive: 0x6600AA,
+        eyeColor: 0x00FF66,
+        ringColor: 0xAA00FF,
+        legCount: 4
+    });
+    
+    const spikeGeometry = new THREE.ConeGeometry(0.08, 0.35, 6);
+    const spikeMaterial = new THREE.MeshStandardMaterial({
+        color: 0x00FF66,
+        emissive: 0x00CC44,
+        emissiveIntensity: 1.5
+    });
+    for (let i = 0; i < 5; i++) {
+        const angle = (i / 5) * Math.PI * 2;
+        const spike = new THREE.Mesh(spikeGeometry, spikeMaterial);
+        spike.position.set(Math.cos(angle) * 0.3, 0.65, Math.sin(angle) * 0.3);
+        spike.rotation.z = -Math.cos(angle) * 0.4;
+        spike.rotation.x = Math.sin(angle) * 0.4;
+        group.add(spike);
+    }
+    return group;
+}
+
+/**
+ * Creates a door exit for survival mode
+ */
+function createDoorExit() {
+    exit = getExitWorldPosition();
     
-    // Extended outer aura
-    const auraGeometry = new THREE.CylinderGeometry(0.06, 0.06, 0.88, 16);
-    const auraMaterial = new THREE.MeshStandardMaterial({
-        color: glow,
-        emissive: glow,
-        emissiveIntensity: 1.2,
-        transparent: true,
-        opacity: 0.2
+    // Create ornate door with glowing frame
+    const doorGroup = new THREE.Group();
+    
+    // Door frame
+    const frameGeometry = new THREE.BoxGeometry(2, 3, 0.2);
+    const frameMaterial = new THREE.MeshStandardMaterial({
+        color: 0x8B4513,
+        roughness: 0.7,
+        metalness: 0.3
     });
-    const aura = new THREE.Mesh(auraGeometry, auraMaterial);
-    aura.position.y = 0.52;
-    knifeGroup.add(aura);
+    const frame = new THREE.Mesh(frameGeometry, frameMaterial);
+    doorGroup.add(frame);
     
-    // Emitter (top of hilt where blade emerges)
-    const emitterGeometry = new THREE.CylinderGeometry(0.035, 0.05, 0.06, 16);
-    const hiltMaterial = new THREE.MeshStandardMaterial({
-        color: 0xA8A8A8,
-        metalness: 0.95,
-        roughness: 0.15
+    // Door panels
+    const panelGeometry = new THREE.BoxGeometry(0.9, 2.6, 0.15);
+    const panelMaterial = new THREE.MeshStandardMaterial({
+        color: 0x654321,
+        roughness: 0.8,
+        metalness: 0.2
     });
-    const emitter = new THREE.Mesh(emitterGeometry, hiltMaterial);
-    emitter.position.y = 0.11;
-    knifeGroup.add(emitter);
+    const leftPanel = new THREE.Mesh(panelGeometry, panelMaterial);
+    leftPanel.position.set(-0.5, 0, 0.05);
+    doorGroup.add(leftPanel);
     
-    // Emitter glow ring
-    const emitterGlowGeometry = new THREE.TorusGeometry(0.04, 0.008, 8, 16);
-    const emitterGlowMaterial = new THREE.MeshStandardMaterial({
-        color: glow,
-        emissive: glow,
-        emissiveIntensity: 1.5
+    const rightPanel = new THREE.Mesh(panelGeometry, panelMaterial);
+    rightPanel.position.set(0.5, 0, 0.05);
+    doorGroup.add(rightPanel);
+    
+    // Glowing green "EXIT" sign above door
+    const signGeometry = new THREE.BoxGeometry(1.5, 0.4, 0.1);
+    const signMaterial = new THREE.MeshStandardMaterial({
+        color: 0x00ff00,
+        emissive: 0x00ff00,
+        emissiveIntensity: 1.0,
+        roughness: 0.3,
+        metalness: 0.7
     });
-    const emitterGlow = new THREE.Mesh(emitterGlowGeometry, emitterGlowMaterial);
-    emitterGlow.position.y = 0.09;
-    emitterGlow.rotation.x = Math.PI / 2;
-    knifeGroup.add(emitterGlow);
+    const sign = new THREE.Mesh(signGeometry, signMaterial);
+    sign.position.y = 1.8;
+    doorGroup.add(sign);
+    
+    // Green spotlight from above
+    const doorLight = new THREE.SpotLight(0x00ff00, 2, 10, Math.PI / 4, 0.5, 1);
+    doorLight.position.set(0, 4, 0);
+    doorLight.target.position.set(0, 0, 0);
+    doorGroup.add(doorLight);
+    doorGroup.add(doorLight.target);
+    
+    // Green glow ring on ground
+    const glowGeometry = new THREE.CircleGeometry(2, 32);
+    const glowMaterial = new THREE.MeshStandardMaterial({
+        color: 0x00ff00,
+        transparent: true,
+        opacity: 0.4,
+        emissive: 0x00ff00,
+        emissiveIntensity: 0.8
+    });
+    const glow = new THREE.Mesh(glowGeometry, glowMaterial);
+    glow.rotation.x = -Math.PI / 2;
+    glow.position.y = 0.1;
+    doorGroup.add(glow);
+    
+    // Position door at exit location
+    doorGroup.position.set(exit.x, 1.5, exit.z);
     
-    // Main hilt body
-    const hiltGeometry = new THREE.CylinderGeometry(0.045, 0.05, 0.32, 16);
-    const hilt = new THREE.Mesh(hiltGeometry, hiltMaterial);
-    hilt.position.y = -0.08;
-    knifeGroup.add(hilt);
+    addRunObject(doorGroup);
+    doorMesh = doorGroup;
     
-    // Activation switch/button
-    const buttonGeometry = new THREE.BoxGeometry(0.02, 0.04, 0.025);
-    const buttonMaterial = new THREE.MeshStandardMaterial({
-        color: 0xFF0000,
-        emissive: 0xFF0000,
-        emissiveIntensity: 1.2,
-        metalness: 0.8
-    });
-    const button = new THREE.Mesh(buttonGeometry, buttonMaterial);
-    button.position.set(0.052, 0.02, 0);
-    knifeGroup.add(button);
+    console.log('Door exit created at position:', doorGroup.position);
+}
+
+/**
+ * Spawns a specific number of monsters for survival mode
+ * @param {number} count - Number of monsters to spawn
+ */
+function spawnSurvivalMonsters(count) {
+    // Safety check - make sure maze exists
+    if (!maze || maze.length === 0) {
+        console.error('❌ Cannot spawn monsters - maze not generated yet!');
+        console.error('Maze:', maze);
+        return;
+    }
     
-    // Control panel
-    const panelGeometry = new THREE.BoxGeometry(0.055, 0.08, 0.015);
-    const panelMaterial = new THREE.MeshStandardMaterial({
-        color: 0x1C1C1C,
-        metalness: 0.6,
-        roughness: 0.3
-    });
-    const panel = new THREE.Mesh(panelGeometry, panelMaterial);
-    panel.position.set(0.048, 0, 0);
-    knifeGroup.add(panel);
+    // Find valid spawn corridors (same index as createJumpers)
+    const corridors = getCorridors();
     
-    // LED indicator lights
-    for (let i = 0; i < 3; i++) {
-        const ledGeometry = new THREE.SphereGeometry(0.006, 8, 8);
-        const ledMaterial = new THREE.MeshStandardMaterial({
-            color: i === 0 ? 0x00FF00 : (i === 1 ? 0x00FF00 : 0xFF0000),
-            emissive: i === 0 ? 0x00FF00 : (i === 1 ? 0x00FF00 : 0xFF0000),
-            emissiveIntensity: 1.5
-        });
-        const led = new THREE.Mesh(ledGeometry, ledMaterial);
-        led.position.set(0.053, -0.02 - i * 0.02, 0);
-        knifeGroup.add(led);
+    if (corridors.length === 0) {
+        console.error('❌ No corridors found for monster spawning!');
+        return;
     }
     
-    // Grip rings
-    for (let i = 0; i < 4; i++) {
-        const ringGeometry = new THREE.TorusGeometry(0.051, 0.004, 8, 16);
-        const ringMaterial = new THREE.MeshStandardMaterial({
-            color: 0x000000,
-            metalness: 0.7,
-            roughness: 0.4
-        });
-        const ring = new THREE.Mesh(ringGeometry, ringMaterial);
-        ring.position.y = -0.06 - i * 0.06;
-        ring.rotation.x = Math.PI / 2;
-        knifeGroup.add(ring);
+    // Spawn monsters out of sight on a path that leads to the player
+    for (let i = 0; i < count; i++) {
+        const { corridor } = ZyrathSim.selectDirectorCorridor(mazeLayout, corridors, player.position, chaseFlowField, spawnRandom);
+        spawnEnemy(corridor, spawnRandom);
     }
     
-    // Pommel (bottom cap)
-    const pommelGeometry = new THREE.CylinderGeometry(0.038, 0.055, 0.08, 16);
-    const pommel = new THREE.Mesh(pommelGeometry, hiltMaterial);
-    pommel.position.y = -0.28;
-    knifeGroup.add(pommel);
+    updateJumperCount();
+}
+
+/**
+ * Legacy timed spawning (removed)
+ * Survival spawns are paced by the AI director instead (see updateDirector)
+ */
+function startMonsterSpawning() {
+    console.log('Survival Mode: Monster spawning is paced by the AI director');
+    // No longer using timed intervals - the director decides
+}
+
+/**
+ * Creates the survival director for a new run (null in hunt mode)
+ * @returns {void}
+ */
+function resetDirector() {
+    survivalDirector = gameMode === 'survival' ? ZyrathSim.createDirector(difficulty.maxEnemies) : null;
+}
+
+/**
+ * Lets the survival director react to this tick and spawns what it sends
+ * @returns {void}
+ */
+function updateDirector() {
+    const decision = ZyrathSim.stepDirector(survivalDirector, {
+        alive: jumpers.length,
+        nearby: ZyrathSim.countNearbyJumpers(jumpers, chaseFlowField),
+        healthFraction: playerHealth.current / playerHealth.max
+    }, simTime, spawnRandom);
     
-    // Pommel accent ring
-    const pommelRingGeometry = new THREE.TorusGeometry(0.046, 0.006, 8, 16);
-    const pommelRing = new THREE.Mesh(pommelRingGeometry, emitterGlowMaterial);
-    pommelRing.position.y = -0.25;
-    pommelRing.rotation.x = Math.PI / 2;
-    knifeGroup.add(pommelRing);
+    if (decision.phaseChanged) {
+        console.log(`🎬 Director: ${survivalDirector.phase} (intensity ${survivalDirector.intensity.toFixed(2)})`);
+    }
+    if (decision.spawn > 0) {
+        spawnSurvivalMonsters(decision.spawn);
+    }
 }
 
-function createExit() {
-    exit = new THREE.Vector3(MAZE_SIZE / 2 - 1.5, 0, MAZE_SIZE / 2 - 1.5);
+/**
+ * Stops the monster spawning system
+ */
+function stopMonsterSpawning() {
+    if (monsterSpawnInterval) {
+        clearInterval(monsterSpawnInterval);
+        monsterSpawnInterval = null;
+        console.log('Monster spawning system stopped');
+    }
+}
+
+function createPistolPickup() {
+    // Create pistol pickup near the center of the maze
+    const pickupGroup = new THREE.Group();
     
-    // Create UFO flying in the sky with blue ray effects - SMALLER VERSION
-    const ufoGroup = new THREE.Group();
+    // Enhanced Pistol body - more realistic design
+    const handleGeometry = new THREE.BoxGeometry(0.12, 0.35, 0.08);
+    const triggerGuardGeometry = new THREE.BoxGeometry(0.08, 0.15, 0.06);
+    const barrelGeometry = new THREE.CylinderGeometry(0.04, 0.04, 0.4, 8);
+    const slideGeometry = new THREE.BoxGeometry(0.1, 0.08, 0.38);
     
-    // UFO Main Body (disc shape) - REDUCED SIZE
-    const ufoBodyGeometry = new THREE.CylinderGeometry(0.8, 1.0, 0.3, 32);
-    const ufoBodyMaterial = new THREE.MeshStandardMaterial({
-        color: 0x888888,
-        metalness: 0.8,
-        roughness: 0.2,
-        emissive: 0x333366,
+    const pistolMaterial = new THREE.MeshStandardMaterial({
+        color: 0x2a2a2a,
+        metalness: 0.9,
+        roughness: 0.1,
+        emissive: 0x333333,
         emissiveIntensity: 0.3
     });
-    const ufoBody = new THREE.Mesh(ufoBodyGeometry, ufoBodyMaterial);
-    ufoGroup.add(ufoBody);
     
-    // UFO Dome (top) - SMALLER
-    const ufoDomeGeometry = new THREE.SphereGeometry(0.6, 32, 16, 0, Math.PI * 2, 0, Math.PI / 2);
-    const ufoDomeMaterial = new THREE.MeshStandardMaterial({
-        color: 0x4488ff,
-        transparent: true,
-        opacity: 0.7,
-        emissive: 0x2244aa,
-        emissiveIntensity: 0.5
-    });
-    const ufoDome = new THREE.Mesh(ufoDomeGeometry, ufoDomeMaterial);
-    ufoDome.position.y = 0.15;
-    ufoGroup.add(ufoDome);
+    // Handle/Grip
+    const handle = new THREE.Mesh(handleGeometry, pistolMaterial);
+    handle.position.set(0, -0.1, 0);
+    handle.rotation.z = Math.PI / 8;
+    pickupGroup.add(handle);
     
-    // UFO Lights around the rim - SMALLER AND FEWER
-    for (let i = 0; i < 6; i++) {
-        const angle = (i / 6) * Math.PI * 2;
-        const lightGeometry = new THREE.SphereGeometry(0.05, 8, 8);
-        const lightMaterial = new THREE.MeshStandardMaterial({
-            color: 0xffffff,
-            emissive: 0xffffff,
-            emissiveIntensity: 1.0
-        });
-        const light = new THREE.Mesh(lightGeometry, lightMaterial);
-        light.position.x = Math.cos(angle) * 0.9;
-        light.position.z = Math.sin(angle) * 0.9;
-        light.position.y = -0.1;
-        ufoGroup.add(light);
-        
-        // Point lights for each rim light
-        const pointLight = new THREE.PointLight(0xffffff, 0.3, 3);
-        pointLight.position.copy(light.position);
-        ufoGroup.add(pointLight);
-    }
+    // Trigger guard
+    const triggerGuard = new THREE.Mesh(triggerGuardGeometry, pistolMaterial);
+    triggerGuard.position.set(0, 0.05, 0);
+    pickupGroup.add(triggerGuard);
     
-    // Blue tractor beam cone - MUCH NARROWER
-    const beamGeometry = new THREE.ConeGeometry(1.2, 5, 16, 1, true);
-    const beamMaterial = new THREE.MeshStandardMaterial({
-        color: 0x0088ff,
+    // Barrel
+    const barrel = new THREE.Mesh(barrelGeometry, pistolMaterial);
+    barrel.rotation.z = Math.PI / 2;
+    barrel.position.set(0.15, 0.15, 0);
+    pickupGroup.add(barrel);
+    
+    // Slide
+    const slide = new THREE.Mesh(slideGeometry, pistolMaterial);
+    slide.position.set(0.05, 0.15, 0);
+    pickupGroup.add(slide);
+    
+    // Bright Orange Glowing Ring - Much More Visible
+    const ringGeometry = new THREE.TorusGeometry(0.8, 0.08, 16, 32);
+    const ringMaterial = new THREE.MeshBasicMaterial({
+        color: 0xff8800,
         transparent: true,
-        opacity: 0.25,
-        emissive: 0x0066cc,
-        emissiveIntensity: 0.3,
-        side: THREE.DoubleSide
+        opacity: 0.9
     });
-    const beam = new THREE.Mesh(beamGeometry, beamMaterial);
-    beam.position.y = -2.5;
-    beam.rotation.x = Math.PI;
-    ufoGroup.add(beam);
+    const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+    ring.rotation.x = Math.PI / 2;
+    ring.position.y = -0.2;
+    pickupGroup.add(ring);
     
-    // Blue ray circle on ground - VERY SMALL CIRCLE
-    const groundBeamGeometry = new THREE.CircleGeometry(1.2, 32);
-    const groundBeamMaterial = new THREE.MeshStandardMaterial({
-        color: 0x0088ff,
+    // Secondary inner glow ring
+    const innerRingGeometry = new THREE.TorusGeometry(0.6, 0.05, 16, 32);
+    const innerRingMaterial = new THREE.MeshBasicMaterial({
+        color: 0xffaa00,
         transparent: true,
-        opacity: 0.5,
-        emissive: 0x0066cc,
-        emissiveIntensity: 0.6
+        opacity: 0.7
     });
-    const groundBeam = new THREE.Mesh(groundBeamGeometry, groundBeamMaterial);
-    groundBeam.rotation.x = -Math.PI / 2;
-    groundBeam.position.y = 0.1;
-    ufoGroup.add(groundBeam);
+    const innerRing = new THREE.Mesh(innerRingGeometry, innerRingMaterial);
+    innerRing.rotation.x = Math.PI / 2;
+    innerRing.position.y = -0.15;
+    pickupGroup.add(innerRing);
     
-    // Main blue beam light from UFO - REDUCED INTENSITY
-    const beamLight = new THREE.SpotLight(0x0088ff, 2, 8, Math.PI / 6, 0.5, 1);
-    beamLight.position.set(0, 2, 0);
-    beamLight.target.position.set(0, 0, 0);
-    ufoGroup.add(beamLight);
-    ufoGroup.add(beamLight.target);
+    // Bright Orange Point Light for visibility
+    const pickupLight = new THREE.PointLight(0xff6600, 3, 12);
+    pickupLight.position.set(0, 1, 0);
+    pickupGroup.add(pickupLight);
     
-    // Additional blue point light for ground illumination - REDUCED
-    const groundLight = new THREE.PointLight(0x0088ff, 1.5, 6);
-    groundLight.position.set(0, 1, 0);
-    ufoGroup.add(groundLight);
+    // Additional spotlight for better visibility
+    const spotlight = new THREE.SpotLight(0xff8800, 2, 15, Math.PI / 3, 0.3, 1);
+    spotlight.position.set(0, 3, 0);
+    spotlight.target.position.set(0, 0, 0);
+    pickupGroup.add(spotlight);
+    pickupGroup.add(spotlight.target);
     
-    // Position UFO just above the end of maze, close to walls (lower height)
-    ufoGroup.position.set(exit.x, 5, exit.z);
-    ufoGroup.userData.originalY = 5;
-    ufoGroup.userData.time = 0;
+    // Position in a separate area between walls (side corridor, scaled with the maze)
+    const [pistolCellX, pistolCellZ] = getPistolCell();
+    pickupGroup.position.set(gridToWorldX(pistolCellX), 0.5, gridToWorldZ(pistolCellZ)); // Side area away from center and start
+    pickupGroup.userData.rotation = 0; // For spinning animation
+    
+    addRunObject(pickupGroup);
+    pistolPickup = pickupGroup;
+    
+    console.log('Pistol pickup created at position:', pickupGroup.position);
+}
+
+// ============================================================================
+// AMMO PICKUPS
+// ============================================================================
+
+/**
+ * Creates difficulty.ammoPickups ammo crates on random open cells
+ * Crates avoid the spawn area, the exit and each other
+ * Uses worldRandom so the same seed places crates in the same cells
+ * @returns {void}
+ */
+function createAmmoPickups() {
+    clearAmmoPickups();
+    
+    const [exitX, exitZ] = getExitCell();
+    const [pistolX, pistolZ] = getPistolCell();
+    const candidates = [];
+    for (let x = 1; x < mazeWidth - 1; x++) {
+        for (let z = 1; z < mazeDepth - 1; z++) {
+            if (maze[x][z] !== 0) continue;
+            if (x + z < 8) continue; // Keep away from spawn
+            if (Math.abs(x - exitX) + Math.abs(z - exitZ) < 4) continue;
+            if (Math.abs(x - pistolX) + Math.abs(z - pistolZ) < 3) continue;
+            candidates.push([x, z]);
+        }
+    }
+    ZyrathSim.shuffleInPlace(candidates, worldRandom);
     
-    scene.add(ufoGroup);
-    exitMesh = ufoGroup;
+    for (const [x, z] of candidates) {
+        if (ammoPickups.length >= difficulty.ammoPickups) break;
+        
+        // Minimum spacing between crates
+        const tooClose = ammoPickups.some(pickup =>
+            Math.abs(pickup.cellX - x) + Math.abs(pickup.cellZ - z) < 6
+        );
+        if (tooClose) continue;
+        
+        const crate = new THREE.Group();
+        
+        const boxGeometry = new THREE.BoxGeometry(0.5, 0.3, 0.35);
+        const boxMaterial = new THREE.MeshStandardMaterial({
+            color: 0x556b2f,
+            emissive: 0x223311,
+            emissiveIntensity: 0.4,
+            roughness: 0.7
+        });
+        crate.add(new THREE.Mesh(boxGeometry, boxMaterial));
+        
+        const stripeGeometry = new THREE.BoxGeometry(0.52, 0.06, 0.37);
+        const stripeMaterial = new THREE.MeshStandardMaterial({
+            color: 0xffcc00,
+            emissive: 0xffaa00,
+            emissiveIntensity: 0.8
+        });
+        crate.add(new THREE.Mesh(stripeGeometry, stripeMaterial));
+        
+        const crateLight = new THREE.PointLight(0xffaa00, 1.5, 5);
+        crateLight.position.set(0, 0.8, 0);
+        crate.add(crateLight);
+        
+        crate.position.set(gridToWorldX(x) + 0.5, 0.3, gridToWorldZ(z) + 0.5);
+        addRunObject(crate);
+        
+        ammoPickups.push({ mesh: crate, cellX: x, cellZ: z });
+    }
     
-    console.log('UFO exit created at position:', ufoGroup.position);
+    console.log(`📦 Ammo pickups created: ${ammoPickups.length}/${difficulty.ammoPickups}`);
+}
+
+/**
+ * Removes all ammo crates from the scene
+ * @returns {void}
+ */
+function clearAmmoPickups() {
+    ammoPickups.forEach(pickup => removeRunObject(pickup.mesh));
+    ammoPickups = [];
+}
+
+/**
+ * Collects any ammo crate within reach of the player
+ * Crates only open once the pistol has been picked up; each adds half the
+ * starting ammo of every owned gun and holds the next weapon of CRATE_WEAPON_ORDER
+ * @returns {void}
+ */
+function checkAmmoPickups() {
+    if (!player || pistolPickup) return;
+    
+    for (let i = ammoPickups.length - 1; i >= 0; i--) {
+        const pickup = ammoPickups[i];
+        const dx = player.position.x - pickup.mesh.position.x;
+        const dz = player.position.z - pickup.mesh.position.z;
+        if (dx * dx + dz * dz > 1.5 * 1.5) continue;
+        
+        Object.keys(weaponAmmo).forEach(id => {
+            const weapon = ZyrathSim.WEAPON_TYPES[id];
+            ZyrathSim.addWeaponAmmo(weaponAmmo[id], weapon, Math.ceil(weapon.ammo / 2));
+        });
+        const found = CRATE_WEAPON_ORDER.find(id => !(id in weaponAmmo));
+        if (found) giveWeapon(found);
+        
+        playPickupSound();
+        removeRunObject(pickup.mesh);
+        ammoPickups.splice(i, 1);
+        updateAmmoDisplay();
+        updateWeaponDisplay();
+        console.log(`📦 Ammo picked up${found ? ` with a ${ZyrathSim.WEAPON_TYPES[found].name}` : ''}:`, weaponAmmo);
+    }
 }
 
 // ============================================================================
-// ENEMY SPAWNING SYSTEM
+// PLAYER HEALTH & HEALTH PICKUPS
 // ============================================================================
 
 /**
- * Creates and spawns jumping enemies throughout the maze corridors
- * Implements intelligent distribution algorithm for balanced gameplay
- * 
+ * Refills the player's hearts for a new run from the active difficulty
  * @returns {void}
- * 
- * @description
- * Spawn algorithm:
- * 1. Scans entire maze to identify horizontal and vertical corridors
- * 2. Filters corridors by minimum length (2+ cells) to ensure mobility
- * 3. Prioritizes longer corridors (5+ cells) for better enemy placement
- * 4. Spawns JUMPER_COUNT (15) enemies with minimum 4-unit spacing
- * 5. Creates red sphere meshes with glowing emissive material
- * 6. Initializes AI state: position, velocity, patrol corridor, jump phase
- * 7. Adds each enemy to scene and jumpers array for game loop updates
- * 
- * Each enemy is confined to their spawn corridor for lane-based combat,
- * creating predictable but challenging patrol patterns.
  */
-function createJumpers() {
-    console.log('Initializing enemy spawn system...');
+function resetPlayerHealth() {
+    playerHealth = ZyrathSim.createPlayerHealth(difficulty.maxHealth, difficulty.oneHit);
+    if (playerMesh) {
+        playerMesh.visible = true;
+    }
     
-    // Clear any existing enemy entities
-    jumpers.forEach(jumper => scene.remove(jumper.mesh));
-    jumpers = [];
+    const vignette = document.getElementById('damageVignette');
+    if (vignette) {
+        clearTimeout(vignette.hitTimer);
+        vignette.classList.remove('hit');
+    }
+    updateHealthDisplay();
+}
+
+/**
+ * Redraws the HUD hearts and the low-health vignette
+ * @returns {void}
+ */
+function updateHealthDisplay() {
+    const heartsElement = document.getElementById('healthHearts');
+    if (heartsElement) {
+        const lost = playerHealth.max - playerHealth.current;
+        heartsElement.innerHTML = '❤️'.repeat(playerHealth.current)
+            + '<span class="heart-empty">❤️</span>'.repeat(lost);
+    }
     
-    console.log(`Maze size: ${MAZE_SIZE}x${MAZE_SIZE}, looking for corridors...`);
+    // Faint red edges while on the last heart (not in one-hit runs, where it always is)
+    const vignette = document.getElementById('damageVignette');
+    if (vignette) {
+        vignette.classList.toggle('critical', playerHealth.current === 1 && playerHealth.max > 1);
+    }
+}
+
+/**
+ * Flashes the red damage vignette
+ * @returns {void}
+ */
+function flashDamageVignette() {
+    const vignette = document.getElementById('damageVignette');
+    if (!vignette) return;
     
-    // Corridor detection phase - find all valid spawn locations
-    const corridors = [];
-    const usedCorridors = new Set();
-    
-    // Detect horizontal corridors (consecutive clear cells in rows)
-    for (let z = 1; z < MAZE_SIZE - 1; z++) {
-        let startX = -1;
-        let length = 0;
-        
-        for (let x = 1; x < MAZE_SIZE - 1; x++) {
-            if (maze[x][z] === 0) {
-                if (startX === -1) startX = x;
-                length++;
-            } else {
-                if (length >= 2) {
-                    const corridorId = `H_${startX}_${z}_${length}`;
-                    if (!usedCorridors.has(corridorId)) {
-                        corridors.push({
-                            type: 'horizontal',
-                            startX: startX,
-                            endX: startX + length - 1,
-                            z: z,
-                            length: length,
-                            id: corridorId
-                        });
-                        usedCorridors.add(corridorId);
-                    }
-                }
-                startX = -1;
-                length = 0;
-            }
-        }
-        if (length >= 2) {
-            const corridorId = `H_${startX}_${z}_${length}`;
-            if (!usedCorridors.has(corridorId)) {
-                corridors.push({
-                    type: 'horizontal',
-                    startX: startX,
-                    endX: startX + length - 1,
-                    z: z,
-                    length: length,
-                    id: corridorId
-                });
-                usedCorridors.add(corridorId);
-            }
-        }
+    vignette.classList.add('hit');
+    clearTimeout(vignette.hitTimer);
+    vignette.hitTimer = setTimeout(() => vignette.classList.remove('hit'), 150);
+}
+
+/**
+ * Handles a jumper (or its spit) reaching the player
+ * Costs a heart and knocks the player away from the hit; the
+ * invulnerability window that follows ignores further contact. The last
+ * heart (or any hit in one-hit hardcore) ends the run.
+ * @param {Object} fromPosition - Where the hit came from {x, z}
+ * @param {string} cause - What hit the player (for logging)
+ * @returns {boolean} True if the hit killed the player
+ */
+function hitPlayer(fromPosition, cause) {
+    if (!ZyrathSim.damagePlayer(playerHealth, simTime)) return false;
+    if (survivalDirector) {
+        ZyrathSim.addDirectorStress(survivalDirector, ZyrathSim.DIRECTOR_SETTINGS.damageStress, simTime);
+    }
+    
+    updateHealthDisplay();
+    flashDamageVignette();
+    
+    if (playerHealth.current <= 0) {
+        console.log(`💀 ${cause} killed player!`);
+        loseGame();
+        return true;
     }
     
-    // Find vertical corridors (columns with consecutive clear cells)
-    for (let x = 1; x < MAZE_SIZE - 1; x++) {
-        let startZ = -1;
-        let length = 0;
+    rumbleGamepad('hit');
+    
+    ZyrathSim.knockBackPlayer(mazeLayout, player, fromPosition);
+    playerMesh.position.copy(player.position);
+    playHitSound();
+    console.log(`💔 ${cause} hit player: ${playerHealth.current}/${playerHealth.max} hearts left`);
+    return false;
+}
+
+/**
+ * Creates difficulty.healthPickups health packs on corridor cells
+ * Each candidate is the middle cell of a straight corridor, away from its
+ * junctions; packs avoid the spawn area, the exit, the pistol, ammo crates
+ * and each other. Uses worldRandom like the ammo crates.
+ * @returns {void}
+ */
+function createHealthPickups() {
+    clearHealthPickups();
+    
+    const [exitX, exitZ] = getExitCell();
+    const [pistolX, pistolZ] = getPistolCell();
+    const candidates = [];
+    getCorridors().forEach(corridor => {
+        if (corridor.length < 3) return;
+        
+        const middle = Math.floor(corridor.length / 2);
+        const x = corridor.type === 'horizontal' ? corridor.startX + middle : corridor.x;
+        const z = corridor.type === 'horizontal' ? corridor.z : corridor.startZ + middle;
+        if (x + z < 8) return; // Keep away from spawn
+        if (Math.abs(x - exitX) + Math.abs(z - exitZ) < 4) return;
+        if (Math.abs(x - pistolX) + Math.abs(z - pistolZ) < 3) return;
+        if (ammoPickups.some(pickup => Math.abs(pickup.cellX - x) + Math.abs(pickup.cellZ - z) < 3)) return;
+        candidates.push([x, z]);
+    });
+    ZyrathSim.shuffleInPlace(candidates, worldRandom);
+    
+    for (const [x, z] of candidates) {
+        if (healthPickups.length >= difficulty.healthPickups) break;
+        
+        // Minimum spacing between packs
+        const tooClose = healthPickups.some(pickup =>
+            Math.abs(pickup.cellX - x) + Math.abs(pickup.cellZ - z) < 6
+        );
+        if (tooClose) continue;
         
-        for (let z = 1; z < MAZE_SIZE - 1; z++) {
-            if (maze[x][z] === 0) {
-                if (startZ === -1) startZ = z;
-                length++;
-            } else {
-                if (length >= 2) {
-                    const corridorId = `V_${x}_${startZ}_${length}`;
-                    if (!usedCorridors.has(corridorId)) {
-                        corridors.push({
-                            type: 'vertical',
-                            x: x,
-                            startZ: startZ,
-                            endZ: startZ + length - 1,
-                            length: length,
-                            id: corridorId
-                        });
-                        usedCorridors.add(corridorId);
-                    }
-                }
-                startZ = -1;
-                length = 0;
-            }
-        }
-        if (length >= 2) {
-            const corridorId = `V_${x}_${startZ}_${length}`;
-            if (!usedCorridors.has(corridorId)) {
-                corridors.push({
-                    type: 'vertical',
-                    x: x,
-                    startZ: startZ,
-                    endZ: startZ + length - 1,
-                    length: length,
-                    id: corridorId
-                });
-                usedCorridors.add(corridorId);
-            }
-        }
+        const pack = new THREE.Group();
+        
+        const boxGeometry = new THREE.BoxGeometry(0.45, 0.25, 0.45);
+        const boxMaterial = new THREE.MeshStandardMaterial({
+            color: 0xeeeeee,
+            emissive: 0x333333,
+            emissiveIntensity: 0.4,
+            roughness: 0.6
+        });
+        pack.add(new THREE.Mesh(boxGeometry, boxMaterial));
+        
+        // Red cross on the lid
+        const crossMaterial = new THREE.MeshStandardMaterial({
+            color: 0xff2222,
+            emissive: 0xff0000,
+            emissiveIntensity: 0.9
+        });
+        const crossBar = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.04, 0.1), crossMaterial);
+        crossBar.position.y = 0.14;
+        pack.add(crossBar);
+        const crossPost = new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.04, 0.3), crossMaterial);
+        crossPost.position.y = 0.14;
+        pack.add(crossPost);
+        
+        const packLight = new THREE.PointLight(0xff3333, 1.5, 5);
+        packLight.position.set(0, 0.8, 0);
+        pack.add(packLight);
+        
+        pack.position.set(gridToWorldX(x) + 0.5, 0.3, gridToWorldZ(z) + 0.5);
+        addRunObject(pack);
+        
+        healthPickups.push({ mesh: pack, cellX: x, cellZ: z });
     }
     
-    // Shuffle corridors for MAXIMUM distribution across the maze
-    // Sort by position to spread them out, then shuffle within groups
-    corridors.sort((a, b) => {
-        if (a.type !== b.type) return a.type.localeCompare(b.type);
-        if (a.type === 'horizontal') {
-            return a.z - b.z; // Sort by row
-        } else {
-            return a.x - b.x; // Sort by column
-        }
-    });
+    console.log(`❤️ Health pickups created: ${healthPickups.length}/${difficulty.healthPickups}`);
+}
+
+/**
+ * Removes all health packs from the scene
+ * @returns {void}
+ */
+function clearHealthPickups() {
+    healthPickups.forEach(pickup => removeRunObject(pickup.mesh));
+    healthPickups = [];
+}
+
+/**
+ * Collects any health pack within reach of the player
+ * Packs stay on the floor while the player is at full health
+ * @returns {void}
+ */
+function checkHealthPickups() {
+    if (!player) return;
     
-    console.log(`✅ Found ${corridors.length} unique corridors in the maze`);
+    const range = ZyrathSim.HEALTH_PICKUP_RANGE;
+    for (let i = healthPickups.length - 1; i >= 0; i--) {
+        const pickup = healthPickups[i];
+        const dx = player.position.x - pickup.mesh.position.x;
+        const dz = player.position.z - pickup.mesh.position.z;
+        if (dx * dx + dz * dz > range * range) continue;
+        
+        const healed = ZyrathSim.healPlayer(playerHealth);
+        if (healed === 0) continue;
+        
+        playPickupSound();
+        removeRunObject(pickup.mesh);
+        healthPickups.splice(i, 1);
+        updateHealthDisplay();
+        console.log(`❤️ Health picked up (+${healed}), now ${playerHealth.current}/${playerHealth.max}`);
+    }
+}
+
+/**
+ * Makes a noise that nearby jumpers come to investigate
+ * @param {string} kind - 'footstep', 'knife', 'gunshot' or 'explosion' (see ZyrathSim.NOISE_RADIUS)
+ * @param {Object} [position=player.position] - Where the noise is made {x, z}
+ */
+function makeNoise(kind, position = player.position) {
+    if (!mazeLayout.grid) return;
+    ZyrathSim.emitNoise(mazeLayout, jumpers, position, ZyrathSim.NOISE_RADIUS[kind]);
+}
+
+/**
+ * Builds a pooled bullet: brass casing, copper tip and a glow, all shared
+ * @returns {THREE.Group} Bullet mesh
+ */
+function buildBulletMesh() {
+    const bulletGroup = new THREE.Group();
     
-    // PRIORITIZE LONG CORRIDORS - ensure they get enemies
-    corridors.sort((a, b) => b.length - a.length); // Sort by length, longest first
+    // Bullet casing (brass) - BIGGER
+    const casing = new THREE.Mesh(
+        getPooledResource('bulletCasingGeometry', () => new THREE.CylinderGeometry(0.08, 0.08, 0.3, 8)),
+        getPooledResource('bulletCasingMaterial', () => new THREE.MeshStandardMaterial({
+            color: 0xffdd33, // Brighter gold/brass
+            metalness: 0.9,
+            roughness: 0.2,
+            emissive: 0xffaa00,
+            emissiveIntensity: 0.3
+        }))
+    );
+    casing.rotation.x = Math.PI / 2;
+    casing.castShadow = true;
+    bulletGroup.add(casing);
+    
+    // Bullet tip (lead/copper) - BIGGER
+    const tip = new THREE.Mesh(
+        getPooledResource('bulletTipGeometry', () => new THREE.ConeGeometry(0.08, 0.16, 8)),
+        getPooledResource('bulletTipMaterial', () => new THREE.MeshStandardMaterial({
+            color: 0xff6600, // Brighter copper
+            metalness: 0.8,
+            roughness: 0.3,
+            emissive: 0xff3300,
+            emissiveIntensity: 0.2
+        }))
+    );
+    tip.position.z = 0.23;
+    tip.rotation.x = -Math.PI / 2;
+    tip.castShadow = true;
+    bulletGroup.add(tip);
+    
+    // Add glow effect to bullet
+    const glow = new THREE.Mesh(
+        getPooledResource('bulletGlowGeometry', () => new THREE.SphereGeometry(0.12, 8, 8)),
+        getPooledResource('bulletGlowMaterial', () => new THREE.MeshBasicMaterial({
+            color: 0xffff00,
+            transparent: true,
+            opacity: 0.6
+        }))
+    );
+    bulletGroup.add(glow);
     
-    // Select corridors with good spacing, prioritizing long ones
-    const selectedCorridors = [];
-    const minDistanceBetweenJumpers = 4.0; // Good separation
+    return bulletGroup;
+}
+
+/** @type {Object} Pool of bullet meshes (see buildBulletMesh) */
+const bulletPool = createObjectPool(buildBulletMesh);
+
+/**
+ * Attacks with the equipped weapon as described by its WEAPON_TYPES entry
+ * Melee swings the knife; guns fire their pellets; throwables lob a grenade
+ * @returns {void}
+ */
+function shoot() {
+    if (gamePaused) return;
+    const weapon = ZyrathSim.WEAPON_TYPES[currentWeapon];
+    const now = simTime;
+    if (now - lastShotTime < weapon.cooldown) return;
     
-    if (corridors.length > 0) {
-        // First pass: Select long corridors (length >= 5)
-        for (const corridor of corridors) {
-            if (selectedCorridors.length >= JUMPER_COUNT) break;
-            
-            if (corridor.length >= 5) {
-                // Check spacing
-                let tooClose = false;
-                for (const selected of selectedCorridors) {
-                    const dist = Math.abs(
-                        corridor.type === 'horizontal' ? 
-                        (corridor.z - selected.z) : 
-                        (corridor.x - selected.x)
-                    );
-                    if (corridor.type === selected.type && dist < minDistanceBetweenJumpers) {
-                        tooClose = true;
-                        break;
-                    }
-                }
-                
-                if (!tooClose) {
-                    selectedCorridors.push(corridor);
-                }
-            }
-        }
+    if (weapon.fireMode === 'melee') {
+        // Knife melee attack - optimized for fast enemies
+        if (knifeObject && knifeObject.userData.isSwinging) return;
         
-        // Second pass: Fill remaining slots with any corridors
-        for (const corridor of corridors) {
-            if (selectedCorridors.length >= JUMPER_COUNT) break;
-            if (selectedCorridors.includes(corridor)) continue;
-            
-            let tooClose = false;
-            for (const selected of selectedCorridors) {
-                const dist = Math.abs(
-                    corridor.type === 'horizontal' ? 
-                    (corridor.z - selected.z) : 
-                    (corridor.x - selected.x)
-                );
-                if (corridor.type === selected.type && dist < 2.0) {
-                    tooClose = true;
-                    break;
-                }
-            }
+        lastShotTime = now;
+        
+        // Play knife slash sound - quiet, only nearby jumpers hear it
+        WEAPON_SOUNDS[weapon.sound]();
+        makeNoise(weapon.noise);
+        
+        // Animate knife swing
+        animateKnifeSwing();
+        
+        // Check for jumping enemies in knife range - 360° CIRCULAR AREA
+        // Balanced difficulty: one target per swing, same lane only
+        const targetIndex = ZyrathSim.findKnifeTarget(mazeLayout, jumpers, player.position);
+        
+        if (targetIndex !== -1) {
+            const jumper = jumpers[targetIndex];
+            console.log(`Knife hit jumper ${targetIndex} in ${jumper.laneName}! Distance: ${player.position.distanceTo(jumper.position).toFixed(2)}`);
+            applyWeaponHit(jumper, targetIndex, weapon.damage);
             
-            if (!tooClose) {
-                selectedCorridors.push(corridor);
-            }
+            // Visual feedback for successful hits
+            createKnifeHitFlash();
         }
+        return;
     }
     
-    console.log(`📍 Creating ${selectedCorridors.length} jumping enemies (prioritizing long corridors)`);
-    
-    if (selectedCorridors.length === 0) {
-        console.error('❌ NO CORRIDORS FOUND! Cannot create jumpers!');
+    // An empty magazine reloads instead of firing (held SMG fire ends up here every tick)
+    const rounds = weaponAmmo[currentWeapon];
+    if (weaponReload || !rounds) return;
+    if (rounds.loaded === 0) {
+        reloadWeapon();
         return;
     }
     
-    for (let i = 0; i < selectedCorridors.length; i++) {
-        const corridor = selectedCorridors[i];
-        let position, patrolMin, patrolMax, patrolAxis, fixedCoord, lane;
-        
-        if (corridor.type === 'horizontal') {
-            const worldZ = corridor.z - MAZE_SIZE / 2;
-            const worldStartX = corridor.startX - MAZE_SIZE / 2;
-            const worldEndX = corridor.endX - MAZE_SIZE / 2;
-            
-            // Spawn in CENTER of corridor, away from walls
-            const centerX = (worldStartX + worldEndX) / 2;
-            position = new THREE.Vector3(centerX, 0.3, worldZ);
-            patrolMin = worldStartX + 1.0; // Stay away from walls
-            patrolMax = worldEndX - 1.0;
-            patrolAxis = 'x';
-            fixedCoord = worldZ;
-            
-            lane = {
-                xMin: worldStartX + 0.5,
-                xMax: worldEndX - 0.5,
-                zMin: worldZ - 0.5,
-                zMax: worldZ + 0.5,
-                axis: 'x',
-                name: `H-Lane ${i+1}`,
-                fixedCoord: worldZ
-            };
-        } else {
-            const worldX = corridor.x - MAZE_SIZE / 2;
-            const worldStartZ = corridor.startZ - MAZE_SIZE / 2;
-            const worldEndZ = corridor.endZ - MAZE_SIZE / 2;
-            
-            // Spawn in CENTER of corridor, away from walls
-            const centerZ = (worldStartZ + worldEndZ) / 2;
-            position = new THREE.Vector3(worldX, 0.3, centerZ);
-            patrolMin = worldStartZ + 1.0; // Stay away from walls
-            patrolMax = worldEndZ - 1.0;
-            patrolAxis = 'z';
-            fixedCoord = worldX;
-            
-            lane = {
-                xMin: worldX - 0.5,
-                xMax: worldX + 0.5,
-                zMin: worldStartZ + 0.5,
-                zMax: worldEndZ - 0.5,
-                axis: 'z',
-                name: `V-Lane ${i+1}`,
-                fixedCoord: worldX
-            };
-        }
+    lastShotTime = now;
+    rounds.loaded--;
+    updateAmmoDisplay();
+    if (rounds.loaded === 0) reloadWeapon();
+    
+    // Gunshots are lightweight sounds, but they carry through the maze
+    WEAPON_SOUNDS[weapon.sound]();
+    if (weapon.noise) makeNoise(weapon.noise);
+    
+    if (weapon.fireMode === 'throw') {
+        throwGrenade(weapon);
+    } else {
+        fireBullets(weapon);
+    }
+}
+
+/**
+ * Fires one shot of a gun: pooled bullet meshes for each pellet and a muzzle flash
+ * @param {Object} weapon - WEAPON_TYPES entry with fireMode 'semi' or 'auto'
+ * @returns {void}
+ */
+function fireBullets(weapon) {
+    // Bullets start at the player and fly along the facing direction (jitter uses the spawn stream)
+    ZyrathSim.createShot(weapon, player.position, playerMesh.rotation.y, spawnRandom).forEach(shot => {
+        const bulletGroup = acquireFromPool(bulletPool);
+        bulletGroup.position.copy(shot.position);
         
-        // Create highly visible jumping enemy - bright and aggressive
-        const jumperGroup = new THREE.Group();
+        // Rotate bullet to face its own direction
+        bulletGroup.rotation.y = Math.atan2(shot.velocity.x, shot.velocity.z);
         
-        // Compact body - smaller than player but VERY visible
-        const bodyGeometry = new THREE.SphereGeometry(0.3, 16, 16);
-        const bodyMaterial = new THREE.MeshStandardMaterial({
-            color: 0xFF3300, // Bright red-orange infected color
-            roughness: 0.5,
-            metalness: 0.3,
-            emissive: 0xFF1100,
-            emissiveIntensity: 0.6 // Stronger glow
-        });
-        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        body.castShadow = true;
-        jumperGroup.add(body);
+        // The simulation moves the mesh position directly
+        bullets.push({ ...shot, mesh: bulletGroup, position: bulletGroup.position });
+    });
+    
+    createMuzzleFlash();
+}
+
+/** @type {Object} Pool of grenade meshes */
+const grenadePool = createObjectPool(() => new THREE.Mesh(
+    getPooledResource('grenadeGeometry', () => new THREE.SphereGeometry(0.15, 8, 8)),
+    getPooledResource('grenadeMaterial', () => new THREE.MeshStandardMaterial({
+        color: 0x3b4a2a,
+        emissive: 0x112200,
+        roughness: 0.8
+    }))
+));
+
+/**
+ * Lobs a grenade along the facing direction
+ * @param {Object} weapon - WEAPON_TYPES entry with fireMode 'throw'
+ * @returns {void}
+ */
+function throwGrenade(weapon) {
+    const grenade = ZyrathSim.createGrenade(player.position, playerMesh.rotation.y, weapon);
+    const mesh = acquireFromPool(grenadePool);
+    mesh.position.copy(grenade.position);
+    
+    // The simulation moves the mesh position directly
+    grenades.push({ ...grenade, mesh: mesh, position: mesh.position });
+}
+
+/**
+ * Moves grenades along their arc and detonates the ones that land
+ * @returns {void}
+ */
+function updateGrenades() {
+    for (let i = grenades.length - 1; i >= 0; i--) {
+        const grenade = grenades[i];
+        if (!ZyrathSim.stepGrenade(mazeLayout, grenade)) continue;
         
-        // Glowing eyes - VERY visible with strong emission
-        const eyeGeometry = new THREE.SphereGeometry(0.08, 8, 8);
-        const eyeMaterial = new THREE.MeshStandardMaterial({
-            color: 0xFFFF00,
-            emissive: 0xFFFF00,
-            emissiveIntensity: 2.0 // Maximum glow
-        });
+        releaseToPool(grenade.mesh);
+        grenades.splice(i, 1);
+        explodeGrenade(grenade);
+    }
+}
+
+/**
+ * Blast damage to every jumper in range, with noise, sound, rumble and a fireball
+ * @param {Object} grenade - Grenade that went off
+ * @returns {void}
+ */
+function explodeGrenade(grenade) {
+    WEAPON_SOUNDS.explosion();
+    makeNoise('explosion', grenade.position);
+    rumbleGamepad('hit');
+    createExplosion(grenade.position);
+    playPooledEffect(grenadeBlastPool, grenade.position, blast => {
+        blast.position.y = 0.05;
+        blast.userData.radius = grenade.blastRadius;
+    });
+    
+    const targets = ZyrathSim.findBlastTargets(jumpers, grenade.position, grenade.blastRadius);
+    console.log(`💣 Grenade exploded, ${targets.length} jumpers caught`);
+    targets.forEach(index => applyWeaponHit(jumpers[index], index, grenade.damage));
+}
+
+/** @type {Object} Pool of grenade blast rings, grown to the blast radius */
+const grenadeBlastPool = createObjectPool(() => {
+    const blast = new THREE.Mesh(
+        getPooledResource('shockwaveGeometry', () => new THREE.RingGeometry(0.8, 1.0, 32)),
+        new THREE.MeshBasicMaterial({
+            color: 0xFF8800,
+            transparent: true,
+            opacity: 0.9,
+            side: THREE.DoubleSide
+        })
+    );
+    blast.rotation.x = -Math.PI / 2;
+    return blast;
+}, (blast, progress) => {
+    const scale = 0.2 + blast.userData.radius * progress;
+    blast.scale.set(scale, scale, scale);
+    blast.material.opacity = 0.9 * (1 - progress);
+}, 14);
+
+/**
+ * Whether attack is held on any device, for auto-fire weapons
+ * @returns {boolean} True while the attack key, mouse button, gamepad A/RT or touch attack button is down
+ */
+function isAttackHeld() {
+    return isActionHeld('Attack') ||
+        mouseAttackHeld ||
+        touchAttackHeld ||
+        Boolean(gamepadPreviousButtons[GAMEPAD_BUTTONS.attack] || gamepadPreviousButtons[GAMEPAD_BUTTONS.trigger]);
+}
+
+function animateKnifeSwing() {
+    if (!knifeObject) return;
+    
+    knifeObject.userData.isSwinging = true;
+    
+    const swingDuration = 180; // ms - much faster for rapid attacks
+    const startTime = simTime;
+    const originalRotation = knifeObject.userData.originalRotation.clone();
+    const originalPosition = knifeObject.userData.originalPosition?.clone() || knifeObject.position.clone();
+    
+    function swingStep() {
+        const elapsed = simTime - startTime;
+        const progress = Math.min(elapsed / swingDuration, 1);
         
-        const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        leftEye.position.set(-0.12, 0.1, 0.25);
-        jumperGroup.add(leftEye);
+        // Faster, more aggressive slicing animation
+        const angle = progress * Math.PI; // 0 to PI radians (180 degrees)
+        const radius = 0.4; // Slightly larger radius for better reach
         
-        const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        rightEye.position.set(0.12, 0.1, 0.25);
-        jumperGroup.add(rightEye);
+        // Create circular motion around player
+        const centerX = originalPosition.x;
+        const centerZ = originalPosition.z - 0.2; // Slightly in front
         
-        // Glowing ring around body for extra visibility
-        const ringGeometry = new THREE.TorusGeometry(0.35, 0.03, 8, 16);
-        const ringMaterial = new THREE.MeshBasicMaterial({
-            color: 0xFF6600,
-            transparent: true,
-            opacity: 0.6
-        });
-        const ring = new THREE.Mesh(ringGeometry, ringMaterial);
-        ring.rotation.x = Math.PI / 2;
-        jumperGroup.add(ring);
+        knifeObject.position.x = centerX + Math.sin(angle) * radius;
+        knifeObject.position.z = centerZ + Math.cos(angle) * radius - radius; // Start from right
         
-        // Small legs for jumping effect
-        const legGeometry = new THREE.CylinderGeometry(0.06, 0.06, 0.2, 6);
-        const legMaterial = new THREE.MeshStandardMaterial({
-            color: 0xFF3300,
-            roughness: 0.7
-        });
+        // More dramatic rotation for faster swing
+        knifeObject.rotation.z = originalRotation.z - angle * 1.5; // Enhanced rotation
+        knifeObject.rotation.y = originalRotation.y + Math.sin(angle) * 0.4; // More side tilt
+        knifeObject.rotation.x = originalRotation.x + Math.cos(angle) * 0.3; // More forward tilt
         
-        const leftLeg = new THREE.Mesh(legGeometry, legMaterial);
-        leftLeg.position.set(-0.12, -0.35, 0);
-        jumperGroup.add(leftLeg);
-        
-        const rightLeg = new THREE.Mesh(legGeometry, legMaterial);
-        rightLeg.position.set(0.12, -0.35, 0);
-        jumperGroup.add(rightLeg);
-        
-        jumperGroup.position.set(position.x, 0.8, position.z);
-        jumperGroup.castShadow = true;
-        jumperGroup.visible = true; // Force visible
-        scene.add(jumperGroup);
-        
-        console.log(`Adding jumper ${i} to scene at (${position.x.toFixed(2)}, 0.8, ${position.z.toFixed(2)}), corridor: ${corridor.type} length: ${corridor.length}`);
-        
-        // Store jumper with INDEPENDENT position object (not a reference!)
-        const jumperPosition = new THREE.Vector3(position.x, 0.8, position.z);
-        
-        jumpers.push({
-            mesh: jumperGroup,
-            position: jumperPosition, // Independent position for tracking
-            direction: new THREE.Vector3(patrolAxis === 'x' ? 1 : 0, 0, patrolAxis === 'z' ? 1 : 0),
-            speed: JUMPER_SPEED,
-            state: 'hopping',
-            health: 100,
-            lastAttackTime: 0,
-            laneInfo: lane,
-            patrolAxis: patrolAxis,
-            patrolMin: patrolMin,
-            patrolMax: patrolMax,
-            patrolDirection: 1,
-            laneName: lane.name,
-            chaseRange: 5, // Attack when player gets within 5 units!
-            jumpPhase: Math.random() * Math.PI * 2,
-            baseY: 0.8 // Higher base Y for better visibility
-        });
+        // Enhanced scale effect for impact
+        const scaleEffect = 1 + Math.sin(angle) * 0.3;
+        knifeObject.scale.set(scaleEffect, scaleEffect, scaleEffect);
         
-        console.log(`Created jumper ${i} in ${lane.name}, patrol: ${patrolMin.toFixed(1)} to ${patrolMax.toFixed(1)}, position: (${position.x.toFixed(2)}, ${position.z.toFixed(2)})`);
+        if (progress < 1) {
+            requestAnimationFrame(swingStep);
+        } else {
+            // Reset to original state
+            knifeObject.rotation.copy(originalRotation);
+            knifeObject.position.copy(originalPosition);
+            knifeObject.scale.set(1, 1, 1);
+            knifeObject.userData.isSwinging = false;
+        }
     }
     
-    console.log(`✅ Total jumpers created: ${jumpers.length}`);
-    
-    // Update enemy count display
-    updateJumperCount();
+    swingStep();
 }
 
 /**
- * Creates a door exit for survival mode
+ * Builds a pooled weapon flash: a bright core, an outer glow and a point light
+ * @param {Object} style - { color, glowColor, coreRadius, glowRadius, glowOpacity, lightIntensity, lightDistance }
+ * @returns {THREE.Group} Flash group (userData holds the fading parts)
  */
-function createDoorExit() {
-    exit = new THREE.Vector3(MAZE_SIZE / 2 - 1.5, 0, MAZE_SIZE / 2 - 1.5);
-    
-    // Create ornate door with glowing frame
-    const doorGroup = new THREE.Group();
+function buildWeaponFlash(style) {
+    const flashGroup = new THREE.Group();
     
-    // Door frame
-    const frameGeometry = new THREE.BoxGeometry(2, 3, 0.2);
-    const frameMaterial = new THREE.MeshStandardMaterial({
-        color: 0x8B4513,
-        roughness: 0.7,
-        metalness: 0.3
-    });
-    const frame = new THREE.Mesh(frameGeometry, frameMaterial);
-    doorGroup.add(frame);
+    const flash = new THREE.Mesh(
+        getPooledResource(`flashGeometry:${style.coreRadius}`, () => new THREE.SphereGeometry(style.coreRadius, 16, 16)),
+        new THREE.MeshBasicMaterial({ color: style.color, transparent: true, opacity: 1.0 })
+    );
+    flashGroup.add(flash);
     
-    // Door panels
-    const panelGeometry = new THREE.BoxGeometry(0.9, 2.6, 0.15);
-    const panelMaterial = new THREE.MeshStandardMaterial({
-        color: 0x654321,
-        roughness: 0.8,
-        metalness: 0.2
-    });
-    const leftPanel = new THREE.Mesh(panelGeometry, panelMaterial);
-    leftPanel.position.set(-0.5, 0, 0.05);
-    doorGroup.add(leftPanel);
+    const glow = new THREE.Mesh(
+        getPooledResource(`flashGeometry:${style.glowRadius}`, () => new THREE.SphereGeometry(style.glowRadius, 16, 16)),
+        new THREE.MeshBasicMaterial({ color: style.glowColor, transparent: true, opacity: style.glowOpacity })
+    );
+    flashGroup.add(glow);
     
-    const rightPanel = new THREE.Mesh(panelGeometry, panelMaterial);
-    rightPanel.position.set(0.5, 0, 0.05);
-    doorGroup.add(rightPanel);
+    // Point light for lighting effect
+    const flashLight = new THREE.PointLight(style.color, style.lightIntensity, style.lightDistance);
+    flashGroup.add(flashLight);
     
-    // Glowing green "EXIT" sign above door
-    const signGeometry = new THREE.BoxGeometry(1.5, 0.4, 0.1);
-    const signMaterial = new THREE.MeshStandardMaterial({
-        color: 0x00ff00,
-        emissive: 0x00ff00,
-        emissiveIntensity: 1.0,
-        roughness: 0.3,
-        metalness: 0.7
+    flashGroup.userData.flash = flash;
+    flashGroup.userData.glow = glow;
+    flashGroup.userData.light = flashLight;
+    flashGroup.userData.style = style;
+    return flashGroup;
+}
+
+/**
+ * Fades a weapon flash out over its pool's duration
+ * @param {THREE.Group} flashGroup - Flash from buildWeaponFlash
+ * @param {number} progress - 0-1
+ */
+function animateWeaponFlash(flashGroup, progress) {
+    const { flash, glow, light, style } = flashGroup.userData;
+    flash.material.opacity = 1.0 - progress;
+    glow.material.opacity = style.glowOpacity * (1 - progress);
+    light.intensity = style.lightIntensity * (1 - progress);
+}
+
+/** @type {Object} Pool of red knife hit flashes - short, faster fade */
+const knifeFlashPool = createObjectPool(() => buildWeaponFlash({
+    color: 0xff4444,
+    glowColor: 0xff0000, // Blood red
+    coreRadius: 0.3,
+    glowRadius: 0.5,
+    glowOpacity: 0.6,
+    lightIntensity: 1.5,
+    lightDistance: 8
+}), animateWeaponFlash, 6);
+
+/** @type {Object} Pool of yellow pistol muzzle flashes */
+const muzzleFlashPool = createObjectPool(() => buildWeaponFlash({
+    color: 0xffff00,
+    glowColor: 0xffaa00,
+    coreRadius: 0.4,
+    glowRadius: 0.6,
+    glowOpacity: 0.5,
+    lightIntensity: 2,
+    lightDistance: 10
+}), animateWeaponFlash, 12);
+
+function createKnifeHitFlash() {
+    // Bright red flash for successful knife hits, at the player
+    playPooledEffect(knifeFlashPool, player.position, flashGroup => {
+        flashGroup.position.y = 0.8;
     });
-    const sign = new THREE.Mesh(signGeometry, signMaterial);
-    sign.position.y = 1.8;
-    doorGroup.add(sign);
-    
-    // Green spotlight from above
-    const doorLight = new THREE.SpotLight(0x00ff00, 2, 10, Math.PI / 4, 0.5, 1);
-    doorLight.position.set(0, 4, 0);
-    doorLight.target.position.set(0, 0, 0);
-    doorGroup.add(doorLight);
-    doorGroup.add(doorLight.target);
-    
-    // Green glow ring on ground
-    const glowGeometry = new THREE.CircleGeometry(2, 32);
-    const glowMaterial = new THREE.MeshStandardMaterial({
-        color: 0x00ff00,
-        transparent: true,
-        opacity: 0.4,
-        emissive: 0x00ff00,
-        emissiveIntensity: 0.8
+}
+
+function createMuzzleFlash() {
+    // Bright muzzle flash at the player
+    playPooledEffect(muzzleFlashPool, player.position, flashGroup => {
+        flashGroup.position.y = 0.8;
     });
-    const glow = new THREE.Mesh(glowGeometry, glowMaterial);
-    glow.rotation.x = -Math.PI / 2;
-    glow.position.y = 0.1;
-    doorGroup.add(glow);
-    
-    // Position door at exit location
-    doorGroup.position.set(exit.x, 1.5, exit.z);
-    
-    scene.add(doorGroup);
-    doorMesh = doorGroup;
-    
-    console.log('Door exit created at position:', doorGroup.position);
 }
 
+function updateBullets() {
+    for (let i = bullets.length - 1; i >= 0; i--) {
+        const bullet = bullets[i];
+        
+        // Move bullet; walls, lifetime and same-lane hits are checked in the simulation core
+        const { expired, hitIndex } = ZyrathSim.stepBullet(mazeLayout, bullet, jumpers);
+        
+        if (expired) {
+            releaseToPool(bullet.mesh);
+            bullets.splice(i, 1);
+        } else if (hitIndex !== -1) {
+            const jumper = jumpers[hitIndex];
+            console.log(`Bullet hit jumper ${hitIndex} in ${jumper.laneName}! Distance: ${bullet.position.distanceTo(jumper.position).toFixed(2)}`);
+            releaseToPool(bullet.mesh);
+            bullets.splice(i, 1);
+            applyWeaponHit(jumper, hitIndex, bullet.damage);
+        }
+    }
+}
+
+/** @type {Object} Pool of spitter projectile meshes */
+const spitPool = createObjectPool(() => new THREE.Mesh(
+    getPooledResource('spitGeometry', () => new THREE.SphereGeometry(0.14, 8, 8)),
+    getPooledResource('spitMaterial', () => new THREE.MeshBasicMaterial({
+        color: 0x99FF00,
+        transparent: true,
+        opacity: 0.9
+    }))
+));
+
 /**
- * Spawns a specific number of monsters for survival mode
- * @param {number} count - Number of monsters to spawn
+ * Gives a spitter's projectile its mesh and adds it to the run
+ * @param {Object} spit - Spit state from ZyrathSim.trySpitterAttack
+ * @returns {void}
  */
-function spawnSurvivalMonsters(count) {
-    console.log(`🔴 spawnSurvivalMonsters called with count: ${count}`);
-    
-    // Safety check - make sure maze exists
-    if (!maze || maze.length === 0) {
-        console.error('❌ Cannot spawn monsters - maze not generated yet!');
-        console.error('Maze:', maze);
-        return;
-    }
-    
-    console.log(`✅ Maze exists, size: ${maze.length}x${maze[0].length}`);
-    
-    // Find valid spawn corridors (same logic as createJumpers)
-    const corridors = [];
+function addEnemyProjectile(spit) {
+    const mesh = acquireFromPool(spitPool);
+    mesh.position.copy(spit.position);
     
-    console.log('🔍 Detecting horizontal corridors...');
+    // The simulation moves the mesh position directly
+    enemyProjectiles.push({
+        mesh: mesh,
+        position: mesh.position,
+        velocity: spit.velocity,
+        lifetime: spit.lifetime,
+        maxLifetime: spit.maxLifetime
+    });
+}
+
+/**
+ * Moves spitter projectiles; a hit on the player costs a heart like contact
+ * @returns {void}
+ */
+function updateEnemyProjectiles() {
+    if (!gameActive) return;
     
-    // Detect horizontal corridors
-    for (let z = 1; z < MAZE_SIZE - 1; z++) {
-        let startX = -1;
-        let length = 0;
+    for (let i = enemyProjectiles.length - 1; i >= 0; i--) {
+        const projectile = enemyProjectiles[i];
+        const { expired, hit } = ZyrathSim.stepSpit(mazeLayout, projectile, player.position);
+        if (!expired && !hit) continue;
         
-        for (let x = 1; x < MAZE_SIZE - 1; x++) {
-            if (maze[x][z] === 0) {
-                if (startX === -1) startX = x;
-                length++;
-            } else {
-                if (length >= 2) {
-                    corridors.push({
-                        type: 'horizontal',
-                        startX: startX,
-                        endX: startX + length - 1,
-                        z: z,
-                        length: length
-                    });
-                }
-                startX = -1;
-                length = 0;
-            }
-        }
-        if (length >= 2) {
-            corridors.push({
-                type: 'horizontal',
-                startX: startX,
-                endX: startX + length - 1,
-                z: z,
-                length: length
-            });
-        }
+        releaseToPool(projectile.mesh);
+        enemyProjectiles.splice(i, 1);
+        if (hit && hitPlayer(projectile.position, 'Spitter acid')) return;
     }
-    
-    // Detect vertical corridors
-    for (let x = 1; x < MAZE_SIZE - 1; x++) {
-        let startZ = -1;
-        let length = 0;
-        
-        for (let z = 1; z < MAZE_SIZE - 1; z++) {
-            if (maze[x][z] === 0) {
-                if (startZ === -1) startZ = z;
-                length++;
-            } else {
-                if (length >= 2) {
-                    corridors.push({
-                        type: 'vertical',
-                        x: x,
-                        startZ: startZ,
-                        endZ: startZ + length - 1,
-                        length: length
-                    });
-                }
-                startZ = -1;
-                length = 0;
-            }
-        }
-        if (length >= 2) {
-            corridors.push({
-                type: 'vertical',
-                x: x,
-                startZ: startZ,
-                endZ: startZ + length - 1,
-                length: length
-            });
-        }
+}
+
+/**
+ * Deals weapon damage to a jumper and plays the hit feedback
+ * Shows a floating damage number; the stagger and body flash come from the
+ * jumper's staggerTicks (see updateJumpers). A killing hit explodes the
+ * jumper and removes it.
+ * @param {Object} jumper - Jumper that was hit
+ * @param {number} jumperIndex - Index in jumpers
+ * @param {number} damage - Weapon damage
+ * @returns {boolean} True if the hit killed the jumper
+ */
+function applyWeaponHit(jumper, jumperIndex, damage) {
+    const killed = ZyrathSim.damageJumper(jumper, damage);
+    playHitSound();
+    showDamageNumber(jumper.position, damage, killed);
+    
+    if (killed) {
+        createExplosion(jumper.position);
+        rumbleGamepad('kill');
+        
+        // Splitters leave smaller jumpers behind (added first so the hunt is not won early)
+        ZyrathSim.splitJumper(jumper, spawnRandom).forEach(child => addJumper(child));
+        removeJumper(jumper, jumperIndex); // Also schedules the hunt victory
+    } else {
+        console.log(`🩸 Jumper ${jumperIndex} took ${damage} damage, ${jumper.health}/${jumper.maxHealth} left`);
     }
+    return killed;
+}
+
+/**
+ * Floats a damage number up from a world position
+ * @param {THREE.Vector3} position - World position of the hit
+ * @param {number} damage - Damage dealt
+ * @param {boolean} killed - Killing blows are drawn larger
+ * @returns {void}
+ */
+function showDamageNumber(position, damage, killed) {
+    if (!camera) return;
     
-    console.log(`📊 Found ${corridors.length} total corridors`);
-    
-    if (corridors.length === 0) {
-        console.error('❌ No corridors found for monster spawning!');
-        return;
+    // Project the hit point to screen pixels
+    const screen = damageNumberScratch.set(position.x, position.y + 0.5, position.z).project(camera);
+    const number = showPooledElement(damageNumberPool, 800);
+    number.className = killed ? 'damage-number kill' : 'damage-number';
+    number.textContent = damage;
+    number.style.left = `${(screen.x + 1) / 2 * window.innerWidth}px`;
+    number.style.top = `${(1 - screen.y) / 2 * window.innerHeight}px`;
+}
+
+/** @type {THREE.Vector3} Reused for projecting damage numbers to the screen */
+const damageNumberScratch = new THREE.Vector3();
+
+/** @type {Object} Pool of floating damage number elements (animated by the CSS class) */
+const damageNumberPool = createElementPool(() => document.createElement('div'), '');
+
+/** @type {Object} Pool of kill explosions: a red sphere that swells and fades */
+const explosionPool = createObjectPool(() => new THREE.Mesh(
+    getPooledResource('explosionGeometry', () => new THREE.SphereGeometry(0.5, 8, 8)),
+    new THREE.MeshBasicMaterial({
+        color: 0xff4444,
+        transparent: true,
+        opacity: 0.8
+    })
+), (explosion, progress) => {
+    const scale = 1 + progress * 1.6;
+    explosion.scale.set(scale, scale, scale);
+    explosion.material.opacity = 0.8 * (1 - progress);
+}, 14);
+
+function createExplosion(position) {
+    playPooledEffect(explosionPool, position);
+}
+
+function updateAmmoDisplay() {
+    const ammoElement = document.getElementById('ammoCount');
+    const weapon = ZyrathSim.WEAPON_TYPES[currentWeapon];
+    const rounds = weaponAmmo[currentWeapon];
+    if (weapon.fireMode === 'melee') {
+        ammoElement.textContent = '∞'; // Infinite for knife
+    } else if (weaponReload) {
+        ammoElement.textContent = 'RELOADING';
+    } else if (weapon.magazine) {
+        ammoElement.textContent = `${rounds.loaded} / ${rounds.reserve}`; // Magazine / reserve
+    } else {
+        ammoElement.textContent = rounds.loaded;
+    }
+}
+
+function updateWeaponDisplay() {
+    const weaponElement = document.getElementById('weaponName');
+    if (weaponElement) {
+        const weapon = ZyrathSim.WEAPON_TYPES[currentWeapon];
+        weaponElement.textContent = `${weapon.icon} ${weapon.name}`;
     }
     
-    console.log(`✅ Spawning ${count} monsters in ${corridors.length} available corridors...`);
+    // Owned weapons with their number keys, e.g. "1🔪 2🔫 3💥"
+    const slotsElement = document.getElementById('weaponSlots');
+    if (slotsElement) {
+        slotsElement.textContent = getOwnedWeapons().map(weapon => `${weapon.slot}${weapon.icon}`).join(' ');
+    }
+}
+
+function updateFlashlightDisplay() {
+    const flashlightElement = document.getElementById('flashlightStatus');
+    if (flashlightElement) {
+        flashlightElement.textContent = flashlightOn ? '🔦 ON' : '🔦 OFF';
+        flashlightElement.style.color = flashlightOn ? '#ffff00' : '#888888';
+    }
+}
+
+function updateKillsDisplay() {
+    document.getElementById('killCount').textContent = kills;
+}
+
+function setupControls() {
+    // Listeners live for the whole page; binding again on each run would stack handlers
+    if (controlsInitialized) return;
+    controlsInitialized = true;
     
-    // Spawn monsters in random corridors - preferring far away spots
-    for (let i = 0; i < count; i++) {
-        console.log(`   Creating monster ${i+1}/${count}...`);
+    // Keyboard controls
+    document.addEventListener('keydown', (e) => {
+        // Initialize simple audio on first interaction
+        if (!audioInitialized) {
+            initAudio();
+            // Start background music on first user interaction
+            startBackgroundMusic();
+        }
+        
+        // The controls screen is waiting for a key: this press becomes the binding
+        if (rebindingSlot) {
+            e.preventDefault();
+            captureRebinding(e.code);
+            return;
+        }
         
-        // SMART SPAWNING: Pick a corridor far from the player
-        let selectedCorridor = null;
-        let maxDistance = -1;
-        const attempts = Math.min(10, corridors.length); // Try up to 10 random corridors
+        const action = getActionForCode(e.code);
         
-        for (let attempt = 0; attempt < attempts; attempt++) {
-            const testCorridor = corridors[Math.floor(Math.random() * corridors.length)];
-            
-            // Calculate approximate center of this corridor
-            let testX, testZ;
-            if (testCorridor.type === 'horizontal') {
-                testX = ((testCorridor.startX + testCorridor.endX) / 2) - MAZE_SIZE / 2;
-                testZ = testCorridor.z - MAZE_SIZE / 2;
+        // Esc / Pause toggle the pause menu (Esc also closes the shop)
+        if (e.code === 'Escape' || action === 'Pause') {
+            e.preventDefault();
+            if (e.code === 'Escape' && shopOpen) {
+                toggleShop();
             } else {
-                testX = testCorridor.x - MAZE_SIZE / 2;
-                testZ = ((testCorridor.startZ + testCorridor.endZ) / 2) - MAZE_SIZE / 2;
-            }
-            
-            // Calculate distance to player
-            const dx = testX - player.position.x;
-            const dz = testZ - player.position.z;
-            const distance = Math.sqrt(dx * dx + dz * dz);
-            
-            if (distance > maxDistance) {
-                maxDistance = distance;
-                selectedCorridor = testCorridor;
+                togglePause();
             }
+            return;
+        }
+        
+        // The shop key also closes the shop, which holds the game paused;
+        // typing in the search box must not close it
+        if (action === 'OpenShop' && shopOpen) {
+            if (e.repeat || document.activeElement?.id === 'shopSearch') return;
+            e.preventDefault();
+            toggleShop();
+            return;
         }
         
-        const corridor = selectedCorridor;
-        console.log(`   Corridor selected (${maxDistance.toFixed(2)} units from player):`, corridor);
-        let position, patrolMin, patrolMax, patrolAxis, fixedCoord, lane;
+        // Ignore gameplay keys while frozen
+        if (gamePaused) return;
         
-        if (corridor.type === 'horizontal') {
-            const worldZ = corridor.z - MAZE_SIZE / 2;
-            const worldStartX = corridor.startX - MAZE_SIZE / 2;
-            const worldEndX = corridor.endX - MAZE_SIZE / 2;
-            
-            console.log(`   Horizontal corridor: worldZ=${worldZ}, worldStartX=${worldStartX}, worldEndX=${worldEndX}`);
-            
-            const centerX = (worldStartX + worldEndX) / 2;
-            console.log(`   Calculated centerX=${centerX}`);
-            position = new THREE.Vector3(centerX, 0.3, worldZ);
-            console.log(`   Created position:`, position);
-            patrolMin = worldStartX + 1.0;
-            patrolMax = worldEndX - 1.0;
-            patrolAxis = 'x';
-            fixedCoord = worldZ;
-            
-            lane = {
-                type: 'horizontal',
-                axis: 'x',
-                fixedCoord: fixedCoord,
-                fixedZ: fixedCoord,
-                xMin: worldStartX,
-                xMax: worldEndX,
-                name: `H_${corridor.z}_${corridor.startX}_${corridor.endX}`
-            };
-        } else {
-            const worldX = corridor.x - MAZE_SIZE / 2;
-            const worldStartZ = corridor.startZ - MAZE_SIZE / 2;
-            const worldEndZ = corridor.endZ - MAZE_SIZE / 2;
-            
-            console.log(`   Vertical corridor: worldX=${worldX}, worldStartZ=${worldStartZ}, worldEndZ=${worldEndZ}`);
-            
-            const centerZ = (worldStartZ + worldEndZ) / 2;
-            console.log(`   Calculated centerZ=${centerZ}`);
-            position = new THREE.Vector3(worldX, 0.3, centerZ);
-            console.log(`   Created position:`, position);
-            patrolMin = worldStartZ + 1.0;
-            patrolMax = worldEndZ - 1.0;
-            patrolAxis = 'z';
-            fixedCoord = worldX;
-            
-            lane = {
-                type: 'vertical',
-                axis: 'z',
-                fixedCoord: fixedCoord,
-                fixedX: fixedCoord,
-                zMin: worldStartZ,
-                zMax: worldEndZ,
-                name: `V_${corridor.x}_${corridor.startZ}_${corridor.endZ}`
-            };
+        keys[e.code] = true;
+        
+        // Held keys auto-repeat: one press is one attack or toggle, and held
+        // fire for auto weapons comes from isAttackHeld in updatePlayer
+        if (e.repeat && ['Attack', 'ToggleFlashlight', 'SwitchWeapon', 'Reload', 'OpenShop'].includes(action)) {
+            e.preventDefault();
+            return;
         }
         
-        // Create monster mesh (same as jumper design)
-        const jumperGroup = new THREE.Group();
+        if (action === 'Attack' && gameActive) {
+            e.preventDefault();
+            shoot();
+        }
         
-        const bodyGeometry = new THREE.SphereGeometry(0.3, 16, 16);
-        const bodyMaterial = new THREE.MeshStandardMaterial({
-            color: 0xFF3300,
-            roughness: 0.5,
-            metalness: 0.3,
-            emissive: 0xFF1100,
-            emissiveIntensity: 0.6
-        });
-        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        body.castShadow = true;
-        jumperGroup.add(body);
+        if (action === 'ToggleFlashlight' && gameActive) {
+            e.preventDefault();
+            toggleFlashlight();
+        }
         
-        // Glowing eyes
-        const eyeGeometry = new THREE.SphereGeometry(0.08, 8, 8);
-        const eyeMaterial = new THREE.MeshStandardMaterial({
-            color: 0xFFFF00,
-            emissive: 0xFFFF00,
-            emissiveIntensity: 2.0
-        });
+        if (action === 'SwitchWeapon' && gameActive) {
+            e.preventDefault();
+            switchWeapon();
+        }
         
-        const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        leftEye.position.set(-0.12, 0.1, 0.25);
-        jumperGroup.add(leftEye);
+        if (action === 'Reload' && gameActive) {
+            e.preventDefault();
+            reloadWeapon();
+        }
         
-        const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        rightEye.position.set(0.12, 0.1, 0.25);
-        jumperGroup.add(rightEye);
+        // Number keys pick a weapon slot (WeaponSlot1 -> slot 1)
+        if (action && action.startsWith('WeaponSlot') && gameActive) {
+            e.preventDefault();
+            selectWeaponSlot(Number(action.slice('WeaponSlot'.length)));
+        }
         
-        // Glowing ring
-        const ringGeometry = new THREE.TorusGeometry(0.35, 0.03, 8, 16);
-        const ringMaterial = new THREE.MeshBasicMaterial({
-            color: 0xFF6600,
-            transparent: true,
-            opacity: 0.6
-        });
-        const ring = new THREE.Mesh(ringGeometry, ringMaterial);
-        ring.rotation.x = Math.PI / 2;
-        jumperGroup.add(ring);
+        if (action === 'OpenShop') {
+            e.preventDefault();
+            toggleShop();
+        }
+    });
+    
+    document.addEventListener('keyup', (e) => {
+        keys[e.code] = false;
+    });
+    
+    // Mouse click to shoot
+    document.addEventListener('click', (e) => {
+        // Initialize simple audio on first interaction
+        if (!audioInitialized) {
+            initAudio();
+            // Start background music on first user interaction
+            startBackgroundMusic();
+        }
         
-        // Legs
-        const legGeometry = new THREE.CylinderGeometry(0.06, 0.06, 0.2, 6);
-        const legMaterial = new THREE.MeshStandardMaterial({
-            color: 0xFF3300,
-            roughness: 0.7
-        });
+        // Taps don't fire: touch players have a dedicated attack button
+        if (isEmulatedMouseEvent()) return;
         
-        const leftLeg = new THREE.Mesh(legGeometry, legMaterial);
-        leftLeg.position.set(-0.12, -0.35, 0);
-        jumperGroup.add(leftLeg);
-        
-        const rightLeg = new THREE.Mesh(legGeometry, legMaterial);
-        rightLeg.position.set(0.12, -0.35, 0);
-        jumperGroup.add(rightLeg);
-        
-        jumperGroup.position.set(position.x, 0.8, position.z);
-        jumperGroup.castShadow = true;
-        jumperGroup.visible = true;
-        scene.add(jumperGroup);
-        
-        console.log(`Survival monster ${i+1}/${count} spawned at (${position.x.toFixed(2)}, 0.8, ${position.z.toFixed(2)}) in ${corridor.type} corridor`);
-        
-        const jumperPosition = new THREE.Vector3(position.x, 0.8, position.z);
-        
-        jumpers.push({
-            mesh: jumperGroup,
-            position: jumperPosition,
-            direction: new THREE.Vector3(patrolAxis === 'x' ? 1 : 0, 0, patrolAxis === 'z' ? 1 : 0),
-            speed: JUMPER_SPEED,
-            state: 'hopping',
-            health: 100,
-            lastAttackTime: 0,
-            laneInfo: lane,
-            patrolAxis: patrolAxis,
-            patrolMin: patrolMin,
-            patrolMax: patrolMax,
-            patrolDirection: 1,
-            laneName: lane.name,
-            chaseRange: 5,
-            jumpPhase: Math.random() * Math.PI * 2,
-            baseY: 0.8
+        if (gameActive && !gamePaused && e.target.tagName !== 'BUTTON') {
+            requestAimPointerLock();
+            shoot();
+        }
+    });
+    
+    // Holding the mouse button keeps auto-fire weapons firing
+    document.addEventListener('mousedown', (e) => {
+        if (e.button === 0 && !isEmulatedMouseEvent() && e.target.tagName !== 'BUTTON') {
+            mouseAttackHeld = true;
+        }
+    });
+    document.addEventListener('mouseup', (e) => {
+        if (e.button === 0) mouseAttackHeld = false;
+    });
+    
+    // Mouse move for aiming: the player faces the cursor independently of movement
+    document.addEventListener('mousemove', (e) => {
+        if (isEmulatedMouseEvent()) return;
+        if (isPointerLocked) {
+            // Locked pointer reports only deltas; drive a virtual cursor kept on screen
+            mouseX = Math.max(0, Math.min(window.innerWidth, mouseX + e.movementX));
+            mouseY = Math.max(0, Math.min(window.innerHeight, mouseY + e.movementY));
+        } else {
+            mouseX = e.clientX;
+            mouseY = e.clientY;
+        }
+        if (gameActive && !gamePaused) {
+            mouseAimActive = true;
+        }
+    });
+    
+    // Gamepads can be plugged in or pulled at any time
+    window.addEventListener('gamepadconnected', onGamepadConnected);
+    window.addEventListener('gamepaddisconnected', onGamepadDisconnected);
+    
+    // Losing the pointer lock mid-run (Esc, alt-tab) pauses so the cursor is free for the menu
+    document.addEventListener('pointerlockchange', () => {
+        isPointerLocked = document.pointerLockElement === renderer.domElement;
+        if (!isPointerLocked && gameActive && !gamePaused) {
+            pauseGame('menu');
+        }
+    });
+    
+    // Mobile touch controls: floating joystick and action buttons
+    setupTouchControls();
+    
+    // Mode toggle button - check if it exists
+    const modeToggle = document.getElementById('modeToggle');
+    if (modeToggle) {
+        modeToggle.addEventListener('click', toggleMode);
+    } else {
+        console.warn('Mode toggle button not found in DOM');
+    }
+    
+    // Restart button - ensure it's properly bound
+    const restartButton = document.getElementById('restartBtn');
+    if (restartButton) {
+        restartButton.addEventListener('click', function(e) {
+            e.preventDefault();
+            console.log('Restart button clicked!');
+            updateGameTip(); // Update the tip on restart
+            restartGame();
         });
+    } else {
+        console.error('Restart button not found!');
     }
     
-    console.log(`✅✅✅ Spawned ${count} monsters. Total monsters in game: ${jumpers.length}`);
-    console.log(`Monster array:`, jumpers.map(j => `(${j.position.x.toFixed(1)}, ${j.position.z.toFixed(1)})`));
+    // Change Game Mode button
+    const changeGameModeButton = document.getElementById('changeGameModeBtn');
+    if (changeGameModeButton) {
+        changeGameModeButton.addEventListener('click', function(e) {
+            e.preventDefault();
+            console.log('Change Game Mode button clicked!');
+            returnToModeSelection();
+        });
+    } else {
+        console.warn('Change Game Mode button not found!');
+    }
     
-    // DEBUG: Verify monsters are in the scene
-    console.log('🔍 DEBUG: Checking scene for monsters...');
-    jumpers.forEach((j, idx) => {
-        console.log(`Monster ${idx}: mesh.visible=${j.mesh.visible}, mesh.position=(${j.mesh.position.x.toFixed(2)}, ${j.mesh.position.y.toFixed(2)}, ${j.mesh.position.z.toFixed(2)}), in scene=${scene.children.includes(j.mesh)}`);
+    // Pause when the window loses focus (configurable in settings)
+    window.addEventListener('blur', () => {
+        if (gameSettings.pauseOnBlur) pauseGame('menu');
+    });
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden && gameSettings.pauseOnBlur) pauseGame('menu');
     });
     
-    updateJumperCount();
+    // Window resize
+    window.addEventListener('resize', onWindowResize);
+    
+    // Shop category tab event listeners
+    document.querySelectorAll('.shop-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            const category = tab.dataset.category;
+            if (category) {
+                switchShopCategory(category);
+            }
+        });
+    });
 }
 
+// ============================================================================
+// KEYMAP
+// ============================================================================
+
 /**
- * Spawns 2 monsters for every kill in survival mode (legacy timed spawning removed)
- * Now triggers on monster death instead of timer
+ * Finds the action a physical key is bound to
+ * @param {string} code - KeyboardEvent.code
+ * @returns {string|null} Action name, or null when the key is unbound
  */
-function startMonsterSpawning() {
-    console.log('Survival Mode: Monster spawning is event-based (2 spawned per kill)');
-    // No longer using timed intervals - spawning happens on kill
+function getActionForCode(code) {
+    for (const [action, codes] of Object.entries(keymap)) {
+        if (codes.includes(code)) return action;
+    }
+    return null;
 }
 
 /**
- * Stops the monster spawning system
+ * Whether an action is held on the keyboard
+ * @param {string} action - Keymap action
+ * @returns {boolean} True while any of its keys is down
  */
-function stopMonsterSpawning() {
-    if (monsterSpawnInterval) {
-        clearInterval(monsterSpawnInterval);
-        monsterSpawnInterval = null;
-        console.log('Monster spawning system stopped');
-    }
+function isActionHeld(action) {
+    return keymap[action].some(code => keys[code]);
 }
 
-function createPistolPickup() {
-    // Create pistol pickup near the center of the maze
-    const pickupGroup = new THREE.Group();
-    
-    // Enhanced Pistol body - more realistic design
-    const handleGeometry = new THREE.BoxGeometry(0.12, 0.35, 0.08);
-    const triggerGuardGeometry = new THREE.BoxGeometry(0.08, 0.15, 0.06);
-    const barrelGeometry = new THREE.CylinderGeometry(0.04, 0.04, 0.4, 8);
-    const slideGeometry = new THREE.BoxGeometry(0.1, 0.08, 0.38);
-    
-    const pistolMaterial = new THREE.MeshStandardMaterial({
-        color: 0x2a2a2a,
-        metalness: 0.9,
-        roughness: 0.1,
-        emissive: 0x333333,
-        emissiveIntensity: 0.3
-    });
+/**
+ * Turns a physical key code into the label printed on the user's keyboard
+ * @param {string} [code] - KeyboardEvent.code
+ * @returns {string} Display label ('—' for an empty slot)
+ */
+function formatKeyCode(code) {
+    if (!code) return '—';
     
-    // Handle/Grip
-    const handle = new THREE.Mesh(handleGeometry, pistolMaterial);
-    handle.position.set(0, -0.1, 0);
-    handle.rotation.z = Math.PI / 8;
-    pickupGroup.add(handle);
+    const named = { Space: 'SPACE', Escape: 'ESC', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+    if (named[code]) return named[code];
     
-    // Trigger guard
-    const triggerGuard = new THREE.Mesh(triggerGuardGeometry, pistolMaterial);
-    triggerGuard.position.set(0, 0.05, 0);
-    pickupGroup.add(triggerGuard);
+    const printed = keyboardLayoutMap && keyboardLayoutMap.get(code);
+    if (printed) return printed.toUpperCase();
     
-    // Barrel
-    const barrel = new THREE.Mesh(barrelGeometry, pistolMaterial);
-    barrel.rotation.z = Math.PI / 2;
-    barrel.position.set(0.15, 0.15, 0);
-    pickupGroup.add(barrel);
+    // 'KeyW' -> 'W', 'Digit1' -> '1', 'ShiftLeft' -> 'SHIFT LEFT'
+    return code.replace(/^(Key|Digit)/, '').replace(/([a-z])([A-Z])/g, '$1 $2').toUpperCase();
+}
+
+/**
+ * Asks the browser for the user's keyboard layout so labels match the keycaps
+ * Chromium only; other browsers keep the code-derived labels
+ * @returns {void}
+ */
+function loadKeyboardLayout() {
+    if (!navigator.keyboard || !navigator.keyboard.getLayoutMap) return;
+    navigator.keyboard.getLayoutMap().then(layoutMap => {
+        keyboardLayoutMap = layoutMap;
+        updateKeyHints();
+    }).catch(() => {});
+}
+
+/**
+ * Binds a key to one slot of an action
+ * A key bound elsewhere swaps places with the slot's old key, so no action
+ * silently loses a binding it had
+ * @param {string} action - Keymap action
+ * @param {number} slot - Slot index (0..KEYMAP_SLOTS-1)
+ * @param {string} code - KeyboardEvent.code to bind
+ * @returns {string|null} The action the key was taken from, or null without a conflict
+ */
+function bindKey(action, slot, code) {
+    const codes = keymap[action];
+    const index = Math.min(slot, codes.length);
+    const previous = codes[index] || null;
+    let conflict = null;
+    
+    for (const [otherAction, otherCodes] of Object.entries(keymap)) {
+        const otherIndex = otherCodes.indexOf(code);
+        if (otherIndex === -1 || (otherAction === action && otherIndex === index)) continue;
+        
+        if (otherAction !== action) conflict = otherAction;
+        if (previous) {
+            otherCodes[otherIndex] = previous;
+        } else {
+            otherCodes.splice(otherIndex, 1);
+        }
+    }
     
-    // Slide
-    const slide = new THREE.Mesh(slideGeometry, pistolMaterial);
-    slide.position.set(0.05, 0.15, 0);
-    pickupGroup.add(slide);
+    // Re-read the index: a same-action conflict may have shortened the list
+    codes[Math.min(slot, codes.length)] = code;
+    return conflict;
+}
+
+/**
+ * Handles the key pressed while a binding slot is waiting
+ * Esc cancels, Backspace/Delete clears the slot, anything else is bound
+ * @param {string} code - KeyboardEvent.code
+ * @returns {void}
+ */
+function captureRebinding(code) {
+    const { action, slot } = rebindingSlot;
+    rebindingSlot = null;
+    
+    if (code === 'Escape') {
+        setKeymapMessage('');
+    } else if (code === 'Backspace' || code === 'Delete') {
+        keymap[action].splice(slot, 1);
+        setKeymapMessage(`${ACTION_LABELS[action]} slot cleared`);
+        saveKeymap();
+    } else {
+        const conflict = bindKey(action, slot, code);
+        setKeymapMessage(conflict
+            ? `⚠️ ${formatKeyCode(code)} was bound to ${ACTION_LABELS[conflict]}, the bindings were swapped`
+            : `${ACTION_LABELS[action]} bound to ${formatKeyCode(code)}`);
+        saveKeymap();
+        console.log(`⌨️ ${action} -> ${code}${conflict ? ` (taken from ${conflict})` : ''}`);
+    }
     
-    // Bright Orange Glowing Ring - Much More Visible
-    const ringGeometry = new THREE.TorusGeometry(0.8, 0.08, 16, 32);
-    const ringMaterial = new THREE.MeshBasicMaterial({
-        color: 0xff8800,
-        transparent: true,
-        opacity: 0.9
+    renderKeymapList();
+}
+
+/**
+ * Starts waiting for the key to bind to a slot
+ * @param {string} action - Keymap action
+ * @param {number} slot - Slot index
+ * @returns {void}
+ */
+function startRebinding(action, slot) {
+    rebindingSlot = { action, slot };
+    setKeymapMessage(`Press a key for ${ACTION_LABELS[action]} (Esc cancels, Backspace clears)`);
+    renderKeymapList();
+}
+
+/**
+ * Restores DEFAULT_KEYMAP and saves it
+ * @returns {void}
+ */
+function resetKeymap() {
+    keymap = JSON.parse(JSON.stringify(DEFAULT_KEYMAP));
+    rebindingSlot = null;
+    saveKeymap();
+    setKeymapMessage('Controls reset to defaults');
+    renderKeymapList();
+}
+
+/**
+ * Shows a status line under the bindings list
+ * @param {string} text - Message ('' hides it)
+ * @returns {void}
+ */
+function setKeymapMessage(text) {
+    const message = document.getElementById('keymapMessage');
+    if (message) message.textContent = text;
+}
+
+/**
+ * Rebuilds the controls screen: one row per action, one button per slot
+ * @returns {void}
+ */
+function renderKeymapList() {
+    const list = document.getElementById('keymapList');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    Object.keys(DEFAULT_KEYMAP).forEach(action => {
+        const row = document.createElement('div');
+        row.className = 'keymap-row';
+        
+        const label = document.createElement('span');
+        label.textContent = ACTION_LABELS[action];
+        row.appendChild(label);
+        
+        for (let slot = 0; slot < KEYMAP_SLOTS; slot++) {
+            const button = document.createElement('button');
+            const waiting = rebindingSlot && rebindingSlot.action === action && rebindingSlot.slot === slot;
+            button.className = waiting ? 'keymap-binding waiting' : 'keymap-binding';
+            button.textContent = waiting ? '...' : formatKeyCode(keymap[action][slot]);
+            button.onclick = () => startRebinding(action, slot);
+            row.appendChild(button);
+        }
+        list.appendChild(row);
     });
-    const ring = new THREE.Mesh(ringGeometry, ringMaterial);
-    ring.rotation.x = Math.PI / 2;
-    ring.position.y = -0.2;
-    pickupGroup.add(ring);
     
-    // Secondary inner glow ring
-    const innerRingGeometry = new THREE.TorusGeometry(0.6, 0.05, 16, 32);
-    const innerRingMaterial = new THREE.MeshBasicMaterial({
-        color: 0xffaa00,
-        transparent: true,
-        opacity: 0.7
-    });
-    const innerRing = new THREE.Mesh(innerRingGeometry, innerRingMaterial);
-    innerRing.rotation.x = Math.PI / 2;
-    innerRing.position.y = -0.15;
-    pickupGroup.add(innerRing);
+    updateKeyHints();
+}
+
+/**
+ * Updates on-screen hints that name a bound key
+ * @returns {void}
+ */
+function updateKeyHints() {
+    const shopHint = document.getElementById('shopKeyHint');
+    if (shopHint) shopHint.textContent = `PRESS ${formatKeyCode(keymap.OpenShop[0])}`;
+}
+
+// ============================================================================
+// GAMEPAD INPUT
+// ============================================================================
+
+/**
+ * Returns the gamepad driving the game
+ * @returns {Gamepad|null} The connected pad, or null
+ */
+function getActiveGamepad() {
+    if (gamepadIndex === null || !navigator.getGamepads) return null;
+    const pad = navigator.getGamepads()[gamepadIndex];
+    return pad && pad.connected ? pad : null;
+}
+
+/**
+ * Adopts a newly connected gamepad (the first one wins) and starts polling it
+ * @param {GamepadEvent} e - The connection event
+ * @returns {void}
+ */
+function onGamepadConnected(e) {
+    console.log(`🎮 Gamepad connected: ${e.gamepad.id}`);
+    if (e.gamepad.mapping !== 'standard') {
+        console.warn('🎮 Gamepad has no standard mapping, buttons may be mixed up');
+    }
+    if (getActiveGamepad()) return;
     
-    // Bright Orange Point Light for visibility
-    const pickupLight = new THREE.PointLight(0xff6600, 3, 12);
-    pickupLight.position.set(0, 1, 0);
-    pickupGroup.add(pickupLight);
+    gamepadIndex = e.gamepad.index;
+    gamepadPreviousButtons = [];
+    if (gamepadLoopId === null) {
+        gamepadLoopId = requestAnimationFrame(gamepadLoop);
+    }
+}
+
+/**
+ * Falls back to another connected pad when the active one is unplugged
+ * Pauses the run if none is left, so the player isn't left defenceless
+ * @param {GamepadEvent} e - The disconnection event
+ * @returns {void}
+ */
+function onGamepadDisconnected(e) {
+    console.log(`🎮 Gamepad disconnected: ${e.gamepad.id}`);
+    if (e.gamepad.index !== gamepadIndex) return;
     
-    // Additional spotlight for better visibility
-    const spotlight = new THREE.SpotLight(0xff8800, 2, 15, Math.PI / 3, 0.3, 1);
-    spotlight.position.set(0, 3, 0);
-    spotlight.target.position.set(0, 0, 0);
-    pickupGroup.add(spotlight);
-    pickupGroup.add(spotlight.target);
+    const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+    const next = pads.find(pad => pad && pad.connected && pad.index !== e.gamepad.index);
+    gamepadIndex = next ? next.index : null;
+    gamepadPreviousButtons = [];
+    
+    if (!next) pauseGame('menu');
+}
+
+/**
+ * Polls the gamepad once per display frame while one is connected
+ * Runs separately from the game loop so menus still respond after a run ends
+ * @returns {void}
+ */
+function gamepadLoop() {
+    if (!getActiveGamepad()) {
+        gamepadLoopId = null;
+        return;
+    }
+    gamepadLoopId = requestAnimationFrame(gamepadLoop);
+    pollGamepadButtons();
+}
+
+/**
+ * Scales a stick reading so the deadzone edge reads 0 and full tilt reads 1
+ * @param {number} x - Horizontal axis (-1..1)
+ * @param {number} y - Vertical axis (-1..1)
+ * @param {number} deadzone - Radial deadzone
+ * @returns {Object} { x, y }, zero inside the deadzone
+ */
+function applyStickDeadzone(x, y, deadzone) {
+    const magnitude = Math.hypot(x, y);
+    if (magnitude < deadzone) return { x: 0, y: 0 };
     
-    // Position in a separate area between walls (side corridor)
-    pickupGroup.position.set(-6, 0.5, 3); // Side area away from center and start
-    pickupGroup.userData.rotation = 0; // For spinning animation
+    const scaled = Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+    return { x: x / magnitude * scaled, y: y / magnitude * scaled };
+}
+
+/**
+ * Reads the left stick as analog movement
+ * @returns {Object} { x, z } each -1..1; partial tilt moves slower
+ */
+function getGamepadMovement() {
+    const pad = getActiveGamepad();
+    if (!pad || pad.axes.length < 2) return { x: 0, z: 0 };
     
-    scene.add(pickupGroup);
-    pistolPickup = pickupGroup;
+    const stick = applyStickDeadzone(pad.axes[0], pad.axes[1], GAMEPAD_MOVE_DEADZONE);
+    return { x: stick.x, z: stick.y };
+}
+
+/**
+ * Reads the button states, with the left stick doubling as a d-pad
+ * @param {Gamepad} pad - Gamepad to read
+ * @returns {Array<boolean>} Pressed state per standard button index
+ */
+function readGamepadButtons(pad) {
+    const pressed = pad.buttons.map(button => button.pressed);
+    const stickX = pad.axes[0] || 0;
+    const stickY = pad.axes[1] || 0;
     
-    console.log('Pistol pickup created at position:', pickupGroup.position);
+    pressed[GAMEPAD_BUTTONS.up] = pressed[GAMEPAD_BUTTONS.up] || stickY < -GAMEPAD_MENU_THRESHOLD;
+    pressed[GAMEPAD_BUTTONS.down] = pressed[GAMEPAD_BUTTONS.down] || stickY > GAMEPAD_MENU_THRESHOLD;
+    pressed[GAMEPAD_BUTTONS.left] = pressed[GAMEPAD_BUTTONS.left] || stickX < -GAMEPAD_MENU_THRESHOLD;
+    pressed[GAMEPAD_BUTTONS.right] = pressed[GAMEPAD_BUTTONS.right] || stickX > GAMEPAD_MENU_THRESHOLD;
+    return pressed;
 }
 
-function shoot() {
-    const now = Date.now();
+/**
+ * Turns new button presses into game actions or menu navigation
+ * Mirrors the keyboard: Start = Esc, A/RT = Space, X = F, Y = Q, LT = R, B = B
+ * @returns {void}
+ */
+function pollGamepadButtons() {
+    const pad = getActiveGamepad();
+    if (!pad) return;
     
-    if (currentWeapon === 'knife') {
-        // Knife melee attack - optimized for fast enemies
-        if (now - lastShotTime < KNIFE_COOLDOWN) return;
-        if (knifeObject && knifeObject.userData.isSwinging) return;
-        
-        lastShotTime = now;
-        
-        // Play knife slash sound
-        playKnifeSound();
-        
-        // Animate knife swing
-        animateKnifeSwing();
-        
-        // Check for jumping enemies in knife range - 360° CIRCULAR AREA
-        // Balanced difficulty: shorter range but hits all around
-        console.log(`Knife attack! Checking ${jumpers.length} jumpers in 360° range`);
-        let hitCount = 0;
-        const maxHits = 1; // Only hit 1 zombie per swing (moderate difficulty)
-        
-        for (let i = jumpers.length - 1; i >= 0 && hitCount < maxHits; i--) {
-            const jumper = jumpers[i];
-            const distance = player.position.distanceTo(jumper.position);
-            
-            // Check if player and jumper are in the same lane/corridor
-            let inSameLane = false;
-            const lane = jumper.laneInfo;
-            const tolerance = 0.8;
-            
-            if (jumper.patrolAxis === 'x') {
-                const playerInLaneZ = Math.abs(player.position.z - lane.fixedCoord) < tolerance;
-                const playerInLaneX = player.position.x >= lane.xMin - 0.5 && player.position.x <= lane.xMax + 0.5;
-                inSameLane = playerInLaneZ && playerInLaneX;
-            } else {
-                const playerInLaneX = Math.abs(player.position.x - lane.fixedCoord) < tolerance;
-                const playerInLaneZ = player.position.z >= lane.zMin - 0.5 && player.position.z <= lane.zMax + 0.5;
-                inSameLane = playerInLaneX && playerInLaneZ;
-            }
-            
-            // Hit if: in same lane AND within circular range (360° around player)
-            // No direction check - can hit zombies from any angle
-            if (inSameLane && distance < KNIFE_RANGE) {
-                // Kill jumper with knife
-                console.log(`Knife killed jumper ${i} in ${lane.name}! Distance: ${distance.toFixed(2)}`);
-                playHitSound();
-                createExplosion(jumper.position);
-                removeJumper(jumper, i);
-                
-                hitCount++;
-                
-                // Hunt mode only: Check if all jumpers are dead - VICTORY!
-                if (gameMode === 'hunt' && jumpers.length === 0) {
-                    setTimeout(() => {
-                        winGame();
-                    }, 500);
-                }
-            }
-        }
-        
-        // Visual feedback for successful hits
-        if (hitCount > 0) {
-            createKnifeHitFlash();
-        }
-    } else if (currentWeapon === 'pistol') {
-        // Pistol shooting
-        console.log(`Pistol shot attempt. Cooldown check: ${now - lastShotTime} >= ${SHOOT_COOLDOWN}, Ammo: ${ammoCount}`);
-        if (now - lastShotTime < SHOOT_COOLDOWN) return;
-        if (ammoCount <= 0) {
-            console.log('No ammo left!');
-            return;
+    const pressed = readGamepadButtons(pad);
+    const previous = gamepadPreviousButtons;
+    gamepadPreviousButtons = pressed;
+    const justPressed = action => pressed[GAMEPAD_BUTTONS[action]] && !previous[GAMEPAD_BUTTONS[action]];
+    
+    if (justPressed('pause')) {
+        if (shopOpen) {
+            toggleShop();
+        } else {
+            togglePause();
         }
-        
-        lastShotTime = now;
-        ammoCount--;
-        updateAmmoDisplay();
-        
-        // Play gunshot sound - lightweight
-        playGunshotSound();
-        
-        // Create realistic bullet - LARGER AND MORE VISIBLE
-        const bulletGroup = new THREE.Group();
-        
-        // Bullet casing (brass) - BIGGER
-        const casingGeometry = new THREE.CylinderGeometry(0.08, 0.08, 0.3, 8);
-        const casingMaterial = new THREE.MeshStandardMaterial({
-            color: 0xffdd33, // Brighter gold/brass
-            metalness: 0.9,
-            roughness: 0.2,
-            emissive: 0xffaa00,
-            emissiveIntensity: 0.3
-        });
-        const casing = new THREE.Mesh(casingGeometry, casingMaterial);
-        casing.rotation.x = Math.PI / 2;
-        casing.castShadow = true;
-        bulletGroup.add(casing);
-        
-        // Bullet tip (lead/copper) - BIGGER
-        const tipGeometry = new THREE.ConeGeometry(0.08, 0.16, 8);
-        const tipMaterial = new THREE.MeshStandardMaterial({
-            color: 0xff6600, // Brighter copper
-            metalness: 0.8,
-            roughness: 0.3,
-            emissive: 0xff3300,
-            emissiveIntensity: 0.2
-        });
-        const tip = new THREE.Mesh(tipGeometry, tipMaterial);
-        tip.position.z = 0.23;
-        tip.rotation.x = -Math.PI / 2;
-        tip.castShadow = true;
-        bulletGroup.add(tip);
-        
-        // Add glow effect to bullet
-        const glowGeometry = new THREE.SphereGeometry(0.12, 8, 8);
-        const glowMaterial = new THREE.MeshBasicMaterial({
-            color: 0xffff00,
-            transparent: true,
-            opacity: 0.6
-        });
-        const glow = new THREE.Mesh(glowGeometry, glowMaterial);
-        bulletGroup.add(glow);
-        
-        // Position bullet at player location
-        bulletGroup.position.copy(player.position);
-        bulletGroup.position.y = 0.8;
-        
-        // Bullet direction based on player rotation
-        const direction = new THREE.Vector3(
-            Math.sin(playerMesh.rotation.y),
-            0,
-            Math.cos(playerMesh.rotation.y)
-        );
-        
-        // Rotate bullet to face direction
-        bulletGroup.rotation.y = playerMesh.rotation.y;
-        
-        scene.add(bulletGroup);
-        
-        bullets.push({
-            mesh: bulletGroup,
-            velocity: direction.multiplyScalar(BULLET_SPEED),
-            lifetime: 0
-        });
-        
-        console.log(`Bullet created! Total bullets: ${bullets.length}, Direction:`, direction);
-        
-        // Play shoot sound effect (visual feedback)
-        createMuzzleFlash();
+        return;
+    }
+    
+    const menu = getGamepadMenu();
+    if (menu) {
+        navigateGamepadMenu(menu, justPressed);
+        return;
     }
+    clearGamepadFocus();
+    
+    if (!gameActive || gamePaused) return;
+    
+    if (justPressed('attack') || justPressed('trigger')) shoot();
+    if (justPressed('flashlight')) toggleFlashlight();
+    if (justPressed('swapWeapon')) switchWeapon();
+    if (justPressed('reload')) reloadWeapon();
+    if (justPressed('shop')) toggleShop();
 }
 
-function animateKnifeSwing() {
-    if (!knifeObject) return;
+/**
+ * Finds the menu currently on screen that the gamepad can navigate
+ * @returns {Object|null} { key, targets, columns }, or null during play
+ */
+function getGamepadMenu() {
+    if (shopOpen) {
+        const targets = Array.from(document.querySelectorAll('#cosmeticGrid .cosmetic-item'));
+        // Items on the first row share its top edge
+        const firstTop = targets.length ? targets[0].offsetTop : 0;
+        const columns = Math.max(1, targets.filter(item => item.offsetTop === firstTop).length);
+        return { key: `shop-${currentShopCategory}`, targets, columns };
+    }
     
-    knifeObject.userData.isSwinging = true;
+    const gameOverElement = document.getElementById('gameOver');
+    if (gameOverElement && gameOverElement.classList.contains('show')) {
+        return { key: 'gameOver', targets: Array.from(gameOverElement.querySelectorAll('button')), columns: 1 };
+    }
     
-    const swingDuration = 180; // ms - much faster for rapid attacks
-    const startTime = Date.now();
-    const originalRotation = knifeObject.userData.originalRotation.clone();
-    const originalPosition = knifeObject.userData.originalPosition?.clone() || knifeObject.position.clone();
+    const pauseMenu = document.getElementById('pauseMenu');
+    if (gamePaused && pauseMenu && pauseMenu.classList.contains('show')) {
+        // Sub-panels are shown with display: flex; otherwise the main panel is up
+        const panel = ['pauseSettingsPanel', 'pauseControlsPanel']
+            .map(id => document.getElementById(id))
+            .find(subPanel => subPanel && subPanel.style.display === 'flex') || document.getElementById('pauseMainPanel');
+        const targets = panel ? Array.from(panel.querySelectorAll('.pause-btn, input[type="checkbox"]')) : [];
+        return { key: panel ? panel.id : 'pause', targets, columns: 1 };
+    }
     
-    function swingStep() {
-        const elapsed = Date.now() - startTime;
-        const progress = Math.min(elapsed / swingDuration, 1);
-        
-        // Faster, more aggressive slicing animation
-        const angle = progress * Math.PI; // 0 to PI radians (180 degrees)
-        const radius = 0.4; // Slightly larger radius for better reach
-        
-        // Create circular motion around player
-        const centerX = originalPosition.x;
-        const centerZ = originalPosition.z - 0.2; // Slightly in front
-        
-        knifeObject.position.x = centerX + Math.sin(angle) * radius;
-        knifeObject.position.z = centerZ + Math.cos(angle) * radius - radius; // Start from right
-        
-        // More dramatic rotation for faster swing
-        knifeObject.rotation.z = originalRotation.z - angle * 1.5; // Enhanced rotation
-        knifeObject.rotation.y = originalRotation.y + Math.sin(angle) * 0.4; // More side tilt
-        knifeObject.rotation.x = originalRotation.x + Math.cos(angle) * 0.3; // More forward tilt
-        
-        // Enhanced scale effect for impact
-        const scaleEffect = 1 + Math.sin(angle) * 0.3;
-        knifeObject.scale.set(scaleEffect, scaleEffect, scaleEffect);
-        
-        if (progress < 1) {
-            requestAnimationFrame(swingStep);
-        } else {
-            // Reset to original state
-            knifeObject.rotation.copy(originalRotation);
-            knifeObject.position.copy(originalPosition);
-            knifeObject.scale.set(1, 1, 1);
-            knifeObject.userData.isSwinging = false;
+    return null;
+}
+
+/**
+ * Moves the gamepad focus through a menu and activates the focused element
+ * D-pad / left stick move, A selects, B goes back, LB/RB switch shop categories
+ * @param {Object} menu - From getGamepadMenu
+ * @param {Function} justPressed - (action) => whether the button was just pressed
+ * @returns {void}
+ */
+function navigateGamepadMenu(menu, justPressed) {
+    if (menu.key !== gamepadMenuKey) {
+        gamepadMenuKey = menu.key;
+        gamepadFocusIndex = 0;
+    }
+    
+    if (justPressed('shop')) {
+        if (shopOpen) {
+            toggleShop();
+        } else if (menu.key === 'pauseMainPanel') {
+            resumeGame();
+        } else if (menu.key !== 'gameOver') {
+            hidePauseSettings();
         }
+        return;
     }
     
-    swingStep();
+    if (shopOpen && (justPressed('prevTab') || justPressed('nextTab'))) {
+        const tabs = Array.from(document.querySelectorAll('.shop-tab')).map(tab => tab.dataset.category).filter(Boolean);
+        const step = justPressed('nextTab') ? 1 : -1;
+        const current = Math.max(0, tabs.indexOf(currentShopCategory));
+        switchShopCategory(tabs[(current + step + tabs.length) % tabs.length]);
+        return;
+    }
+    
+    const { targets, columns } = menu;
+    if (targets.length === 0) return;
+    
+    let index = Math.min(gamepadFocusIndex, targets.length - 1);
+    if (justPressed('left')) index -= 1;
+    if (justPressed('right')) index += 1;
+    if (justPressed('up')) index -= columns;
+    if (justPressed('down')) index += columns;
+    gamepadFocusIndex = Math.max(0, Math.min(targets.length - 1, index));
+    
+    const target = targets[gamepadFocusIndex];
+    setGamepadFocus(target);
+    
+    if (justPressed('attack')) {
+        target.click();
+    }
 }
 
-function createKnifeHitFlash() {
-    // Create bright red flash for successful knife hits
-    const flashGroup = new THREE.Group();
-    
-    // Main flash sphere - red for knife
-    const flashGeometry = new THREE.SphereGeometry(0.3, 16, 16);
-    const flashMaterial = new THREE.MeshBasicMaterial({
-        color: 0xff4444,
-        transparent: true,
-        opacity: 1.0
-    });
-    const flash = new THREE.Mesh(flashGeometry, flashMaterial);
-    flashGroup.add(flash);
+/**
+ * Highlights the element the gamepad is on and scrolls it into view
+ * @param {HTMLElement} target - Element to focus
+ * @returns {void}
+ */
+function setGamepadFocus(target) {
+    if (target.classList.contains('gamepad-focus')) return;
     
-    // Outer glow - blood red
-    const glowGeometry = new THREE.SphereGeometry(0.5, 16, 16);
-    const glowMaterial = new THREE.MeshBasicMaterial({
-        color: 0xff0000,
-        transparent: true,
-        opacity: 0.6
-    });
-    const glow = new THREE.Mesh(glowGeometry, glowMaterial);
-    flashGroup.add(glow);
+    clearGamepadFocus();
+    target.classList.add('gamepad-focus');
+    target.focus({ preventScroll: true });
+    target.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Removes the gamepad highlight
+ * @returns {void}
+ */
+function clearGamepadFocus() {
+    document.querySelectorAll('.gamepad-focus').forEach(element => element.classList.remove('gamepad-focus'));
+}
+
+/**
+ * Shakes the gamepad where the browser supports it
+ * @param {string} kind - GAMEPAD_RUMBLE key
+ * @returns {void}
+ */
+function rumbleGamepad(kind) {
+    const pad = getActiveGamepad();
+    const actuator = pad && pad.vibrationActuator;
+    if (!actuator || !actuator.playEffect) return;
     
-    // Position at player location
-    flashGroup.position.copy(player.position);
-    flashGroup.position.y = 0.8;
-    
-    // Add point light for lighting effect
-    const flashLight = new THREE.PointLight(0xff4444, 1.5, 8);
-    flashLight.position.copy(player.position);
-    flashLight.position.y = 0.8;
-    scene.add(flashLight);
-    
-    scene.add(flashGroup);
-    
-    // Animate fade out - faster for knife
-    let fadeProgress = 0;
-    const fadeInterval = setInterval(() => {
-        fadeProgress += 0.15; // Faster fade
-        flash.material.opacity = 1.0 - fadeProgress;
-        glow.material.opacity = 0.6 - (fadeProgress * 0.6);
-        flashLight.intensity = 1.5 - (fadeProgress * 1.5);
-        
-        if (fadeProgress >= 1.0) {
-            clearInterval(fadeInterval);
-            scene.remove(flashGroup);
-            scene.remove(flashLight);
-        }
-    }, 15); // Faster animation
+    const { strength, duration } = GAMEPAD_RUMBLE[kind];
+    actuator.playEffect('dual-rumble', {
+        duration,
+        strongMagnitude: strength,
+        weakMagnitude: strength / 2
+    }).catch(() => {});
 }
 
-function createMuzzleFlash() {
-    // Create bright muzzle flash with multiple elements
-    const flashGroup = new THREE.Group();
+// ============================================================================
+// TOUCH CONTROLS
+// ============================================================================
+
+/**
+ * Wires the floating joystick and the touch action buttons
+ * Each control follows only its own touches, so moving and attacking work
+ * with two thumbs at once
+ * @returns {void}
+ */
+function setupTouchControls() {
+    const zone = document.getElementById('joystickZone');
+    if (zone) {
+        zone.addEventListener('touchstart', onJoystickStart, { passive: false });
+        zone.addEventListener('touchmove', onJoystickMove, { passive: false });
+        zone.addEventListener('touchend', onJoystickEnd);
+        zone.addEventListener('touchcancel', onJoystickEnd);
+    }
     
-    // Main flash sphere
-    const flashGeometry = new THREE.SphereGeometry(0.4, 16, 16);
-    const flashMaterial = new THREE.MeshBasicMaterial({
-        color: 0xffff00,
-        transparent: true,
-        opacity: 1.0
+    document.querySelectorAll('#touchButtons .control-btn').forEach(btn => {
+        btn.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            btn.classList.add('pressed');
+            if (btn.dataset.touch === 'attack') touchAttackHeld = true;
+            handleTouchButton(btn.dataset.touch);
+        }, { passive: false });
+        
+        // A cancelled touch (OS gesture, finger off the screen edge) releases too
+        const release = (e) => {
+            e.preventDefault();
+            btn.classList.remove('pressed');
+            if (btn.dataset.touch === 'attack') touchAttackHeld = false;
+        };
+        btn.addEventListener('touchend', release);
+        btn.addEventListener('touchcancel', release);
     });
-    const flash = new THREE.Mesh(flashGeometry, flashMaterial);
-    flashGroup.add(flash);
     
-    // Outer glow
-    const glowGeometry = new THREE.SphereGeometry(0.6, 16, 16);
-    const glowMaterial = new THREE.MeshBasicMaterial({
-        color: 0xffaa00,
-        transparent: true,
-        opacity: 0.5
-    });
-    const glow = new THREE.Mesh(glowGeometry, glowMaterial);
-    flashGroup.add(glow);
+    // Remember touches so the mouse events browsers emulate from taps can be ignored
+    document.addEventListener('touchstart', () => {
+        lastTouchTime = performance.now();
+    }, { passive: true });
     
-    // Position at player location
-    flashGroup.position.copy(player.position);
-    flashGroup.position.y = 0.8;
-    
-    // Add point light for lighting effect
-    const flashLight = new THREE.PointLight(0xffff00, 2, 10);
-    flashLight.position.copy(player.position);
-    flashLight.position.y = 0.8;
-    scene.add(flashLight);
-    
-    scene.add(flashGroup);
-    
-    // Animate fade out
-    let fadeProgress = 0;
-    const fadeInterval = setInterval(() => {
-        fadeProgress += 0.1;
-        flash.material.opacity = 1.0 - fadeProgress;
-        glow.material.opacity = 0.5 - (fadeProgress * 0.5);
-        flashLight.intensity = 2 - (fadeProgress * 2);
-        
-        if (fadeProgress >= 1.0) {
-            clearInterval(fadeInterval);
-            scene.remove(flashGroup);
-            scene.remove(flashLight);
-        }
-    }, 20);
+    applyTouchLayout();
 }
 
-function updateBullets() {
-    for (let i = bullets.length - 1; i >= 0; i--) {
-        const bullet = bullets[i];
-        
-        // Move bullet
-        bullet.mesh.position.add(bullet.velocity);
-        bullet.lifetime++;
-        
-        // Check collision with walls
-        if (isWallAt(bullet.mesh.position) || bullet.lifetime > 200) {
-            scene.remove(bullet.mesh);
-            bullets.splice(i, 1);
-            continue;
-        }
-        
-        // Check collision with jumping enemies - MUST BE IN SAME LANE
-        for (let j = jumpers.length - 1; j >= 0; j--) {
-            const jumper = jumpers[j];
-            const hitDistance = bullet.mesh.position.distanceTo(jumper.position);
-            
-            // Check if bullet and jumper are in the same lane/corridor
-            let inSameLane = false;
-            const lane = jumper.laneInfo;
-            const tolerance = 0.8;
-            
-            if (jumper.patrolAxis === 'x') {
-                const bulletInLaneZ = Math.abs(bullet.mesh.position.z - lane.fixedCoord) < tolerance;
-                const bulletInLaneX = bullet.mesh.position.x >= lane.xMin - 0.5 && bullet.mesh.position.x <= lane.xMax + 0.5;
-                inSameLane = bulletInLaneZ && bulletInLaneX;
-            } else {
-                const bulletInLaneX = Math.abs(bullet.mesh.position.x - lane.fixedCoord) < tolerance;
-                const bulletInLaneZ = bullet.mesh.position.z >= lane.zMin - 0.5 && bullet.mesh.position.z <= lane.zMax + 0.5;
-                inSameLane = bulletInLaneX && bulletInLaneZ;
-            }
-            
-            if (inSameLane && hitDistance < 0.7) { // Slightly smaller hitbox for smaller enemy
-                // Hit jumper!
-                console.log(`Bullet hit jumper ${j} in ${lane.name}! Distance: ${hitDistance.toFixed(2)}`);
-                playHitSound();
-                createExplosion(jumper.position);
-                scene.remove(bullet.mesh);
-                removeJumper(jumper, j);
-                bullets.splice(i, 1);
-                
-                // Hunt mode only: Check if all jumpers are dead - VICTORY!
-                if (gameMode === 'hunt' && jumpers.length === 0) {
-                    setTimeout(() => {
-                        winGame();
-                    }, 500);
-                }
-                break;
-            }
-        }
+/**
+ * Whether a mouse event was emulated by the browser from a recent tap
+ * @returns {boolean} True within TOUCH_MOUSE_GRACE of a touch
+ */
+function isEmulatedMouseEvent() {
+    return performance.now() - lastTouchTime < TOUCH_MOUSE_GRACE;
+}
+
+/**
+ * Runs the action of a touch button
+ * Mirrors the keyboard: the shop opens only while unpaused (and closes from
+ * its own pause), the rest only during play
+ * @param {string} action - 'attack', 'swapWeapon', 'flashlight', 'shop' or 'pause'
+ * @returns {void}
+ */
+function handleTouchButton(action) {
+    // Initialize simple audio on first interaction
+    if (!audioInitialized) {
+        initAudio();
+        startBackgroundMusic();
     }
+    
+    if (action === 'pause') {
+        togglePause();
+        return;
+    }
+    // Opening needs an unpaused run; closing works from the shop's own pause
+    if (action === 'shop' && shopOpen) {
+        toggleShop();
+        return;
+    }
+    if (gamePaused) return;
+    if (action === 'shop') {
+        toggleShop();
+        return;
+    }
+    if (!gameActive) return;
+    
+    if (action === 'attack') {
+        shoot();
+    } else if (action === 'swapWeapon') {
+        switchWeapon();
+    } else if (action === 'flashlight') {
+        toggleFlashlight();
+    }
+}
+
+/**
+ * Drops the joystick under the thumb that touched the joystick zone
+ * @param {TouchEvent} e - touchstart on the zone
+ * @returns {void}
+ */
+function onJoystickStart(e) {
+    e.preventDefault();
+    if (touchJoystick.touchId !== null) return;
+    
+    const touch = e.changedTouches[0];
+    const zone = e.currentTarget.getBoundingClientRect();
+    touchJoystick.touchId = touch.identifier;
+    touchJoystick.originX = touch.clientX;
+    touchJoystick.originY = touch.clientY;
+    
+    const base = document.getElementById('joystickBase');
+    if (base) {
+        base.style.left = `${touch.clientX - zone.left}px`;
+        base.style.top = `${touch.clientY - zone.top}px`;
+        base.classList.add('active');
+    }
+    setJoystickDeflection(0, 0);
+}
+
+/**
+ * Finds the touch driving the joystick in a touch list
+ * @param {TouchList} touches - Touches of the event
+ * @returns {Touch|null} The joystick's touch, or null if it isn't among them
+ */
+function findJoystickTouch(touches) {
+    return Array.from(touches).find(touch => touch.identifier === touchJoystick.touchId) || null;
+}
+
+/**
+ * Follows the joystick thumb
+ * @param {TouchEvent} e - touchmove on the zone
+ * @returns {void}
+ */
+function onJoystickMove(e) {
+    const touch = findJoystickTouch(e.changedTouches);
+    if (!touch) return;
+    
+    e.preventDefault();
+    setJoystickDeflection(touch.clientX - touchJoystick.originX, touch.clientY - touchJoystick.originY);
+}
+
+/**
+ * Releases the joystick when its thumb lifts
+ * @param {TouchEvent} e - touchend / touchcancel on the zone
+ * @returns {void}
+ */
+function onJoystickEnd(e) {
+    if (!findJoystickTouch(e.changedTouches)) return;
+    resetTouchJoystick();
 }
 
-function createExplosion(position) {
-    const explosionGeometry = new THREE.SphereGeometry(0.5, 8, 8);
-    const explosionMaterial = new THREE.MeshBasicMaterial({
-        color: 0xff4444,
-        transparent: true,
-        opacity: 0.8
-    });
-    const explosion = new THREE.Mesh(explosionGeometry, explosionMaterial);
-    explosion.position.copy(position);
-    scene.add(explosion);
+/**
+ * Moves the knob and converts the thumb offset into analog movement
+ * @param {number} dx - Horizontal offset from where the touch began (pixels)
+ * @param {number} dy - Vertical offset (pixels, down is positive)
+ * @returns {void}
+ */
+function setJoystickDeflection(dx, dy) {
+    const distance = Math.hypot(dx, dy);
+    const clamp = distance > TOUCH_JOYSTICK_RADIUS ? TOUCH_JOYSTICK_RADIUS / distance : 1;
+    const knobX = dx * clamp;
+    const knobY = dy * clamp;
     
-    // Animate explosion
-    let scale = 1;
-    const explosionInterval = setInterval(() => {
-        scale += 0.2;
-        explosion.scale.set(scale, scale, scale);
-        explosion.material.opacity -= 0.1;
-        
-        if (explosion.material.opacity <= 0) {
-            scene.remove(explosion);
-            clearInterval(explosionInterval);
-        }
-    }, 30);
+    // Screen down is +z on the ground, like the gamepad stick
+    const stick = applyStickDeadzone(knobX / TOUCH_JOYSTICK_RADIUS, knobY / TOUCH_JOYSTICK_RADIUS, TOUCH_JOYSTICK_DEADZONE);
+    touchJoystick.x = stick.x;
+    touchJoystick.z = stick.y;
+    
+    const knob = document.getElementById('joystickKnob');
+    if (knob) knob.style.transform = `translate(${knobX}px, ${knobY}px)`;
 }
 
-function updateAmmoDisplay() {
-    const ammoElement = document.getElementById('ammoCount');
-    if (currentWeapon === 'knife') {
-        ammoElement.textContent = '∞'; // Infinite for knife
-    } else {
-        ammoElement.textContent = ammoCount;
+/**
+ * Centres the joystick and returns it to its resting place
+ * @returns {void}
+ */
+function resetTouchJoystick() {
+    touchJoystick.touchId = null;
+    touchJoystick.x = 0;
+    touchJoystick.z = 0;
+    
+    const base = document.getElementById('joystickBase');
+    if (base) {
+        base.style.left = '';
+        base.style.top = '';
+        base.classList.remove('active');
     }
+    const knob = document.getElementById('joystickKnob');
+    if (knob) knob.style.transform = '';
 }
 
-function updateWeaponDisplay() {
-    const weaponElement = document.getElementById('weaponName');
-    if (weaponElement) {
-        if (currentWeapon === 'knife') {
-            weaponElement.textContent = '🔪 KNIFE';
-        } else if (currentWeapon === 'pistol') {
-            weaponElement.textContent = '🔫 PISTOL';
-        }
-    }
+/**
+ * Reads the touch joystick as analog movement
+ * @returns {Object} { x, z } each -1..1; a short drag moves slower
+ */
+function getTouchMovement() {
+    return { x: touchJoystick.x, z: touchJoystick.z };
 }
 
-function updateFlashlightDisplay() {
-    const flashlightElement = document.getElementById('flashlightStatus');
-    if (flashlightElement) {
-        flashlightElement.textContent = flashlightOn ? '🔦 ON' : '🔦 OFF';
-        flashlightElement.style.color = flashlightOn ? '#ffff00' : '#888888';
+/**
+ * Puts the joystick on the right and the buttons on the left for left-handed players
+ * @returns {void}
+ */
+function applyTouchLayout() {
+    const mobileControls = document.getElementById('mobileControls');
+    if (mobileControls) {
+        mobileControls.classList.toggle('left-handed', gameSettings.leftHandedTouch);
     }
 }
 
-function updateKillsDisplay() {
-    document.getElementById('killCount').textContent = kills;
-}
+// ============================================================================
+// AIMING
+// ============================================================================
 
-function setupControls() {
-    // Keyboard controls
-    document.addEventListener('keydown', (e) => {
-        // Initialize simple audio on first interaction
-        if (!audioInitialized) {
-            initAudio();
-            // Start background music on first user interaction
-            startBackgroundMusic();
-        }
-        
-        keys[e.key.toLowerCase()] = true;
-        
-        // Space bar to shoot
-        if (e.code === 'Space' && gameActive) {
-            e.preventDefault();
-            shoot();
-        }
-        
-        // F key to toggle flashlight
-        if (e.key.toLowerCase() === 'f' && gameActive) {
-            e.preventDefault();
-            toggleFlashlight();
-        }
-        
-        // Q key to switch weapons (re-enabled)
-        if (e.key.toLowerCase() === 'q' && gameActive) {
-            e.preventDefault();
-            switchWeapon();
-        }
-        
-        // B key to toggle shop
-        if (e.key.toLowerCase() === 'b') {
-            e.preventDefault();
-            toggleShop();
-        }
-        
-        // Q key removed - melee only mode
-        // if (e.key.toLowerCase() === 'q' && gameActive) {
-        //     e.preventDefault();
-        //     switchWeapon();
-        // }
-    });
+/**
+ * Reads the right stick of the active gamepad
+ * @returns {number|null} Aim angle in radians (same convention as movement facing), or null when centred
+ */
+function pollGamepadAim() {
+    const pad = getActiveGamepad();
+    if (!pad || pad.axes.length < 4) return null;
     
-    document.addEventListener('keyup', (e) => {
-        keys[e.key.toLowerCase()] = false;
-    });
+    const stickX = pad.axes[2];
+    const stickY = pad.axes[3];
+    if (Math.hypot(stickX, stickY) < GAMEPAD_AIM_DEADZONE) return null;
     
-    // Mouse click to shoot
-    document.addEventListener('click', (e) => {
-        // Initialize simple audio on first interaction
-        if (!audioInitialized) {
-            initAudio();
-            // Start background music on first user interaction
-            startBackgroundMusic();
-        }
-        
-        if (gameActive && e.target.tagName !== 'BUTTON') {
-            shoot();
-        }
-    });
+    // Stick down is +z on the ground, matching W = -z for movement
+    return Math.atan2(stickX, stickY);
+}
+
+/**
+ * Projects the cursor onto the ground plane and returns the direction from the player to it
+ * @returns {number|null} Aim angle in radians, or null when the ray misses the ground
+ */
+function getCursorAimAngle() {
+    if (!aimRaycaster) {
+        aimRaycaster = new THREE.Raycaster();
+        aimPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+    }
     
-    // Mouse move for aiming (optional - player auto-rotates with movement)
-    document.addEventListener('mousemove', (e) => {
-        if (gameActive) {
-            // Could use for aiming direction in future
-        }
-    });
+    const ndc = new THREE.Vector2(
+        (mouseX / window.innerWidth) * 2 - 1,
+        -(mouseY / window.innerHeight) * 2 + 1
+    );
+    // The camera was just moved over the player; refresh its matrices before unprojecting
+    camera.updateMatrixWorld();
+    aimRaycaster.setFromCamera(ndc, camera);
     
-    // Mobile touch controls
-    const controlButtons = document.querySelectorAll('.control-btn');
-    controlButtons.forEach(btn => {
-        btn.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            const key = btn.getAttribute('data-key');
-            keys[key] = true;
-        });
-        
-        btn.addEventListener('touchend', (e) => {
-            e.preventDefault();
-            const key = btn.getAttribute('data-key');
-            keys[key] = false;
-        });
-    });
+    const target = new THREE.Vector3();
+    if (!aimRaycaster.ray.intersectPlane(aimPlane, target)) return null;
     
-    // Mode toggle button - check if it exists
-    const modeToggle = document.getElementById('modeToggle');
-    if (modeToggle) {
-        modeToggle.addEventListener('click', toggleMode);
-    } else {
-        console.warn('Mode toggle button not found in DOM');
+    const dx = target.x - player.position.x;
+    const dz = target.z - player.position.z;
+    if (Math.hypot(dx, dz) < 0.01) return null;
+    return Math.atan2(dx, dz);
+}
+
+/**
+ * Resolves where the player is aiming this tick
+ * The right stick wins while deflected; otherwise the mouse once it has moved
+ * @returns {number|null} Aim angle in radians, or null to face the movement direction
+ */
+function getAimAngle() {
+    const stickAim = pollGamepadAim();
+    if (stickAim !== null) return stickAim;
+    if (mouseAimActive) return getCursorAimAngle();
+    return null;
+}
+
+/**
+ * Locks the pointer to the canvas when the player opted into pointer-lock aiming
+ * @returns {void}
+ */
+function requestAimPointerLock() {
+    if (!gameSettings.pointerLockAim || isPointerLocked) return;
+    const canvas = renderer && renderer.domElement;
+    if (canvas && canvas.requestPointerLock) {
+        canvas.requestPointerLock();
     }
+}
+
+/**
+ * Places the on-screen reticle at the cursor and hides the system cursor during play
+ * Also hands the pointer back once the run is paused or over; runs every
+ * frame, and once more wherever the game loop is cancelled
+ * @returns {void}
+ */
+function updateAimReticle() {
+    const aiming = gameActive && !gamePaused && mouseAimActive;
     
-    // Restart button - ensure it's properly bound
-    const restartButton = document.getElementById('restartBtn');
-    if (restartButton) {
-        restartButton.addEventListener('click', function(e) {
-            e.preventDefault();
-            console.log('Restart button clicked!');
-            updateGameTip(); // Update the tip on restart
-            restartGame();
-        });
-    } else {
-        console.error('Restart button not found!');
+    if (isPointerLocked && !(gameActive && !gamePaused)) {
+        document.exitPointerLock();
     }
     
-    // Change Game Mode button
-    const changeGameModeButton = document.getElementById('changeGameModeBtn');
-    if (changeGameModeButton) {
-        changeGameModeButton.addEventListener('click', function(e) {
-            e.preventDefault();
-            console.log('Change Game Mode button clicked!');
-            
-            // Stop game and clear scene completely
-            gameActive = false;
-            if (animationId) {
-                cancelAnimationFrame(animationId);
-                animationId = null;
-            }
-            
-            // Reset game state variables
-            gameStartTime = Date.now();
-            kills = 0;
-            score = 0;
-            currentWeapon = 'knife';
-            flashlightOn = false;
-            ammoCount = 30;
-            
-            // Clear enemy AI state
-            chasingJumper = null;
-            jumperQueue = [];
-            occupiedLanes.clear();
-            
-            // Clear all game objects from scene
-            if (playerMesh) {
-                scene.remove(playerMesh);
-                playerMesh = null;
-            }
-            if (player) {
-                player = null;
-            }
-            if (exitMesh) {
-                scene.remove(exitMesh);
-                exitMesh = null;
-            }
-            if (doorMesh) {
-                scene.remove(doorMesh);
-                doorMesh = null;
-            }
-            if (pistolPickup) {
-                scene.remove(pistolPickup);
-                pistolPickup = null;
-            }
-            
-            jumpers.forEach(jumper => {
-                if (jumper.mesh) scene.remove(jumper.mesh);
-            });
-            jumpers = [];
-            
-            mazeWalls.forEach(wall => scene.remove(wall));
-            mazeWalls = [];
-            
-            bullets.forEach(bullet => {
-                if (bullet.mesh) scene.remove(bullet.mesh);
-            });
-            bullets = [];
-            
-            // Hide game over screen
-            const gameOverScreen = document.getElementById('gameOver');
-            if (gameOverScreen) {
-                gameOverScreen.classList.remove('show');
-                gameOverScreen.style.display = 'none';
-            }
-            
-            // Show game mode selection screen
-            const gameModeScreen = document.getElementById('gameModeScreen');
-            if (gameModeScreen) {
-                gameModeScreen.classList.add('visible');
-            }
-            
-            // Reset game mode
-            gameMode = null;
-            console.log('Scene cleared, returning to game mode selection');
-        });
-    } else {
-        console.warn('Change Game Mode button not found!');
+    const reticle = document.getElementById('aimReticle');
+    if (reticle) {
+        reticle.style.display = aiming ? 'block' : 'none';
+        reticle.style.left = `${mouseX}px`;
+        reticle.style.top = `${mouseY}px`;
     }
-    
-    // Window resize
-    window.addEventListener('resize', onWindowResize);
-    
-    // Shop category tab event listeners
-    document.querySelectorAll('.shop-tab').forEach(tab => {
-        tab.addEventListener('click', () => {
-            const category = tab.dataset.category;
-            if (category) {
-                switchShopCategory(category);
-            }
-        });
-    });
+    document.body.classList.toggle('aiming', aiming);
 }
 
 function setupLoaders() {
@@ -5727,9 +7864,9 @@ function toggleMode() {
 
 function recreateSceneForMode() {
     // Remove old meshes
-    if (playerMesh) scene.remove(playerMesh);
-    if (exitMesh) scene.remove(exitMesh);
-    jumpers.forEach(j => scene.remove(j.mesh));
+    removeRunObject(playerMesh);
+    removeRunObject(exitMesh);
+    jumpers.forEach(j => removeRunObject(j.mesh));
     
     // Recreate with new mode
     createWalls();
@@ -5738,30 +7875,102 @@ function recreateSceneForMode() {
     createJumpers();
 }
 
-// Function to switch weapons with Q key
-function switchWeapon() {
-    if (currentWeapon === 'knife' && pistolPickup === null) {
-        // Only switch to pistol if we've picked it up (pistolPickup is null when picked up)
-        // Check if we have ammo
-        if (ammoCount > 0) {
-            currentWeapon = 'pistol';
-            console.log('Switched to PISTOL');
-            if (knifeObject) {
-                knifeObject.visible = false;
-            }
-        } else {
-            console.log('No pistol or ammo available');
-        }
-    } else if (currentWeapon === 'pistol') {
-        currentWeapon = 'knife';
-        console.log('Switched to KNIFE');
-        if (knifeObject) {
-            knifeObject.visible = true;
-        }
+/**
+ * Lists the weapons the player can use, in slot order
+ * @returns {Array<Object>} WEAPON_TYPES entries (the knife, plus every gun picked up)
+ */
+function getOwnedWeapons() {
+    return Object.values(ZyrathSim.WEAPON_TYPES)
+        .filter(weapon => weapon.fireMode === 'melee' || weapon.id in weaponAmmo)
+        .sort((a, b) => a.slot - b.slot);
+}
+
+/**
+ * Adds a weapon to the arsenal with its starting ammo (topping up the reserve of one already owned)
+ * @param {string} id - WEAPON_TYPES id
+ * @returns {void}
+ */
+function giveWeapon(id) {
+    const weapon = ZyrathSim.WEAPON_TYPES[id];
+    if (weaponAmmo[id]) {
+        ZyrathSim.addWeaponAmmo(weaponAmmo[id], weapon, weapon.ammo);
+    } else {
+        weaponAmmo[id] = ZyrathSim.createWeaponAmmo(weapon);
     }
+    console.log(`${weapon.icon} ${weapon.name} acquired (slot ${weapon.slot})`);
+    updateWeaponDisplay();
+}
+
+/**
+ * Equips an owned weapon; the knife model only shows while the knife is out
+ * @param {string} id - WEAPON_TYPES id
+ * @returns {boolean} True if the weapon was equipped
+ */
+function selectWeapon(id) {
+    if (!getOwnedWeapons().some(weapon => weapon.id === id)) return false;
     
-    // Update weapon display
+    // Putting a gun away abandons its reload
+    if (id !== currentWeapon) weaponReload = null;
+    currentWeapon = id;
+    if (knifeObject) {
+        knifeObject.visible = ZyrathSim.WEAPON_TYPES[id].fireMode === 'melee';
+    }
+    console.log(`Switched to ${ZyrathSim.WEAPON_TYPES[id].name}`);
     updateWeaponDisplay();
+    updateAmmoDisplay();
+    return true;
+}
+
+/**
+ * Equips the weapon in a number-key slot, if owned
+ * @param {number} slot - WEAPON_TYPES slot (1-5)
+ * @returns {void}
+ */
+function selectWeaponSlot(slot) {
+    const weapon = getOwnedWeapons().find(owned => owned.slot === slot);
+    if (weapon) selectWeapon(weapon.id);
+}
+
+/**
+ * Cycles to the next owned weapon that can fire (Q, gamepad Y, touch swap)
+ * Empty guns are skipped; the knife never runs out
+ * @returns {void}
+ */
+function switchWeapon() {
+    const usable = getOwnedWeapons().filter(weapon => {
+        const rounds = weaponAmmo[weapon.id];
+        return weapon.fireMode === 'melee' || rounds.loaded + rounds.reserve > 0;
+    });
+    const index = usable.findIndex(weapon => weapon.id === currentWeapon);
+    const next = usable[(index + 1) % usable.length];
+    if (next.id !== currentWeapon) selectWeapon(next.id);
+}
+
+/**
+ * Starts reloading the equipped gun (R, gamepad LT, or an empty magazine)
+ * @returns {void}
+ */
+function reloadWeapon() {
+    if (weaponReload) return;
+    weaponReload = ZyrathSim.startReload(ZyrathSim.WEAPON_TYPES[currentWeapon], weaponAmmo[currentWeapon], simTime);
+    if (!weaponReload) return;
+    
+    WEAPON_SOUNDS.reload();
+    updateAmmoDisplay();
+}
+
+/**
+ * Loads the magazine once a reload's time is up (called every tick)
+ * @returns {void}
+ */
+function updateWeaponReload() {
+    if (!weaponReload || simTime < weaponReload.until) return;
+    
+    const id = weaponReload.weapon;
+    weaponReload = null;
+    ZyrathSim.finishReload(ZyrathSim.WEAPON_TYPES[id], weaponAmmo[id]);
+    WEAPON_SOUNDS.reload();
+    updateAmmoDisplay();
 }
 
 // ============================================================================
@@ -5776,126 +7985,75 @@ function switchWeapon() {
  * 
  * @description
  * Update pipeline (executed every frame):
- * 1. Input Processing: Reads WASD/arrow keys and builds input vector
- * 2. Player Rotation: Orients player mesh toward movement direction
- * 3. Physics Simulation:
+ * 1. Input Processing: Reads the movement actions (see keymap), the gamepad left stick
+ *    and the touch joystick
+ *    into an input vector (analog tilt scales acceleration)
+ * 2. Player Rotation: Faces the aim (cursor or right stick, see getAimAngle),
+ *    falling back to the movement direction
+ * 3. Physics Simulation (ZyrathSim.stepPlayer):
  *    - Applies acceleration based on input
  *    - Adds friction for smooth deceleration
- *    - Caps velocity at PLAYER_SPEED maximum
+ *    - Caps velocity at ZyrathSim.PLAYER_SPEED maximum
  * 4. Collision Detection:
  *    - Tests new position against 8-point wall check
  *    - Implements sliding system for smooth corridor navigation
  *    - Prevents wall clipping with symmetric boundary testing
  * 5. Camera Tracking: Keeps top-down camera centered on player
  * 6. Exit Detection: Checks win condition proximity
- * 7. Enemy Collision: Detects contact damage from jumpers
+ * 7. Enemy Collision: Contact costs a heart, knocks the player back and
+ *    opens a short invulnerability window (see hitPlayer)
  * 
  * Movement uses arcade-style physics with acceleration/friction for responsive feel.
  */
 function updatePlayer() {
     if (!gameActive) return;
     
-    const inputVector = new THREE.Vector3();
+    const input = { x: 0, z: 0 };
     
     // Keyboard input processing for top-down controls
-    if (keys['w'] || keys['arrowup']) {
-        inputVector.z -= 1;
+    if (isActionHeld('MoveUp')) {
+        input.z -= 1;
     }
-    if (keys['s'] || keys['arrowdown']) {
-        inputVector.z += 1;
+    if (isActionHeld('MoveDown')) {
+        input.z += 1;
     }
-    if (keys['a'] || keys['arrowleft']) {
-        inputVector.x -= 1;
+    if (isActionHeld('MoveLeft')) {
+        input.x -= 1;
     }
-    if (keys['d'] || keys['arrowright']) {
-        inputVector.x += 1;
+    if (isActionHeld('MoveRight')) {
+        input.x += 1;
     }
     
-    // Input normalization for consistent diagonal speed
-    if (inputVector.length() > 0) {
-        inputVector.normalize();
-        
-        // Rotate player mesh to face movement direction
-        const angle = Math.atan2(inputVector.x, inputVector.z);
-        playerMesh.rotation.y = angle;
-    }
+    // Left stick and touch joystick add analog movement: a partial tilt accelerates less
+    const stick = getGamepadMovement();
+    const touchStick = getTouchMovement();
+    input.x += stick.x + touchStick.x;
+    input.z += stick.z + touchStick.z;
+    
+    // Acceleration, friction, speed cap and wall sliding run in the simulation core
+    const facing = ZyrathSim.stepPlayer(mazeLayout, player, input);
     
-    // Apply acceleration-based movement physics
-    player.acceleration.copy(inputVector).multiplyScalar(PLAYER_ACCELERATION);
-    player.velocity.add(player.acceleration);
+    // Twin-stick: face the aim (cursor or right stick) when there is one, else the movement direction
+    const aim = getAimAngle();
+    if (aim !== null) {
+        playerMesh.rotation.y = aim;
+    } else if (facing !== null) {
+        playerMesh.rotation.y = facing;
+    }
     
-    // Apply friction for smooth stopping
-    player.velocity.multiplyScalar(PLAYER_FRICTION);
+    updateWeaponReload();
     
-    // Enforce maximum velocity limit
-    if (player.velocity.length() > PLAYER_SPEED) {
-        player.velocity.normalize().multiplyScalar(PLAYER_SPEED);
+    // Auto-fire weapons keep shooting while attack is held (the cooldown sets the rate)
+    if (ZyrathSim.WEAPON_TYPES[currentWeapon].fireMode === 'auto' && isAttackHeld()) {
+        shoot();
     }
     
-    // Position update with collision detection
-    if (player.velocity.length() > 0.001) {
-        const newPosition = player.position.clone().add(player.velocity);
-        
-        // Play footstep sound periodically while moving - DISABLED
-        const now = Date.now();
-        if (now - lastFootstepTime > FOOTSTEP_INTERVAL && player.velocity.length() > 0.05) {
-            // playFootstepSound(); // DISABLED
-            lastFootstepTime = now;
-        }
-        
-        // IMPROVED WALL collision detection - smoother movement in corridors
-        if (!isWallAt(newPosition)) {
-            // No collision, move freely
-            player.position.copy(newPosition);
-        } else {
-            // Advanced sliding system for narrow corridors
-            let moved = false;
-            
-            // Try X movement only (horizontal sliding)
-            const slideX = player.position.clone();
-            slideX.x = newPosition.x;
-            if (!isWallAt(slideX)) {
-                player.position.x = slideX.x;
-                moved = true;
-            }
-            
-            // Try Z movement only (vertical sliding)
-            const slideZ = player.position.clone();
-            slideZ.z = newPosition.z;
-            if (!isWallAt(slideZ)) {
-                player.position.z = slideZ.z;
-                moved = true;
-            }
-            
-            // If completely stuck, try smaller micro-movements
-            if (!moved) {
-                const microDistance = 0.005;
-                const currentPos = player.position.clone();
-                
-                // Try very small movements in all directions
-                const microDirections = [
-                    new THREE.Vector3(microDistance, 0, 0),    // Right
-                    new THREE.Vector3(-microDistance, 0, 0),   // Left  
-                    new THREE.Vector3(0, 0, microDistance),    // Forward
-                    new THREE.Vector3(0, 0, -microDistance),   // Back
-                    new THREE.Vector3(microDistance, 0, microDistance),   // Diagonal moves
-                    new THREE.Vector3(-microDistance, 0, microDistance),
-                    new THREE.Vector3(microDistance, 0, -microDistance),
-                    new THREE.Vector3(-microDistance, 0, -microDistance)
-                ];
-                
-                for (const dir of microDirections) {
-                    const microPos = currentPos.clone().add(dir);
-                    if (!isWallAt(microPos)) {
-                        player.position.copy(microPos);
-                        break;
-                    }
-                }
-            }
-        }
-        
-        // Player rotation now happens immediately on input (see above)
-        // No need to rotate based on velocity anymore
+    // Footsteps make noise periodically while moving (the sound itself is DISABLED)
+    const now = simTime;
+    if (ZyrathSim.isFootstepDue(player.velocity, lastFootstepTime, now)) {
+        // playFootstepSound(); // DISABLED
+        lastFootstepTime = now;
+        makeNoise('footstep');
     }
     
     // Update player mesh
@@ -5904,7 +8062,7 @@ function updatePlayer() {
     // Camera follows player from above
     camera.position.x = player.position.x;
     camera.position.z = player.position.z;
-    camera.position.y = CAMERA_HEIGHT;
+    camera.position.y = cameraHeight;
     camera.lookAt(player.position.x, 0, player.position.z);
     
     // Pistol pickup system - RE-ENABLED
@@ -5916,67 +8074,40 @@ function updatePlayer() {
             // console.log(`Distance to pistol: ${distanceToPickup.toFixed(2)}`);
         }
         
-        if (distanceToPickup < 2.0) { // Pickup range
+        if (distanceToPickup < ZyrathSim.PISTOL_PICKUP_RANGE) {
             // Pick up pistol
             console.log('Pistol picked up!');
             playPickupSound();
-            currentWeapon = 'pistol';
-            ammoCount = 30;
-            scene.remove(pistolPickup);
+            removeRunObject(pistolPickup);
             pistolPickup = null;
             
-            // Hide knife when using pistol
-            if (knifeObject) {
-                knifeObject.visible = false;
-            }
-            
-            updateAmmoDisplay();
-            updateWeaponDisplay();
+            // Equipping the pistol also hides the knife
+            giveWeapon('pistol');
+            selectWeapon('pistol');
         }
     }
     
-    // Check collision with jumping enemies
-    jumpers.forEach((jumper, index) => {
-        const distance = player.position.distanceTo(jumper.position);
-        
-        // Survival mode with global chase: Check simple distance
-        if (jumper.globalChase && gameMode === 'survival') {
-            if (distance < 0.9) {
-                console.log(`💀 Survival jumper ${index} killed player! Distance: ${distance.toFixed(2)}`);
-                loseGame();
-                return;
-            }
-        } else {
-            // Hunt mode or non-chasing: Check if in same lane
-            let inSameLane = false;
-            const lane = jumper.laneInfo;
-            const tolerance = 0.8; // Lane width tolerance
-            
-            if (jumper.patrolAxis === 'x') {
-                // Horizontal lane - check if player's Z matches jumper's lane
-                const playerInLaneZ = Math.abs(player.position.z - lane.fixedCoord) < tolerance;
-                const playerInLaneX = player.position.x >= lane.xMin - 0.5 && player.position.x <= lane.xMax + 0.5;
-                inSameLane = playerInLaneZ && playerInLaneX;
-            } else {
-                // Vertical lane - check if player's X matches jumper's lane
-                const playerInLaneX = Math.abs(player.position.x - lane.fixedCoord) < tolerance;
-                const playerInLaneZ = player.position.z >= lane.zMin - 0.5 && player.position.z <= lane.zMax + 0.5;
-                inSameLane = playerInLaneX && playerInLaneZ;
-            }
-            
-            // Only kill if in same lane AND close enough
-            if (inSameLane && distance < 0.9) {
-                console.log(`💀 Jumper ${index} in ${lane.name} killed player! Distance: ${distance.toFixed(2)}`);
-                loseGame();
-                return;
-            }
-        }
-    });
-    
+    // Ammo crates (refill once the pistol is held) and health packs
+    checkAmmoPickups();
+    checkHealthPickups();
+    
+    // Check collision with jumping enemies (same-lane contact, or any contact for survival chasers)
+    const attackerIndex = jumpers.findIndex(jumper => ZyrathSim.isPlayerCaught(mazeLayout, jumper, player.position));
+    if (attackerIndex !== -1) {
+        const attacker = jumpers[attackerIndex];
+        const cause = `${ENEMY_TYPES[attacker.type].name} ${attackerIndex} in ${attacker.laneName}`;
+        if (hitPlayer(attacker.position, cause)) return;
+    }
+    
+    // Blink while invulnerable after a hit
+    playerMesh.visible = !ZyrathSim.isPlayerInvulnerable(playerHealth, simTime)
+        || Math.floor(simTime / 100) % 2 === 0;
+    
     // Win condition check - different for each game mode
     if (gameMode === 'hunt') {
         // Hunt Mode: Player must kill all enemies THEN reach the UFO beam
-        if (player.position.distanceTo(exit) < 1.2 && jumpers.length === 0) {
+        const bossIncoming = bossStatus === 'incoming' ? 1 : 0;
+        if (ZyrathSim.hasReachedExit(player.position, exit, gameMode, jumpers.length + bossIncoming)) {
             // Player entered the beam AND killed all jumpers - trigger abduction sequence
             console.log('Player entered UFO beam - all jumpers eliminated - beginning abduction sequence!');
             
@@ -6002,20 +8133,20 @@ function updatePlayer() {
             } else {
                 winGame();
             }
-        } else if (player.position.distanceTo(exit) < 1.2 && jumpers.length > 0) {
+        } else if (ZyrathSim.isAtExit(player.position, exit, gameMode)) {
             // Near exit but enemies still alive - show warning
             if (!document.getElementById('exitWarning')) {
                 const warning = document.createElement('div');
                 warning.id = 'exitWarning';
                 warning.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); color: #ff3333; font-size: 24px; font-family: "Metal Mania", cursive; text-align: center; text-shadow: 0 0 10px rgba(255,51,51,0.8); z-index: 1000;';
-                warning.textContent = `⚠️ ELIMINATE ALL ENEMIES FIRST!\n${jumpers.length} REMAINING`;
+                warning.textContent = `⚠️ ELIMINATE ALL ENEMIES FIRST!\n${jumpers.length + bossIncoming} REMAINING`;
                 document.body.appendChild(warning);
                 setTimeout(() => warning.remove(), 2000);
             }
         }
     } else if (gameMode === 'survival') {
         // Survival Mode: Player just needs to reach the door exit
-        if (player.position.distanceTo(exit) < 2.0) {
+        if (ZyrathSim.hasReachedExit(player.position, exit, gameMode, jumpers.length)) {
             console.log('Player reached the door exit - escaping survival mode!');
             
             // Stop monster spawning
@@ -6053,157 +8184,10 @@ function removeExitWarning() {
     }
 }
 
-// Helper function to get lane ID from position
-function getLaneId(position) {
-    const gridX = Math.floor(position.x + MAZE_SIZE / 2);
-    const gridZ = Math.floor(position.z + MAZE_SIZE / 2);
-    return `${gridX},${gridZ}`; // Unique lane identifier
-}
-
-// Helper function to check if lane is occupied by another zombie
-function isLaneOccupied(position, currentZombie) {
-    const laneId = getLaneId(position);
-    const occupier = occupiedLanes.get(laneId);
-    return occupier && occupier !== currentZombie;
-}
-
-// Helper function to check if there's a zombie blocking the path
-function isZombieBlocking(fromPos, toPos, currentZombie) {
-    const direction = new THREE.Vector3().subVectors(toPos, fromPos).normalize();
-    const distance = fromPos.distanceTo(toPos);
-    
-    for (let i = 0; i < zombies.length; i++) {
-        const otherZombie = zombies[i];
-        if (otherZombie === currentZombie) continue;
-        
-        // Check if other zombie is in the path
-        const toOther = new THREE.Vector3().subVectors(otherZombie.position, fromPos);
-        const projectionLength = toOther.dot(direction);
-        
-        if (projectionLength > 0 && projectionLength < distance) {
-            const projection = direction.clone().multiplyScalar(projectionLength);
-            const perpendicular = toOther.clone().sub(projection);
-            
-            // If zombie is close to the path, it's blocking
-            if (perpendicular.length() < 0.8) {
-                return true;
-            }
-        }
-    }
-    
-    return false;
-}
-
-// Helper function to get available movement directions from current position
-function getAvailableDirections(position, currentZombie = null) {
-    const directions = [];
-    const testDistance = 0.8;
-    
-    // Check all four cardinal directions for walls
-    const cardinalDirs = [
-        { dir: new THREE.Vector3(1, 0, 0), name: 'east' },
-        { dir: new THREE.Vector3(-1, 0, 0), name: 'west' },
-        { dir: new THREE.Vector3(0, 0, 1), name: 'south' },
-        { dir: new THREE.Vector3(0, 0, -1), name: 'north' }   // Backward
-    ];
-    
-    cardinalDirs.forEach(cardinalDir => {
-        const testPos = position.clone().add(cardinalDir.dir.clone().multiplyScalar(testDistance));
-        
-        // Check wall collision
-        if (isWallAtZombie(testPos)) return;
-        
-        // Check if another zombie is blocking this direction
-        if (currentZombie && isZombieBlocking(position, testPos, currentZombie)) return;
-        
-        // Check if target lane is occupied
-        if (currentZombie && isLaneOccupied(testPos, currentZombie)) return;
-        
-        directions.push(cardinalDir);
-    });
-    
-    return directions;
-}
-
-// Helper function to find best lane direction for zombie
-function getBestLaneDirection(zombie, availableDirections) {
-    if (availableDirections.length === 0) return zombie.direction;
-    
-    let bestDirection = zombie.direction;
-    let bestScore = -1;
-    
-    availableDirections.forEach(dirInfo => {
-        let score = 0;
-        
-        if (zombie.state === 'chasing') {
-            // When chasing, prefer direction toward player but only if path is clear
-            const toPlayer = new THREE.Vector3()
-                .subVectors(player.position, zombie.position)
-                .normalize();
-            const alignment = dirInfo.dir.dot(toPlayer);
-            
-            // Check if this direction leads toward player without hitting other zombies
-            const testPos = zombie.position.clone().add(dirInfo.dir.clone().multiplyScalar(2));
-            if (!isZombieBlocking(zombie.position, testPos, zombie)) {
-                score += alignment * 2; // Bonus for moving toward player
-            }
-        } else {
-            // When patrolling, move back and forth in lane
-            const momentum = dirInfo.dir.dot(zombie.direction.clone().normalize());
-            score += momentum * 1.5;
-            
-            // Bonus for staying in patrol lane
-            if (zombie.patrolAxis === 'x' && Math.abs(dirInfo.dir.z) < 0.1) {
-                score += 2.0; // Prefer X-axis movement for X patrol
-            } else if (zombie.patrolAxis === 'z' && Math.abs(dirInfo.dir.x) < 0.1) {
-                score += 2.0; // Prefer Z-axis movement for Z patrol
-            }
-        }
-        
-        // Bonus for directions that lead to longer corridors
-        const ahead = zombie.position.clone().add(dirInfo.dir.clone().multiplyScalar(3));
-        if (!isWallAtZombie(ahead) && !isLaneOccupied(ahead, zombie)) {
-            score += 0.5; // Prefer longer paths
-        }
-        
-        // Small random factor to avoid predictability
-        score += (Math.random() - 0.5) * 0.2; // Reduced randomness for more predictable behavior
-        
-        if (score > bestScore) {
-            bestScore = score;
-            bestDirection = dirInfo.dir;
-        }
-    });
-    
-    return bestDirection;
-}
-
-// Helper function to check if zombie should change direction
-function shouldChangeDirection(zombie) {
-    // Change direction if:
-    // 1. Timer expired - for regular back-and-forth movement
-    if (zombie.changeDirectionTimer <= 0) return true;
-    
-    // 2. About to hit a wall - MUST change direction
-    const ahead = zombie.position.clone().add(zombie.direction.clone().multiplyScalar(1.2)); // Look further ahead for faster zombies
-    if (isWallAtZombie(ahead)) return true;
-    
-    // 3. Another zombie is blocking the path
-    if (isZombieBlocking(zombie.position, ahead, zombie)) return true;
-    
-    // 4. Target lane is occupied
-    if (isLaneOccupied(ahead, zombie)) return true;
-    
-    // 5. If stuck for too long, force direction change (faster recovery)
-    if (zombie.isStuck && zombie.stuckTimer > 15) return true;
-    
-    return false;
-}
-
 // Helper function to remove a zombie and manage chase queue
 function removeJumper(jumper, jumperIndex) {
     // Remove from scene
-    scene.remove(jumper.mesh);
+    removeRunObject(jumper.mesh);
     
     // Handle chase queue management
     if (jumper === chasingJumper) {
@@ -6242,64 +8226,134 @@ function removeJumper(jumper, jumperIndex) {
     // Show floating coin notification
     showCoinNotification('+10 🪙');
     
-    // Survival mode: Spawn 2 monsters for every 1 killed
-    if (gameMode === 'survival') {
-        setTimeout(() => {
-            spawnSurvivalMonsters(2);
-            console.log('Survival Mode: Spawned 2 new monsters after kill');
-        }, 500); // Small delay before spawning
+    // Survival mode: kills push the director's intensity up
+    if (survivalDirector) {
+        ZyrathSim.addDirectorStress(survivalDirector, ZyrathSim.DIRECTOR_SETTINGS.killStress, simTime);
     }
     
-    // Hunt mode only: Check if all jumpers are dead - VICTORY!
-    if (gameMode === 'hunt' && jumpers.length === 0) {
-        setTimeout(() => {
-            winGame();
-        }, 500);
+    if (jumper.type === 'boss') {
+        bossStatus = 'defeated';
+        updateBossBar();
+        console.log('👑 The Overseer has been slain!');
+    }
+    
+    // Hunt mode only: Check if all jumpers are dead - the boss lands, or VICTORY!
+    if (gameMode === 'hunt' && jumpers.length === 0 && huntBossEnabled && bossStatus === null) {
+        bossStatus = 'incoming';
+        scheduleSimEvent(ZyrathSim.BOSS_SPAWN_DELAY, spawnBoss);
+    } else if (gameMode === 'hunt' && jumpers.length === 0) {
+        scheduleSimEvent(ZyrathSim.KILL_EVENT_DELAY, winGame);
     }
 }
 
-// Helper function to check if two positions are in the same corridor lane
-function isInSameCorridorLane(pos1, pos2) {
-    // Check if both positions are in the same horizontal corridor
-    if (Math.abs(pos1.z - pos2.z) < 1.0) {
-        // Same Z row - check if there's a clear horizontal path
-        const minX = Math.min(pos1.x, pos2.x);
-        const maxX = Math.max(pos1.x, pos2.x);
-        
-        // Check if entire horizontal path is clear
-        for (let x = minX; x <= maxX; x += 0.5) {
-            const testPos = new THREE.Vector3(x, pos1.y, pos1.z);
-            if (isWallAt(testPos)) {
-                return false; // Wall blocks the path
-            }
+// ============================================================================
+// HUNT BOSS
+// ============================================================================
+
+/**
+ * Lands the Overseer near the UFO (scheduled by removeJumper)
+ * @returns {void}
+ */
+function spawnBoss() {
+    bossStatus = 'fighting';
+    const boss = addJumper(ZyrathSim.createBoss(mazeLayout, player.position, difficulty.enemySpeed, spawnRandom, difficulty.enemyHealth));
+    console.log(`👑 The Overseer has landed at (${boss.position.x.toFixed(1)}, ${boss.position.z.toFixed(1)}) with ${boss.maxHealth} health!`);
+    playZombieGrowlSound();
+    updateJumperCount();
+    updateBossBar();
+}
+
+/**
+ * Advances the boss one tick and carries out what it did
+ * Summoned minions join the jumpers; a slam sends out a shockwave and costs
+ * a heart if the player is inside it
+ * @param {Object} boss - Boss jumper
+ * @returns {void}
+ */
+function updateBoss(boss) {
+    const action = ZyrathSim.stepBoss(mazeLayout, boss, player.position, chaseFlowField, simTime);
+    
+    if (action.phaseChanged) {
+        console.log(`👑 The Overseer enters phase ${boss.phase}!`);
+        playZombieGrowlSound();
+    }
+    if (action.windup) {
+        console.log(`👑 The Overseer winds up a ${action.windup}!`);
+    }
+    if (action.summon) {
+        const minions = ZyrathSim.summonBossMinions(mazeLayout, getCorridors(), boss, jumpers.length - 1,
+            player.position, difficulty.enemySpeed, spawnRandom, difficulty.enemyHealth);
+        minions.forEach(minion => addJumper(minion));
+        if (minions.length > 0) {
+            console.log(`👑 The Overseer summons ${minions.length} minions!`);
+            updateJumperCount();
         }
-        return true;
     }
-    
-    // Check if both positions are in the same vertical corridor
-    if (Math.abs(pos1.x - pos2.x) < 1.0) {
-        // Same X column - check if there's a clear vertical path
-        const minZ = Math.min(pos1.z, pos2.z);
-        const maxZ = Math.max(pos1.z, pos2.z);
-        
-        // Check if entire vertical path is clear
-        for (let z = minZ; z <= maxZ; z += 0.5) {
-            const testPos = new THREE.Vector3(pos1.x, pos1.y, z);
-            if (isWallAt(testPos)) {
-                return false; // Wall blocks the path
-            }
-        }
-        return true;
+    if (action.slam) {
+        createSlamShockwave(boss.position, ENEMY_TYPES.boss.slam.radius);
+    }
+    if (action.slamHit) {
+        hitPlayer(boss.position, 'Overseer ground slam');
     }
     
-    return false; // Not in same lane
+    updateBossBar();
 }
 
+/**
+ * Shows the boss health bar while the boss is fighting
+ * @returns {void}
+ */
+function updateBossBar() {
+    const bar = document.getElementById('bossBar');
+    if (!bar) return;
+    
+    const boss = bossStatus === 'fighting' ? jumpers.find(jumper => jumper.type === 'boss') : null;
+    bar.classList.toggle('show', Boolean(boss));
+    if (!boss) return;
+    
+    const fill = document.getElementById('bossBarFill');
+    const phase = document.getElementById('bossBarPhase');
+    if (fill) fill.style.width = `${(boss.health / boss.maxHealth) * 100}%`;
+    if (phase) phase.textContent = `PHASE ${boss.phase}`;
+}
+
+/**
+ * Expands a flat ring out to the slam radius and fades it
+ * @param {THREE.Vector3} position - Where the boss slammed
+ * @param {number} radius - Slam radius (world units)
+ * @returns {void}
+ */
+function createSlamShockwave(position, radius) {
+    playPooledEffect(shockwavePool, position, shockwave => {
+        shockwave.position.y = 0.05;
+        shockwave.userData.radius = radius;
+    });
+}
+
+/** @type {Object} Pool of boss slam shockwaves (see createSlamShockwave) */
+const shockwavePool = createObjectPool(() => {
+    const shockwave = new THREE.Mesh(
+        getPooledResource('shockwaveGeometry', () => new THREE.RingGeometry(0.8, 1.0, 32)),
+        new THREE.MeshBasicMaterial({
+            color: 0xAA00FF,
+            transparent: true,
+            opacity: 0.9,
+            side: THREE.DoubleSide
+        })
+    );
+    shockwave.rotation.x = -Math.PI / 2;
+    return shockwave;
+}, (shockwave, progress) => {
+    const scale = 0.2 + shockwave.userData.radius * progress;
+    shockwave.scale.set(scale, scale, scale);
+    shockwave.material.opacity = 0.9 * (1 - progress);
+}, 18);
+
 function updateJumpers() {
     if (!gameActive) return;
     
     // Periodic logging for monitoring enemy state (once per second)
-    if (Date.now() % 1000 < 16 && jumpers.length > 0) {
+    if (simTime % 1000 < SIM_STEP && jumpers.length > 0) {
         console.log(`Updating ${jumpers.length} jumpers. First jumper at:`, 
             jumpers[0].mesh.position, 'Visible:', jumpers[0].mesh.visible);
     }
@@ -6307,214 +8361,46 @@ function updateJumpers() {
     // NOTE: We DON'T remove jumpers for being in walls since they're spawned in valid corridors
     // The wall check was causing valid jumpers to be removed incorrectly
     
-    // Clear lane occupancy map
-    occupiedLanes.clear();
-    
-    // Register current jumper positions in lanes
-    jumpers.forEach(jumper => {
-        const laneId = getLaneId(jumper.position);
-        occupiedLanes.set(laneId, jumper);
-    });
-    
-    // Manage jumper state - DIFFERENT BEHAVIOR for hunt vs survival mode
-    jumpers.forEach((jumper, index) => {
-        const distanceToPlayer = jumper.position.distanceTo(player.position);
-        
-        // Check if player is in jumper's lane (used by both modes)
-        let playerInLane = false;
-        const lane = jumper.laneInfo;
-        const tolerance = 1.2;
-        
-        if (jumper.patrolAxis === 'x') {
-            const playerInLaneZ = Math.abs(player.position.z - lane.fixedCoord) < tolerance;
-            const playerInLaneX = player.position.x >= lane.xMin - 1.0 && player.position.x <= lane.xMax + 1.0;
-            playerInLane = playerInLaneZ && playerInLaneX;
-        } else {
-            const playerInLaneX = Math.abs(player.position.x - lane.fixedCoord) < tolerance;
-            const playerInLaneZ = player.position.z >= lane.zMin - 1.0 && player.position.z <= lane.zMax + 1.0;
-            playerInLane = playerInLaneX && playerInLaneZ;
-        }
-        
-        if (gameMode === 'survival') {
-            // SURVIVAL MODE: They spot you in their lane and NEVER stop chasing
-            if (playerInLane && jumper.state !== 'chasing') {
-                jumper.state = 'chasing';
-                jumper.globalChase = true;
-                console.log(`👹 SURVIVAL: Jumper ${index} SPOTTED YOU in corridor ${lane.name}!`);
-            }
-            // Once they spot you, they NEVER give up (no return to patrol)
+    // One flow field toward the player, rebuilt only when the player changes cell;
+    // roaming chasers walk it and crawlers use it to sense the player
+    chaseFlowField = ZyrathSim.updateFlowField(chaseFlowField, mazeLayout, player.position);
+    
+    // Manage jumper state - vision cones and suspicion, DIFFERENT chase rules for hunt vs survival mode
+    ZyrathSim.updateJumperAwareness(mazeLayout, jumpers, player.position, gameMode, chaseFlowField).forEach(({ jumper, index, state }) => {
+        if (ENEMY_TYPES[jumper.type] && ENEMY_TYPES[jumper.type].detection === 'roam') {
+            console.log(`🕷️ ${ENEMY_TYPES[jumper.type].name} ${index} sensed you through the maze!`);
+        } else if (state === 'alert') {
+            console.log(`❓ Jumper ${index} in ${jumper.laneName} noticed something...`);
+        } else if (state === 'searching') {
+            console.log(`🔦 Jumper ${index} lost sight of you and is searching`);
+        } else if (state === 'hopping') {
+            console.log(`👻 Jumper ${index} lost interest and returns to patrol in ${jumper.laneName}`);
+        } else if (gameMode === 'survival') {
+            // SURVIVAL MODE: Once they spot you they NEVER stop chasing
+            console.log(`👹 SURVIVAL: Jumper ${index} SPOTTED YOU in corridor ${jumper.laneName}!`);
         } else {
-            // HUNT MODE: Standard lane-based behavior
-            const shouldAttack = playerInLane;
-            
-            if (shouldAttack && jumper.state !== 'chasing') {
-                jumper.state = 'chasing';
-                console.log(`🎯 Jumper ${index} in ${lane.name} ATTACKING! Distance: ${distanceToPlayer.toFixed(2)}`);
-            } else if (!shouldAttack && jumper.state === 'chasing') {
-                jumper.state = 'hopping';
-                console.log(`👻 Jumper ${index} returning to patrol - player left ${lane.name}`);
-            }
+            console.log(`🎯 Jumper ${index} in ${jumper.laneName} ATTACKING! Distance: ${jumper.position.distanceTo(player.position).toFixed(2)}`);
         }
     });
     
     // Update each jumper with STEP-BY-STEP JUMPING
     jumpers.forEach(jumper => {
-        let targetDirection = jumper.direction.clone();
-        const lane = jumper.laneInfo;
-        const currentPos = jumper.patrolAxis === 'x' ? jumper.position.x : jumper.position.z;
-        
-        // Update jump phase for ARCADE-STYLE smooth animation
-        jumper.jumpPhase += JUMP_FREQUENCY;
-        
-        // Arcade-style jumping with SMOOTH physics
-        const jumpCycle = jumper.jumpPhase % (Math.PI * 2);
-        const isInAir = jumpCycle < Math.PI * 0.6; // Shorter air time = snappier
-        
-        // Smooth parabolic jump arc (arcade physics)
-        let jumpHeight = 0;
-        if (isInAir) {
-            const t = jumpCycle / (Math.PI * 0.6); // Normalize to 0-1
-            jumpHeight = JUMP_HEIGHT * (4 * t * (1 - t)); // Parabola: peaks at t=0.5
-        }
-        
-        const jumpProgress = isInAir ? jumpHeight / JUMP_HEIGHT : 0;
-        
-        // HOPPING: Move full length of lane with jumps
-        if (jumper.state === 'hopping') {
-            if (currentPos >= jumper.patrolMax - 0.3) {
-                jumper.patrolDirection = -1;
-            } else if (currentPos <= jumper.patrolMin + 0.3) {
-                jumper.patrolDirection = 1;
-            }
-            
-            if (jumper.patrolAxis === 'x') {
-                targetDirection.set(jumper.patrolDirection, 0, 0);
-            } else {
-                targetDirection.set(0, 0, jumper.patrolDirection);
-            }
-        }
-        // CHASING: Different behavior for survival vs hunt mode
-        else if (jumper.state === 'chasing') {
-            if (jumper.globalChase && gameMode === 'survival') {
-                // SURVIVAL MODE: Navigate toward player through corridors
-                // Check both axes to see which direction gets closer to player
-                const canMoveX = jumper.patrolAxis === 'x';
-                const canMoveZ = jumper.patrolAxis === 'z';
-                
-                const dx = player.position.x - jumper.position.x;
-                const dz = player.position.z - jumper.position.z;
-                
-                // Try to move on their patrol axis first
-                if (canMoveX && Math.abs(dx) > 0.5) {
-                    // Move along X axis
-                    targetDirection.set(dx > 0 ? 1 : -1, 0, 0);
-                } else if (canMoveZ && Math.abs(dz) > 0.5) {
-                    // Move along Z axis
-                    targetDirection.set(0, 0, dz > 0 ? 1 : -1);
-                } else {
-                    // At intersection - can turn to follow player
-                    // Check which axis brings us closer
-                    if (Math.abs(dx) > Math.abs(dz)) {
-                        // Need to move more in X direction
-                        targetDirection.set(dx > 0 ? 1 : -1, 0, 0);
-                        jumper.patrolAxis = 'x'; // Switch to horizontal corridor
-                    } else {
-                        // Need to move more in Z direction
-                        targetDirection.set(0, 0, dz > 0 ? 1 : -1);
-                        jumper.patrolAxis = 'z'; // Switch to vertical corridor
-                    }
-                }
-            } else {
-                // HUNT MODE: Standard lane-based chasing
-                if (jumper.patrolAxis === 'x') {
-                    if (player.position.x > jumper.position.x) {
-                        targetDirection.set(1, 0, 0);
-                    } else {
-                        targetDirection.set(-1, 0, 0);
-                    }
-                } else {
-                    if (player.position.z > jumper.position.z) {
-                        targetDirection.set(0, 0, 1);
-                    } else {
-                        targetDirection.set(0, 0, -1);
-                    }
-                }
-            }
-        }
-        // QUEUED: Slow hopping
-        else if (jumper.state === 'queued') {
-            if (currentPos >= jumper.patrolMax - 0.3) {
-                jumper.patrolDirection = -1;
-            } else if (currentPos <= jumper.patrolMin + 0.3) {
-                jumper.patrolDirection = 1;
-            }
-            
-            if (jumper.patrolAxis === 'x') {
-                targetDirection.set(jumper.patrolDirection, 0, 0);
-            } else {
-                targetDirection.set(0, 0, jumper.patrolDirection);
-            }
-        }
+        if (!gameActive) return; // A boss slam ended the run
         
-        if (targetDirection.length() > 0.1) {
-            jumper.direction.copy(targetDirection.normalize());
-        }
-        
-        // Calculate movement speed - MUCH slower for survival mode
-        let moveSpeed = JUMPER_SPEED;
-        if (jumper.state === 'queued') {
-            moveSpeed = JUMPER_SPEED * 0.7;
-        } else if (jumper.globalChase && gameMode === 'survival') {
-            // SURVIVAL MODE: Much slower when chasing (50% speed)
-            moveSpeed = JUMPER_SPEED * 0.5;
-        }
-        
-        // Calculate new position
-        const newPosition = jumper.position.clone();
-        if (jumper.direction.length() > 0.1) {
-            newPosition.add(jumper.direction.clone().multiplyScalar(moveSpeed));
-        }
-        
-        // Wall collision check for survival mode - SIMPLIFIED
-        if (jumper.globalChase && gameMode === 'survival') {
-            // Check if new position would be in a wall
-            const mazeX = Math.floor(newPosition.x + MAZE_SIZE / 2);
-            const mazeZ = Math.floor(newPosition.z + MAZE_SIZE / 2);
-            
-            // If hitting wall, stay in current position
-            if (mazeX < 0 || mazeX >= MAZE_SIZE || mazeZ < 0 || mazeZ >= MAZE_SIZE || maze[mazeX][mazeZ] === 1) {
-                newPosition.copy(jumper.position);
-            }
+        // Movement, lane clamping and the jump arc run in the simulation core
+        let jumpProgress = 0;
+        if (jumper.type === 'boss') {
+            updateBoss(jumper);
         } else {
-            // HUNT MODE: Keep them in their lanes
-            if (lane) {
-                if (lane.axis === 'x') {
-                    newPosition.z = lane.fixedCoord;
-                } else {
-                    newPosition.x = lane.fixedCoord;
-                }
-            }
-            
-            // CLAMP to lane boundaries
-            if (jumper.patrolAxis === 'x') {
-                newPosition.x = Math.max(jumper.patrolMin, Math.min(jumper.patrolMax, newPosition.x));
-            } else {
-                newPosition.z = Math.max(jumper.patrolMin, Math.min(jumper.patrolMax, newPosition.z));
-            }
+            jumpProgress = ZyrathSim.stepJumper(mazeLayout, jumper, player.position, chaseFlowField);
         }
+        jumper.mesh.position.copy(jumper.position);
         
-        // Apply step-by-step jumping - higher jumps when chasing
-        const chaseMultiplier = jumper.state === 'chasing' ? 1.4 : 1.0;
-        
-        // Apply movement to mesh position with jump AND update position reference
-        jumper.mesh.position.x = newPosition.x;
-        jumper.mesh.position.z = newPosition.z;
-        jumper.mesh.position.y = jumper.baseY + (jumpHeight * chaseMultiplier);
-        
-        // IMPORTANT: Copy back to jumper.position to keep them in sync
-        jumper.position.x = newPosition.x;
-        jumper.position.z = newPosition.z;
-        jumper.position.y = jumper.mesh.position.y;
+        // Spitters fire down a clear line at the player
+        const spit = ZyrathSim.trySpitterAttack(mazeLayout, jumper, player.position, simTime);
+        if (spit) {
+            addEnemyProjectile(spit);
+        }
         
         // Rotate towards movement direction - EYES FACE FORWARD
         if (jumper.direction.length() > 0.1) {
@@ -6526,8 +8412,28 @@ function updateJumpers() {
         const tiltAmount = jumpProgress * 0.15;
         jumper.mesh.rotation.x = tiltAmount;
         
-        // Keep scale normal - no squash/stretch
-        jumper.mesh.scale.set(1.0, 1.0, 1.0);
+        // Squash while staggered from a hit, normal scale otherwise
+        if (jumper.staggerTicks > 0) {
+            jumper.mesh.scale.set(1.2, 0.8, 1.2);
+        } else {
+            jumper.mesh.scale.set(1.0, 1.0, 1.0);
+        }
+        
+        // Flash the body white when hit, fading out over the stagger
+        if (jumper.mesh.children[0]) {
+            const flash = jumper.staggerTicks / ZyrathSim.STAGGER_TICKS;
+            const body = jumper.mesh.children[0];
+            const bodyMaterial = body.material;
+            bodyMaterial.emissive.setHex(flash > 0 ? 0xffffff : body.userData.baseEmissive);
+            bodyMaterial.emissiveIntensity = flash > 0 ? 0.6 + flash * 1.4 : 0.6;
+        }
+        
+        // The boss throbs red while winding up a charge or slam
+        if (jumper.type === 'boss' && jumper.bossAction.endsWith('windup') && jumper.mesh.children[0]) {
+            const bodyMaterial = jumper.mesh.children[0].material;
+            bodyMaterial.emissive.setHex(0xff0000);
+            bodyMaterial.emissiveIntensity = 1.2 + Math.sin(simTime * 0.03) * 0.6;
+        }
         
         // Pulse the glow ring when chasing
         if (jumper.mesh.children[3]) { // The ring
@@ -6543,105 +8449,18 @@ function updateJumpers() {
             jumper.mesh.children[1].material.emissiveIntensity = eyeIntensity;
             jumper.mesh.children[2].material.emissiveIntensity = eyeIntensity;
         }
-    });
-}
-
-function isWallAt(position) {
-    // Convert world position to grid coordinates
-    const gridX = Math.floor(position.x + MAZE_SIZE / 2);
-    const gridZ = Math.floor(position.z + MAZE_SIZE / 2);
-    
-    // SOLID boundary - can't go outside maze
-    if (gridX < 0 || gridX >= MAZE_SIZE || gridZ < 0 || gridZ >= MAZE_SIZE) {
-        return true;
-    }
-    
-    // SOLID walls - if center is in wall, blocked
-    if (maze[gridX][gridZ] === 1) {
-        return true;
-    }
-    
-    // SOLID edge checking - player body can't overlap walls
-    const playerGridX = position.x + MAZE_SIZE / 2;
-    const playerGridZ = position.z + MAZE_SIZE / 2;
-    const playerRadius = 0.35; // Increased collision radius to prevent wall clipping
-    
-    // Check 8 points around player (not just 4 corners) for SOLID collision
-    const checkPoints = [
-        { x: playerGridX - playerRadius, z: playerGridZ - playerRadius }, // SW
-        { x: playerGridX + playerRadius, z: playerGridZ - playerRadius }, // SE
-        { x: playerGridX - playerRadius, z: playerGridZ + playerRadius }, // NW
-        { x: playerGridX + playerRadius, z: playerGridZ + playerRadius }, // NE
-        { x: playerGridX - playerRadius, z: playerGridZ },                // W
-        { x: playerGridX + playerRadius, z: playerGridZ },                // E
-        { x: playerGridX, z: playerGridZ - playerRadius },                // S
-        { x: playerGridX, z: playerGridZ + playerRadius }                 // N
-    ];
-    
-    // Check ALL points - if ANY touches wall, SOLID block
-    for (const point of checkPoints) {
-        const cx = Math.floor(point.x);
-        const cz = Math.floor(point.z);
-        
-        // Check boundaries
-        if (cx < 0 || cx >= MAZE_SIZE || cz < 0 || cz >= MAZE_SIZE) {
-            return true;
-        }
         
-        // Check walls - SOLID collision
-        if (maze[cx][cz] === 1) {
-            return true;
-        }
-    }
-    
-    return false;
-}
-// Special collision function for zombies - SOLID WALLS with visibility buffer
-function isWallAtZombie(position) {
-    const gridX = Math.floor(position.x + MAZE_SIZE / 2);
-    const gridZ = Math.floor(position.z + MAZE_SIZE / 2);
-    
-    // Strict boundary checking - no clipping for zombies either
-    if (gridX < 0 || gridX >= MAZE_SIZE || gridZ < 0 || gridZ >= MAZE_SIZE) {
-        return true;
-    }
-    
-    // ABSOLUTE WALL COLLISION for zombies - no wall grid occupation allowed
-    if (maze[gridX][gridZ] === 1) {
-        return true;
-    }
+        updateSuspicionIcon(jumper);
+    });
     
-    // Check zombie bounds against wall grid with visibility buffer
-    const cellX = position.x + MAZE_SIZE / 2;
-    const cellZ = position.z + MAZE_SIZE / 2;
-    const zombieRadius = 0.001; // Reduced radius to allow movement in 1-cell wide corridors
-    
-    // Check all 4 corners of zombie bounding box with buffer
-    const corners = [
-        { x: cellX - zombieRadius, z: cellZ - zombieRadius }, // Bottom-left
-        { x: cellX + zombieRadius, z: cellZ - zombieRadius }, // Bottom-right  
-        { x: cellX - zombieRadius, z: cellZ + zombieRadius }, // Top-left
-        { x: cellX + zombieRadius, z: cellZ + zombieRadius }  // Top-right
-    ];
-    
-    for (const corner of corners) {
-        const cornerGridX = Math.floor(corner.x);
-        const cornerGridZ = Math.floor(corner.z);
-        
-        // If any corner is in bounds and hits a wall, collision detected
-        if (cornerGridX >= 0 && cornerGridX < MAZE_SIZE && 
-            cornerGridZ >= 0 && cornerGridZ < MAZE_SIZE) {
-            if (maze[cornerGridX][cornerGridZ] === 1) {
-                return true;
-            }
-        }
+    // Survival: the director paces the next wave
+    if (survivalDirector && gameActive) {
+        updateDirector();
     }
-    
-    return false;
 }
 
 function updateStats() {
-    const currentTime = Math.floor((Date.now() - gameStartTime) / 1000);
+    const currentTime = Math.floor(simTime / 1000);
     document.getElementById('timeDisplay').textContent = currentTime + 's';
     
     const distance = player.position.distanceTo(exit).toFixed(1);
@@ -6702,10 +8521,18 @@ function updateCoinDisplay() {
  * @returns {void}
  */
 function showCoinNotification(text) {
-    // Create notification element
+    // Reuse a hidden notification element; it hides again after the animation
+    const notification = showPooledElement(coinNotificationPool, 1500);
+    notification.textContent = text;
+}
+
+/**
+ * Builds a coin notification element, styled once and reused by the pool
+ * @returns {HTMLElement} Notification element
+ */
+function buildCoinNotification() {
     const notification = document.createElement('div');
     notification.className = 'coin-notification';
-    notification.textContent = text;
     
     // Position in center of screen
     notification.style.position = 'fixed';
@@ -6719,15 +8546,12 @@ function showCoinNotification(text) {
     notification.style.textShadow = '0 0 20px rgba(255, 215, 0, 1), 0 0 40px rgba(255, 215, 0, 0.6)';
     notification.style.pointerEvents = 'none';
     notification.style.zIndex = '9999';
-    notification.style.animation = 'floatCoin 1.5s ease-out forwards';
-    
-    // Add to DOM
-    document.body.appendChild(notification);
-    
-    // Remove after animation
-    setTimeout(() => notification.remove(), 1500);
+    return notification;
 }
 
+/** @type {Object} Pool of coin notification elements */
+const coinNotificationPool = createElementPool(buildCoinNotification, 'floatCoin 1.5s ease-out forwards');
+
 // ============================================================================
 // SHOP SYSTEM FUNCTIONS
 // ============================================================================
@@ -7326,6 +9150,8 @@ function toggleShop() {
     const shopModal = document.getElementById('shopModal');
     if (shopModal) {
         if (shopOpen) {
+            // Freeze the run while browsing
+            pauseGame('shop');
             shopModal.classList.add('show');
             // Initialize with hats category
             if (!currentShopCategory) currentShopCategory = 'hats';
@@ -7346,6 +9172,9 @@ function toggleShop() {
             shopModal.classList.remove('show');
             // Apply equipped cosmetics to actual player
             applyEquippedCosmetics();
+            if (pauseReason === 'shop') {
+                resumeGame();
+            }
         }
     }
 }
@@ -7583,6 +9412,42 @@ function addBodyDecorations(avatar) {
 }
 */
 
+/**
+ * Saves the key bindings to localStorage
+ * @returns {void}
+ */
+function saveKeymap() {
+    try {
+        localStorage.setItem('zyrath_keymap', JSON.stringify(keymap));
+    } catch (error) {
+        console.warn('Failed to save keymap:', error);
+    }
+}
+
+/**
+ * Loads saved key bindings over the defaults
+ * Unknown actions are dropped and actions missing from the save keep their defaults
+ * @returns {void}
+ */
+function loadKeymap() {
+    try {
+        const saved = localStorage.getItem('zyrath_keymap');
+        if (saved) {
+            const savedKeymap = JSON.parse(saved);
+            Object.keys(DEFAULT_KEYMAP).forEach(action => {
+                const codes = savedKeymap[action];
+                if (Array.isArray(codes) && codes.every(code => typeof code === 'string')) {
+                    keymap[action] = codes.slice(0, KEYMAP_SLOTS);
+                }
+            });
+            console.log('Keymap loaded:', keymap);
+        }
+    } catch (error) {
+        console.warn('Failed to load keymap:', error);
+    }
+    updateKeyHints();
+}
+
 /**
  * Saves shop data to localStorage
  * @returns {void}
@@ -7650,7 +9515,7 @@ function winGame() {
     
     console.log('Game Won!');
     gameActive = false;
-    const finalTime = Math.floor((Date.now() - gameStartTime) / 1000);
+    const finalTime = Math.floor(simTime / 1000);
     
     // Stop background music
     stopBackgroundMusic();
@@ -7662,6 +9527,7 @@ function winGame() {
     if (animationId) {
         cancelAnimationFrame(animationId);
     }
+    updateAimReticle();
     
     // Victory screen with mode-specific messages
     const gameOverElement = document.getElementById('gameOver');
@@ -7669,7 +9535,15 @@ function winGame() {
     const survivalTimeElement = document.getElementById('survivalTime');
     const killStatsElement = document.getElementById('killStats');
     
-    if (gameMode === 'hunt') {
+    if (gameMode === 'hunt' && bossStatus === 'defeated') {
+        // Hunt Mode victory over the boss
+        if (titleElement) {
+            titleElement.textContent = 'OVERSEER SLAIN';
+            titleElement.style.color = '#aa00ff';
+        }
+        if (survivalTimeElement) survivalTimeElement.textContent = `Survived: ${finalTime}s`;
+        if (killStatsElement) killStatsElement.textContent = `Kills: ${kills} | Overseer slain, escaped via UFO`;
+    } else if (gameMode === 'hunt') {
         // Hunt Mode victory message
         if (titleElement) {
             titleElement.textContent = 'ABDUCTED & RESCUED';
@@ -7687,6 +9561,8 @@ function winGame() {
         if (killStatsElement) killStatsElement.textContent = `Kills: ${kills} | Escaped through the door`;
     }
     
+    updateSeedDisplay();
+    
     // Force show the victory screen
     if (gameOverElement) {
         gameOverElement.classList.add('show');
@@ -7701,7 +9577,7 @@ function loseGame() {
     
     console.log('Game Over - Player killed by zombie!');
     gameActive = false;
-    const finalTime = Math.floor((Date.now() - gameStartTime) / 1000);
+    const finalTime = Math.floor(simTime / 1000);
     
     // Stop background music
     stopBackgroundMusic();
@@ -7711,11 +9587,13 @@ function loseGame() {
     
     // Play enemy eating sound on death (first 4 seconds only)
     playSound('enemyEat');
+    rumbleGamepad('death');
     
     // Stop the game animation
     if (animationId) {
         cancelAnimationFrame(animationId);
     }
+    updateAimReticle();
     
     // Death screen
     const gameOverElement = document.getElementById('gameOver');
@@ -7723,23 +9601,81 @@ function loseGame() {
     const survivalTimeElement = document.getElementById('survivalTime');
     const killStatsElement = document.getElementById('killStats');
     
-    if (titleElement) {
-        titleElement.textContent = 'DEVOURED';
-        titleElement.style.color = '#ff0000';
-    }
-    if (survivalTimeElement) survivalTimeElement.textContent = `Survived: ${finalTime}s`;
-    if (killStatsElement) {
-        const modeText = gameMode === 'survival' ? '(Survival Mode)' : '(Hunt Mode)';
-        killStatsElement.textContent = `Kills: ${kills} ${modeText}`;
+    if (titleElement) {
+        titleElement.textContent = 'DEVOURED';
+        titleElement.style.color = '#ff0000';
+    }
+    if (survivalTimeElement) survivalTimeElement.textContent = `Survived: ${finalTime}s`;
+    if (killStatsElement) {
+        const modeText = gameMode === 'survival' ? '(Survival Mode)' : '(Hunt Mode)';
+        killStatsElement.textContent = `Kills: ${kills} ${modeText}`;
+    }
+    
+    updateSeedDisplay();
+    
+    // Force show the game over screen
+    if (gameOverElement) {
+        gameOverElement.classList.add('show');
+        gameOverElement.style.display = 'block';
+    }
+    
+    console.log('Game over screen should be visible now');
+}
+
+/**
+ * Ends the current run, disposes its scene and shows the game mode screen
+ * Used by the game over screen and the pause menu
+ * @returns {void}
+ */
+function returnToModeSelection() {
+    // Stop game and clear scene completely
+    gameActive = false;
+    if (animationId) {
+        cancelAnimationFrame(animationId);
+        animationId = null;
+    }
+    updateAimReticle();
+    resumeGame(); // Clear any pause before tearing the run down
+    
+    // Reset game state variables
+    resetSimulationClock();
+    kills = 0;
+    score = 0;
+    currentWeapon = 'knife';
+    flashlightOn = false;
+    weaponAmmo = {};
+    
+    // Clear enemy AI state
+    chasingJumper = null;
+    jumperQueue = [];
+    chaseFlowField = null;
+    survivalDirector = null;
+    bossStatus = null;
+    updateBossBar();
+    
+    // Clear the damage vignette and hearts
+    resetPlayerHealth();
+    
+    // Clear and dispose all game objects from scene
+    player = null;
+    disposeRunScene();
+    
+    // Hide game over screen
+    const gameOverScreen = document.getElementById('gameOver');
+    if (gameOverScreen) {
+        gameOverScreen.classList.remove('show');
+        gameOverScreen.style.display = 'none';
     }
     
-    // Force show the game over screen
-    if (gameOverElement) {
-        gameOverElement.classList.add('show');
-        gameOverElement.style.display = 'block';
+    // Show game mode selection screen
+    const gameModeScreen = document.getElementById('gameModeScreen');
+    if (gameModeScreen) {
+        gameModeScreen.classList.add('visible');
     }
     
-    console.log('Game over screen should be visible now');
+    // Reset game mode
+    gameMode = null;
+    console.log('Scene cleared, returning to game mode selection');
 }
 
 function restartGame() {
@@ -7747,10 +9683,12 @@ function restartGame() {
     
     // Phase 1: Terminate current game session
     gameActive = false;
+    resumeGame(); // Clear any pause before tearing the run down
     if (animationId) {
         cancelAnimationFrame(animationId);
         animationId = null;
     }
+    updateAimReticle();
     
     // Phase 2: Hide game over UI
     const gameOverEl = document.getElementById('gameOver');
@@ -7760,70 +9698,34 @@ function restartGame() {
     }
     
     // Phase 3: Reset game state variables
-    gameStartTime = Date.now();
     mouseX = 0;
     mouseY = 0;
-    ammoCount = 30;
+    weaponAmmo = {};
     kills = 0;
     score = 0;
     // DON'T reset coins - they persist between games for shop purchases
     currentWeapon = 'knife';
     flashlightOn = false;
-    lastShotTime = 0;
-    lastZombieGroanTime = 0;
-    lastFootstepTime = 0;
+    resetSimulationClock(); // Also resets shot, footstep and groan timers
     
     // Phase 4: Clear enemy AI state
     chasingJumper = null;
     jumperQueue = [];
-    occupiedLanes.clear();
-    
-    // Phase 5: Remove active projectiles
-    bullets.forEach(bullet => {
-        if (bullet.mesh) {
-            scene.remove(bullet.mesh);
-        }
-    });
-    bullets = [];
-    
-    // Phase 6: Clear scene of game objects
-    if (playerMesh) {
-        scene.remove(playerMesh);
-        playerMesh = null;
-    }
-    if (exitMesh) {
-        scene.remove(exitMesh);
-        exitMesh = null;
-    }
-    if (doorMesh) {
-        scene.remove(doorMesh);
-        doorMesh = null;
-    }
-    if (pistolPickup) {
-        scene.remove(pistolPickup);
-        pistolPickup = null;
-    }
-    
-    // Clear jumping enemies
-    jumpers.forEach(jumper => {
-        if (jumper.mesh) {
-            scene.remove(jumper.mesh);
-        }
-    });
-    jumpers = [];
+    chaseFlowField = null;
+    survivalDirector = null;
+    bossStatus = null;
+    updateBossBar();
     
-    // Clear walls
-    mazeWalls.forEach(wall => {
-        scene.remove(wall);
-    });
-    mazeWalls = [];
+    // Phase 5-6: Dispose everything the run created (projectiles, player,
+    // exit, pickups, enemies, effects, ground and walls)
+    disposeRunScene();
     
     console.log('Scene cleanup complete: All previous game objects removed');
     
-    // Phase 7: Regenerate game world
+    // Phase 7: Regenerate game world from a fresh (or URL-provided) seed
     console.log('Regenerating maze and spawning entities...');
-    generateMaze();
-    createWalls();
+    seedWorld();
+    generateMaze(); // Also rebuilds the walls
     createPlayer();
     
     // Mode-specific setup (same as startGame)
@@ -7834,18 +9736,23 @@ function restartGame() {
         createDoorExit();
         createJumpers();
     }
+    resetDirector();
     
-    // Recreate pistol pickup
+    // Recreate pistol pickup, ammo crates and health packs
     createPistolPickup();
+    createAmmoPickups();
+    createHealthPickups();
+    validateEntityPlacement();
+    positionDangerLights();
     
     // Phase 8: Reset player to spawn position
-    const startX = -MAZE_SIZE / 2 + 1.5;
-    const startZ = -MAZE_SIZE / 2 + 1.5;
+    const spawnPosition = getSpawnWorldPosition();
+    const startX = spawnPosition.x;
+    const startZ = spawnPosition.z;
     
     if (player) {
         player.position.set(startX, PLAYER_HEIGHT, startZ);
         player.velocity.set(0, 0, 0);
-        player.acceleration.set(0, 0, 0);
         player.rotation = 0;
         console.log('Player logical state reset to spawn position:', player.position);
     }
@@ -7858,7 +9765,7 @@ function restartGame() {
     
     // Phase 9: Reset camera positioning
     if (camera) {
-        camera.position.set(startX, CAMERA_HEIGHT, startZ);
+        camera.position.set(startX, cameraHeight, startZ);
         camera.lookAt(startX, 0, startZ);
         console.log('Camera repositioned to track player');
     }
@@ -7870,6 +9777,7 @@ function restartGame() {
     }
     
     // Phase 11: Update HUD displays
+    resetPlayerHealth();
     updateAmmoDisplay();
     updateKillsDisplay();
     updateJumperCount();
@@ -7906,53 +9814,434 @@ function onWindowResize() {
 }
 
 // ============================================================================
-// GAME LOOP WITH 60 FPS CAP
+// PAUSE MENU & SETTINGS
 // ============================================================================
 
-/** @type {number} Target frame rate (frames per second) */
-const TARGET_FPS = 60;
+/** @type {boolean} True while the simulation is frozen */
+let gamePaused = false;
 
-/** @const {number} Target frame duration (milliseconds) */
-const FRAME_DURATION = 1000 / TARGET_FPS;
+/** @type {string|null} Why the game is paused: 'menu' (Esc / P / focus loss) or 'shop' */
+let pauseReason = null;
 
-/** @type {number} Timestamp of last frame render */
-let lastFrameTime = 0;
+/** @type {boolean} Whether background music was playing when the game paused */
+let bgmWasPlaying = false;
+
+/** @type {Object} Player settings persisted in localStorage */
+let gameSettings = {
+    musicVolume: 0.15,
+    pauseOnBlur: true,
+    pointerLockAim: false,
+    leftHandedTouch: false
+};
 
 /**
- * Main game loop with 60 FPS cap
- * Uses delta time to ensure consistent frame rate
+ * Loads player settings from localStorage
  * @returns {void}
  */
-function animate() {
-    animationId = requestAnimationFrame(animate);
+function loadSettings() {
+    try {
+        const saved = localStorage.getItem('zyrath_settings');
+        if (saved) {
+            gameSettings = { ...gameSettings, ...JSON.parse(saved) };
+        }
+    } catch (error) {
+        console.warn('Could not load settings:', error);
+    }
+}
+
+/**
+ * Saves player settings to localStorage
+ * @returns {void}
+ */
+function saveSettings() {
+    try {
+        localStorage.setItem('zyrath_settings', JSON.stringify(gameSettings));
+    } catch (error) {
+        console.warn('Could not save settings:', error);
+    }
+}
+
+/**
+ * Freezes the simulation, timers, scheduled spawns and audio
+ * @param {string} [reason='menu'] - 'menu' shows the pause menu, 'shop' pauses behind the shop
+ * @returns {void}
+ */
+function pauseGame(reason = 'menu') {
+    if (!gameActive || gamePaused) return;
+    
+    gamePaused = true;
+    pauseReason = reason;
+    keys = {}; // Drop held movement keys so the player doesn't drift on resume
+    mouseAttackHeld = false;
+    touchAttackHeld = false;
+    resetTouchJoystick();
+    
+    // Freeze audio: synthesized effects and background music
+    if (audioContext && audioContext.state === 'running') {
+        audioContext.suspend();
+    }
+    bgmWasPlaying = Boolean(soundEffects.bgm && !soundEffects.bgm.paused);
+    if (bgmWasPlaying) {
+        soundEffects.bgm.pause();
+    }
     
-    // 60 FPS frame rate limiting
-    const currentTime = performance.now();
-    const deltaTime = currentTime - lastFrameTime;
+    if (reason === 'menu') {
+        showPauseMenu();
+    }
+    console.log(`⏸️ Game paused (${reason})`);
+}
+
+/**
+ * Resumes the simulation and audio
+ * The frame clock is reset so the paused time is never simulated
+ * @returns {void}
+ */
+function resumeGame() {
+    if (!gamePaused) return;
     
-    // Skip frame if not enough time has passed
-    if (deltaTime < FRAME_DURATION) {
-        return;
+    gamePaused = false;
+    pauseReason = null;
+    hidePauseMenu();
+    
+    lastFrameTime = performance.now();
+    simAccumulator = 0;
+    
+    if (audioContext && audioContext.state === 'suspended') {
+        audioContext.resume();
+    }
+    if (bgmWasPlaying && soundEffects.bgm) {
+        soundEffects.bgm.play().catch(err => console.warn('Could not resume BGM:', err));
+    }
+    bgmWasPlaying = false;
+    console.log('▶️ Game resumed');
+}
+
+/**
+ * Toggles the pause menu (Esc / P)
+ * @returns {void}
+ */
+function togglePause() {
+    if (gamePaused) {
+        if (pauseReason === 'menu') resumeGame();
+    } else {
+        pauseGame('menu');
+    }
+}
+
+/**
+ * Shows the pause menu on its main panel
+ * @returns {void}
+ */
+function showPauseMenu() {
+    const menu = document.getElementById('pauseMenu');
+    if (menu) menu.classList.add('show');
+    hidePauseSettings();
+}
+
+/**
+ * Hides the pause menu
+ * @returns {void}
+ */
+function hidePauseMenu() {
+    const menu = document.getElementById('pauseMenu');
+    if (menu) menu.classList.remove('show');
+}
+
+/**
+ * Switches the pause menu to the settings panel
+ * @returns {void}
+ */
+function showPauseSettings() {
+    const mainPanel = document.getElementById('pauseMainPanel');
+    const settingsPanel = document.getElementById('pauseSettingsPanel');
+    if (mainPanel) mainPanel.style.display = 'none';
+    if (settingsPanel) settingsPanel.style.display = 'flex';
+    
+    const volumeInput = document.getElementById('musicVolumeInput');
+    if (volumeInput) volumeInput.value = Math.round(gameSettings.musicVolume * 100);
+    const blurInput = document.getElementById('pauseOnBlurInput');
+    if (blurInput) blurInput.checked = gameSettings.pauseOnBlur;
+    const pointerLockInput = document.getElementById('pointerLockAimInput');
+    if (pointerLockInput) pointerLockInput.checked = gameSettings.pointerLockAim;
+    const leftHandedInput = document.getElementById('leftHandedTouchInput');
+    if (leftHandedInput) leftHandedInput.checked = gameSettings.leftHandedTouch;
+}
+
+/**
+ * Switches the pause menu back to the main panel (from settings or controls)
+ * @returns {void}
+ */
+function hidePauseSettings() {
+    const mainPanel = document.getElementById('pauseMainPanel');
+    const settingsPanel = document.getElementById('pauseSettingsPanel');
+    const controlsPanel = document.getElementById('pauseControlsPanel');
+    if (mainPanel) mainPanel.style.display = 'flex';
+    if (settingsPanel) settingsPanel.style.display = 'none';
+    if (controlsPanel) controlsPanel.style.display = 'none';
+    rebindingSlot = null;
+}
+
+/**
+ * Switches the pause menu to the controls (key rebinding) panel
+ * @returns {void}
+ */
+function showPauseControls() {
+    const mainPanel = document.getElementById('pauseMainPanel');
+    const controlsPanel = document.getElementById('pauseControlsPanel');
+    if (mainPanel) mainPanel.style.display = 'none';
+    if (controlsPanel) controlsPanel.style.display = 'flex';
+    
+    setKeymapMessage('');
+    renderKeymapList();
+}
+
+/**
+ * Applies the music volume slider from the settings panel
+ * @returns {void}
+ */
+function updateMusicVolume() {
+    const volumeInput = document.getElementById('musicVolumeInput');
+    if (!volumeInput) return;
+    gameSettings.musicVolume = Math.max(0, Math.min(100, Number(volumeInput.value) || 0)) / 100;
+    if (soundEffects.bgm) {
+        soundEffects.bgm.volume = gameSettings.musicVolume;
+    }
+    saveSettings();
+}
+
+/**
+ * Applies the pause-on-focus-loss checkbox from the settings panel
+ * @returns {void}
+ */
+function updatePauseOnBlur() {
+    const blurInput = document.getElementById('pauseOnBlurInput');
+    if (!blurInput) return;
+    gameSettings.pauseOnBlur = blurInput.checked;
+    saveSettings();
+}
+
+/**
+ * Applies the pointer-lock aiming checkbox from the settings panel
+ * The lock itself is requested on the next in-game click
+ * @returns {void}
+ */
+function updatePointerLockAim() {
+    const pointerLockInput = document.getElementById('pointerLockAimInput');
+    if (!pointerLockInput) return;
+    gameSettings.pointerLockAim = pointerLockInput.checked;
+    saveSettings();
+}
+
+/**
+ * Applies the left-handed touch layout checkbox from the settings panel
+ * @returns {void}
+ */
+function updateLeftHandedTouch() {
+    const leftHandedInput = document.getElementById('leftHandedTouchInput');
+    if (!leftHandedInput) return;
+    gameSettings.leftHandedTouch = leftHandedInput.checked;
+    applyTouchLayout();
+    saveSettings();
+}
+
+/**
+ * Pause menu: restart the current mode with a fresh maze
+ * @returns {void}
+ */
+function pauseMenuRestart() {
+    restartGame();
+}
+
+/**
+ * Pause menu: abandon the run and pick another mode
+ * @returns {void}
+ */
+function pauseMenuChangeMode() {
+    stopBackgroundMusic();
+    stopMonsterSpawning();
+    returnToModeSelection();
+}
+
+/**
+ * Pause menu: give up the run and show the summary screen
+ * @returns {void}
+ */
+function quitRun() {
+    resumeGame();
+    if (!gameActive) return;
+    
+    console.log('Run abandoned from pause menu');
+    gameActive = false;
+    const finalTime = Math.floor(simTime / 1000);
+    
+    stopBackgroundMusic();
+    stopMonsterSpawning();
+    
+    if (animationId) {
+        cancelAnimationFrame(animationId);
+    }
+    updateAimReticle();
+    
+    const gameOverElement = document.getElementById('gameOver');
+    const titleElement = document.getElementById('gameOverTitle');
+    const survivalTimeElement = document.getElementById('survivalTime');
+    const killStatsElement = document.getElementById('killStats');
+    
+    if (titleElement) {
+        titleElement.textContent = 'ABANDONED';
+        titleElement.style.color = '#888888';
+    }
+    if (survivalTimeElement) survivalTimeElement.textContent = `Survived: ${finalTime}s`;
+    if (killStatsElement) killStatsElement.textContent = `Kills: ${kills} | Gave up`;
+    
+    updateSeedDisplay();
+    
+    if (gameOverElement) {
+        gameOverElement.classList.add('show');
+        gameOverElement.style.display = 'block';
+    }
+}
+
+// Make pause menu actions globally accessible for inline handlers
+window.resumeGame = resumeGame;
+window.pauseMenuRestart = pauseMenuRestart;
+window.pauseMenuChangeMode = pauseMenuChangeMode;
+window.quitRun = quitRun;
+window.showPauseSettings = showPauseSettings;
+window.hidePauseSettings = hidePauseSettings;
+window.showPauseControls = showPauseControls;
+window.resetKeymap = resetKeymap;
+window.updateMusicVolume = updateMusicVolume;
+window.updatePauseOnBlur = updatePauseOnBlur;
+window.updatePointerLockAim = updatePointerLockAim;
+window.updateLeftHandedTouch = updateLeftHandedTouch;
+
+// ============================================================================
+// FIXED-TIMESTEP GAME LOOP
+// ============================================================================
+
+/** @const {number} Simulation tick rate (ticks per second); per-tick speeds are tuned for 60 */
+const TARGET_FPS = 60;
+
+/** @const {number} Duration of one simulation tick (milliseconds) */
+const SIM_STEP = 1000 / TARGET_FPS;
+
+/** @const {number} Most ticks run in one frame before dropping time (avoids a spiral of death) */
+const MAX_SIM_STEPS_PER_FRAME = 5;
+
+/** @type {number} Simulated milliseconds since the run started (drives every gameplay timer) */
+let simTime = 0;
+
+/** @type {number} Real time not yet consumed by simulation ticks (milliseconds) */
+let simAccumulator = 0;
+
+/** @type {number} Timestamp of last rendered frame */
+let lastFrameTime = 0;
+
+/** @type {Array<Object>} Pending simulation events ({time, callback}), sorted by time */
+let simEvents = [];
+
+/**
+ * Resets the simulation clock, pending events and gameplay timers for a new run
+ * @returns {void}
+ */
+function resetSimulationClock() {
+    simTime = 0;
+    simAccumulator = 0;
+    simEvents = [];
+    lastFrameTime = performance.now();
+    lastShotTime = -Infinity;
+    weaponReload = null;
+    lastFootstepTime = -Infinity;
+    lastZombieGroanTime = 0;
+    mouseAimActive = false;
+    delete camera.userData.previousPosition;
+}
+
+/**
+ * Schedules a callback on simulation time instead of wall-clock time
+ * Events fire inside a tick, so they pause and speed up with the simulation
+ * @param {number} delay - Delay in simulated milliseconds
+ * @param {Function} callback - Function to run
+ * @returns {void}
+ */
+function scheduleSimEvent(delay, callback) {
+    simEvents.push({ time: simTime + delay, callback: callback });
+    simEvents.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Runs every scheduled event whose time has been reached
+ * @returns {void}
+ */
+function runSimEvents() {
+    while (simEvents.length > 0 && simEvents[0].time <= simTime) {
+        const event = simEvents.shift();
+        event.callback();
     }
+}
+
+/**
+ * Gets the objects whose rendered position is interpolated between ticks
+ * @returns {Array<THREE.Object3D>} Moving objects
+ */
+function getInterpolatedObjects() {
+    const objects = [camera];
+    if (playerMesh) objects.push(playerMesh);
+    jumpers.forEach(jumper => objects.push(jumper.mesh));
+    bullets.forEach(bullet => objects.push(bullet.mesh));
+    grenades.forEach(grenade => objects.push(grenade.mesh));
+    enemyProjectiles.forEach(projectile => objects.push(projectile.mesh));
+    return objects;
+}
+
+/**
+ * Remembers where each moving object was before the next tick
+ * @returns {void}
+ */
+function snapshotInterpolatedPositions() {
+    getInterpolatedObjects().forEach(object => {
+        if (!object.userData.previousPosition) {
+            object.userData.previousPosition = new THREE.Vector3();
+        }
+        object.userData.previousPosition.copy(object.position);
+    });
+}
+
+/**
+ * Advances the game by exactly one fixed tick
+ * @returns {void}
+ */
+function simulationStep() {
+    snapshotInterpolatedPositions();
     
-    // Update last frame time (with correction for drift)
-    lastFrameTime = currentTime - (deltaTime % FRAME_DURATION);
+    simTime += SIM_STEP;
     
-    // Update game systems
     updatePlayer();
     updateJumpers();
     updateBullets();
-    updateStats();
+    updateGrenades();
+    updateEnemyProjectiles();
     updateTrailParticles(); // Update particle trail effect
+    updatePooledEffects(); // Flashes, explosions and shockwaves
+    runSimEvents();
     
     // Periodic jumper sounds - DISABLED
-    const now = Date.now();
-    if (jumpers.length > 0 && now - lastZombieGroanTime > ZOMBIE_GROAN_INTERVAL) {
+    if (jumpers.length > 0 && simTime - lastZombieGroanTime > ZOMBIE_GROAN_INTERVAL) {
         const randomJumper = jumpers[Math.floor(Math.random() * jumpers.length)];
         // playZombieGroanSound(randomJumper.position); // DISABLED
-        lastZombieGroanTime = now;
+        lastZombieGroanTime = simTime;
     }
     
+    updateSceneAnimations();
+}
+
+/**
+ * Advances the decorative scene animations by one tick
+ * (UFO exit, pistol pickup, ammo crates)
+ * @returns {void}
+ */
+function updateSceneAnimations() {
     // Animate UFO (floating and rotating)
     if (exitMesh) {
         exitMesh.userData.time += 0.02;
@@ -7990,19 +10279,85 @@ function animate() {
     // Animate pistol pickup (spinning and bobbing) - Enhanced
     if (pistolPickup) {
         pistolPickup.rotation.y += 0.04; // Faster spin for attention
-        pistolPickup.position.y = 0.5 + Math.sin(Date.now() * 0.005) * 0.2; // More dramatic bobbing
+        pistolPickup.position.y = 0.5 + Math.sin(simTime * 0.005) * 0.2; // More dramatic bobbing
         
         // Pulsating rings
         const rings = pistolPickup.children.filter(child => 
             child.geometry && child.geometry.type === 'TorusGeometry'
         );
         rings.forEach((ring, index) => {
-            const pulseFactor = 1 + Math.sin(Date.now() * 0.008 + index) * 0.1;
+            const pulseFactor = 1 + Math.sin(simTime * 0.008 + index) * 0.1;
             ring.scale.set(pulseFactor, pulseFactor, pulseFactor);
         });
     }
     
+    // Animate ammo crates and health packs (slow spin)
+    ammoPickups.forEach(pickup => {
+        pickup.mesh.rotation.y += 0.02;
+    });
+    healthPickups.forEach(pickup => {
+        pickup.mesh.rotation.y += 0.02;
+    });
+}
+
+/**
+ * Renders the scene with moving objects blended between the last two ticks
+ * Positions are restored afterwards so the simulation never sees blended values
+ * @param {number} alpha - Fraction of a tick elapsed since the last one (0-1)
+ * @returns {void}
+ */
+function renderInterpolated(alpha) {
+    const objects = getInterpolatedObjects().filter(object => object.userData.previousPosition);
+    const simPositions = objects.map(object => object.position.clone());
+    
+    objects.forEach(object => {
+        object.position.lerpVectors(object.userData.previousPosition, object.position, alpha);
+    });
+    
     renderer.render(scene, camera);
+    
+    objects.forEach((object, index) => {
+        object.position.copy(simPositions[index]);
+    });
+}
+
+/**
+ * Main game loop
+ * Real frame time feeds an accumulator that is drained in fixed SIM_STEP ticks,
+ * so gameplay runs at the same speed at 30 Hz, 60 Hz or 144 Hz; rendering
+ * happens every frame with interpolation between ticks
+ * @returns {void}
+ */
+function animate() {
+    animationId = requestAnimationFrame(animate);
+    
+    const currentTime = performance.now();
+    const frameTime = currentTime - lastFrameTime;
+    lastFrameTime = currentTime;
+    
+    // Paused: keep drawing the frozen scene but simulate nothing
+    if (gamePaused) {
+        updateAimReticle();
+        renderInterpolated(simAccumulator / SIM_STEP);
+        return;
+    }
+    simAccumulator += frameTime;
+    
+    let steps = 0;
+    while (simAccumulator >= SIM_STEP && steps < MAX_SIM_STEPS_PER_FRAME) {
+        simulationStep();
+        simAccumulator -= SIM_STEP;
+        steps++;
+    }
+    
+    // Drop time we could not catch up on (tab in background, long stall)
+    if (steps === MAX_SIM_STEPS_PER_FRAME) {
+        simAccumulator = Math.min(simAccumulator, SIM_STEP);
+    }
+    
+    updateStats();
+    updateAimReticle();
+    renderInterpolated(simAccumulator / SIM_STEP);
 }
 
 // Start the game when DOM is loaded
@@ -0,0 +1,3751 @@
+/**
+ * ============================================================================
+ * THE ZYRATH INCIDENT - Simulation Core
+ * ============================================================================
+ *
+ * Render-agnostic game rules shared by the browser game and headless runs.
+ * Nothing in this file touches THREE.js or the DOM.
+ *
+ * @file simulation.js
+ * @version 2.0.0
+ *
+ * CONTENTS:
+ * - Seeded random numbers (mulberry32) and seed parsing
+ * - Maze generators, braiding, flood fill, repair and connectivity checks
+ * - Grid/world coordinate conversion for a maze layout
+ * - Wall collision for the player (8-point) and for enemies
+ * - Enemy type registry (jumper, brute, crawler, spitter, splitter)
+ * - Corridor detection, lane checks and enemy spawn state
+ * - Player physics (acceleration, friction, wall sliding)
+ * - Player health, invulnerability frames and knockback
+ * - Flow-field navigation that walks survival chasers through the corridors
+ * - Jumper state machine (hopping, chasing, queued) and jump arcs
+ * - Combat (weapon damage, enemy health, stagger) and win/lose checks
+ * - createSimulation(): a headless run driven by a seed and scripted inputs
+ *
+ * USAGE:
+ * - Browser: loaded before game.js and exposed as window.ZyrathSim
+ * - Node: const ZyrathSim = require('./simulation.js');
+ * - Tests: node --test test/ (win/lose regressions played through createSimulation)
+ *
+ * A maze layout is { grid, width, depth } where grid[x][z] is 0 (path) or
+ * 1 (wall). Positions are plain { x, y, z } objects; THREE.Vector3 works
+ * too since only the x/y/z fields are read and written.
+ *
+ * ============================================================================
+ */
+
+(function(root, factory) {
+    const api = factory();
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        root.ZyrathSim = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+
+// ============================================================================
+// SIMULATION CONSTANTS
+// ============================================================================
+
+/** @const {number} Simulation tick length in milliseconds (60 ticks per second) */
+const SIM_STEP = 1000 / 60;
+
+/** @const {number} Maximum player velocity (units per tick) */
+const PLAYER_SPEED = 0.09;
+
+/** @const {number} Player acceleration rate when input is active */
+const PLAYER_ACCELERATION = 0.005;
+
+/** @const {number} Velocity damping factor (0-1, lower = more friction) */
+const PLAYER_FRICTION = 0.88;
+
+/** @const {number} Player eye level above ground */
+const PLAYER_HEIGHT = 1.5;
+
+/** @const {number} Player collision radius in grid cells */
+const PLAYER_RADIUS = 0.35;
+
+/** @const {number} Enemy collision radius (tiny so 1-cell corridors stay walkable) */
+const ENEMY_RADIUS = 0.001;
+
+/** @const {number} Maximum vertical displacement during jump */
+const JUMP_HEIGHT = 1.4;
+
+/** @const {number} Jump phase advance per tick (radians) */
+const JUMP_FREQUENCY = 0.20;
+
+/** @const {number} Jump height multiplier while chasing */
+const CHASE_JUMP_MULTIPLIER = 1.4;
+
+/** @const {number} Default jumper health */
+const ENEMY_HEALTH = 100;
+
+/** @const {number} Ticks a jumper stands still after a hit that did not kill it */
+const STAGGER_TICKS = 12;
+
+/** @const {number} Distance at which spit hits the player (ground plane) */
+const SPIT_HIT_DISTANCE = 0.5;
+
+/** @const {number} Resting height of a jumper above the ground */
+const ENEMY_BASE_Y = 0.8;
+
+/** @const {number} Distance at which a jumper kills the player */
+const CATCH_DISTANCE = 0.9;
+
+/** @const {number} Knife swing reach (360° around the player) */
+const KNIFE_RANGE = 2.8;
+
+/** @const {number} Milliseconds between knife swings */
+const KNIFE_COOLDOWN = 200;
+
+/** @const {number} Distance at which a bullet hits a jumper */
+const BULLET_HIT_DISTANCE = 0.7;
+
+/** @const {number} Ticks before a pistol bullet that hit nothing is removed */
+const BULLET_LIFETIME = 200;
+
+/** @const {number} Downward acceleration of a thrown grenade (per tick, per tick) */
+const GRENADE_GRAVITY = 0.012;
+
+/** @const {number} Distance at which the player picks up the pistol */
+const PISTOL_PICKUP_RANGE = 2.0;
+
+/**
+ * Weapon registry: everything needed to fire each weapon
+ * - slot: number key that selects it
+ * - fireMode: 'melee' (knife swing), 'semi' (one shot per press), 'auto'
+ *   (fires while attack is held) or 'throw' (grenade arcing over walls)
+ * - damage per bullet (per blast for throwables), cooldown in milliseconds
+ * - pellets per shot, fanned evenly across spread (radians); a single
+ *   bullet is jittered within the spread instead
+ * - projectileSpeed per tick; range is a bullet's flight time in ticks
+ * - magazine: rounds loaded at once, refilled from the reserve by a reload
+ *   taking reloadTime milliseconds (null: thrown straight from the pouch)
+ * - ammo: rounds the weapon comes with (ammo crates add half of it)
+ * - noise: NOISE_RADIUS key jumpers hear on attack; sound: effect the game plays
+ * @const {Object<string, Object>}
+ */
+const WEAPON_TYPES = {
+    knife: {
+        id: 'knife', name: 'KNIFE', icon: '🔪', slot: 1, fireMode: 'melee',
+        damage: 100, cooldown: KNIFE_COOLDOWN, magazine: null, ammo: null, noise: 'knife', sound: 'knife'
+    },
+    pistol: {
+        id: 'pistol', name: 'PISTOL', icon: '🔫', slot: 2, fireMode: 'semi',
+        damage: 50, cooldown: 300, pellets: 1, spread: 0, projectileSpeed: 0.5, range: BULLET_LIFETIME,
+        magazine: 10, reloadTime: 1200, ammo: 30, noise: 'gunshot', sound: 'gunshot'
+    },
+    shotgun: {
+        id: 'shotgun', name: 'SHOTGUN', icon: '💥', slot: 3, fireMode: 'semi',
+        damage: 35, cooldown: 800, pellets: 6, spread: 0.6, projectileSpeed: 0.45, range: 18,
+        magazine: 6, reloadTime: 1800, ammo: 12, noise: 'gunshot', sound: 'shotgun'
+    },
+    smg: {
+        id: 'smg', name: 'SMG', icon: '⚡', slot: 4, fireMode: 'auto',
+        damage: 20, cooldown: 100, pellets: 1, spread: 0.15, projectileSpeed: 0.6, range: 120,
+        magazine: 30, reloadTime: 1500, ammo: 90, noise: 'gunshot', sound: 'smg'
+    },
+    grenade: {
+        id: 'grenade', name: 'GRENADE', icon: '💣', slot: 5, fireMode: 'throw',
+        damage: 150, cooldown: 900, projectileSpeed: 0.22, lift: 0.18, blastRadius: 2.5,
+        magazine: null, ammo: 3, noise: null, sound: 'throw'
+    }
+};
+
+/** @const {number} Default player hit points */
+const PLAYER_MAX_HEALTH = 3;
+
+/** @const {number} Invulnerability window after the player is hit (milliseconds) */
+const HIT_INVULNERABILITY = 1500;
+
+/** @const {number} Distance a hit pushes the player away from the jumper */
+const KNOCKBACK_DISTANCE = 1.5;
+
+/** @const {number} Distance at which the player collects a health pickup */
+const HEALTH_PICKUP_RANGE = 1.5;
+
+/** @const {number} Hit points restored by a health pickup */
+const HEALTH_PICKUP_AMOUNT = 1;
+
+/** @const {Object} Distance to the exit that counts as reaching it, per mode */
+const EXIT_RADIUS = { hunt: 1.2, survival: 2.0 };
+
+/** @const {Object} How far each kind of noise carries (steps through open cells) */
+const NOISE_RADIUS = { footstep: 3, knife: 4, gunshot: 32, explosion: 40 };
+
+/** @const {number} Time between footstep noises while moving (ms) */
+const FOOTSTEP_INTERVAL = 600;
+
+/** @const {number} Speed above which the player's steps make noise (units per tick) */
+const FOOTSTEP_SPEED = 0.05;
+
+/** @const {number} Ticks a jumper searches at a noise's source before heading home */
+const INVESTIGATE_TICKS = 240;
+
+/** @const {number} Steps through the maze within which an investigating jumper spots the player */
+const INVESTIGATE_SPOT_CELLS = 2;
+
+/**
+ * @const {Object} Enemy eyesight
+ * - range: farthest a jumper sees (world units)
+ * - halfAngle: half the width of the vision cone around its facing (radians)
+ * - nearRange: within this a jumper notices the player whichever way it faces
+ * - chaseRange: how far a chasing jumper keeps track of the player in plain sight
+ */
+const VISION = { range: 7, halfAngle: Math.PI / 4, nearRange: 1.0, chaseRange: 10 };
+
+/**
+ * @const {Object} Suspicion meter (0-1, full = chase)
+ * - riseFar / riseNear: gain per tick while seen at the edge of range / up close
+ * - decay: loss per tick while the player is out of sight
+ */
+const SUSPICION = { riseFar: 0.015, riseNear: 0.06, decay: 0.004 };
+
+/** @const {number} How fast a searching jumper looks around once it arrives (radians per tick) */
+const SEARCH_TURN_RATE = 0.03;
+
+/** @const {number} Delay before the hunt victory after the last kill (ms) */
+const KILL_EVENT_DELAY = 500;
+
+/**
+ * @const {Object} Survival AI director tuning
+ * Intensity (0-1) tracks how hard the player is being pushed: kills, hits
+ * taken and enemies close by raise it; it decays once nothing has threatened
+ * the player for threatGrace ms and never drops below the stress of missing
+ * hearts. Reaching peakIntensity starts a lull (no spawns for at least
+ * lullDuration, and until intensity falls to relaxIntensity); otherwise the
+ * director sends a wave every waveInterval, or a surge when the player has
+ * been left alone for surgeAfter ms.
+ * - nearbyCells: steps through the maze that count as "close by"
+ * - nearbyStress: intensity per close enemy per tick
+ * - healthStress: intensity floor at zero hearts (scaled by hearts missing)
+ * - decayPerSecond: intensity lost per second once calm
+ * - minSpawnCells / spawnChoices: spawns happen out of sight, at least
+ *   minSpawnCells away, in one of the spawnChoices nearest such corridors
+ */
+const DIRECTOR_SETTINGS = {
+    killStress: 0.12,
+    damageStress: 0.35,
+    nearbyCells: 6,
+    nearbyStress: 0.0015,
+    healthStress: 0.4,
+    threatGrace: 3000,
+    decayPerSecond: 0.08,
+    peakIntensity: 0.85,
+    relaxIntensity: 0.3,
+    lullDuration: 8000,
+    waveInterval: 7000,
+    waveSize: { min: 2, max: 3 },
+    surgeAfter: 15000,
+    surgeSize: 5,
+    minSpawnCells: 8,
+    spawnChoices: 6
+};
+
+/** @const {number} Survival: most enemies the director keeps alive at once */
+const DEFAULT_MAX_ENEMIES = 24;
+
+/** @const {number} Delay between the last hunt kill and the boss landing (ms) */
+const BOSS_SPAWN_DELAY = 1500;
+
+/** @const {number} Closest the boss may land to the player (world units) */
+const BOSS_SPAWN_CLEARANCE = 4;
+
+/** @const {Object} Lane tolerance used for contact, knife and bullet hits */
+const LANE_HIT = { tolerance: 0.8, margin: 0.5 };
+
+/** @const {Object} Wider lane tolerance used when a jumper looks for the player */
+const LANE_SIGHT = { tolerance: 1.2, margin: 1.0 };
+
+/**
+ * Straight-line distance between two positions (all three axes)
+ * @param {Object} a - Position {x, y, z}
+ * @param {Object} b - Position {x, y, z}
+ * @returns {number} Distance
+ */
+function distanceBetween(a, b) {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    const dz = a.z - b.z;
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+/**
+ * Distance between two positions on the ground plane (x/z only)
+ * @param {Object} a - Position {x, z}
+ * @param {Object} b - Position {x, z}
+ * @returns {number} Distance
+ */
+function planarDistance(a, b) {
+    const dx = a.x - b.x;
+    const dz = a.z - b.z;
+    return Math.sqrt(dx * dx + dz * dz);
+}
+
+// ============================================================================
+// SEEDED RANDOM NUMBER GENERATION
+// ============================================================================
+
+/**
+ * Creates a deterministic pseudo-random number generator (mulberry32)
+ * Same seed always yields the same sequence of numbers
+ * @param {number} seed - 32-bit unsigned integer seed
+ * @returns {Function} Generator returning floats in the range [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Creates the PRNG for everything spawned after the world is built
+ * (survival waves, splitter children, the hunt boss and its minions).
+ * A stream of its own keeps those rolls the same whether or not the
+ * browser-only pickups drew from the world stream first.
+ * @param {number} seed - World seed
+ * @returns {Function} Generator returning floats in the range [0, 1)
+ */
+function createSpawnRandom(seed) {
+    return createSeededRandom((seed ^ 0x9E3779B9) >>> 0);
+}
+
+/**
+ * Converts a seed string to a 32-bit unsigned integer
+ * Numeric strings are used as-is, any other text is hashed (FNV-1a)
+ * @param {string} value - Raw seed text
+ * @returns {number|null} Seed value or null if the text is empty
+ */
+function parseSeed(value) {
+    if (value === null || value === undefined) return null;
+
+    const text = String(value).trim();
+    if (text === '') return null;
+
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Shuffles an array in place using the seeded world PRNG (Fisher-Yates)
+ * @param {Array} items - Array to shuffle
+ * @param {Function} random - PRNG returning floats in [0, 1)
+ * @returns {Array} The same array, shuffled
+ */
+function shuffleInPlace(items, random) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+// ============================================================================
+// MAZE GENERATOR REGISTRY
+// ============================================================================
+
+/**
+ * Lists the carvable maze cells (odd coordinates inside the outer wall)
+ * Every generator connects these cells through the walls between them
+ * @param {number} width - Grid width (x cells)
+ * @param {number} depth - Grid depth (z cells)
+ * @returns {Array<Array<number>>} Array of [x, z] cell coordinates
+ */
+function getMazeCells(width, depth) {
+    const cells = [];
+    for (let x = 1; x < width - 1; x += 2) {
+        for (let z = 1; z < depth - 1; z += 2) {
+            cells.push([x, z]);
+        }
+    }
+    return cells;
+}
+
+/**
+ * Recursive backtracker (depth-first search)
+ * Long winding corridors with few branches and many dead ends
+ * @param {Array<Array<number>>} grid - Wall-filled grid to carve into
+ * @param {number} width - Grid width
+ * @param {number} depth - Grid depth
+ * @param {Function} random - Seeded PRNG
+ * @returns {void}
+ */
+function carveRecursiveBacktracker(grid, width, depth, random) {
+    const stack = [];
+    const visited = new Set();
+    
+    /**
+     * Gets unvisited neighboring cells at distance 2 (creating corridors)
+     * @param {number} x - Current X coordinate
+     * @param {number} y - Current Y coordinate
+     * @returns {Array<Array<number>>} Array of [neighborX, neighborY, wallX, wallY]
+     */
+    function getNeighbors(x, y) {
+        const neighbors = [];
+        const directions = [[0, 2], [2, 0], [0, -2], [-2, 0]];
+        
+        for (const [dx, dy] of directions) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx >= 1 && nx < width - 1 && ny >= 1 && ny < depth - 1) {
+                const key = `${nx},${ny}`;
+                if (!visited.has(key)) {
+                    neighbors.push([nx, ny, x + dx/2, y + dy/2]);
+                }
+            }
+        }
+        return neighbors;
+    }
+    
+    // Begin maze carving from entrance position
+    let current = [1, 1];
+    visited.add('1,1');
+    grid[1][1] = 0;
+    
+    while (true) {
+        const neighbors = getNeighbors(current[0], current[1]);
+        
+        if (neighbors.length > 0) {
+            // Choose random neighbor
+            const [nx, ny, wallX, wallY] = neighbors[Math.floor(random() * neighbors.length)];
+            
+            // Clear the wall between current and neighbor
+            grid[wallX][wallY] = 0;
+            grid[nx][ny] = 0;
+            
+            visited.add(`${nx},${ny}`);
+            stack.push(current);
+            current = [nx, ny];
+        } else if (stack.length > 0) {
+            current = stack.pop();
+        } else {
+            break;
+        }
+    }
+}
+
+/**
+ * Randomized Prim's algorithm
+ * Grows the maze outward from the entrance, giving short branchy corridors
+ * @param {Array<Array<number>>} grid - Wall-filled grid to carve into
+ * @param {number} width - Grid width
+ * @param {number} depth - Grid depth
+ * @param {Function} random - Seeded PRNG
+ * @returns {void}
+ */
+function carveRandomizedPrim(grid, width, depth, random) {
+    const inMaze = new Set();
+    const frontier = [];
+    const frontierKeys = new Set();
+    const directions = [[0, 2], [2, 0], [0, -2], [-2, 0]];
+    
+    const isCell = (x, z) => x >= 1 && x < width - 1 && z >= 1 && z < depth - 1;
+    
+    function addCell(x, z) {
+        inMaze.add(`${x},${z}`);
+        grid[x][z] = 0;
+        
+        for (const [dx, dz] of directions) {
+            const nx = x + dx;
+            const nz = z + dz;
+            const key = `${nx},${nz}`;
+            if (isCell(nx, nz) && !inMaze.has(key) && !frontierKeys.has(key)) {
+                frontier.push([nx, nz]);
+                frontierKeys.add(key);
+            }
+        }
+    }
+    
+    addCell(1, 1);
+    
+    while (frontier.length > 0) {
+        // Pick a random frontier cell (swap-remove keeps this O(1))
+        const index = Math.floor(random() * frontier.length);
+        const [x, z] = frontier[index];
+        frontier[index] = frontier[frontier.length - 1];
+        frontier.pop();
+        frontierKeys.delete(`${x},${z}`);
+        
+        // Connect it to a random neighbor that is already part of the maze
+        const connections = directions.filter(([dx, dz]) => inMaze.has(`${x + dx},${z + dz}`));
+        const [dx, dz] = connections[Math.floor(random() * connections.length)];
+        grid[x + dx / 2][z + dz / 2] = 0;
+        
+        addCell(x, z);
+    }
+}
+
+/**
+ * Randomized Kruskal's algorithm
+ * Joins random cell pairs across the whole grid, giving many short dead ends
+ * @param {Array<Array<number>>} grid - Wall-filled grid to carve into
+ * @param {number} width - Grid width
+ * @param {number} depth - Grid depth
+ * @param {Function} random - Seeded PRNG
+ * @returns {void}
+ */
+function carveKruskal(grid, width, depth, random) {
+    const cells = getMazeCells(width, depth);
+    const parent = new Map();
+    const edges = [];
+    
+    cells.forEach(([x, z]) => {
+        const key = `${x},${z}`;
+        parent.set(key, key);
+        grid[x][z] = 0;
+        
+        if (x + 2 < width - 1) edges.push([x, z, x + 2, z]);
+        if (z + 2 < depth - 1) edges.push([x, z, x, z + 2]);
+    });
+    
+    // Union-find with path halving
+    function find(key) {
+        while (parent.get(key) !== key) {
+            parent.set(key, parent.get(parent.get(key)));
+            key = parent.get(key);
+        }
+        return key;
+    }
+    
+    shuffleInPlace(edges, random);
+    
+    for (const [ax, az, bx, bz] of edges) {
+        const rootA = find(`${ax},${az}`);
+        const rootB = find(`${bx},${bz}`);
+        if (rootA !== rootB) {
+            parent.set(rootA, rootB);
+            grid[(ax + bx) / 2][(az + bz) / 2] = 0;
+        }
+    }
+}
+
+/**
+ * Eller's algorithm
+ * Builds the maze one row at a time, giving long horizontal runs
+ * @param {Array<Array<number>>} grid - Wall-filled grid to carve into
+ * @param {number} width - Grid width
+ * @param {number} depth - Grid depth
+ * @param {Function} random - Seeded PRNG
+ * @returns {void}
+ */
+function carveEller(grid, width, depth, random) {
+    const columns = [];
+    for (let x = 1; x < width - 1; x += 2) columns.push(x);
+    const rows = [];
+    for (let z = 1; z < depth - 1; z += 2) rows.push(z);
+    
+    let rowSets = new Array(columns.length).fill(0);
+    let nextSetId = 1;
+    
+    rows.forEach((z, rowIndex) => {
+        const isLastRow = rowIndex === rows.length - 1;
+        
+        // Give every cell without a set its own set
+        for (let c = 0; c < columns.length; c++) {
+            if (!rowSets[c]) rowSets[c] = nextSetId++;
+            grid[columns[c]][z] = 0;
+        }
+        
+        // Randomly join horizontal neighbors in different sets (all of them on the last row)
+        for (let c = 0; c < columns.length - 1; c++) {
+            if (rowSets[c] === rowSets[c + 1]) continue;
+            if (isLastRow || random() < 0.5) {
+                grid[columns[c] + 1][z] = 0;
+                const mergedSet = rowSets[c + 1];
+                const keptSet = rowSets[c];
+                rowSets = rowSets.map(setId => setId === mergedSet ? keptSet : setId);
+            }
+        }
+        
+        if (isLastRow) return;
+        
+        // Every set needs at least one vertical connection down to the next row
+        const nextRowSets = new Array(columns.length).fill(0);
+        const bySet = new Map();
+        rowSets.forEach((setId, c) => {
+            if (!bySet.has(setId)) bySet.set(setId, []);
+            bySet.get(setId).push(c);
+        });
+        
+        bySet.forEach((members, setId) => {
+            shuffleInPlace(members, random);
+            const dropCount = 1 + Math.floor(random() * members.length);
+            for (let i = 0; i < dropCount; i++) {
+                const c = members[i];
+                grid[columns[c]][z + 1] = 0;
+                nextRowSets[c] = setId;
+            }
+        });
+        
+        rowSets = nextRowSets;
+    });
+}
+
+/**
+ * Rooms-and-corridors generator
+ * Scatters open rooms and links them with L-shaped one-cell corridors
+ * @param {Array<Array<number>>} grid - Wall-filled grid to carve into
+ * @param {number} width - Grid width
+ * @param {number} depth - Grid depth
+ * @param {Function} random - Seeded PRNG
+ * @returns {void}
+ */
+function carveRoomsAndCorridors(grid, width, depth, random) {
+    const rooms = [];
+    const roomAttempts = 60;
+    const maxRooms = Math.max(4, Math.floor((width * depth) / 80));
+    
+    const randomOdd = (min, max) => {
+        const count = Math.floor((max - min) / 2) + 1;
+        return min + 2 * Math.floor(random() * count);
+    };
+    
+    for (let attempt = 0; attempt < roomAttempts && rooms.length < maxRooms; attempt++) {
+        const roomWidth = randomOdd(3, 7);
+        const roomDepth = randomOdd(3, 7);
+        const maxX = width - 2 - roomWidth;
+        const maxZ = depth - 2 - roomDepth;
+        if (maxX < 1 || maxZ < 1) continue;
+        
+        const room = {
+            x: randomOdd(1, maxX),
+            z: randomOdd(1, maxZ),
+            width: roomWidth,
+            depth: roomDepth
+        };
+        
+        // Keep at least one wall between rooms
+        const overlaps = rooms.some(other =>
+            room.x <= other.x + other.width &&
+            room.x + room.width >= other.x &&
+            room.z <= other.z + other.depth &&
+            room.z + room.depth >= other.z
+        );
+        if (overlaps) continue;
+        
+        rooms.push(room);
+        for (let x = room.x; x < room.x + room.width; x++) {
+            for (let z = room.z; z < room.z + room.depth; z++) {
+                grid[x][z] = 0;
+            }
+        }
+    }
+    
+    const centerOf = room => [
+        room.x + Math.floor(room.width / 2),
+        room.z + Math.floor(room.depth / 2)
+    ];
+    
+    // Carves a straight axis-aligned run of open cells (inclusive)
+    function carveLine(ax, az, bx, bz) {
+        for (let x = Math.min(ax, bx); x <= Math.max(ax, bx); x++) {
+            for (let z = Math.min(az, bz); z <= Math.max(az, bz); z++) {
+                grid[x][z] = 0;
+            }
+        }
+    }
+    
+    // L-shaped corridor, randomly horizontal-first or vertical-first for variety
+    function carveCorridor([ax, az], [bx, bz]) {
+        const horizontalFirst = random() < 0.5;
+        const cornerX = horizontalFirst ? bx : ax;
+        const cornerZ = horizontalFirst ? az : bz;
+        carveLine(ax, az, cornerX, cornerZ);
+        carveLine(cornerX, cornerZ, bx, bz);
+    }
+    
+    // Chain spawn -> rooms (sorted toward the exit) -> exit corner
+    rooms.sort((a, b) => (a.x + a.z) - (b.x + b.z));
+    const waypoints = [[1, 1], ...rooms.map(centerOf), [width - 2, depth - 2]];
+    for (let i = 0; i < waypoints.length - 1; i++) {
+        carveCorridor(waypoints[i], waypoints[i + 1]);
+    }
+    
+    // A few extra links between random rooms so the layout isn't a single chain
+    const extraLinks = Math.floor(rooms.length / 3);
+    for (let i = 0; i < extraLinks; i++) {
+        const a = rooms[Math.floor(random() * rooms.length)];
+        const b = rooms[Math.floor(random() * rooms.length)];
+        if (a !== b) carveCorridor(centerOf(a), centerOf(b));
+    }
+}
+
+/**
+ * @const {Object} Maze generator registry
+ * Every entry carves the same maze[x][z] 0/1 grid (0 = path, 1 = wall)
+ * starting from a grid filled with walls
+ */
+const MAZE_GENERATORS = {
+    backtracker: { id: 'backtracker', name: 'Recursive Backtracker', generate: carveRecursiveBacktracker },
+    prim: { id: 'prim', name: 'Randomized Prim', generate: carveRandomizedPrim },
+    kruskal: { id: 'kruskal', name: 'Randomized Kruskal', generate: carveKruskal },
+    eller: { id: 'eller', name: "Eller's Algorithm", generate: carveEller },
+    rooms: { id: 'rooms', name: 'Rooms & Corridors', generate: carveRoomsAndCorridors }
+};
+
+// ============================================================================
+// MAZE BRAIDING & CONNECTIVITY
+// ============================================================================
+
+/** @const {Array<Array<number>>} Orthogonal grid directions as [dx, dz] */
+const GRID_DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+/**
+ * Checks whether a grid cell is open floor
+ * Out-of-bounds cells count as walls
+ * @param {Array<Array<number>>} grid - Maze grid (0 = path, 1 = wall)
+ * @param {number} x - Grid X
+ * @param {number} z - Grid Z
+ * @returns {boolean} True if the cell is walkable
+ */
+function isOpenCell(grid, x, z) {
+    return x >= 0 && x < grid.length && z >= 0 && z < grid[0].length && grid[x][z] === 0;
+}
+
+/**
+ * Counts the open orthogonal neighbors of a cell
+ * @param {Array<Array<number>>} grid - Maze grid
+ * @param {number} x - Grid X
+ * @param {number} z - Grid Z
+ * @returns {number} Number of open neighbors (0-4)
+ */
+function countOpenNeighbors(grid, x, z) {
+    return GRID_DIRECTIONS.filter(([dx, dz]) => isOpenCell(grid, x + dx, z + dz)).length;
+}
+
+/**
+ * Lists every dead end (open cell with exactly one open neighbor)
+ * @param {Array<Array<number>>} grid - Maze grid
+ * @returns {Array<Array<number>>} Array of [x, z] dead-end cells
+ */
+function findDeadEnds(grid) {
+    const deadEnds = [];
+    for (let x = 1; x < grid.length - 1; x++) {
+        for (let z = 1; z < grid[0].length - 1; z++) {
+            if (grid[x][z] === 0 && countOpenNeighbors(grid, x, z) === 1) {
+                deadEnds.push([x, z]);
+            }
+        }
+    }
+    return deadEnds;
+}
+
+/**
+ * Braids the maze by removing a percentage of dead ends
+ * Each chosen dead end knocks down one wall into a neighboring corridor,
+ * turning the dead end into a loop. Walls that lead into another dead end
+ * are preferred so a single opening removes two dead ends at once.
+ * 
+ * @param {Array<Array<number>>} grid - Maze grid to modify in place
+ * @param {number} density - Fraction of dead ends to remove (0 = perfect maze, 1 = fully braided)
+ * @param {Function} random - Seeded PRNG
+ * @returns {number} Number of walls opened
+ */
+function braidMaze(grid, density, random) {
+    if (density <= 0) return 0;
+    
+    const width = grid.length;
+    const depth = grid[0].length;
+    const deadEnds = shuffleInPlace(findDeadEnds(grid), random);
+    const targetCount = Math.round(deadEnds.length * Math.min(1, density));
+    let opened = 0;
+    
+    for (let i = 0; i < targetCount; i++) {
+        const [x, z] = deadEnds[i];
+        
+        // An earlier opening may already have fixed this one
+        if (countOpenNeighbors(grid, x, z) !== 1) continue;
+        
+        // Candidate walls: a wall cell with open floor directly behind it
+        const candidates = [];
+        for (const [dx, dz] of GRID_DIRECTIONS) {
+            const wallX = x + dx;
+            const wallZ = z + dz;
+            const beyondX = x + dx * 2;
+            const beyondZ = z + dz * 2;
+            
+            if (wallX <= 0 || wallX >= width - 1 || wallZ <= 0 || wallZ >= depth - 1) continue;
+            if (grid[wallX][wallZ] !== 1 || !isOpenCell(grid, beyondX, beyondZ)) continue;
+            
+            candidates.push({
+                x: wallX,
+                z: wallZ,
+                joinsDeadEnd: countOpenNeighbors(grid, beyondX, beyondZ) === 1
+            });
+        }
+        
+        if (candidates.length === 0) continue;
+        
+        const preferred = candidates.filter(candidate => candidate.joinsDeadEnd);
+        const pool = preferred.length > 0 ? preferred : candidates;
+        const wall = pool[Math.floor(random() * pool.length)];
+        grid[wall.x][wall.z] = 0;
+        opened++;
+    }
+    
+    return opened;
+}
+
+/**
+ * Breadth-first flood fill over open cells
+ * @param {Array<Array<number>>} grid - Maze grid
+ * @param {number} startX - Start grid X
+ * @param {number} startZ - Start grid Z
+ * @returns {Array<Array<number>>} Step distance to every cell (-1 = unreachable)
+ */
+function floodFillMaze(grid, startX, startZ) {
+    const width = grid.length;
+    const depth = grid[0].length;
+    const distances = [];
+    for (let x = 0; x < width; x++) {
+        distances[x] = new Array(depth).fill(-1);
+    }
+    
+    if (!isOpenCell(grid, startX, startZ)) return distances;
+    
+    const queue = [[startX, startZ]];
+    distances[startX][startZ] = 0;
+    
+    for (let head = 0; head < queue.length; head++) {
+        const [x, z] = queue[head];
+        for (const [dx, dz] of GRID_DIRECTIONS) {
+            const nx = x + dx;
+            const nz = z + dz;
+            if (isOpenCell(grid, nx, nz) && distances[nx][nz] === -1) {
+                distances[nx][nz] = distances[x][z] + 1;
+                queue.push([nx, nz]);
+            }
+        }
+    }
+    
+    return distances;
+}
+
+// ============================================================================
+// MAZE COORDINATE CONVERSION
+// ============================================================================
+
+/**
+ * Converts a grid column to world X (center of the wall block)
+ * @param {Object} layout - Maze layout ({ width, depth })
+ * @param {number} gridX - Grid X index
+ * @returns {number} World X coordinate
+ */
+function gridToWorldX(layout, gridX) {
+    return gridX - layout.width / 2;
+}
+
+/**
+ * Converts a grid row to world Z (center of the wall block)
+ * @param {Object} layout - Maze layout ({ width, depth })
+ * @param {number} gridZ - Grid Z index
+ * @returns {number} World Z coordinate
+ */
+function gridToWorldZ(layout, gridZ) {
+    return gridZ - layout.depth / 2;
+}
+
+/**
+ * Converts world X to the grid column used for collision
+ * @param {Object} layout - Maze layout ({ width, depth })
+ * @param {number} worldX - World X coordinate
+ * @returns {number} Grid X index (may be out of bounds)
+ */
+function worldToGridX(layout, worldX) {
+    return Math.floor(worldX + layout.width / 2);
+}
+
+/**
+ * Converts world Z to the grid row used for collision
+ * @param {Object} layout - Maze layout ({ width, depth })
+ * @param {number} worldZ - World Z coordinate
+ * @returns {number} Grid Z index (may be out of bounds)
+ */
+function worldToGridZ(layout, worldZ) {
+    return Math.floor(worldZ + layout.depth / 2);
+}
+
+/**
+ * Checks whether grid indices lie inside the maze
+ * @param {Object} layout - Maze layout ({ width, depth })
+ * @param {number} gridX - Grid X index
+ * @param {number} gridZ - Grid Z index
+ * @returns {boolean} True if inside the grid
+ */
+function isInsideMaze(layout, gridX, gridZ) {
+    return gridX >= 0 && gridX < layout.width && gridZ >= 0 && gridZ < layout.depth;
+}
+
+/**
+ * Gets the grid cell the player spawns in
+ * @returns {Array<number>} [x, z] grid cell
+ */
+function getSpawnCell() {
+    return [1, 1];
+}
+
+/**
+ * Gets the grid cell of the exit (UFO beam / door)
+ * @param {Object} layout - Maze layout ({ width, depth })
+ * @returns {Array<number>} [x, z] grid cell
+ */
+function getExitCell(layout) {
+    return [layout.width - 2, layout.depth - 2];
+}
+
+/**
+ * Gets the grid cell the pistol pickup sits in
+ * Scales with the maze so the pickup stays in the same relative spot
+ * (cell 9,18 on the classic 30x30 maze)
+ * @param {Object} layout - Maze layout ({ width, depth })
+ * @returns {Array<number>} [x, z] grid cell
+ */
+function getPistolCell(layout) {
+    return [Math.floor(layout.width * 0.3), Math.floor(layout.depth * 0.6)];
+}
+
+/**
+ * Gets the world position the player spawns at
+ * @param {Object} layout - Maze layout ({ width, depth })
+ * @param {number} [y=PLAYER_HEIGHT] - Height to use
+ * @returns {Object} Spawn position {x, y, z}
+ */
+function getSpawnPosition(layout, y = PLAYER_HEIGHT) {
+    return { x: -layout.width / 2 + 1.5, y: y, z: -layout.depth / 2 + 1.5 };
+}
+
+/**
+ * Gets the world position of the exit (UFO beam / door)
+ * @param {Object} layout - Maze layout ({ width, depth })
+ * @returns {Object} Exit position on the ground {x, y, z}
+ */
+function getExitPosition(layout) {
+    return { x: layout.width / 2 - 1.5, y: 0, z: layout.depth / 2 - 1.5 };
+}
+
+/**
+ * Gets the world position of the pistol pickup
+ * @param {Object} layout - Maze layout ({ width, depth })
+ * @returns {Object} Pickup position {x, y, z}
+ */
+function getPistolPosition(layout) {
+    const [pistolX, pistolZ] = getPistolCell(layout);
+    return { x: gridToWorldX(layout, pistolX), y: 0.5, z: gridToWorldZ(layout, pistolZ) };
+}
+
+// ============================================================================
+// MAZE LAYOUT BUILDING, REPAIR & VALIDATION
+// ============================================================================
+
+/**
+ * Gets the grid cells every maze layout must connect
+ * @param {Object} layout - Maze layout ({ width, depth })
+ * @returns {Array<Object>} Required cells ({name, cell: [x, z]}), spawn first
+ */
+function getRequiredMazeCells(layout) {
+    return [
+        { name: 'spawn', cell: getSpawnCell() },
+        { name: 'pistol', cell: getPistolCell(layout) },
+        { name: 'exit', cell: getExitCell(layout) }
+    ];
+}
+
+/**
+ * Validates that the player spawn can reach the pistol and the exit
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @returns {boolean} True if every required cell is connected to spawn
+ */
+function validateMazeConnectivity(layout) {
+    const [spawnX, spawnZ] = getSpawnCell();
+    const distances = floodFillMaze(layout.grid, spawnX, spawnZ);
+    return getRequiredMazeCells(layout).every(({ cell: [x, z] }) => distances[x][z] !== -1);
+}
+
+/**
+ * Finds the shortest tunnel from a cut-off cell to the reachable region
+ * Walks through walls inside the outer border and stops at the first cell
+ * the spawn flood fill reached
+ * @param {Array<Array<number>>} grid - Maze grid
+ * @param {Array<Array<number>>} distances - Flood fill from spawn
+ * @param {number} startX - Cut-off cell X
+ * @param {number} startZ - Cut-off cell Z
+ * @returns {Array<Array<number>>} Cells to open, from the cut-off cell outward (empty if none found)
+ */
+function findRepairTunnel(grid, distances, startX, startZ) {
+    const width = grid.length;
+    const depth = grid[0].length;
+    const previous = new Map();
+    const key = (x, z) => x * depth + z;
+    previous.set(key(startX, startZ), null);
+    const queue = [[startX, startZ]];
+    
+    for (let head = 0; head < queue.length; head++) {
+        const [x, z] = queue[head];
+        if (distances[x][z] !== -1) {
+            const path = [];
+            for (let k = key(x, z); k !== null; k = previous.get(k)) {
+                path.unshift([Math.floor(k / depth), k % depth]);
+            }
+            return path;
+        }
+        for (const [dx, dz] of GRID_DIRECTIONS) {
+            const nx = x + dx;
+            const nz = z + dz;
+            if (nx < 1 || nx > width - 2 || nz < 1 || nz > depth - 2) continue;
+            if (previous.has(key(nx, nz))) continue;
+            previous.set(key(nx, nz), key(x, z));
+            queue.push([nx, nz]);
+        }
+    }
+    return [];
+}
+
+/**
+ * Repairs a maze grid so every required cell is reachable from spawn
+ * Cut-off required cells get a tunnel carved to the reachable region;
+ * any other open pocket spawn cannot reach is filled back in with walls
+ * so no enemy lane or pickup can be placed inside it
+ * @param {Object} layout - Maze layout ({ grid, width, depth }), grid modified in place
+ * @returns {number} Number of cells changed
+ */
+function repairMazeLayout(layout) {
+    const grid = layout.grid;
+    const [spawnX, spawnZ] = getSpawnCell();
+    let changed = 0;
+    let distances = floodFillMaze(grid, spawnX, spawnZ);
+
+    getRequiredMazeCells(layout).forEach(({ cell: [x, z] }) => {
+        if (distances[x][z] !== -1) return;
+        findRepairTunnel(grid, distances, x, z).forEach(([tx, tz]) => {
+            if (grid[tx][tz] === 1) {
+                grid[tx][tz] = 0;
+                changed++;
+            }
+        });
+        distances = floodFillMaze(grid, spawnX, spawnZ);
+    });
+
+    for (let x = 0; x < grid.length; x++) {
+        for (let z = 0; z < grid[x].length; z++) {
+            if (grid[x][z] === 0 && distances[x][z] === -1) {
+                grid[x][z] = 1;
+                changed++;
+            }
+        }
+    }
+
+    return changed;
+}
+
+/**
+ * Carves an L-shaped corridor between two interior cells
+ * Runs along x first, then along z, so it never opens the outer wall
+ * @param {Array<Array<number>>} grid - Maze grid, modified in place
+ * @param {Array<number>} from - [x, z] start cell
+ * @param {Array<number>} to - [x, z] end cell
+ * @returns {number} Number of walls opened
+ */
+function carveCorridor(grid, [fromX, fromZ], [toX, toZ]) {
+    let opened = 0;
+    const open = (x, z) => {
+        if (grid[x][z] === 1) {
+            grid[x][z] = 0;
+            opened++;
+        }
+    };
+
+    const stepX = Math.sign(toX - fromX);
+    for (let x = fromX; x !== toX; x += stepX) open(x, fromZ);
+    const stepZ = Math.sign(toZ - fromZ);
+    for (let z = fromZ; z !== toZ; z += stepZ) open(toX, z);
+    open(toX, toZ);
+    return opened;
+}
+
+/**
+ * Builds one candidate maze grid with the chosen generator
+ * Carves corridors, adds noise branches, clears the exit corner and
+ * pistol area, then braids loops
+ * @param {Object} options - Generation options
+ * @param {number} options.width - Grid width
+ * @param {number} options.depth - Grid depth
+ * @param {string} options.algorithm - MAZE_GENERATORS key
+ * @param {number} options.braidDensity - Fraction of dead ends to braid (0-1)
+ * @param {Function} options.random - Seeded PRNG
+ * @returns {Object} { grid, generator, openedWalls }
+ */
+function buildMazeGrid({ width, depth, algorithm, braidDensity, random }) {
+    const layout = { grid: [], width: width, depth: depth };
+    const grid = layout.grid;
+
+    // Initialize grid with all walls
+    for (let i = 0; i < width; i++) {
+        grid[i] = [];
+        for (let j = 0; j < depth; j++) {
+            grid[i][j] = 1;
+        }
+    }
+
+    // Carve corridors with the selected generator
+    const generator = MAZE_GENERATORS[algorithm] || MAZE_GENERATORS.backtracker;
+    generator.generate(grid, width, depth, random);
+
+    // Add some random dead ends and false paths for confusion
+    for (let attempts = 0; attempts < 15; attempts++) {
+        const x = Math.floor(random() * (width - 4)) + 2;
+        const y = Math.floor(random() * (depth - 4)) + 2;
+
+        if (grid[x][y] === 1) {
+            // Create a small dead end branch
+            grid[x][y] = 0;
+            if (random() > 0.5 && x + 1 < width - 1) grid[x + 1][y] = 0;
+            if (random() > 0.5 && y + 1 < depth - 1) grid[x][y + 1] = 0;
+        }
+    }
+
+    // Ensure path to exit exists - clear final area
+    grid[width - 2][depth - 2] = 0;
+    grid[width - 2][depth - 3] = 0;
+    grid[width - 3][depth - 2] = 0;
+    grid[width - 3][depth - 3] = 0;
+
+    // Clear a small area around the pistol location
+    const [pistolMazeX, pistolMazeZ] = getPistolCell(layout);
+    for (let dx = -1; dx <= 1; dx++) {
+        for (let dz = -1; dz <= 1; dz++) {
+            const x = pistolMazeX + dx;
+            const z = pistolMazeZ + dz;
+            if (isInsideMaze(layout, x, z)) {
+                grid[x][z] = 0;
+            }
+        }
+    }
+
+    // Braid: open a share of the dead ends into loops
+    const openedWalls = braidMaze(grid, braidDensity, random);
+
+    return { grid, generator, openedWalls };
+}
+
+/**
+ * Generates a validated maze layout
+ * Builds a grid, repairs cut-off cells and retries if validation still fails;
+ * when every attempt fails it falls back to the backtracker with corridors
+ * carved from spawn, so the returned layout is always connected
+ * @param {Object} options - Generation options
+ * @param {number} options.width - Grid width
+ * @param {number} options.depth - Grid depth
+ * @param {string} [options.algorithm='backtracker'] - MAZE_GENERATORS key
+ * @param {number} [options.braidDensity=0] - Fraction of dead ends to braid (0-1)
+ * @param {Function} options.random - Seeded PRNG
+ * @returns {Object} Layout { grid, width, depth, generator, openedWalls, repairs, attempts, valid }
+ */
+function generateMazeLayout({ width, depth, algorithm = 'backtracker', braidDensity = 0, random }) {
+    const maxAttempts = 5;
+    let layout = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const built = buildMazeGrid({ width, depth, algorithm, braidDensity, random });
+        layout = {
+            grid: built.grid,
+            width: width,
+            depth: depth,
+            generator: built.generator,
+            openedWalls: built.openedWalls,
+            repairs: 0,
+            attempts: attempt,
+            valid: false
+        };
+        layout.repairs = repairMazeLayout(layout);
+        layout.valid = validateMazeConnectivity(layout);
+        if (layout.valid) break;
+    }
+
+    // Still cut off (e.g. the generator walled in the spawn): rebuild with the
+    // backtracker and carve straight corridors from spawn to every required cell
+    if (!layout.valid) {
+        const built = buildMazeGrid({ width, depth, algorithm: 'backtracker', braidDensity, random });
+        const spawn = getSpawnCell();
+        layout.grid = built.grid;
+        layout.generator = built.generator;
+        layout.openedWalls = built.openedWalls;
+        layout.repairs = getRequiredMazeCells(layout)
+            .reduce((opened, { cell }) => opened + carveCorridor(layout.grid, spawn, cell), 0);
+        layout.repairs += repairMazeLayout(layout);
+        layout.valid = validateMazeConnectivity(layout);
+    }
+
+    return layout;
+}
+
+// ============================================================================
+// COLLISION DETECTION
+// ============================================================================
+
+/**
+ * Player collision test against the maze walls
+ * Blocks the grid cell under the position and 8 points on a square of
+ * PLAYER_RADIUS around it, so the body can never overlap a wall
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Object} position - World position {x, z}
+ * @returns {boolean} True if the position is blocked
+ */
+function isWallAt(layout, position) {
+    // Convert world position to grid coordinates
+    const gridX = worldToGridX(layout, position.x);
+    const gridZ = worldToGridZ(layout, position.z);
+
+    // SOLID boundary - can't go outside maze
+    if (!isInsideMaze(layout, gridX, gridZ)) {
+        return true;
+    }
+
+    // SOLID walls - if center is in wall, blocked
+    if (layout.grid[gridX][gridZ] === 1) {
+        return true;
+    }
+
+    // SOLID edge checking - player body can't overlap walls
+    const playerGridX = position.x + layout.width / 2;
+    const playerGridZ = position.z + layout.depth / 2;
+
+    // Check 8 points around player (not just 4 corners) for SOLID collision
+    const checkPoints = [
+        { x: playerGridX - PLAYER_RADIUS, z: playerGridZ - PLAYER_RADIUS }, // SW
+        { x: playerGridX + PLAYER_RADIUS, z: playerGridZ - PLAYER_RADIUS }, // SE
+        { x: playerGridX - PLAYER_RADIUS, z: playerGridZ + PLAYER_RADIUS }, // NW
+        { x: playerGridX + PLAYER_RADIUS, z: playerGridZ + PLAYER_RADIUS }, // NE
+        { x: playerGridX - PLAYER_RADIUS, z: playerGridZ },                 // W
+        { x: playerGridX + PLAYER_RADIUS, z: playerGridZ },                 // E
+        { x: playerGridX, z: playerGridZ - PLAYER_RADIUS },                 // S
+        { x: playerGridX, z: playerGridZ + PLAYER_RADIUS }                  // N
+    ];
+
+    // Check ALL points - if ANY touches wall, SOLID block
+    for (const point of checkPoints) {
+        const cx = Math.floor(point.x);
+        const cz = Math.floor(point.z);
+
+        if (!isInsideMaze(layout, cx, cz) || layout.grid[cx][cz] === 1) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Enemy collision test against the maze walls
+ * Uses a near-zero radius so enemies fit through 1-cell corridors
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Object} position - World position {x, z}
+ * @returns {boolean} True if the position is blocked
+ */
+function isWallAtZombie(layout, position) {
+    const gridX = worldToGridX(layout, position.x);
+    const gridZ = worldToGridZ(layout, position.z);
+
+    // Strict boundary checking - no clipping for zombies either
+    if (!isInsideMaze(layout, gridX, gridZ)) {
+        return true;
+    }
+
+    // ABSOLUTE WALL COLLISION for zombies - no wall grid occupation allowed
+    if (layout.grid[gridX][gridZ] === 1) {
+        return true;
+    }
+
+    // Check all 4 corners of the zombie bounding box
+    const cellX = position.x + layout.width / 2;
+    const cellZ = position.z + layout.depth / 2;
+    const corners = [
+        { x: cellX - ENEMY_RADIUS, z: cellZ - ENEMY_RADIUS }, // Bottom-left
+        { x: cellX + ENEMY_RADIUS, z: cellZ - ENEMY_RADIUS }, // Bottom-right
+        { x: cellX - ENEMY_RADIUS, z: cellZ + ENEMY_RADIUS }, // Top-left
+        { x: cellX + ENEMY_RADIUS, z: cellZ + ENEMY_RADIUS }  // Top-right
+    ];
+
+    for (const corner of corners) {
+        const cornerGridX = Math.floor(corner.x);
+        const cornerGridZ = Math.floor(corner.z);
+
+        // If any corner is in bounds and hits a wall, collision detected
+        if (isInsideMaze(layout, cornerGridX, cornerGridZ) && layout.grid[cornerGridX][cornerGridZ] === 1) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+// ============================================================================
+// ENEMY TYPE REGISTRY
+// ============================================================================
+
+/**
+ * @const {Object} Enemy type registry
+ * Every type patrols a corridor lane like the original jumper; the fields
+ * below change how it moves, how much it takes to kill and how it attacks.
+ * - speedMultiplier / healthMultiplier: scale the difficulty's base speed and health
+ * - detection: 'lane' spots the player with its vision cone; 'roam' notices the player
+ *   within sightCells steps through the maze and then chases down the flow field
+ * - attack: 'contact' hurts on touch; 'spit' also fires down a clear line
+ * - spit: { range, cooldown (ms), speed, lifetime (ticks), holdDistance }
+ * - splitInto: { type, count } - jumpers left behind when it dies
+ * - size: extra reach added to contact, knife and bullet distances (big bodies)
+ * - staggerImmune: hits do not stagger it
+ * - spawnWeight: relative chance of rolling the type (0 = never rolled)
+ * The boss has detection/attack 'boss' and is driven by stepBoss instead
+ * (see HUNT BOSS for its charge, summon and slam settings).
+ * The browser adds a mesh builder per type (see ENEMY_TYPES in game.js).
+ */
+const ENEMY_TYPES = {
+    jumper: {
+        id: 'jumper',
+        name: 'Jumper',
+        speedMultiplier: 1.0,
+        healthMultiplier: 1.0,
+        detection: 'lane',
+        attack: 'contact',
+        spawnWeight: 6
+    },
+    brute: {
+        id: 'brute',
+        name: 'Brute',
+        speedMultiplier: 0.6,
+        healthMultiplier: 3.0,
+        detection: 'lane',
+        attack: 'contact',
+        spawnWeight: 1
+    },
+    crawler: {
+        id: 'crawler',
+        name: 'Crawler',
+        speedMultiplier: 1.5,
+        healthMultiplier: 0.5,
+        detection: 'roam',
+        sightCells: 6,
+        attack: 'contact',
+        spawnWeight: 2
+    },
+    spitter: {
+        id: 'spitter',
+        name: 'Spitter',
+        speedMultiplier: 0.8,
+        healthMultiplier: 1.0,
+        detection: 'lane',
+        attack: 'spit',
+        spit: { range: 8, cooldown: 1800, speed: 0.2, lifetime: 60, holdDistance: 4 },
+        spawnWeight: 1.5
+    },
+    splitter: {
+        id: 'splitter',
+        name: 'Splitter',
+        speedMultiplier: 0.9,
+        healthMultiplier: 1.0,
+        detection: 'lane',
+        attack: 'contact',
+        splitInto: { type: 'splitling', count: 2 },
+        spawnWeight: 1.5
+    },
+    splitling: {
+        id: 'splitling',
+        name: 'Splitling',
+        speedMultiplier: 1.3,
+        healthMultiplier: 0.3,
+        detection: 'lane',
+        attack: 'contact',
+        spawnWeight: 0
+    },
+    boss: {
+        id: 'boss',
+        name: 'Overseer',
+        speedMultiplier: 1.0,
+        healthMultiplier: 12,
+        detection: 'boss',
+        attack: 'boss',
+        size: 0.6,
+        staggerImmune: true,
+        charge: { range: 10, windup: 700, speedMultiplier: 4, maxDistance: 10, cooldown: 3000 },
+        summon: { phase: 2, type: 'jumper', count: 2, maxAlive: 4, cooldown: 8000 },
+        slam: { phase: 3, triggerRange: 2.5, radius: 3, windup: 900, cooldown: 3500 },
+        spawnWeight: 0
+    }
+};
+
+/**
+ * Looks up an enemy type, falling back to the plain jumper
+ * @param {string} typeId - Key in ENEMY_TYPES
+ * @returns {Object} Enemy type
+ */
+function getEnemyType(typeId) {
+    return ENEMY_TYPES[typeId] || ENEMY_TYPES.jumper;
+}
+
+/**
+ * Rolls a random enemy type by spawn weight
+ * @param {Function} random - Seeded PRNG
+ * @returns {string} Enemy type id
+ */
+function rollEnemyType(random) {
+    const types = Object.values(ENEMY_TYPES).filter(type => type.spawnWeight > 0);
+    const totalWeight = types.reduce((sum, type) => sum + type.spawnWeight, 0);
+    let roll = random() * totalWeight;
+    for (const type of types) {
+        roll -= type.spawnWeight;
+        if (roll < 0) return type.id;
+    }
+    return types[types.length - 1].id;
+}
+
+// ============================================================================
+// CORRIDOR LANES
+// ============================================================================
+
+/**
+ * Gets the lane (grid cell) ID of a world position
+ * @param {Object} layout - Maze layout ({ width, depth })
+ * @param {Object} position - World position {x, z}
+ * @returns {string} Lane ID "x,z"
+ */
+function getLaneId(layout, position) {
+    return `${worldToGridX(layout, position.x)},${worldToGridZ(layout, position.z)}`;
+}
+
+/**
+ * Checks whether two positions share a straight corridor with no wall between them
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Object} pos1 - First world position {x, y, z}
+ * @param {Object} pos2 - Second world position {x, y, z}
+ * @returns {boolean} True if both lie in the same clear row or column
+ */
+function isInSameCorridorLane(layout, pos1, pos2) {
+    // Check if both positions are in the same horizontal corridor
+    if (Math.abs(pos1.z - pos2.z) < 1.0) {
+        const minX = Math.min(pos1.x, pos2.x);
+        const maxX = Math.max(pos1.x, pos2.x);
+
+        // Check if entire horizontal path is clear
+        for (let x = minX; x <= maxX; x += 0.5) {
+            if (isWallAt(layout, { x: x, y: pos1.y, z: pos1.z })) {
+                return false; // Wall blocks the path
+            }
+        }
+        return true;
+    }
+
+    // Check if both positions are in the same vertical corridor
+    if (Math.abs(pos1.x - pos2.x) < 1.0) {
+        const minZ = Math.min(pos1.z, pos2.z);
+        const maxZ = Math.max(pos1.z, pos2.z);
+
+        // Check if entire vertical path is clear
+        for (let z = minZ; z <= maxZ; z += 0.5) {
+            if (isWallAt(layout, { x: pos1.x, y: pos1.y, z: z })) {
+                return false; // Wall blocks the path
+            }
+        }
+        return true;
+    }
+
+    return false; // Not in same lane
+}
+
+/**
+ * Checks whether a position lies inside a jumper's patrol lane
+ * @param {Object} position - World position {x, z}
+ * @param {Object} jumper - Jumper with laneInfo and patrolAxis
+ * @param {Object} [bounds=LANE_HIT] - { tolerance, margin }: distance from the
+ *   lane's center line, and slack past the lane's ends
+ * @returns {boolean} True if the position is in the lane
+ */
+function isInLane(position, jumper, bounds = LANE_HIT) {
+    const lane = jumper.laneInfo;
+
+    if (jumper.patrolAxis === 'x') {
+        // Horizontal lane - Z must match the lane, X within its length
+        return Math.abs(position.z - lane.fixedCoord) < bounds.tolerance &&
+            position.x >= lane.xMin - bounds.margin && position.x <= lane.xMax + bounds.margin;
+    }
+
+    // Vertical lane - X must match the lane, Z within its length
+    return Math.abs(position.x - lane.fixedCoord) < bounds.tolerance &&
+        position.z >= lane.zMin - bounds.margin && position.z <= lane.zMax + bounds.margin;
+}
+
+/**
+ * Finds every straight run of 2+ open cells inside the outer wall
+ * Horizontal corridors come first (by row), then vertical ones (by column)
+ * @param {Array<Array<number>>} grid - Maze grid
+ * @returns {Array<Object>} Corridors: horizontal {type, startX, endX, z, length, id, index}
+ *   or vertical {type, x, startZ, endZ, length, id, index}
+ */
+function findCorridors(grid) {
+    const width = grid.length;
+    const depth = grid[0].length;
+    const corridors = [];
+
+    // Detect horizontal corridors (consecutive clear cells in rows)
+    for (let z = 1; z < depth - 1; z++) {
+        let startX = -1;
+        let length = 0;
+
+        for (let x = 1; x <= width - 1; x++) {
+            if (x < width - 1 && grid[x][z] === 0) {
+                if (startX === -1) startX = x;
+                length++;
+                continue;
+            }
+            if (length >= 2) {
+                corridors.push({
+                    type: 'horizontal',
+                    startX: startX,
+                    endX: startX + length - 1,
+                    z: z,
+                    length: length,
+                    id: `H_${startX}_${z}_${length}`,
+                    index: corridors.length
+                });
+            }
+            startX = -1;
+            length = 0;
+        }
+    }
+
+    // Detect vertical corridors (consecutive clear cells in columns)
+    for (let x = 1; x < width - 1; x++) {
+        let startZ = -1;
+        let length = 0;
+
+        for (let z = 1; z <= depth - 1; z++) {
+            if (z < depth - 1 && grid[x][z] === 0) {
+                if (startZ === -1) startZ = z;
+                length++;
+                continue;
+            }
+            if (length >= 2) {
+                corridors.push({
+                    type: 'vertical',
+                    x: x,
+                    startZ: startZ,
+                    endZ: startZ + length - 1,
+                    length: length,
+                    id: `V_${x}_${startZ}_${length}`,
+                    index: corridors.length
+                });
+            }
+            startZ = -1;
+            length = 0;
+        }
+    }
+
+    return corridors;
+}
+
+/**
+ * Builds the lane a jumper patrols along a corridor
+ * Every lane has the same shape, whoever spawns the jumper: the axis it runs
+ * along, fixedCoord (its center line across that axis), the box it owns
+ * (inset half a cell from the corridor ends, half a cell either side of the
+ * center line) and a name taken from the corridor's number in the index
+ * @param {Object} layout - Maze layout ({ width, depth })
+ * @param {Object} corridor - Corridor from findCorridors
+ * @returns {Object} Lane { axis, fixedCoord, xMin, xMax, zMin, zMax, name, corridorId }
+ */
+function createLane(layout, corridor) {
+    if (corridor.type === 'horizontal') {
+        const worldZ = gridToWorldZ(layout, corridor.z);
+        return {
+            axis: 'x',
+            fixedCoord: worldZ,
+            xMin: gridToWorldX(layout, corridor.startX) + 0.5,
+            xMax: gridToWorldX(layout, corridor.endX) - 0.5,
+            zMin: worldZ - 0.5,
+            zMax: worldZ + 0.5,
+            name: `H-Lane ${corridor.index + 1}`,
+            corridorId: corridor.id
+        };
+    }
+
+    const worldX = gridToWorldX(layout, corridor.x);
+    return {
+        axis: 'z',
+        fixedCoord: worldX,
+        xMin: worldX - 0.5,
+        xMax: worldX + 0.5,
+        zMin: gridToWorldZ(layout, corridor.startZ) + 0.5,
+        zMax: gridToWorldZ(layout, corridor.endZ) - 0.5,
+        name: `V-Lane ${corridor.index + 1}`,
+        corridorId: corridor.id
+    };
+}
+
+/**
+ * Creates the corridor index for a maze
+ * Every spawner (starting patrols, survival waves, boss minions, pickups)
+ * reads corridors from here instead of scanning the grid itself
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @returns {Object} Index { grid, corridors }
+ */
+function createCorridorIndex(layout) {
+    return {
+        grid: layout.grid,
+        corridors: findCorridors(layout.grid)
+    };
+}
+
+/**
+ * Keeps a corridor index in step with the maze
+ * Only rescans when the maze changed
+ * @param {Object|null} index - Current corridor index
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @returns {Object} The same index, or a new one for the current maze
+ */
+function updateCorridorIndex(index, layout) {
+    if (index && index.grid === layout.grid) return index;
+    return createCorridorIndex(layout);
+}
+
+/**
+ * Picks the corridors the starting enemies patrol
+ * Long corridors (5+ cells) are taken first with 4 cells between parallel
+ * lanes, then any corridor fills the remaining slots with 2 cells spacing
+ * @param {Array<Object>} corridors - Corridors from findCorridors
+ * @param {number} count - Number of enemies wanted
+ * @returns {Array<Object>} Selected corridors (at most count)
+ */
+function selectPatrolCorridors(corridors, count) {
+    // PRIORITIZE LONG CORRIDORS - ensure they get enemies
+    const candidates = corridors.slice().sort((a, b) => b.length - a.length);
+    const selected = [];
+
+    const isTooClose = (corridor, minDistance) => selected.some(other => {
+        if (corridor.type !== other.type) return false;
+        const dist = corridor.type === 'horizontal' ?
+            Math.abs(corridor.z - other.z) :
+            Math.abs(corridor.x - other.x);
+        return dist < minDistance;
+    });
+
+    // First pass: long corridors with good separation
+    for (const corridor of candidates) {
+        if (selected.length >= count) break;
+        if (corridor.length >= 5 && !isTooClose(corridor, 4.0)) {
+            selected.push(corridor);
+        }
+    }
+
+    // Second pass: fill remaining slots with any corridors
+    for (const corridor of candidates) {
+        if (selected.length >= count) break;
+        if (!selected.includes(corridor) && !isTooClose(corridor, 2.0)) {
+            selected.push(corridor);
+        }
+    }
+
+    return selected;
+}
+
+/**
+ * Gets the world position of a corridor's middle, on its lane line
+ * @param {Object} layout - Maze layout ({ width, depth })
+ * @param {Object} corridor - Corridor from findCorridors
+ * @returns {Object} Center {x, z}
+ */
+function getCorridorCenter(layout, corridor) {
+    if (corridor.type === 'horizontal') {
+        return {
+            x: gridToWorldX(layout, (corridor.startX + corridor.endX) / 2),
+            z: gridToWorldZ(layout, corridor.z)
+        };
+    }
+    return {
+        x: gridToWorldX(layout, corridor.x),
+        z: gridToWorldZ(layout, (corridor.startZ + corridor.endZ) / 2)
+    };
+}
+
+/**
+ * Picks a survival spawn corridor far from the player
+ * Samples up to 10 random corridors and keeps the one whose center is farthest away
+ * @param {Object} layout - Maze layout ({ width, depth })
+ * @param {Array<Object>} corridors - Corridors from findCorridors (non-empty)
+ * @param {Object} playerPosition - Player world position {x, z}
+ * @param {Function} random - Seeded PRNG
+ * @returns {Object} { corridor, distance }
+ */
+function selectSurvivalCorridor(layout, corridors, playerPosition, random) {
+    let selectedCorridor = null;
+    let maxDistance = -1;
+    const attempts = Math.min(10, corridors.length);
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        const testCorridor = corridors[Math.floor(random() * corridors.length)];
+        const distance = planarDistance(getCorridorCenter(layout, testCorridor), playerPosition);
+
+        if (distance > maxDistance) {
+            maxDistance = distance;
+            selectedCorridor = testCorridor;
+        }
+    }
+
+    return { corridor: selectedCorridor, distance: maxDistance };
+}
+
+// ============================================================================
+// ENEMY FACTORY
+// ============================================================================
+
+/**
+ * Creates the simulation state of one enemy patrolling a corridor
+ * The single factory behind the starting hunt patrols, survival waves and
+ * boss minions: it spawns in the middle of the corridor and patrols up to a
+ * cell short of either end. The type is rolled when not given.
+ * @param {Object} layout - Maze layout ({ width, depth })
+ * @param {Object} corridor - Corridor from the corridor index
+ * @param {number} speed - Base movement per tick (scaled by the type)
+ * @param {Function} random - Seeded PRNG (rolls the type and the jump phase)
+ * @param {number} [health=ENEMY_HEALTH] - Base health (scaled by the type)
+ * @param {string} [typeId] - Key in ENEMY_TYPES (rolled with rollEnemyType when omitted)
+ * @returns {Object} Jumper state without a mesh
+ */
+function createEnemy(layout, corridor, speed, random, health = ENEMY_HEALTH, typeId) {
+    const type = typeId || rollEnemyType(random);
+    const lane = createLane(layout, corridor);
+    const center = getCorridorCenter(layout, corridor);
+    const position = { x: center.x, y: ENEMY_BASE_Y, z: center.z };
+
+    // Patrol bounds sit a full cell inside the corridor ends
+    const patrolMin = (lane.axis === 'x' ? lane.xMin : lane.zMin) + 0.5;
+    const patrolMax = (lane.axis === 'x' ? lane.xMax : lane.zMax) - 0.5;
+
+    return createJumperState(position, lane.axis, patrolMin, patrolMax, lane, speed, random, health, type);
+}
+
+/**
+ * Builds the shared jumper state record
+ * @param {Object} position - Spawn position {x, y, z}
+ * @param {string} patrolAxis - 'x' or 'z'
+ * @param {number} patrolMin - Lower patrol bound on the patrol axis
+ * @param {number} patrolMax - Upper patrol bound on the patrol axis
+ * @param {Object} lane - Lane info (fixedCoord, bounds, name)
+ * @param {number} speed - Base movement per tick (scaled by the type)
+ * @param {Function} random - Seeded PRNG
+ * @param {number} [health=ENEMY_HEALTH] - Base health (scaled by the type)
+ * @param {string} [typeId='jumper'] - Key in ENEMY_TYPES
+ * @returns {Object} Jumper state
+ */
+function createJumperState(position, patrolAxis, patrolMin, patrolMax, lane, speed, random, health = ENEMY_HEALTH, typeId = 'jumper') {
+    const type = getEnemyType(typeId);
+    const maxHealth = Math.max(1, Math.round(health * type.healthMultiplier));
+    return {
+        type: type.id,
+        position: position,
+        direction: { x: patrolAxis === 'x' ? 1 : 0, y: 0, z: patrolAxis === 'z' ? 1 : 0 },
+        speed: speed * type.speedMultiplier,
+        state: 'hopping',
+        health: maxHealth,
+        maxHealth: maxHealth,
+        staggerTicks: 0,
+        lastAttackTime: 0,
+        laneInfo: lane,
+        patrolAxis: patrolAxis,
+        patrolMin: patrolMin,
+        patrolMax: patrolMax,
+        patrolDirection: 1,
+        laneName: lane.name,
+        chaseRange: 5,
+        jumpPhase: random() * Math.PI * 2,
+        baseY: ENEMY_BASE_Y,
+        home: { x: position.x, z: position.z },
+        suspicion: 0,
+        lastSeen: null,
+        searchField: null,
+        searchTarget: null,
+        searchTicks: 0
+    };
+}
+
+/**
+ * Creates the jumpers a dying splitter leaves behind
+ * They share its lane and chase state and spread out along the lane
+ * @param {Object} jumper - The splitter that died
+ * @param {Function} random - Seeded PRNG
+ * @returns {Array<Object>} New jumper states (empty for types that do not split)
+ */
+function splitJumper(jumper, random) {
+    const type = getEnemyType(jumper.type);
+    if (!type.splitInto) return [];
+
+    // Undo the parent's multipliers so the children scale from the same base
+    const baseSpeed = jumper.speed / type.speedMultiplier;
+    const baseHealth = jumper.maxHealth / type.healthMultiplier;
+    const children = [];
+
+    for (let i = 0; i < type.splitInto.count; i++) {
+        const offset = (i - (type.splitInto.count - 1) / 2) * 0.6;
+        const position = {
+            x: jumper.position.x + (jumper.patrolAxis === 'x' ? offset : 0),
+            y: jumper.baseY,
+            z: jumper.position.z + (jumper.patrolAxis === 'z' ? offset : 0)
+        };
+        const child = createJumperState(position, jumper.patrolAxis, jumper.patrolMin, jumper.patrolMax,
+            jumper.laneInfo, baseSpeed, random, baseHealth, type.splitInto.type);
+        child.state = jumper.state;
+        child.globalChase = jumper.globalChase;
+        child.home = jumper.home;
+        child.suspicion = jumper.suspicion;
+        child.lastSeen = jumper.lastSeen;
+        child.searchField = jumper.searchField;
+        child.searchTarget = jumper.searchTarget;
+        child.searchTicks = jumper.searchTicks;
+        child.patrolDirection = i % 2 === 0 ? -1 : 1;
+        children.push(child);
+    }
+    return children;
+}
+
+// ============================================================================
+// PLAYER PHYSICS
+// ============================================================================
+
+/** @const {Array<Array<number>>} Micro-step directions tried when the player is wedged */
+const MICRO_DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [-1, 1], [1, -1], [-1, -1]];
+
+/**
+ * Advances the player by one tick
+ * Applies acceleration, friction and the speed cap, then moves with wall
+ * sliding; a wedged player tries tiny moves in 8 directions
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Object} player - { position, velocity } ({x, y, z} each), modified in place
+ * @param {Object} input - Movement input {x, z}, each -1..1; vectors shorter
+ *   than 1 (a partly tilted stick) accelerate proportionally less
+ * @returns {number|null} Facing angle of the input, or null without input
+ */
+function stepPlayer(layout, player, input) {
+    const position = player.position;
+    const velocity = player.velocity;
+    let inputX = input.x || 0;
+    let inputZ = input.z || 0;
+    let facing = null;
+
+    // Input normalization for consistent diagonal speed; analog input below full tilt is kept
+    const inputLength = Math.sqrt(inputX * inputX + inputZ * inputZ);
+    if (inputLength > 1) {
+        inputX /= inputLength;
+        inputZ /= inputLength;
+    }
+    if (inputLength > 0) {
+        facing = Math.atan2(inputX, inputZ);
+    }
+
+    // Acceleration, then friction for smooth stopping
+    velocity.x = (velocity.x + inputX * PLAYER_ACCELERATION) * PLAYER_FRICTION;
+    velocity.z = (velocity.z + inputZ * PLAYER_ACCELERATION) * PLAYER_FRICTION;
+
+    // Enforce maximum velocity limit
+    let speed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
+    if (speed > PLAYER_SPEED) {
+        velocity.x *= PLAYER_SPEED / speed;
+        velocity.z *= PLAYER_SPEED / speed;
+        speed = PLAYER_SPEED;
+    }
+
+    if (speed <= 0.001) return facing;
+
+    const newX = position.x + velocity.x;
+    const newZ = position.z + velocity.z;
+
+    if (!isWallAt(layout, { x: newX, z: newZ })) {
+        // No collision, move freely
+        position.x = newX;
+        position.z = newZ;
+        return facing;
+    }
+
+    // Sliding: try each axis on its own
+    let moved = false;
+    if (!isWallAt(layout, { x: newX, z: position.z })) {
+        position.x = newX;
+        moved = true;
+    }
+    if (!isWallAt(layout, { x: position.x, z: newZ })) {
+        position.z = newZ;
+        moved = true;
+    }
+
+    // If completely stuck, try smaller micro-movements
+    if (!moved) {
+        const microDistance = 0.005;
+        for (const [dx, dz] of MICRO_DIRECTIONS) {
+            const microX = position.x + dx * microDistance;
+            const microZ = position.z + dz * microDistance;
+            if (!isWallAt(layout, { x: microX, z: microZ })) {
+                position.x = microX;
+                position.z = microZ;
+                break;
+            }
+        }
+    }
+
+    return facing;
+}
+
+// ============================================================================
+// PLAYER HEALTH
+// ============================================================================
+
+/**
+ * Creates the player's health pool
+ * One-hit hardcore runs get a single hit point and no second chances
+ * @param {number} [maxHealth=PLAYER_MAX_HEALTH] - Hit points
+ * @param {boolean} [oneHit=false] - Any contact is fatal
+ * @returns {Object} Health { current, max, oneHit, invulnerableUntil }
+ */
+function createPlayerHealth(maxHealth = PLAYER_MAX_HEALTH, oneHit = false) {
+    const max = oneHit ? 1 : Math.max(1, Math.round(maxHealth));
+    return {
+        current: max,
+        max: max,
+        oneHit: oneHit,
+        invulnerableUntil: 0
+    };
+}
+
+/**
+ * Checks whether the player is inside the invulnerability window of a hit
+ * @param {Object} health - Health from createPlayerHealth
+ * @param {number} now - Simulation time (ms)
+ * @returns {boolean} True while hits are ignored
+ */
+function isPlayerInvulnerable(health, now) {
+    return now < health.invulnerableUntil;
+}
+
+/**
+ * Applies a hit to the player
+ * Hits during the invulnerability window are ignored; a hit that lands
+ * opens a new window
+ * @param {Object} health - Health from createPlayerHealth, modified in place
+ * @param {number} now - Simulation time (ms)
+ * @param {number} [amount=1] - Hit points lost
+ * @returns {boolean} True if the hit landed
+ */
+function damagePlayer(health, now, amount = 1) {
+    if (health.current <= 0 || isPlayerInvulnerable(health, now)) return false;
+
+    health.current = health.oneHit ? 0 : Math.max(0, health.current - amount);
+    health.invulnerableUntil = now + HIT_INVULNERABILITY;
+    return true;
+}
+
+/**
+ * Restores hit points, never above the maximum
+ * @param {Object} health - Health from createPlayerHealth, modified in place
+ * @param {number} [amount=HEALTH_PICKUP_AMOUNT] - Hit points to restore
+ * @returns {number} Hit points actually restored (0 at full health)
+ */
+function healPlayer(health, amount = HEALTH_PICKUP_AMOUNT) {
+    const healed = Math.min(amount, health.max - health.current);
+    if (healed <= 0) return 0;
+    health.current += healed;
+    return healed;
+}
+
+/**
+ * Pushes the player straight away from a hit, stopping at walls
+ * The push is walked in small steps with the same per-axis sliding as
+ * normal movement, so it can never carry the player through a wall.
+ * Velocity is cleared so the knockback is not undone by momentum.
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Object} player - { position, velocity }, modified in place
+ * @param {Object} fromPosition - Position the hit came from {x, z}
+ * @param {number} [distance=KNOCKBACK_DISTANCE] - Push length
+ * @returns {void}
+ */
+function knockBackPlayer(layout, player, fromPosition, distance = KNOCKBACK_DISTANCE) {
+    const position = player.position;
+    let dx = position.x - fromPosition.x;
+    let dz = position.z - fromPosition.z;
+    let length = Math.sqrt(dx * dx + dz * dz);
+    if (length < 0.0001) {
+        // Dead center: push back against the facing of the movement
+        dx = -player.velocity.x;
+        dz = -player.velocity.z;
+        length = Math.sqrt(dx * dx + dz * dz);
+        if (length < 0.0001) return;
+    }
+    dx /= length;
+    dz /= length;
+
+    player.velocity.x = 0;
+    player.velocity.z = 0;
+
+    const stepSize = 0.1;
+    for (let travelled = 0; travelled < distance; travelled += stepSize) {
+        const newX = position.x + dx * stepSize;
+        const newZ = position.z + dz * stepSize;
+        if (!isWallAt(layout, { x: newX, z: newZ })) {
+            position.x = newX;
+            position.z = newZ;
+        } else if (!isWallAt(layout, { x: newX, z: position.z })) {
+            position.x = newX;
+        } else if (!isWallAt(layout, { x: position.x, z: newZ })) {
+            position.z = newZ;
+        } else {
+            break;
+        }
+    }
+}
+
+// ============================================================================
+// NAVIGATION (FLOW FIELD)
+// ============================================================================
+
+/**
+ * Builds a flow field toward a target cell
+ * One breadth-first pass gives every open cell its step distance to the
+ * target, so any number of chasers can walk downhill from one search
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {number} targetX - Target grid X
+ * @param {number} targetZ - Target grid Z
+ * @returns {Object} Flow field { grid, targetX, targetZ, distances }
+ */
+function createFlowField(layout, targetX, targetZ) {
+    return {
+        grid: layout.grid,
+        targetX: targetX,
+        targetZ: targetZ,
+        distances: floodFillMaze(layout.grid, targetX, targetZ)
+    };
+}
+
+/**
+ * Keeps a flow field aimed at a position
+ * Only rebuilds when the position enters another cell or the maze changed
+ * @param {Object|null} field - Current flow field
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Object} position - World position to flow toward {x, z}
+ * @returns {Object} The same field, or a new one aimed at the position's cell
+ */
+function updateFlowField(field, layout, position) {
+    const targetX = worldToGridX(layout, position.x);
+    const targetZ = worldToGridZ(layout, position.z);
+
+    if (field && field.grid === layout.grid && field.targetX === targetX && field.targetZ === targetZ) {
+        return field;
+    }
+    return createFlowField(layout, targetX, targetZ);
+}
+
+/**
+ * Gets the step distance from a position to a flow field's target
+ * @param {Object} field - Flow field from createFlowField
+ * @param {Object} position - World position {x, z}
+ * @returns {number} Steps through the maze, or -1 when outside or cut off
+ */
+function getFlowDistance(field, position) {
+    const width = field.grid.length;
+    const depth = field.grid[0].length;
+    const x = Math.floor(position.x + width / 2);
+    const z = Math.floor(position.z + depth / 2);
+    if (x < 0 || x >= width || z < 0 || z >= depth) return -1;
+    return field.distances[x][z];
+}
+
+/**
+ * Gets the next waypoint down a flow field
+ * The waypoint is the neighbor cell's grid point, which is where lanes run,
+ * so the straight walk there never crosses a wall cell
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Object} field - Flow field from createFlowField
+ * @param {Object} position - World position {x, z}
+ * @returns {Object|null} World point {x, z} one step closer, or null when
+ *   already in the target cell or cut off from it
+ */
+function getFlowWaypoint(layout, field, position) {
+    const x = worldToGridX(layout, position.x);
+    const z = worldToGridZ(layout, position.z);
+    if (!isInsideMaze(layout, x, z)) return null;
+
+    const distance = field.distances[x][z];
+    if (distance <= 0) return null;
+
+    for (const [dx, dz] of GRID_DIRECTIONS) {
+        const nx = x + dx;
+        const nz = z + dz;
+        if (isInsideMaze(layout, nx, nz) && field.distances[nx][nz] === distance - 1) {
+            return { x: gridToWorldX(layout, nx), z: gridToWorldZ(layout, nz) };
+        }
+    }
+    return null;
+}
+
+// ============================================================================
+// JUMPER STATE MACHINE
+// ============================================================================
+
+/**
+ * Computes the arcade jump arc for a jump phase
+ * @param {number} jumpPhase - Accumulated jump phase (radians)
+ * @returns {Object} { jumpHeight, jumpProgress } - height above base and 0-1 progress
+ */
+function getJumpArc(jumpPhase) {
+    const jumpCycle = jumpPhase % (Math.PI * 2);
+    const isInAir = jumpCycle < Math.PI * 0.6; // Shorter air time = snappier
+
+    if (!isInAir) {
+        return { jumpHeight: 0, jumpProgress: 0 };
+    }
+
+    // Smooth parabolic jump arc: peaks at t = 0.5
+    const t = jumpCycle / (Math.PI * 0.6);
+    const jumpHeight = JUMP_HEIGHT * (4 * t * (1 - t));
+    return { jumpHeight: jumpHeight, jumpProgress: jumpHeight / JUMP_HEIGHT };
+}
+
+/**
+ * Checks whether the player is in a jumper's vision cone with nothing in between
+ * The cone points along the jumper's facing; walls on the maze grid block it
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Object} jumper - Jumper state
+ * @param {Object} playerPosition - Player world position {x, z}
+ * @returns {boolean} True if the jumper sees the player
+ */
+function canJumperSee(layout, jumper, playerPosition) {
+    const dx = playerPosition.x - jumper.position.x;
+    const dz = playerPosition.z - jumper.position.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    if (distance > VISION.range) return false;
+
+    if (distance > VISION.nearRange) {
+        const facing = Math.sqrt(jumper.direction.x * jumper.direction.x + jumper.direction.z * jumper.direction.z);
+        if (facing < 0.0001) return false;
+        const cosine = (jumper.direction.x * dx + jumper.direction.z * dz) / (facing * distance);
+        if (cosine < Math.cos(VISION.halfAngle)) return false;
+    }
+    return hasLineOfSight(layout, jumper.position, playerPosition);
+}
+
+/**
+ * Checks whether a jumper is away from its lane (following a noise, searching
+ * for the player or walking back home)
+ * @param {Object} jumper - Jumper state
+ * @returns {boolean} True if the jumper is off its lane
+ */
+function isOffLane(jumper) {
+    return jumper.state === 'investigating' || jumper.state === 'searching' || jumper.state === 'returning';
+}
+
+/**
+ * Sends a jumper to look around a position
+ * It walks down a flow field to the position's cell, then searches there
+ * (see stepInvestigation)
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Object} jumper - Jumper state, modified in place
+ * @param {string} state - 'investigating' (a noise) or 'searching' (where the player was last seen)
+ * @param {Object} position - World position to search {x, z}
+ * @param {Object} [field] - Flow field to the position's cell (shared by jumpers hearing one noise)
+ * @returns {void}
+ */
+function startSearch(layout, jumper, state, position, field) {
+    const searchField = field || createFlowField(layout, worldToGridX(layout, position.x), worldToGridZ(layout, position.z));
+    jumper.state = state;
+    jumper.globalChase = false;
+    jumper.searchField = searchField;
+    jumper.searchTarget = { x: gridToWorldX(layout, searchField.targetX), z: gridToWorldZ(layout, searchField.targetZ) };
+    jumper.searchTicks = INVESTIGATE_TICKS;
+}
+
+/**
+ * Updates what jumpers know about the player
+ * Lane jumpers watch through their vision cone: seeing the player fills the
+ * suspicion meter (faster up close) and stops a patrolling jumper in the
+ * 'alert' state; out of sight the meter drains and an alert jumper goes back
+ * to patrol. A full meter starts the chase. Hunt chasers run along their lane
+ * while the player is in it (anywhere once they left it) and fall back to
+ * 'searching' where they last saw the player when they lose sight; survival
+ * chasers lock on for good. Jumpers away from their lane also spot the player
+ * within INVESTIGATE_SPOT_CELLS steps. Roaming types (crawlers) ignore
+ * vision: they lock on in either mode as soon as the player is within their
+ * sight through the maze. The boss is always on the hunt and is left alone.
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Array<Object>} jumpers - Jumper states
+ * @param {Object} playerPosition - Player world position {x, z}
+ * @param {string} mode - 'hunt' or 'survival'
+ * @param {Object|null} [flowField=null] - Flow field toward the player (roaming sight)
+ * @returns {Array<Object>} State changes as { jumper, index, state }
+ */
+function updateJumperAwareness(layout, jumpers, playerPosition, mode, flowField = null) {
+    const changes = [];
+
+    jumpers.forEach((jumper, index) => {
+        const type = getEnemyType(jumper.type);
+        if (type.detection === 'boss') return;
+
+        if (type.detection === 'roam') {
+            if (jumper.state === 'chasing' || !flowField) return;
+            const steps = getFlowDistance(flowField, jumper.position);
+            if (steps !== -1 && steps <= type.sightCells) {
+                jumper.state = 'chasing';
+                jumper.globalChase = true;
+                changes.push({ jumper, index, state: 'chasing' });
+            }
+            return;
+        }
+
+        if (jumper.state === 'chasing') {
+            if (mode === 'survival' && jumper.globalChase) return;
+            const tracking = planarDistance(jumper.position, playerPosition) <= VISION.chaseRange &&
+                (jumper.globalChase || isInLane(playerPosition, jumper, LANE_SIGHT)) &&
+                hasLineOfSight(layout, jumper.position, playerPosition);
+            if (tracking) {
+                jumper.lastSeen = { x: playerPosition.x, z: playerPosition.z };
+            } else {
+                startSearch(layout, jumper, 'searching', jumper.lastSeen || playerPosition);
+                changes.push({ jumper, index, state: 'searching' });
+            }
+            return;
+        }
+
+        const seen = canJumperSee(layout, jumper, playerPosition);
+        if (seen) {
+            const closeness = 1 - planarDistance(jumper.position, playerPosition) / VISION.range;
+            jumper.suspicion = Math.min(1, jumper.suspicion + SUSPICION.riseFar + (SUSPICION.riseNear - SUSPICION.riseFar) * closeness);
+            jumper.lastSeen = { x: playerPosition.x, z: playerPosition.z };
+        } else {
+            jumper.suspicion = Math.max(0, jumper.suspicion - SUSPICION.decay);
+        }
+
+        const offLane = isOffLane(jumper);
+        if (offLane && flowField) {
+            const steps = getFlowDistance(flowField, jumper.position);
+            if (steps !== -1 && steps <= INVESTIGATE_SPOT_CELLS) jumper.suspicion = 1;
+        }
+
+        if (jumper.suspicion >= 1) {
+            jumper.state = 'chasing';
+            jumper.globalChase = mode === 'survival' || offLane || !isInLane(playerPosition, jumper, LANE_SIGHT);
+            jumper.lastSeen = { x: playerPosition.x, z: playerPosition.z };
+            changes.push({ jumper, index, state: 'chasing' });
+        } else if (seen && !offLane && jumper.state !== 'alert') {
+            jumper.state = 'alert';
+            changes.push({ jumper, index, state: 'alert' });
+        } else if (jumper.state === 'alert' && jumper.suspicion <= 0) {
+            jumper.state = 'hopping';
+            changes.push({ jumper, index, state: 'hopping' });
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Advances one jumper by one tick
+ * Hopping/queued jumpers bounce between their patrol bounds, chasing
+ * jumpers head for the player (hunt: along their lane, survival and
+ * roaming types: down the flow field through the corridors at half speed).
+ * Alert jumpers stop and stare where they saw the player. Investigating
+ * and searching jumpers walk to the noise or last sighting, look around
+ * there until searchTicks run out, then return to their lane and patrol.
+ * Spitters stop short and keep their distance. Position y follows the jump
+ * arc. A staggered jumper stands on the ground until the stagger ends.
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Object} jumper - Jumper state, modified in place
+ * @param {Object} playerPosition - Player world position {x, z}
+ * @param {Object|null} [flowField=null] - Flow field toward the player (roaming chasers)
+ * @returns {number} Jump progress (0-1) for tilting the mesh
+ */
+function stepJumper(layout, jumper, playerPosition, flowField = null) {
+    const lane = jumper.laneInfo;
+    const currentPos = jumper.patrolAxis === 'x' ? jumper.position.x : jumper.position.z;
+    const type = getEnemyType(jumper.type);
+    const roamingChase = jumper.globalChase === true;
+    let targetX = jumper.direction.x;
+    let targetZ = jumper.direction.z;
+
+    if (jumper.staggerTicks > 0) {
+        jumper.staggerTicks--;
+        jumper.position.y = jumper.baseY;
+        return 0;
+    }
+
+    // Higher jumps when chasing
+    jumper.jumpPhase += JUMP_FREQUENCY;
+    const { jumpHeight, jumpProgress } = getJumpArc(jumper.jumpPhase);
+    const chaseMultiplier = jumper.state === 'chasing' ? CHASE_JUMP_MULTIPLIER : 1.0;
+    jumper.position.y = jumper.baseY + jumpHeight * chaseMultiplier;
+
+    if (jumper.state === 'chasing' && roamingChase) {
+        stepFlowChaser(layout, jumper, playerPosition, flowField);
+        return jumpProgress;
+    }
+
+    if (isOffLane(jumper)) {
+        stepInvestigation(layout, jumper);
+        return jumpProgress;
+    }
+
+    if (jumper.state === 'alert') {
+        const dx = jumper.lastSeen.x - jumper.position.x;
+        const dz = jumper.lastSeen.z - jumper.position.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        if (distance > 0.0001) {
+            jumper.direction.x = dx / distance;
+            jumper.direction.z = dz / distance;
+        }
+        return jumpProgress;
+    }
+
+    if (jumper.state === 'hopping' || jumper.state === 'queued') {
+        // Move full length of lane, turning at the patrol bounds
+        if (currentPos >= jumper.patrolMax - 0.3) {
+            jumper.patrolDirection = -1;
+        } else if (currentPos <= jumper.patrolMin + 0.3) {
+            jumper.patrolDirection = 1;
+        }
+        targetX = jumper.patrolAxis === 'x' ? jumper.patrolDirection : 0;
+        targetZ = jumper.patrolAxis === 'z' ? jumper.patrolDirection : 0;
+    } else if (jumper.state === 'chasing') {
+        // HUNT: run along the lane toward the player
+        if (jumper.patrolAxis === 'x') {
+            targetX = playerPosition.x > jumper.position.x ? 1 : -1;
+            targetZ = 0;
+        } else {
+            targetX = 0;
+            targetZ = playerPosition.z > jumper.position.z ? 1 : -1;
+        }
+    }
+
+    const targetLength = Math.sqrt(targetX * targetX + targetZ * targetZ);
+    if (targetLength > 0.1) {
+        jumper.direction.x = targetX / targetLength;
+        jumper.direction.z = targetZ / targetLength;
+    }
+
+    // Queued jumpers hop slower; spitters hold once the player is in range
+    let moveSpeed = jumper.state === 'queued' ? jumper.speed * 0.7 : jumper.speed;
+    if (type.spit && jumper.state === 'chasing' &&
+        planarDistance(jumper.position, playerPosition) <= type.spit.holdDistance) {
+        moveSpeed = 0;
+    }
+
+    let newX = jumper.position.x;
+    let newZ = jumper.position.z;
+    const directionLength = Math.sqrt(jumper.direction.x * jumper.direction.x + jumper.direction.z * jumper.direction.z);
+    if (directionLength > 0.1) {
+        newX += jumper.direction.x * moveSpeed;
+        newZ += jumper.direction.z * moveSpeed;
+    }
+
+    // Keep them on the lane's center line...
+    if (lane) {
+        if (lane.axis === 'x') {
+            newZ = lane.fixedCoord;
+        } else {
+            newX = lane.fixedCoord;
+        }
+    }
+
+    // ...and clamped to the lane boundaries
+    if (jumper.patrolAxis === 'x') {
+        newX = Math.max(jumper.patrolMin, Math.min(jumper.patrolMax, newX));
+    } else {
+        newZ = Math.max(jumper.patrolMin, Math.min(jumper.patrolMax, newZ));
+    }
+
+    jumper.position.x = newX;
+    jumper.position.z = newZ;
+
+    return jumpProgress;
+}
+
+/**
+ * Moves a survival chaser one tick down the flow field at half speed
+ * Walks to the next cell's waypoint, or straight at the player once it
+ * shares the player's cell; never overshoots the point it walks to.
+ * Waypoints sit on wall-free grid points, so no collision test is needed
+ * (the corner test in isWallAtZombie would snag on the lane line itself)
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Object} jumper - Jumper state, modified in place
+ * @param {Object} playerPosition - Player world position {x, z}
+ * @param {Object|null} flowField - Flow field toward the player
+ * @returns {void}
+ */
+function stepFlowChaser(layout, jumper, playerPosition, flowField) {
+    let waypoint = playerPosition;
+    if (flowField) {
+        const cellX = worldToGridX(layout, jumper.position.x);
+        const cellZ = worldToGridZ(layout, jumper.position.z);
+        // Cut off from the player: wait instead of walking through walls
+        if (!isInsideMaze(layout, cellX, cellZ) || flowField.distances[cellX][cellZ] < 0) return;
+        waypoint = getFlowWaypoint(layout, flowField, jumper.position) || playerPosition;
+    }
+    const dx = waypoint.x - jumper.position.x;
+    const dz = waypoint.z - jumper.position.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    const step = jumper.speed * 0.5;
+
+    if (distance > 0.0001) {
+        jumper.direction.x = dx / distance;
+        jumper.direction.z = dz / distance;
+        jumper.patrolAxis = Math.abs(dx) >= Math.abs(dz) ? 'x' : 'z';
+    }
+
+    // Land exactly on the waypoint so rounding never leaves it a hair short
+    if (distance <= step) {
+        jumper.position.x = waypoint.x;
+        jumper.position.z = waypoint.z;
+    } else {
+        jumper.position.x += jumper.direction.x * step;
+        jumper.position.z += jumper.direction.z * step;
+    }
+}
+
+/**
+ * Moves an off-lane jumper one tick
+ * Investigating/searching: walk to the search target, then stand there
+ * looking around until searchTicks run out and head home. Returning: walk
+ * back to the spot it spawned on, then patrol again.
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Object} jumper - Jumper state, modified in place
+ * @returns {void}
+ */
+function stepInvestigation(layout, jumper) {
+    stepFlowChaser(layout, jumper, jumper.searchTarget, jumper.searchField);
+    const arrived = planarDistance(jumper.position, jumper.searchTarget) < 0.05;
+
+    if (jumper.state !== 'returning') {
+        if (!arrived) return;
+        const angle = Math.atan2(jumper.direction.z, jumper.direction.x) + SEARCH_TURN_RATE;
+        jumper.direction.x = Math.cos(angle);
+        jumper.direction.z = Math.sin(angle);
+        jumper.searchTicks--;
+        if (jumper.searchTicks > 0) return;
+        jumper.state = 'returning';
+        jumper.searchField = createFlowField(layout, worldToGridX(layout, jumper.home.x), worldToGridZ(layout, jumper.home.z));
+        jumper.searchTarget = jumper.home;
+    } else if (arrived) {
+        jumper.state = 'hopping';
+        jumper.searchField = null;
+        jumper.searchTarget = null;
+        jumper.patrolAxis = jumper.laneInfo.axis;
+        jumper.direction.x = jumper.patrolAxis === 'x' ? jumper.patrolDirection : 0;
+        jumper.direction.z = jumper.patrolAxis === 'z' ? jumper.patrolDirection : 0;
+    }
+}
+
+// ============================================================================
+// NOISE
+// ============================================================================
+
+/**
+ * Lets jumpers hear a noise made at a position
+ * The noise floods through open cells; every jumper within radius steps
+ * that is not already chasing (the boss ignores noise) walks over to
+ * investigate. Jumpers hearing the same noise share one flow field.
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Array<Object>} jumpers - Jumper states
+ * @param {Object} position - Where the noise was made {x, z}
+ * @param {number} radius - Steps the noise carries (see NOISE_RADIUS)
+ * @returns {Array<Object>} Jumpers that heard it as { jumper, index }
+ */
+function emitNoise(layout, jumpers, position, radius) {
+    const listeners = jumpers.filter(jumper =>
+        jumper.state !== 'chasing' && getEnemyType(jumper.type).detection !== 'boss');
+    if (listeners.length === 0) return [];
+
+    const field = createFlowField(layout, worldToGridX(layout, position.x), worldToGridZ(layout, position.z));
+    const heard = [];
+
+    jumpers.forEach((jumper, index) => {
+        if (!listeners.includes(jumper)) return;
+        const steps = getFlowDistance(field, jumper.position);
+        if (steps === -1 || steps > radius) return;
+
+        startSearch(layout, jumper, 'investigating', position, field);
+        heard.push({ jumper, index });
+    });
+    return heard;
+}
+
+/**
+ * Checks whether the player's steps make noise this tick
+ * @param {Object} velocity - Player velocity {x, y, z}
+ * @param {number} lastFootstepTime - Time of the last footstep noise (ms)
+ * @param {number} now - Simulation time (ms)
+ * @returns {boolean} True when a footstep is due
+ */
+function isFootstepDue(velocity, lastFootstepTime, now) {
+    const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y + velocity.z * velocity.z);
+    return now - lastFootstepTime > FOOTSTEP_INTERVAL && speed > FOOTSTEP_SPEED;
+}
+
+// ============================================================================
+// COMBAT & WIN/LOSE CHECKS
+// ============================================================================
+
+/**
+ * Checks whether a position can touch a jumper
+ * Every jumper can be touched from inside its lane; survival chasers and
+ * jumpers off their lane (following a noise, searching for the player) roam
+ * the maze, so they also count anywhere with no wall in between
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Object} position - World position {x, z}
+ * @param {Object} jumper - Jumper state
+ * @returns {boolean} True if contact counts
+ */
+function isInReach(layout, position, jumper) {
+    if (isInLane(position, jumper, LANE_HIT)) return true;
+    return (jumper.globalChase === true || isOffLane(jumper)) &&
+        hasLineOfSight(layout, position, jumper.position);
+}
+
+/**
+ * Gets the extra reach of a jumper's body (see ENEMY_TYPES size)
+ * @param {Object} jumper - Jumper state
+ * @returns {number} Added to contact, knife and bullet distances
+ */
+function getJumperSize(jumper) {
+    return getEnemyType(jumper.type).size || 0;
+}
+
+/**
+ * Checks for a wall-free straight line between two positions
+ * Samples the line every quarter cell against the maze grid
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Object} from - World position {x, z}
+ * @param {Object} to - World position {x, z}
+ * @returns {boolean} True if no wall cell lies on the line
+ */
+function hasLineOfSight(layout, from, to) {
+    const distance = planarDistance(from, to);
+    const samples = Math.ceil(distance / 0.25);
+    for (let i = 1; i < samples; i++) {
+        const t = i / samples;
+        const x = worldToGridX(layout, from.x + (to.x - from.x) * t);
+        const z = worldToGridZ(layout, from.z + (to.z - from.z) * t);
+        if (!isOpenCell(layout.grid, x, z)) return false;
+    }
+    return true;
+}
+
+/**
+ * Lets a spitter fire at the player
+ * Fires while chasing, off cooldown, within range and with a clear line
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Object} jumper - Jumper state (lastAttackTime is updated on a shot)
+ * @param {Object} playerPosition - Player world position {x, z}
+ * @param {number} now - Simulation time (ms)
+ * @returns {Object|null} New spit { position, velocity, lifetime, maxLifetime }, or null
+ */
+function trySpitterAttack(layout, jumper, playerPosition, now) {
+    const spit = getEnemyType(jumper.type).spit;
+    if (!spit || jumper.state !== 'chasing' || jumper.staggerTicks > 0) return null;
+    if (now - jumper.lastAttackTime < spit.cooldown) return null;
+
+    const distance = planarDistance(jumper.position, playerPosition);
+    if (distance > spit.range || distance < 0.0001) return null;
+    if (!hasLineOfSight(layout, jumper.position, playerPosition)) return null;
+
+    jumper.lastAttackTime = now;
+    const dx = (playerPosition.x - jumper.position.x) / distance;
+    const dz = (playerPosition.z - jumper.position.z) / distance;
+    return {
+        position: { x: jumper.position.x, y: ENEMY_BASE_Y, z: jumper.position.z },
+        velocity: { x: dx * spit.speed, y: 0, z: dz * spit.speed },
+        lifetime: 0,
+        maxLifetime: spit.lifetime
+    };
+}
+
+/**
+ * Advances one spit projectile by one tick
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Object} spit - Spit from trySpitterAttack, modified in place
+ * @param {Object} playerPosition - Player world position {x, z}
+ * @returns {Object} { expired, hit } - expired on a wall or timeout, hit
+ *   when it reached the player
+ */
+function stepSpit(layout, spit, playerPosition) {
+    spit.position.x += spit.velocity.x;
+    spit.position.z += spit.velocity.z;
+    spit.lifetime++;
+
+    if (planarDistance(spit.position, playerPosition) < SPIT_HIT_DISTANCE) {
+        return { expired: false, hit: true };
+    }
+    const x = worldToGridX(layout, spit.position.x);
+    const z = worldToGridZ(layout, spit.position.z);
+    if (!isOpenCell(layout.grid, x, z) || spit.lifetime > spit.maxLifetime) {
+        return { expired: true, hit: false };
+    }
+    return { expired: false, hit: false };
+}
+
+/**
+ * Applies weapon damage to a jumper
+ * A hit that does not kill staggers the jumper for STAGGER_TICKS
+ * (unless its type is stagger immune)
+ * @param {Object} jumper - Jumper state, modified in place
+ * @param {number} damage - Health removed
+ * @returns {boolean} True if the hit killed the jumper
+ */
+function damageJumper(jumper, damage) {
+    jumper.health = Math.max(0, jumper.health - damage);
+    if (jumper.health > 0) {
+        if (!getEnemyType(jumper.type).staggerImmune) jumper.staggerTicks = STAGGER_TICKS;
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Checks whether a jumper has caught the player
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Object} jumper - Jumper state
+ * @param {Object} playerPosition - Player world position {x, y, z}
+ * @returns {boolean} True if the player dies
+ */
+function isPlayerCaught(layout, jumper, playerPosition) {
+    const reach = CATCH_DISTANCE + getJumperSize(jumper);
+    return distanceBetween(playerPosition, jumper.position) < reach && isInReach(layout, playerPosition, jumper);
+}
+
+/**
+ * Checks whether the player stands at the exit
+ * @param {Object} playerPosition - Player world position {x, y, z}
+ * @param {Object} exitPosition - Exit world position {x, y, z}
+ * @param {string} mode - 'hunt' or 'survival'
+ * @returns {boolean} True if inside the exit radius
+ */
+function isAtExit(playerPosition, exitPosition, mode) {
+    return distanceBetween(playerPosition, exitPosition) < (EXIT_RADIUS[mode] || EXIT_RADIUS.survival);
+}
+
+/**
+ * Checks whether the player escapes through the exit
+ * The hunt exit stays locked until every jumper is dead
+ * @param {Object} playerPosition - Player world position {x, y, z}
+ * @param {Object} exitPosition - Exit world position {x, y, z}
+ * @param {string} mode - 'hunt' or 'survival'
+ * @param {number} jumpersRemaining - Living jumpers
+ * @returns {boolean} True if the run is won
+ */
+function hasReachedExit(playerPosition, exitPosition, mode, jumpersRemaining) {
+    if (mode === 'hunt' && jumpersRemaining > 0) return false;
+    return isAtExit(playerPosition, exitPosition, mode);
+}
+
+/**
+ * Finds the jumper a knife swing kills
+ * One kill per swing: the newest jumper in reach within KNIFE_RANGE
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Array<Object>} jumpers - Jumper states
+ * @param {Object} playerPosition - Player world position {x, y, z}
+ * @returns {number} Index into jumpers, or -1 if the swing misses
+ */
+function findKnifeTarget(layout, jumpers, playerPosition) {
+    for (let i = jumpers.length - 1; i >= 0; i--) {
+        const jumper = jumpers[i];
+        if (isInReach(layout, playerPosition, jumper) &&
+            distanceBetween(playerPosition, jumper.position) < KNIFE_RANGE + getJumperSize(jumper)) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Creates a bullet fired from the player along a facing angle
+ * @param {Object} playerPosition - Player world position {x, z}
+ * @param {number} angle - Facing angle (radians, atan2(x, z))
+ * @param {Object} [weapon=WEAPON_TYPES.pistol] - Gun it came from (damage, speed, range)
+ * @returns {Object} Bullet state { position, velocity, lifetime, maxLifetime, damage }
+ */
+function createBullet(playerPosition, angle, weapon = WEAPON_TYPES.pistol) {
+    const speed = weapon.projectileSpeed;
+    return {
+        position: { x: playerPosition.x, y: 0.8, z: playerPosition.z },
+        velocity: { x: Math.sin(angle) * speed, y: 0, z: Math.cos(angle) * speed },
+        lifetime: 0,
+        maxLifetime: weapon.range,
+        damage: weapon.damage
+    };
+}
+
+/**
+ * Creates the rounds a newly acquired weapon carries
+ * A full magazine is loaded and the rest kept in reserve; weapons without a
+ * magazine keep every round ready
+ * @param {Object} weapon - WEAPON_TYPES entry with ammo
+ * @returns {Object} Rounds { loaded, reserve }
+ */
+function createWeaponAmmo(weapon) {
+    const loaded = weapon.magazine ? Math.min(weapon.magazine, weapon.ammo) : weapon.ammo;
+    return { loaded: loaded, reserve: weapon.ammo - loaded };
+}
+
+/**
+ * Adds rounds to an owned weapon (a pickup or an ammo crate)
+ * @param {Object} rounds - Rounds from createWeaponAmmo, modified in place
+ * @param {Object} weapon - WEAPON_TYPES entry
+ * @param {number} count - Rounds added
+ * @returns {void}
+ */
+function addWeaponAmmo(rounds, weapon, count) {
+    if (weapon.magazine) {
+        rounds.reserve += count;
+    } else {
+        rounds.loaded += count;
+    }
+}
+
+/**
+ * Checks whether a reload would load anything
+ * @param {Object} weapon - WEAPON_TYPES entry
+ * @param {Object} [rounds] - Rounds from createWeaponAmmo
+ * @returns {boolean} True for a magazine that is not full with rounds in reserve
+ */
+function canReload(weapon, rounds) {
+    return Boolean(weapon.magazine && rounds && rounds.loaded < weapon.magazine && rounds.reserve > 0);
+}
+
+/**
+ * Starts reloading a weapon
+ * @param {Object} weapon - WEAPON_TYPES entry
+ * @param {Object} [rounds] - Rounds from createWeaponAmmo
+ * @param {number} now - Simulation time (ms)
+ * @returns {Object|null} Reload { weapon, until }, or null if there is nothing to load
+ */
+function startReload(weapon, rounds, now) {
+    if (!canReload(weapon, rounds)) return null;
+    return { weapon: weapon.id, until: now + weapon.reloadTime };
+}
+
+/**
+ * Moves rounds from the reserve into the magazine when a reload ends
+ * @param {Object} weapon - WEAPON_TYPES entry
+ * @param {Object} rounds - Rounds from createWeaponAmmo, modified in place
+ * @returns {void}
+ */
+function finishReload(weapon, rounds) {
+    const count = Math.min(weapon.magazine - rounds.loaded, rounds.reserve);
+    rounds.loaded += count;
+    rounds.reserve -= count;
+}
+
+/**
+ * Fires one shot of a gun
+ * Several pellets fan out evenly across the spread; a single bullet is
+ * jittered within it instead
+ * @param {Object} weapon - WEAPON_TYPES entry with fireMode 'semi' or 'auto'
+ * @param {Object} playerPosition - Player world position {x, z}
+ * @param {number} angle - Aim angle (radians, atan2(x, z))
+ * @param {Function} random - Seeded random, only drawn for a jittered single bullet
+ * @returns {Array<Object>} Bullet states (see createBullet)
+ */
+function createShot(weapon, playerPosition, angle, random) {
+    if (weapon.pellets > 1) {
+        const pellets = [];
+        for (let i = 0; i < weapon.pellets; i++) {
+            const offset = (i / (weapon.pellets - 1) - 0.5) * weapon.spread;
+            pellets.push(createBullet(playerPosition, angle + offset, weapon));
+        }
+        return pellets;
+    }
+
+    const jitter = weapon.spread > 0 ? (random() - 0.5) * weapon.spread : 0;
+    return [createBullet(playerPosition, angle + jitter, weapon)];
+}
+
+/**
+ * Advances one bullet by one tick
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Object} bullet - { position, velocity, lifetime }, modified in place
+ * @param {Array<Object>} jumpers - Jumper states
+ * @returns {Object} { expired, hitIndex } - expired when it hit a wall or
+ *   timed out, hitIndex of the jumper it hit (-1 for none)
+ */
+function stepBullet(layout, bullet, jumpers) {
+    bullet.position.x += bullet.velocity.x;
+    bullet.position.y += bullet.velocity.y;
+    bullet.position.z += bullet.velocity.z;
+    bullet.lifetime++;
+
+    if (isWallAt(layout, bullet.position) || bullet.lifetime > bullet.maxLifetime) {
+        return { expired: true, hitIndex: -1 };
+    }
+
+    // Bullets only hit jumpers in the lane they are flying through (or roaming ones in sight)
+    for (let j = jumpers.length - 1; j >= 0; j--) {
+        const jumper = jumpers[j];
+        if (isInReach(layout, bullet.position, jumper) &&
+            distanceBetween(bullet.position, jumper.position) < BULLET_HIT_DISTANCE + getJumperSize(jumper)) {
+            return { expired: false, hitIndex: j };
+        }
+    }
+
+    return { expired: false, hitIndex: -1 };
+}
+
+/**
+ * Creates a grenade thrown from the player along a facing angle
+ * @param {Object} playerPosition - Player world position {x, z}
+ * @param {number} angle - Aim angle (radians, atan2(x, z))
+ * @param {Object} [weapon=WEAPON_TYPES.grenade] - Throwable (speed, lift, damage, blast radius)
+ * @returns {Object} Grenade state { position, velocity, damage, blastRadius }
+ */
+function createGrenade(playerPosition, angle, weapon = WEAPON_TYPES.grenade) {
+    const speed = weapon.projectileSpeed;
+    return {
+        position: { x: playerPosition.x, y: 0.8, z: playerPosition.z },
+        velocity: { x: Math.sin(angle) * speed, y: weapon.lift, z: Math.cos(angle) * speed },
+        damage: weapon.damage,
+        blastRadius: weapon.blastRadius
+    };
+}
+
+/**
+ * Advances a thrown grenade by one tick
+ * Grenades arc over walls and go off where they come down, or at the maze edge
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Object} grenade - Grenade state, modified in place
+ * @returns {boolean} True when it exploded this tick
+ */
+function stepGrenade(layout, grenade) {
+    grenade.velocity.y -= GRENADE_GRAVITY;
+    grenade.position.x += grenade.velocity.x;
+    grenade.position.y += grenade.velocity.y;
+    grenade.position.z += grenade.velocity.z;
+
+    const gridX = worldToGridX(layout, grenade.position.x);
+    const gridZ = worldToGridZ(layout, grenade.position.z);
+    if (grenade.position.y <= 0 || !isInsideMaze(layout, gridX, gridZ)) {
+        grenade.position.y = Math.max(0, grenade.position.y);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Finds the jumpers caught in a blast; explosions ignore lanes
+ * @param {Array<Object>} jumpers - Jumper states
+ * @param {Object} position - Blast centre {x, z}
+ * @param {number} radius - Blast radius
+ * @returns {Array<number>} Jumper indices, highest first so kills can be removed in order
+ */
+function findBlastTargets(jumpers, position, radius) {
+    const targets = [];
+    for (let i = jumpers.length - 1; i >= 0; i--) {
+        const jumper = jumpers[i];
+        const dx = jumper.position.x - position.x;
+        const dz = jumper.position.z - position.z;
+        if (Math.sqrt(dx * dx + dz * dz) < radius + getJumperSize(jumper)) {
+            targets.push(i);
+        }
+    }
+    return targets;
+}
+
+// ============================================================================
+// HUNT BOSS
+// ============================================================================
+
+/**
+ * Finds the cell the hunt boss lands in
+ * The open cell nearest the exit (by walking distance) that is at least
+ * BOSS_SPAWN_CLEARANCE from the player, so it never lands on top of them
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Object} playerPosition - Player world position {x, z}
+ * @returns {Array<number>} [x, z] grid cell
+ */
+function getBossSpawnCell(layout, playerPosition) {
+    const [exitX, exitZ] = getExitCell(layout);
+    const distances = floodFillMaze(layout.grid, exitX, exitZ);
+    let best = [exitX, exitZ];
+    let bestSteps = Infinity;
+
+    for (let x = 0; x < layout.width; x++) {
+        for (let z = 0; z < layout.depth; z++) {
+            const steps = distances[x][z];
+            if (steps === -1 || steps >= bestSteps) continue;
+            const point = { x: gridToWorldX(layout, x), z: gridToWorldZ(layout, z) };
+            if (planarDistance(point, playerPosition) >= BOSS_SPAWN_CLEARANCE) {
+                best = [x, z];
+                bestSteps = steps;
+            }
+        }
+    }
+    return best;
+}
+
+/**
+ * Creates the simulation state of the hunt boss
+ * It lands near the UFO already hunting the player down the flow field
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Object} playerPosition - Player world position {x, z}
+ * @param {number} speed - Base movement per tick (scaled by the type)
+ * @param {Function} random - Seeded PRNG
+ * @param {number} [health=ENEMY_HEALTH] - Base health (scaled by the type)
+ * @returns {Object} Boss jumper state without a mesh
+ */
+function createBoss(layout, playerPosition, speed, random, health = ENEMY_HEALTH) {
+    const [cellX, cellZ] = getBossSpawnCell(layout, playerPosition);
+    const position = { x: gridToWorldX(layout, cellX), y: ENEMY_BASE_Y, z: gridToWorldZ(layout, cellZ) };
+    const lane = {
+        axis: 'x',
+        fixedCoord: position.z,
+        xMin: position.x,
+        xMax: position.x,
+        zMin: position.z - 0.5,
+        zMax: position.z + 0.5,
+        name: 'UFO Landing',
+        corridorId: null
+    };
+    const boss = createJumperState(position, 'x', position.x, position.x, lane, speed, random, health, 'boss');
+
+    boss.state = 'chasing';
+    boss.globalChase = true;
+    boss.phase = 1;
+    boss.bossAction = 'stalk';
+    boss.actionUntil = 0;
+    boss.chargeDirection = { x: 0, z: 0 };
+    boss.chargeTravelled = 0;
+    boss.nextChargeTime = 0;
+    boss.nextSlamTime = 0;
+    boss.lastSummonTime = 0;
+    return boss;
+}
+
+/**
+ * Gets the boss's attack phase from its remaining health
+ * Phase 1 charges, phase 2 also summons minions, phase 3 also slams
+ * @param {Object} boss - Boss jumper state
+ * @returns {number} 1, 2 or 3
+ */
+function getBossPhase(boss) {
+    const fraction = boss.health / boss.maxHealth;
+    if (fraction > 2 / 3) return 1;
+    if (fraction > 1 / 3) return 2;
+    return 3;
+}
+
+/**
+ * Picks a charge down the lane line nearest the boss
+ * The player must stand on that line (within half a cell), in range and
+ * with nothing but corridor between them
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Object} boss - Boss jumper state
+ * @param {Object} playerPosition - Player world position {x, z}
+ * @returns {Object|null} { x, z, laneCoord } - unit direction and the lane
+ *   line's fixed coordinate, or null if there is no lane to charge down
+ */
+function getBossChargeDirection(layout, boss, playerPosition) {
+    const charge = getEnemyType(boss.type).charge;
+    const cellX = Math.round(boss.position.x + layout.width / 2);
+    const cellZ = Math.round(boss.position.z + layout.depth / 2);
+    if (!isOpenCell(layout.grid, cellX, cellZ)) return null;
+
+    const laneX = gridToWorldX(layout, cellX);
+    const laneZ = gridToWorldZ(layout, cellZ);
+    let direction = null;
+    let laneStart, laneEnd;
+    if (Math.abs(playerPosition.z - laneZ) < 0.5 && Math.abs(playerPosition.x - laneX) > 1) {
+        direction = { x: Math.sign(playerPosition.x - laneX), z: 0, laneCoord: laneZ };
+        laneStart = { x: laneX, z: laneZ };
+        laneEnd = { x: playerPosition.x, z: laneZ };
+    } else if (Math.abs(playerPosition.x - laneX) < 0.5 && Math.abs(playerPosition.z - laneZ) > 1) {
+        direction = { x: 0, z: Math.sign(playerPosition.z - laneZ), laneCoord: laneX };
+        laneStart = { x: laneX, z: laneZ };
+        laneEnd = { x: laneX, z: playerPosition.z };
+    }
+    if (!direction || planarDistance(laneStart, laneEnd) > charge.range) return null;
+
+    // Test the lane itself, not the slightly skewed line to the player
+    return hasLineOfSight(layout, laneStart, laneEnd) ? direction : null;
+}
+
+/**
+ * Slides a winding-up boss onto its charge lane's line
+ * @param {Object} boss - Boss jumper state, modified in place
+ * @param {boolean} snap - Finish the slide at once (the charge starts now)
+ * @returns {void}
+ */
+function alignBossToLane(boss, snap) {
+    const axis = boss.chargeDirection.x !== 0 ? 'z' : 'x';
+    const offset = boss.chargeDirection.laneCoord - boss.position[axis];
+    const step = snap ? Math.abs(offset) : boss.speed * 0.5;
+    boss.position[axis] += Math.sign(offset) * Math.min(Math.abs(offset), step);
+}
+
+/**
+ * Moves a charging boss one tick down its lane
+ * Walls are drawn centered on grid points, so the charge stops on the last
+ * grid point before one; it also stops after charge.maxDistance. The boss
+ * then settles on the nearest grid point and goes back to stalking.
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Object} boss - Boss jumper state, modified in place
+ * @param {number} now - Simulation time (ms)
+ * @returns {void}
+ */
+function stepBossCharge(layout, boss, now) {
+    const charge = getEnemyType(boss.type).charge;
+    const direction = boss.chargeDirection;
+    const step = boss.speed * charge.speedMultiplier;
+    const nextX = boss.position.x + direction.x * step;
+    const nextZ = boss.position.z + direction.z * step;
+    const aheadX = Math.round(nextX + direction.x * 0.5 + layout.width / 2);
+    const aheadZ = Math.round(nextZ + direction.z * 0.5 + layout.depth / 2);
+
+    if (isOpenCell(layout.grid, aheadX, aheadZ) && boss.chargeTravelled + step <= charge.maxDistance) {
+        boss.position.x = nextX;
+        boss.position.z = nextZ;
+        boss.chargeTravelled += step;
+        return;
+    }
+
+    boss.position.x = gridToWorldX(layout, Math.round(boss.position.x + layout.width / 2));
+    boss.position.z = gridToWorldZ(layout, Math.round(boss.position.z + layout.depth / 2));
+    boss.bossAction = 'stalk';
+    boss.nextChargeTime = now + charge.cooldown;
+}
+
+/**
+ * Advances the boss by one tick
+ * While stalking it walks the flow field toward the player and starts an
+ * attack when one is ready: a ground slam when the player is close (phase 3),
+ * otherwise a charge down a lane the player stands in. Both are telegraphed
+ * by a windup (it lines up on the lane for charges and rises for slams). From phase
+ * 2 on it also calls minions on a cooldown; the caller spawns them (see
+ * summonBossMinions) and applies slam damage.
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Object} boss - Boss jumper state, modified in place
+ * @param {Object} playerPosition - Player world position {x, z}
+ * @param {Object|null} flowField - Flow field toward the player
+ * @param {number} now - Simulation time (ms)
+ * @returns {Object} { phaseChanged, windup ('charge' | 'slam' | null), slam,
+ *   slamHit, summon } - what happened this tick
+ */
+function stepBoss(layout, boss, playerPosition, flowField, now) {
+    const type = getEnemyType(boss.type);
+    const result = { phaseChanged: false, windup: null, slam: false, slamHit: false, summon: false };
+
+    const phase = getBossPhase(boss);
+    if (phase !== boss.phase) {
+        boss.phase = phase;
+        result.phaseChanged = true;
+    }
+    boss.jumpPhase += JUMP_FREQUENCY * 0.5;
+    boss.position.y = boss.baseY;
+
+    if (boss.bossAction === 'charge-windup') {
+        alignBossToLane(boss, now >= boss.actionUntil);
+        if (now >= boss.actionUntil) {
+            boss.bossAction = 'charge';
+            boss.chargeTravelled = 0;
+        }
+    } else if (boss.bossAction === 'charge') {
+        stepBossCharge(layout, boss, now);
+    } else if (boss.bossAction === 'slam-windup') {
+        if (now >= boss.actionUntil) {
+            boss.bossAction = 'stalk';
+            boss.nextSlamTime = now + type.slam.cooldown;
+            result.slam = true;
+            result.slamHit = planarDistance(boss.position, playerPosition) <= type.slam.radius;
+        } else {
+            boss.position.y = boss.baseY + (1 - (boss.actionUntil - now) / type.slam.windup) * 1.2;
+        }
+    } else {
+        const distance = planarDistance(boss.position, playerPosition);
+        const chargeDirection = now >= boss.nextChargeTime ? getBossChargeDirection(layout, boss, playerPosition) : null;
+
+        if (phase >= type.slam.phase && now >= boss.nextSlamTime && distance <= type.slam.triggerRange) {
+            boss.bossAction = 'slam-windup';
+            boss.actionUntil = now + type.slam.windup;
+            result.windup = 'slam';
+        } else if (chargeDirection) {
+            boss.bossAction = 'charge-windup';
+            boss.actionUntil = now + type.charge.windup;
+            boss.chargeDirection = chargeDirection;
+            boss.direction.x = chargeDirection.x;
+            boss.direction.z = chargeDirection.z;
+            result.windup = 'charge';
+        } else {
+            stepFlowChaser(layout, boss, playerPosition, flowField);
+        }
+
+        if (phase >= type.summon.phase && now - boss.lastSummonTime >= type.summon.cooldown) {
+            boss.lastSummonTime = now;
+            result.summon = true;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Creates the minions the boss calls in
+ * They appear in the corridors nearest the boss (never within
+ * BOSS_SPAWN_CLEARANCE of the player) and chase down the flow field.
+ * No more than summon.maxAlive minions are out at once.
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Array<Object>} corridors - Corridors from findCorridors
+ * @param {Object} boss - Boss jumper state
+ * @param {number} aliveCount - Jumpers alive besides the boss
+ * @param {Object} playerPosition - Player world position {x, z}
+ * @param {number} speed - Base movement per tick
+ * @param {Function} random - Seeded PRNG
+ * @param {number} [health=ENEMY_HEALTH] - Base health
+ * @returns {Array<Object>} New jumper states (possibly empty)
+ */
+function summonBossMinions(layout, corridors, boss, aliveCount, playerPosition, speed, random, health = ENEMY_HEALTH) {
+    const summon = getEnemyType(boss.type).summon;
+    const count = Math.min(summon.count, summon.maxAlive - aliveCount);
+    if (count <= 0) return [];
+
+    const nearest = corridors
+        .map(corridor => ({ corridor, center: getCorridorCenter(layout, corridor) }))
+        .filter(({ center }) => planarDistance(center, playerPosition) >= BOSS_SPAWN_CLEARANCE)
+        .sort((a, b) => planarDistance(a.center, boss.position) - planarDistance(b.center, boss.position));
+
+    return nearest.slice(0, count).map(({ corridor }) => {
+        const minion = createEnemy(layout, corridor, speed, random, health, summon.type);
+        minion.state = 'chasing';
+        minion.globalChase = true;
+        return minion;
+    });
+}
+
+// ============================================================================
+// SURVIVAL AI DIRECTOR
+// ============================================================================
+
+/**
+ * Creates the survival director state
+ * The run starts in build-up with the first wave one waveInterval away
+ * @param {number} [maxAlive=DEFAULT_MAX_ENEMIES] - Most enemies alive at once
+ * @returns {Object} Director state { phase, intensity, maxAlive, lastWaveTime, lastThreatTime, lullUntil }
+ */
+function createDirector(maxAlive = DEFAULT_MAX_ENEMIES) {
+    return {
+        phase: 'build-up',
+        intensity: 0,
+        maxAlive: maxAlive,
+        lastWaveTime: 0,
+        lastThreatTime: 0,
+        lullUntil: 0
+    };
+}
+
+/**
+ * Raises the director's intensity after a kill or a hit on the player
+ * @param {Object} director - Director state, modified in place
+ * @param {number} stress - Intensity added (DIRECTOR_SETTINGS killStress / damageStress)
+ * @param {number} now - Simulation time (ms)
+ * @returns {void}
+ */
+function addDirectorStress(director, stress, now) {
+    director.intensity = Math.min(1, director.intensity + stress);
+    director.lastThreatTime = now;
+}
+
+/**
+ * Counts the jumpers within a few steps of the player through the maze
+ * @param {Array<Object>} jumpers - Jumper states
+ * @param {Object|null} flowField - Flow field toward the player
+ * @param {number} [cells=DIRECTOR_SETTINGS.nearbyCells] - Step limit
+ * @returns {number} Jumpers close by
+ */
+function countNearbyJumpers(jumpers, flowField, cells = DIRECTOR_SETTINGS.nearbyCells) {
+    if (!flowField) return 0;
+    return jumpers.filter(jumper => {
+        const steps = getFlowDistance(flowField, jumper.position);
+        return steps !== -1 && steps <= cells;
+    }).length;
+}
+
+/**
+ * Advances the director by one tick and decides what to spawn
+ * @param {Object} director - Director state, modified in place
+ * @param {Object} observation - { alive, nearby, healthFraction } - living
+ *   enemies, enemies close by (countNearbyJumpers) and player hearts left (0-1)
+ * @param {number} now - Simulation time (ms)
+ * @param {Function} random - Seeded PRNG (rolls the wave size)
+ * @returns {Object} { spawn, kind ('wave' | 'surge' | null), phaseChanged }
+ */
+function stepDirector(director, observation, now, random) {
+    const settings = DIRECTOR_SETTINGS;
+    const result = { spawn: 0, kind: null, phaseChanged: false };
+
+    if (observation.nearby > 0) director.lastThreatTime = now;
+    director.intensity += observation.nearby * settings.nearbyStress;
+    if (now - director.lastThreatTime > settings.threatGrace) {
+        director.intensity -= settings.decayPerSecond * (SIM_STEP / 1000);
+    }
+    const floor = (1 - observation.healthFraction) * settings.healthStress;
+    director.intensity = Math.min(1, Math.max(floor, director.intensity));
+
+    if (director.phase === 'lull') {
+        if (now >= director.lullUntil && director.intensity <= settings.relaxIntensity) {
+            director.phase = 'build-up';
+            director.lastWaveTime = now;
+            director.lastThreatTime = now; // No surge straight out of a lull
+            result.phaseChanged = true;
+        }
+        return result;
+    }
+
+    if (director.intensity >= settings.peakIntensity) {
+        director.phase = 'lull';
+        director.lullUntil = now + settings.lullDuration;
+        result.phaseChanged = true;
+        return result;
+    }
+
+    const room = director.maxAlive - observation.alive;
+    if (room <= 0) return result;
+
+    if (now - director.lastThreatTime >= settings.surgeAfter) {
+        result.spawn = Math.min(room, settings.surgeSize);
+        result.kind = 'surge';
+        director.lastThreatTime = now;
+        director.lastWaveTime = now;
+    } else if (now - director.lastWaveTime >= settings.waveInterval) {
+        const { min, max } = settings.waveSize;
+        result.spawn = Math.min(room, min + Math.floor(random() * (max - min + 1)));
+        result.kind = 'wave';
+        director.lastWaveTime = now;
+    }
+    return result;
+}
+
+/**
+ * Picks a corridor for a director spawn
+ * Keeps corridors the player can reach (so the spawn can find them) but
+ * cannot see, at least minSpawnCells away, and picks one of the
+ * spawnChoices nearest so waves arrive soon. Falls back to
+ * selectSurvivalCorridor when no corridor qualifies.
+ * @param {Object} layout - Maze layout ({ grid, width, depth })
+ * @param {Array<Object>} corridors - Corridors from findCorridors (non-empty)
+ * @param {Object} playerPosition - Player world position {x, z}
+ * @param {Object|null} flowField - Flow field toward the player
+ * @param {Function} random - Seeded PRNG
+ * @returns {Object} { corridor, distance } - distance in steps, or world
+ *   units for the fallback
+ */
+function selectDirectorCorridor(layout, corridors, playerPosition, flowField, random) {
+    const settings = DIRECTOR_SETTINGS;
+    const candidates = [];
+
+    if (flowField) {
+        corridors.forEach(corridor => {
+            const center = getCorridorCenter(layout, corridor);
+            const steps = getFlowDistance(flowField, center);
+            if (steps < settings.minSpawnCells) return; // Too close, or unreachable (-1)
+            if (hasLineOfSight(layout, playerPosition, center)) return;
+            candidates.push({ corridor, distance: steps });
+        });
+    }
+
+    if (candidates.length === 0) {
+        return selectSurvivalCorridor(layout, corridors, playerPosition, random);
+    }
+
+    candidates.sort((a, b) => a.distance - b.distance);
+    const choices = Math.min(settings.spawnChoices, candidates.length);
+    return candidates[Math.floor(random() * choices)];
+}
+
+// ============================================================================
+// HEADLESS SIMULATION
+// ============================================================================
+
+/**
+ * Creates a headless run of the game rules
+ * Builds the same maze and starting jumpers the browser builds for a seed,
+ * then advances tick by tick from scripted inputs. Covers movement, the
+ * knife, the pistol pickup and bullets, weapon damage and stagger, enemy
+ * types (spit, splitting), noise, vision and searching, the optional hunt boss, kills, the survival
+ * director's waves, player health with knockback and the win/lose checks; cosmetics, ammo and
+ * health pickups and effects are browser-only.
+ *
+ * @param {Object} [options] - Run options
+ * @param {number|string} [options.seed=1] - World seed (text is hashed like ?seed=)
+ * @param {string} [options.mode='hunt'] - 'hunt' or 'survival'
+ * @param {number} [options.width=30] - Maze width
+ * @param {number} [options.depth=30] - Maze depth
+ * @param {string} [options.algorithm='backtracker'] - MAZE_GENERATORS key
+ * @param {number} [options.braidDensity=0] - Fraction of dead ends braided (0-1)
+ * @param {number} [options.enemyCount=15] - Starting jumpers
+ * @param {number} [options.enemySpeed=0.08] - Jumper movement per tick
+ * @param {number} [options.enemyHealth=ENEMY_HEALTH] - Jumper starting health
+ * @param {number} [options.maxHealth=PLAYER_MAX_HEALTH] - Player hit points
+ * @param {boolean} [options.oneHit=false] - One-hit hardcore (any contact is fatal)
+ * @param {boolean} [options.boss=false] - Hunt: the boss lands after the last jumper dies
+ * @param {number} [options.maxEnemies=DEFAULT_MAX_ENEMIES] - Survival: director's live enemy cap
+ * @param {Array<string>} [options.loadout=[]] - WEAPON_TYPES ids owned from the start, each
+ *   with its starting ammo (the pistol is otherwise picked up in the maze)
+ * @returns {Object} { state, step(input), run(inputs, maxSteps) }
+ *
+ * @example
+ * const sim = ZyrathSim.createSimulation({ seed: 42, mode: 'hunt' });
+ * sim.run(() => ({ x: 1, z: 0, attack: true }), 600);
+ * console.log(sim.state.status, sim.state.kills);
+ */
+function createSimulation(options = {}) {
+    const seed = typeof options.seed === 'number' ? options.seed >>> 0 : (parseSeed(options.seed) || 1);
+    const mode = options.mode || 'hunt';
+    const random = createSeededRandom(seed);
+    const spawnRandom = createSpawnRandom(seed);
+    const enemySpeed = options.enemySpeed !== undefined ? options.enemySpeed : 0.08;
+    const enemyHealth = options.enemyHealth !== undefined ? options.enemyHealth : ENEMY_HEALTH;
+    const layout = generateMazeLayout({
+        width: options.width || 30,
+        depth: options.depth || 30,
+        algorithm: options.algorithm || 'backtracker',
+        braidDensity: options.braidDensity || 0,
+        random: random
+    });
+    const corridors = createCorridorIndex(layout).corridors;
+    const enemyCount = options.enemyCount !== undefined ? options.enemyCount : 15;
+
+    const state = {
+        seed: seed,
+        mode: mode,
+        layout: layout,
+        status: 'running',
+        time: 0,
+        ticks: 0,
+        kills: 0,
+        weapon: 'knife',
+        ammo: {}, // Rounds { loaded, reserve } per owned gun
+        reload: null, // { weapon, until } while a magazine is being reloaded
+        attackHeld: false, // Last tick's attack input: only auto weapons repeat while held
+        lastAttackTime: -Infinity,
+        lastFootstepTime: -Infinity,
+        health: createPlayerHealth(options.maxHealth, options.oneHit === true),
+        player: {
+            position: getSpawnPosition(layout),
+            velocity: { x: 0, y: 0, z: 0 },
+            rotation: 0
+        },
+        jumpers: selectPatrolCorridors(corridors, enemyCount)
+            .map(corridor => createEnemy(layout, corridor, enemySpeed, random, enemyHealth)),
+        bullets: [],
+        grenades: [],
+        spits: [],
+        flowField: null,
+        bossStatus: null, // null, 'incoming', 'fighting' or 'defeated'
+        director: mode === 'survival' ? createDirector(options.maxEnemies) : null,
+        exit: getExitPosition(layout),
+        pistol: getPistolPosition(layout),
+        events: []
+    };
+
+    (options.loadout || []).forEach(id => {
+        state.ammo[id] = createWeaponAmmo(WEAPON_TYPES[id]);
+    });
+
+    function schedule(delay, callback) {
+        state.events.push({ time: state.time + delay, callback: callback });
+    }
+
+    function spawnSurvivalJumpers(count) {
+        if (corridors.length === 0) return;
+        for (let i = 0; i < count; i++) {
+            const { corridor } = selectDirectorCorridor(layout, corridors, state.player.position, state.flowField, spawnRandom);
+            state.jumpers.push(createEnemy(layout, corridor, enemySpeed, spawnRandom, enemyHealth));
+        }
+    }
+
+    function spawnBoss() {
+        state.bossStatus = 'fighting';
+        state.jumpers.push(createBoss(layout, state.player.position, enemySpeed, spawnRandom, enemyHealth));
+    }
+
+    function stepBossTick(boss) {
+        const action = stepBoss(layout, boss, state.player.position, state.flowField, state.time);
+        if (action.summon) {
+            state.jumpers.push(...summonBossMinions(layout, corridors, boss, state.jumpers.length - 1,
+                state.player.position, enemySpeed, spawnRandom, enemyHealth));
+        }
+        if (action.slamHit) hurtPlayer(boss.position);
+    }
+
+    function killJumper(index) {
+        const jumper = state.jumpers[index];
+        const children = splitJumper(jumper, spawnRandom);
+        state.jumpers.splice(index, 1);
+        state.jumpers.push(...children);
+        state.kills++;
+        if (jumper.type === 'boss') state.bossStatus = 'defeated';
+
+        if (mode === 'survival') {
+            addDirectorStress(state.director, DIRECTOR_SETTINGS.killStress, state.time);
+        } else if (state.jumpers.length === 0 && options.boss && state.bossStatus === null) {
+            state.bossStatus = 'incoming';
+            schedule(BOSS_SPAWN_DELAY, spawnBoss);
+        } else if (state.jumpers.length === 0) {
+            schedule(KILL_EVENT_DELAY, () => finish('won'));
+        }
+    }
+
+    function hitJumper(index, damage) {
+        if (damageJumper(state.jumpers[index], damage)) killJumper(index);
+    }
+
+    // Returns true when the hit ended the run
+    function hurtPlayer(fromPosition) {
+        if (!damagePlayer(state.health, state.time)) return false;
+        if (state.director) addDirectorStress(state.director, DIRECTOR_SETTINGS.damageStress, state.time);
+        if (state.health.current <= 0) {
+            finish('lost');
+            return true;
+        }
+        knockBackPlayer(layout, state.player, fromPosition);
+        return false;
+    }
+
+    function finish(status) {
+        if (state.status === 'running') state.status = status;
+    }
+
+    function attack() {
+        const weapon = WEAPON_TYPES[state.weapon];
+        if (state.time - state.lastAttackTime < weapon.cooldown) return;
+
+        if (weapon.fireMode === 'melee') {
+            state.lastAttackTime = state.time;
+            emitNoise(layout, state.jumpers, state.player.position, NOISE_RADIUS[weapon.noise]);
+            const target = findKnifeTarget(layout, state.jumpers, state.player.position);
+            if (target !== -1) hitJumper(target, weapon.damage);
+            return;
+        }
+        const rounds = state.ammo[weapon.id];
+        if (state.reload || !rounds) return;
+        if (rounds.loaded === 0) {
+            state.reload = startReload(weapon, rounds, state.time);
+            return;
+        }
+
+        state.lastAttackTime = state.time;
+        rounds.loaded--;
+        if (rounds.loaded === 0) state.reload = startReload(weapon, rounds, state.time);
+        if (weapon.noise) emitNoise(layout, state.jumpers, state.player.position, NOISE_RADIUS[weapon.noise]);
+        if (weapon.fireMode === 'throw') {
+            state.grenades.push(createGrenade(state.player.position, state.player.rotation, weapon));
+        } else {
+            state.bullets.push(...createShot(weapon, state.player.position, state.player.rotation, spawnRandom));
+        }
+    }
+
+    function explode(grenade) {
+        emitNoise(layout, state.jumpers, grenade.position, NOISE_RADIUS.explosion);
+        findBlastTargets(state.jumpers, grenade.position, grenade.blastRadius)
+            .forEach(index => hitJumper(index, grenade.damage));
+    }
+
+    /**
+     * Advances the run by one tick
+     * @param {Object} [input] - { x, z } movement (-1..1), attack (boolean; held
+     *   down, only 'auto' weapons fire again, the rest need a new press), reload
+     *   (boolean), optional aim (radians; with aim the player faces it instead of
+     *   the movement direction) and optional weapon (WEAPON_TYPES id to switch to, if owned)
+     * @returns {Object} The run state
+     */
+    function step(input = {}) {
+        if (state.status !== 'running') return state;
+
+        state.time += SIM_STEP;
+        state.ticks++;
+
+        // Player
+        const player = state.player;
+        if (typeof input.aim === 'number') player.rotation = input.aim;
+        if ((input.weapon === 'knife' || input.weapon in state.ammo) && input.weapon !== state.weapon) {
+            state.weapon = input.weapon;
+            state.reload = null;
+        }
+
+        // Reloads finish on the tick their time comes up
+        if (state.reload && state.time >= state.reload.until) {
+            finishReload(WEAPON_TYPES[state.reload.weapon], state.ammo[state.reload.weapon]);
+            state.reload = null;
+        }
+        if (input.reload && !state.reload) {
+            state.reload = startReload(WEAPON_TYPES[state.weapon], state.ammo[state.weapon], state.time);
+        }
+
+        const attackPressed = Boolean(input.attack) && !state.attackHeld;
+        state.attackHeld = Boolean(input.attack);
+        if (attackPressed || (input.attack && WEAPON_TYPES[state.weapon].fireMode === 'auto')) attack();
+
+        const facing = stepPlayer(layout, player, input);
+        if (facing !== null && typeof input.aim !== 'number') player.rotation = facing;
+
+        if (isFootstepDue(player.velocity, state.lastFootstepTime, state.time)) {
+            state.lastFootstepTime = state.time;
+            emitNoise(layout, state.jumpers, player.position, NOISE_RADIUS.footstep);
+        }
+
+        if (state.pistol && distanceBetween(player.position, state.pistol) < PISTOL_PICKUP_RANGE) {
+            state.pistol = null;
+            state.weapon = 'pistol';
+            state.reload = null;
+            if (state.ammo.pistol) {
+                addWeaponAmmo(state.ammo.pistol, WEAPON_TYPES.pistol, WEAPON_TYPES.pistol.ammo);
+            } else {
+                state.ammo.pistol = createWeaponAmmo(WEAPON_TYPES.pistol);
+            }
+        }
+
+        const attacker = state.jumpers.find(jumper => isPlayerCaught(layout, jumper, player.position));
+        if (attacker && hurtPlayer(attacker.position)) {
+            return state;
+        }
+
+        const bossIncoming = state.bossStatus === 'incoming' ? 1 : 0;
+        if (hasReachedExit(player.position, state.exit, mode, state.jumpers.length + bossIncoming)) {
+            finish('won');
+            return state;
+        }
+
+        // Jumpers
+        state.flowField = updateFlowField(state.flowField, layout, player.position);
+        updateJumperAwareness(layout, state.jumpers, player.position, mode, state.flowField);
+        state.jumpers.forEach(jumper => {
+            if (state.status !== 'running') return;
+            if (jumper.type === 'boss') {
+                stepBossTick(jumper);
+                return;
+            }
+            stepJumper(layout, jumper, player.position, state.flowField);
+            const spit = trySpitterAttack(layout, jumper, player.position, state.time);
+            if (spit) state.spits.push(spit);
+        });
+        if (state.status !== 'running') return state;
+
+        // Survival director: waves, surges and lulls
+        if (state.director) {
+            const decision = stepDirector(state.director, {
+                alive: state.jumpers.length,
+                nearby: countNearbyJumpers(state.jumpers, state.flowField),
+                healthFraction: state.health.current / state.health.max
+            }, state.time, spawnRandom);
+            if (decision.spawn > 0) spawnSurvivalJumpers(decision.spawn);
+        }
+
+        // Spit
+        for (let i = state.spits.length - 1; i >= 0; i--) {
+            const spit = state.spits[i];
+            const result = stepSpit(layout, spit, player.position);
+            if (result.expired || result.hit) {
+                state.spits.splice(i, 1);
+            }
+            if (result.hit && hurtPlayer(spit.position)) {
+                return state;
+            }
+        }
+
+        // Bullets
+        for (let i = state.bullets.length - 1; i >= 0; i--) {
+            const bullet = state.bullets[i];
+            const result = stepBullet(layout, bullet, state.jumpers);
+            if (result.expired || result.hitIndex !== -1) {
+                state.bullets.splice(i, 1);
+            }
+            if (result.hitIndex !== -1) {
+                hitJumper(result.hitIndex, bullet.damage);
+            }
+        }
+
+        // Grenades
+        for (let i = state.grenades.length - 1; i >= 0; i--) {
+            const grenade = state.grenades[i];
+            if (stepGrenade(layout, grenade)) {
+                state.grenades.splice(i, 1);
+                explode(grenade);
+            }
+        }
+
+        // Scheduled events (victory, the boss landing)
+        const due = state.events.filter(event => event.time <= state.time);
+        state.events = state.events.filter(event => event.time > state.time);
+        due.forEach(event => event.callback());
+
+        return state;
+    }
+
+    /**
+     * Steps until the run ends or maxSteps ticks have passed
+     * @param {Array<Object>|Function} [inputs] - Input per tick, or a function
+     *   (state, tick) => input
+     * @param {number} [maxSteps=3600] - Tick limit (one minute of game time)
+     * @returns {Object} The run state
+     */
+    function run(inputs = [], maxSteps = 3600) {
+        for (let tick = 0; tick < maxSteps && state.status === 'running'; tick++) {
+            const input = typeof inputs === 'function' ? inputs(state, tick) : inputs[tick];
+            step(input || {});
+        }
+        return state;
+    }
+
+    return { state, step, run };
+}
+
+return {
+    SIM_STEP,
+    PLAYER_SPEED,
+    PLAYER_ACCELERATION,
+    PLAYER_FRICTION,
+    PLAYER_HEIGHT,
+    PLAYER_RADIUS,
+    JUMP_HEIGHT,
+    JUMP_FREQUENCY,
+    ENEMY_BASE_Y,
+    CATCH_DISTANCE,
+    KNIFE_RANGE,
+    KNIFE_COOLDOWN,
+    BULLET_LIFETIME,
+    GRENADE_GRAVITY,
+    WEAPON_TYPES,
+    PISTOL_PICKUP_RANGE,
+    ENEMY_TYPES,
+    ENEMY_HEALTH,
+    STAGGER_TICKS,
+    PLAYER_MAX_HEALTH,
+    HIT_INVULNERABILITY,
+    KNOCKBACK_DISTANCE,
+    HEALTH_PICKUP_RANGE,
+    HEALTH_PICKUP_AMOUNT,
+    NOISE_RADIUS,
+    FOOTSTEP_INTERVAL,
+    FOOTSTEP_SPEED,
+    INVESTIGATE_TICKS,
+    INVESTIGATE_SPOT_CELLS,
+    VISION,
+    SUSPICION,
+    SEARCH_TURN_RATE,
+    KILL_EVENT_DELAY,
+    DIRECTOR_SETTINGS,
+    DEFAULT_MAX_ENEMIES,
+    BOSS_SPAWN_DELAY,
+    BOSS_SPAWN_CLEARANCE,
+    LANE_HIT,
+    LANE_SIGHT,
+    MAZE_GENERATORS,
+    GRID_DIRECTIONS,
+    distanceBetween,
+    planarDistance,
+    createSeededRandom,
+    createSpawnRandom,
+    parseSeed,
+    shuffleInPlace,
+    isOpenCell,
+    countOpenNeighbors,
+    findDeadEnds,
+    braidMaze,
+    floodFillMaze,
+    gridToWorldX,
+    gridToWorldZ,
+    worldToGridX,
+    worldToGridZ,
+    isInsideMaze,
+    getSpawnCell,
+    getExitCell,
+    getPistolCell,
+    getSpawnPosition,
+    getExitPosition,
+    getPistolPosition,
+    getRequiredMazeCells,
+    validateMazeConnectivity,
+    repairMazeLayout,
+    buildMazeGrid,
+    generateMazeLayout,
+    isWallAt,
+    isWallAtZombie,
+    getEnemyType,
+    rollEnemyType,
+    getLaneId,
+    isInSameCorridorLane,
+    isInLane,
+    isInReach,
+    findCorridors,
+    createLane,
+    createCorridorIndex,
+    updateCorridorIndex,
+    selectPatrolCorridors,
+    getCorridorCenter,
+    selectSurvivalCorridor,
+    createEnemy,
+    splitJumper,
+    stepPlayer,
+    createPlayerHealth,
+    isPlayerInvulnerable,
+    damagePlayer,
+    healPlayer,
+    knockBackPlayer,
+    createFlowField,
+    updateFlowField,
+    getFlowDistance,
+    getFlowWaypoint,
+    getJumpArc,
+    canJumperSee,
+    isOffLane,
+    startSearch,
+    updateJumperAwareness,
+    stepJumper,
+    emitNoise,
+    isFootstepDue,
+    hasLineOfSight,
+    trySpitterAttack,
+    stepSpit,
+    damageJumper,
+    getJumperSize,
+    isPlayerCaught,
+    isAtExit,
+    hasReachedExit,
+    findKnifeTarget,
+    createBullet,
+    createWeaponAmmo,
+    addWeaponAmmo,
+    canReload,
+    startReload,
+    finishReload,
+    createShot,
+    stepBullet,
+    createGrenade,
+    stepGrenade,
+    findBlastTargets,
+    getBossSpawnCell,
+    createBoss,
+    getBossPhase,
+    getBossChargeDirection,
+    stepBoss,
+    summonBossMinions,
+    createDirector,
+    addDirectorStress,
+    countNearbyJumpers,
+    stepDirector,
+    selectDirectorCorridor,
+    createSimulation
+};
+
+});
@@ -0,0 +1,555 @@
+// ============================================================================
+// HEADLESS SIMULATION TESTS
+// Plays fixed seeds through ZyrathSim.createSimulation with scripted inputs,
+// and checks the maze and jumper rules on small hand-built layouts
+// Run with: node --test test/
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ZyrathSim = require('../simulation.js');
+
+/** @const {number} Seed every run below is played on */
+const TEST_SEED = 1234;
+
+/**
+ * Builds a solid layout with the given cells carved open
+ * @param {number} width - Grid width
+ * @param {number} depth - Grid depth
+ * @param {Array<Array<number>>} openCells - [x, z] cells to open
+ * @returns {Object} Maze layout { grid, width, depth }
+ */
+function buildLayout(width, depth, openCells) {
+    const grid = Array.from({ length: width }, () => new Array(depth).fill(1));
+    openCells.forEach(([x, z]) => {
+        grid[x][z] = 0;
+    });
+    return { grid, width, depth };
+}
+
+/**
+ * Lists the cells of a straight row
+ * @param {number} z - Row
+ * @param {number} fromX - First column
+ * @param {number} toX - Last column
+ * @returns {Array<Array<number>>} [x, z] cells
+ */
+function rowCells(z, fromX, toX) {
+    const cells = [];
+    for (let x = fromX; x <= toX; x++) cells.push([x, z]);
+    return cells;
+}
+
+/**
+ * Gets the world position at the middle of a grid cell
+ * @param {Object} layout - Maze layout ({ width, depth })
+ * @param {Array<number>} cell - [x, z] grid cell
+ * @returns {Object} World position {x, y, z}
+ */
+function cellCenter(layout, [x, z]) {
+    return { x: ZyrathSim.gridToWorldX(layout, x) + 0.5, y: 0, z: ZyrathSim.gridToWorldZ(layout, z) + 0.5 };
+}
+
+/**
+ * Builds an input that walks the player toward a grid cell
+ * Follows a flood fill from the target, so the path goes around walls
+ * @param {Object} state - Run state from createSimulation
+ * @param {Array<number>} target - [x, z] grid cell to reach
+ * @returns {Object} { x, z } movement toward the next cell on the path
+ */
+function steerTowards(state, target) {
+    const layout = state.layout;
+    const distances = ZyrathSim.floodFillMaze(layout.grid, target[0], target[1]);
+    const cellX = ZyrathSim.worldToGridX(layout, state.player.position.x);
+    const cellZ = ZyrathSim.worldToGridZ(layout, state.player.position.z);
+
+    let next = [cellX, cellZ];
+    ZyrathSim.GRID_DIRECTIONS.forEach(([dx, dz]) => {
+        const x = cellX + dx;
+        const z = cellZ + dz;
+        if (distances[x] && distances[x][z] !== -1 && distances[x][z] < distances[next[0]][next[1]]) {
+            next = [x, z];
+        }
+    });
+
+    // Aim for the middle of the next cell so the body clears the corners
+    const dx = ZyrathSim.gridToWorldX(layout, next[0]) + 0.5 - state.player.position.x;
+    const dz = ZyrathSim.gridToWorldZ(layout, next[1]) + 0.5 - state.player.position.z;
+    const length = Math.hypot(dx, dz) || 1;
+    return { x: dx / length, z: dz / length };
+}
+
+/**
+ * Gets the grid cell a world position lies in
+ * @param {Object} layout - Maze layout ({ width, depth })
+ * @param {Object} position - World position {x, z}
+ * @returns {Array<number>} [x, z] grid cell
+ */
+function cellOf(layout, position) {
+    return [ZyrathSim.worldToGridX(layout, position.x), ZyrathSim.worldToGridZ(layout, position.z)];
+}
+
+/**
+ * Hunts the jumpers down with the knife, pressing attack every other tick
+ * @param {Object} state - Run state
+ * @returns {Object} Input for this tick
+ */
+function huntJumpers(state) {
+    if (state.jumpers.length === 0) return {};
+    return { ...steerTowards(state, cellOf(state.layout, state.jumpers[0].position)), attack: state.ticks % 2 === 0, weapon: 'knife' };
+}
+
+/**
+ * Walks into the nearest jumper without attacking
+ * @param {Object} state - Run state
+ * @returns {Object} Input for this tick
+ */
+function walkIntoJumper(state) {
+    const player = state.player.position;
+    const nearest = state.jumpers.reduce((best, jumper) =>
+        ZyrathSim.distanceBetween(jumper.position, player) < ZyrathSim.distanceBetween(best.position, player) ? jumper : best);
+    return steerTowards(state, cellOf(state.layout, nearest.position));
+}
+
+/**
+ * Reduces a run state to the values a replay must reproduce
+ * @param {Object} state - Run state
+ * @returns {Object} Plain snapshot
+ */
+function snapshot(state) {
+    return {
+        status: state.status,
+        ticks: state.ticks,
+        kills: state.kills,
+        player: state.player.position,
+        jumpers: state.jumpers.map(jumper => ({ state: jumper.state, position: jumper.position }))
+    };
+}
+
+// ============================================================================
+// RUNS
+// ============================================================================
+
+test('hunt is won once the last jumper dies', () => {
+    const sim = ZyrathSim.createSimulation({ seed: TEST_SEED, mode: 'hunt', width: 21, depth: 21, enemyCount: 1 });
+    sim.run(huntJumpers, 7200);
+
+    assert.strictEqual(sim.state.status, 'won');
+    assert.strictEqual(sim.state.kills, 1);
+    assert.strictEqual(sim.state.jumpers.length, 0);
+});
+
+test('contact with a jumper loses the run', () => {
+    const sim = ZyrathSim.createSimulation({ seed: TEST_SEED, mode: 'hunt' });
+    sim.run(walkIntoJumper, 3600);
+
+    assert.strictEqual(sim.state.status, 'lost');
+    assert.strictEqual(sim.state.kills, 0);
+});
+
+test('the same seed and inputs replay the same run', () => {
+    const play = () => ZyrathSim.createSimulation({ seed: TEST_SEED, mode: 'survival' })
+        .run(walkIntoJumper, 1200);
+
+    assert.deepStrictEqual(snapshot(play()), snapshot(play()));
+});
+
+test('semi weapons fire once per press and auto weapons while held', () => {
+    const sim = ZyrathSim.createSimulation({ seed: TEST_SEED, enemyCount: 0, loadout: ['pistol', 'smg'] });
+    sim.step({ weapon: 'pistol' });
+    for (let i = 0; i < 120; i++) sim.step({ attack: true });
+    assert.strictEqual(sim.state.ammo.pistol.loaded, ZyrathSim.WEAPON_TYPES.pistol.magazine - 1);
+
+    sim.step({ weapon: 'smg' });
+    for (let i = 0; i < 60; i++) sim.step({ attack: true });
+    assert.ok(sim.state.ammo.smg.loaded < ZyrathSim.WEAPON_TYPES.smg.magazine - 1);
+});
+
+test('an empty magazine reloads from the reserve', () => {
+    const pistol = ZyrathSim.WEAPON_TYPES.pistol;
+    const sim = ZyrathSim.createSimulation({ seed: TEST_SEED, enemyCount: 0, loadout: ['pistol'] });
+    sim.step({ weapon: 'pistol' });
+    for (let i = 0; sim.state.ammo.pistol.loaded > 0 && i < 600; i++) sim.step({ attack: i % 2 === 0 });
+
+    assert.ok(sim.state.reload);
+    for (let i = 0; i <= pistol.reloadTime / ZyrathSim.SIM_STEP; i++) sim.step({});
+    assert.strictEqual(sim.state.reload, null);
+    assert.deepStrictEqual(sim.state.ammo.pistol, { loaded: pistol.magazine, reserve: pistol.ammo - 2 * pistol.magazine });
+});
+
+// ============================================================================
+// WALLS & LANES
+// ============================================================================
+
+test('isWallAt blocks walls, the outer edge and a body overlapping a wall', () => {
+    const layout = buildLayout(7, 7, rowCells(3, 1, 5));
+    const center = cellCenter(layout, [3, 3]);
+
+    assert.strictEqual(ZyrathSim.isWallAt(layout, center), false);
+    assert.strictEqual(ZyrathSim.isWallAt(layout, cellCenter(layout, [3, 2])), true);
+    assert.strictEqual(ZyrathSim.isWallAt(layout, { x: -10, y: 0, z: center.z }), true);
+
+    // Still inside the open cell, but the body's edge reaches into the wall above
+    assert.strictEqual(ZyrathSim.isWallAt(layout, { x: center.x, y: 0, z: center.z - 0.3 }), true);
+});
+
+test('getLaneId names the grid cell a position lies in', () => {
+    const layout = buildLayout(7, 7, rowCells(3, 1, 5));
+    const center = cellCenter(layout, [4, 3]);
+
+    assert.strictEqual(ZyrathSim.getLaneId(layout, center), '4,3');
+    assert.strictEqual(ZyrathSim.getLaneId(layout, { x: center.x + 0.4, y: 0, z: center.z - 0.4 }), '4,3');
+    assert.notStrictEqual(ZyrathSim.getLaneId(layout, cellCenter(layout, [5, 3])), '4,3');
+});
+
+test('isInSameCorridorLane needs a clear straight line between the positions', () => {
+    const open = buildLayout(7, 7, rowCells(3, 1, 5));
+    const from = cellCenter(open, [1, 3]);
+    const to = cellCenter(open, [5, 3]);
+    assert.strictEqual(ZyrathSim.isInSameCorridorLane(open, from, to), true);
+
+    const blocked = buildLayout(7, 7, rowCells(3, 1, 5).filter(([x]) => x !== 3));
+    assert.strictEqual(ZyrathSim.isInSameCorridorLane(blocked, from, to), false);
+
+    const square = buildLayout(7, 7, [...rowCells(1, 1, 5), ...rowCells(3, 1, 5)]);
+    assert.strictEqual(ZyrathSim.isInSameCorridorLane(square, cellCenter(square, [1, 1]), cellCenter(square, [5, 3])), false);
+});
+
+// ============================================================================
+// JUMPER STATES
+// ============================================================================
+
+/**
+ * Builds a one-corridor layout with a hunt jumper patrolling it
+ * @returns {Object} { layout, jumper }
+ */
+function buildPatrol() {
+    const layout = buildLayout(11, 7, rowCells(3, 1, 9));
+    const [corridor] = ZyrathSim.findCorridors(layout.grid);
+    const jumper = ZyrathSim.createEnemy(layout, corridor, 0.08, ZyrathSim.createSeededRandom(TEST_SEED), ZyrathSim.ENEMY_HEALTH, 'jumper');
+    return { layout, jumper };
+}
+
+/**
+ * Keeps a player in view until the jumper's suspicion fills and it gives chase
+ * @param {Object} layout - Maze layout
+ * @param {Object} jumper - Jumper state
+ * @param {Object} player - Player world position
+ * @param {string} mode - 'hunt' or 'survival'
+ * @returns {Array<string>} Every state change on the way, in order
+ */
+function spotPlayer(layout, jumper, player, mode) {
+    const states = [];
+    for (let i = 0; i < 200 && jumper.state !== 'chasing'; i++) {
+        ZyrathSim.updateJumperAwareness(layout, [jumper], player, mode).forEach(change => states.push(change.state));
+    }
+    return states;
+}
+
+test('hunt jumpers only notice a player inside their vision cone', () => {
+    const { layout, jumper } = buildPatrol();
+    const behind = { x: jumper.position.x - 2, y: 0, z: jumper.position.z };
+
+    for (let i = 0; i < 50; i++) ZyrathSim.updateJumperAwareness(layout, [jumper], behind, 'hunt');
+    assert.strictEqual(jumper.state, 'hopping');
+    assert.strictEqual(jumper.suspicion, 0);
+});
+
+test('walls hide the player from a vision cone', () => {
+    const rows = [...rowCells(1, 1, 9), ...rowCells(3, 1, 9)];
+    const walled = buildLayout(11, 5, rows);
+    const open = buildLayout(11, 5, [...rows, ...rowCells(2, 1, 9)]);
+    const jumper = ZyrathSim.createEnemy(walled, ZyrathSim.findCorridors(walled.grid)[0], 0.08, ZyrathSim.createSeededRandom(TEST_SEED), ZyrathSim.ENEMY_HEALTH, 'jumper');
+    const player = { x: jumper.position.x + 3, y: 0, z: jumper.position.z + 2 };
+
+    assert.strictEqual(ZyrathSim.canJumperSee(walled, jumper, player), false);
+    assert.strictEqual(ZyrathSim.canJumperSee(open, jumper, player), true);
+});
+
+test('hunt jumpers turn alert on sight, chase once suspicion fills and search where they lost the player', () => {
+    const { layout, jumper } = buildPatrol();
+    const inLane = { x: jumper.position.x + 2, y: 0, z: jumper.position.z };
+    const outside = { x: jumper.position.x, y: 0, z: jumper.position.z + 3 };
+
+    assert.deepStrictEqual(spotPlayer(layout, jumper, inLane, 'hunt'), ['alert', 'chasing']);
+    assert.strictEqual(jumper.globalChase, false);
+
+    const changes = ZyrathSim.updateJumperAwareness(layout, [jumper], outside, 'hunt');
+    assert.deepStrictEqual(changes.map(change => change.state), ['searching']);
+    assert.ok(ZyrathSim.planarDistance(jumper.searchTarget, inLane) < 1);
+});
+
+test('an alert jumper goes back to patrol once its suspicion drains', () => {
+    const { layout, jumper } = buildPatrol();
+    const inLane = { x: jumper.position.x + 3.5, y: 0, z: jumper.position.z };
+    const outside = { x: jumper.position.x, y: 0, z: jumper.position.z + 3 };
+
+    for (let i = 0; i < 3; i++) ZyrathSim.updateJumperAwareness(layout, [jumper], inLane, 'hunt');
+    assert.strictEqual(jumper.state, 'alert');
+
+    const states = [];
+    for (let i = 0; i < 200 && jumper.state === 'alert'; i++) {
+        ZyrathSim.updateJumperAwareness(layout, [jumper], outside, 'hunt').forEach(change => states.push(change.state));
+    }
+    assert.deepStrictEqual(states, ['hopping']);
+    assert.strictEqual(jumper.suspicion, 0);
+});
+
+test('survival jumpers keep chasing once they have spotted the player', () => {
+    const { layout, jumper } = buildPatrol();
+
+    spotPlayer(layout, jumper, { x: jumper.position.x + 2, y: 0, z: jumper.position.z }, 'survival');
+    ZyrathSim.updateJumperAwareness(layout, [jumper], { x: jumper.position.x, y: 0, z: jumper.position.z + 3 }, 'survival');
+
+    assert.strictEqual(jumper.state, 'chasing');
+    assert.strictEqual(jumper.globalChase, true);
+});
+
+test('a chasing hunt jumper closes in along its lane', () => {
+    const { layout, jumper } = buildPatrol();
+    const player = { x: jumper.position.x + 2, y: 0, z: jumper.position.z };
+    spotPlayer(layout, jumper, player, 'hunt');
+
+    const before = Math.abs(player.x - jumper.position.x);
+    for (let i = 0; i < 10; i++) ZyrathSim.stepJumper(layout, jumper, player);
+    assert.ok(Math.abs(player.x - jumper.position.x) < before);
+    assert.strictEqual(jumper.position.z, player.z);
+});
+
+test('a hunt jumper catches the player only from inside its lane', () => {
+    const { layout, jumper } = buildPatrol();
+    const inLane = { x: jumper.position.x + 0.5, y: jumper.position.y, z: jumper.position.z };
+    const besideLane = { x: jumper.position.x, y: jumper.position.y, z: jumper.position.z + 0.85 };
+
+    assert.strictEqual(ZyrathSim.isPlayerCaught(layout, jumper, inLane), true);
+    assert.strictEqual(ZyrathSim.isPlayerCaught(layout, jumper, besideLane), false);
+
+    jumper.globalChase = true;
+    assert.strictEqual(ZyrathSim.isPlayerCaught(layout, jumper, besideLane), true);
+});
+
+test('a roaming chaser cannot be knifed through a wall', () => {
+    const layout = buildLayout(11, 7, [...rowCells(1, 1, 9), ...rowCells(3, 1, 9)]);
+    const corridors = ZyrathSim.findCorridors(layout.grid);
+    const jumper = ZyrathSim.createEnemy(layout, corridors[0], 0.08, ZyrathSim.createSeededRandom(TEST_SEED), ZyrathSim.ENEMY_HEALTH, 'jumper');
+    jumper.globalChase = true;
+
+    const acrossWall = cellCenter(layout, [ZyrathSim.worldToGridX(layout, jumper.position.x), 3]);
+    assert.strictEqual(ZyrathSim.findKnifeTarget(layout, [jumper], acrossWall), -1);
+
+    const sameRow = { x: jumper.position.x + 1.5, y: jumper.position.y, z: jumper.position.z + 0.5 };
+    assert.strictEqual(ZyrathSim.findKnifeTarget(layout, [jumper], sameRow), 0);
+});
+
+// ============================================================================
+// FLOW FIELD
+// ============================================================================
+
+test('the flow field counts steps to its target and is only rebuilt when the target moves', () => {
+    const layout = buildLayout(7, 7, [...rowCells(1, 1, 5), [5, 2], [5, 3], [5, 4], [5, 5]]);
+    const field = ZyrathSim.createFlowField(layout, 1, 1);
+
+    assert.strictEqual(field.distances[1][1], 0);
+    assert.strictEqual(field.distances[5][1], 4);
+    assert.strictEqual(field.distances[5][5], 8);
+    assert.strictEqual(field.distances[3][3], -1);
+
+    const target = cellCenter(layout, [1, 1]);
+    assert.strictEqual(ZyrathSim.updateFlowField(field, layout, { x: target.x + 0.3, z: target.z }), field);
+    assert.notStrictEqual(ZyrathSim.updateFlowField(field, layout, cellCenter(layout, [2, 1])), field);
+});
+
+test('flow waypoints lead around corners to the target cell', () => {
+    const layout = buildLayout(7, 7, [...rowCells(1, 1, 5), [5, 2], [5, 3], [5, 4], [5, 5]]);
+    const field = ZyrathSim.createFlowField(layout, 1, 1);
+
+    let position = cellCenter(layout, [5, 5]);
+    let steps = 0;
+    for (let waypoint; (waypoint = ZyrathSim.getFlowWaypoint(layout, field, position)) !== null; steps++) {
+        assert.strictEqual(ZyrathSim.isOpenCell(layout.grid, ...cellOf(layout, waypoint)), true);
+        position = waypoint;
+    }
+
+    assert.strictEqual(steps, 8);
+    assert.deepStrictEqual(cellOf(layout, position), [1, 1]);
+});
+
+// ============================================================================
+// MAZE GENERATION
+// ============================================================================
+
+test('every maze generator builds a connected layout, the same one for the same seed', () => {
+    Object.keys(ZyrathSim.MAZE_GENERATORS).forEach(algorithm => {
+        const build = () => ZyrathSim.generateMazeLayout({
+            width: 25, depth: 25, algorithm, random: ZyrathSim.createSeededRandom(TEST_SEED)
+        });
+        const layout = build();
+
+        assert.strictEqual(layout.valid, true, algorithm);
+        assert.strictEqual(ZyrathSim.validateMazeConnectivity(layout), true, algorithm);
+        assert.deepStrictEqual(build().grid, layout.grid, algorithm);
+    });
+});
+
+test('braiding opens dead ends into loops', () => {
+    const build = () => ZyrathSim.buildMazeGrid({
+        width: 25, depth: 25, algorithm: 'backtracker', braidDensity: 0, random: ZyrathSim.createSeededRandom(TEST_SEED)
+    }).grid;
+
+    const untouched = build();
+    assert.strictEqual(ZyrathSim.braidMaze(untouched, 0, ZyrathSim.createSeededRandom(TEST_SEED)), 0);
+    assert.deepStrictEqual(untouched, build());
+
+    const braided = build();
+    const deadEnds = ZyrathSim.findDeadEnds(braided).length;
+    assert.ok(ZyrathSim.braidMaze(braided, 1, ZyrathSim.createSeededRandom(TEST_SEED)) > 0);
+    assert.ok(ZyrathSim.findDeadEnds(braided).length < deadEnds);
+});
+
+test('a generator that carves nothing falls back to a connected backtracker maze', () => {
+    ZyrathSim.MAZE_GENERATORS.solid = { id: 'solid', name: 'Solid', generate: () => {} };
+    try {
+        const layout = ZyrathSim.generateMazeLayout({
+            width: 21, depth: 21, algorithm: 'solid', random: ZyrathSim.createSeededRandom(TEST_SEED)
+        });
+
+        assert.strictEqual(layout.valid, true);
+        assert.strictEqual(layout.generator, ZyrathSim.MAZE_GENERATORS.backtracker);
+    } finally {
+        delete ZyrathSim.MAZE_GENERATORS.solid;
+    }
+});
+
+// ============================================================================
+// SURVIVAL DIRECTOR
+// ============================================================================
+
+/** @const {Object} Director observation of a player nobody is near, at full health */
+const CALM = { alive: 0, nearby: 0, healthFraction: 1 };
+
+/**
+ * Steps a director tick by tick and collects its spawn decisions
+ * @param {Object} director - Director from createDirector
+ * @param {Object} observation - Observation passed on every tick
+ * @param {number} from - First tick time (ms)
+ * @param {number} until - Last tick time (ms)
+ * @returns {Array<Object>} Spawning decisions with their time
+ */
+function runDirector(director, observation, from, until) {
+    const random = ZyrathSim.createSeededRandom(TEST_SEED);
+    const decisions = [];
+    for (let now = from; now <= until; now += ZyrathSim.SIM_STEP) {
+        const decision = ZyrathSim.stepDirector(director, observation, now, random);
+        if (decision.spawn > 0) decisions.push({ ...decision, now });
+    }
+    return decisions;
+}
+
+test('the director sends waves on its interval and a surge when the player is left alone', () => {
+    const settings = ZyrathSim.DIRECTOR_SETTINGS;
+    const decisions = runDirector(ZyrathSim.createDirector(), CALM, ZyrathSim.SIM_STEP, settings.surgeAfter + ZyrathSim.SIM_STEP);
+
+    const [firstWave] = decisions;
+    assert.strictEqual(firstWave.kind, 'wave');
+    assert.ok(firstWave.now >= settings.waveInterval && firstWave.now < settings.waveInterval + ZyrathSim.SIM_STEP);
+    assert.ok(firstWave.spawn >= settings.waveSize.min && firstWave.spawn <= settings.waveSize.max);
+
+    const surge = decisions[decisions.length - 1];
+    assert.strictEqual(surge.kind, 'surge');
+    assert.strictEqual(surge.spawn, settings.surgeSize);
+});
+
+test('peak intensity starts a lull that holds spawns until the player calms down', () => {
+    const settings = ZyrathSim.DIRECTOR_SETTINGS;
+    const director = ZyrathSim.createDirector();
+    director.intensity = settings.peakIntensity;
+
+    const decision = ZyrathSim.stepDirector(director, CALM, 1000, ZyrathSim.createSeededRandom(TEST_SEED));
+    assert.strictEqual(director.phase, 'lull');
+    assert.strictEqual(decision.phaseChanged, true);
+
+    assert.deepStrictEqual(runDirector(director, CALM, 1000, 1000 + settings.lullDuration), []);
+    assert.ok(director.intensity > settings.relaxIntensity);
+
+    runDirector(director, CALM, 1000 + settings.lullDuration, 60000);
+    assert.strictEqual(director.phase, 'build-up');
+});
+
+test('the director keeps the live enemies under its cap', () => {
+    const director = ZyrathSim.createDirector(10);
+    assert.deepStrictEqual(runDirector(director, { ...CALM, alive: 10 }, 0, 30000), []);
+
+    const decisions = runDirector(ZyrathSim.createDirector(10), { ...CALM, alive: 9 }, 0, 30000);
+    assert.ok(decisions.length > 0);
+    decisions.forEach(decision => assert.strictEqual(decision.spawn, 1));
+});
+
+test('missing hearts keep the director tense', () => {
+    const director = ZyrathSim.createDirector();
+    runDirector(director, { ...CALM, alive: ZyrathSim.DEFAULT_MAX_ENEMIES, healthFraction: 0.5 }, 0, 30000);
+
+    assert.strictEqual(director.intensity, 0.5 * ZyrathSim.DIRECTOR_SETTINGS.healthStress);
+});
+
+test('director spawns land out of sight and away from the player', () => {
+    const { layout, player } = ZyrathSim.createSimulation({ seed: TEST_SEED, mode: 'survival' }).state;
+    const corridors = ZyrathSim.findCorridors(layout.grid);
+    const field = ZyrathSim.updateFlowField(null, layout, player.position);
+    const random = ZyrathSim.createSeededRandom(TEST_SEED);
+
+    for (let i = 0; i < 20; i++) {
+        const { corridor, distance } = ZyrathSim.selectDirectorCorridor(layout, corridors, player.position, field, random);
+        assert.ok(distance >= ZyrathSim.DIRECTOR_SETTINGS.minSpawnCells);
+        assert.strictEqual(ZyrathSim.hasLineOfSight(layout, player.position, ZyrathSim.getCorridorCenter(layout, corridor)), false);
+    }
+});
+
+// ============================================================================
+// NOISE
+// ============================================================================
+
+test('noise draws idle jumpers within earshot, never through walls or off a chase', () => {
+    const layout = buildLayout(11, 7, [...rowCells(3, 1, 9), ...rowCells(5, 1, 9)]);
+    const [upper, lower] = ZyrathSim.findCorridors(layout.grid);
+    const random = ZyrathSim.createSeededRandom(TEST_SEED);
+    const listener = ZyrathSim.createEnemy(layout, upper, 0.08, random, ZyrathSim.ENEMY_HEALTH, 'jumper');
+    const walledOff = ZyrathSim.createEnemy(layout, lower, 0.08, random, ZyrathSim.ENEMY_HEALTH, 'jumper');
+
+    const farEnd = cellCenter(layout, [1, 3]);
+    assert.deepStrictEqual(ZyrathSim.emitNoise(layout, [listener, walledOff], farEnd, ZyrathSim.NOISE_RADIUS.footstep), []);
+
+    const heard = ZyrathSim.emitNoise(layout, [listener, walledOff], farEnd, ZyrathSim.NOISE_RADIUS.knife);
+    assert.deepStrictEqual(heard.map(({ index }) => index), [0]);
+    assert.strictEqual(listener.state, 'investigating');
+    assert.strictEqual(listener.searchTicks, ZyrathSim.INVESTIGATE_TICKS);
+    assert.strictEqual(walledOff.state, 'hopping');
+
+    walledOff.state = 'chasing';
+    assert.deepStrictEqual(ZyrathSim.emitNoise(layout, [walledOff], cellCenter(layout, [5, 5]), ZyrathSim.NOISE_RADIUS.gunshot), []);
+});
+
+test('an investigating jumper searches at the noise, then walks home and patrols again', () => {
+    const { layout, jumper } = buildPatrol();
+    const home = { ...jumper.home };
+    const player = { x: 0, y: 0, z: 0 };
+    ZyrathSim.emitNoise(layout, [jumper], cellCenter(layout, [8, 3]), ZyrathSim.NOISE_RADIUS.knife);
+
+    const states = [];
+    for (let i = 0; i < 2000 && jumper.state !== 'hopping'; i++) {
+        ZyrathSim.stepJumper(layout, jumper, player);
+        if (states[states.length - 1] !== jumper.state) states.push(jumper.state);
+    }
+
+    assert.deepStrictEqual(states, ['investigating', 'returning', 'hopping']);
+    assert.ok(ZyrathSim.planarDistance(jumper.position, home) < 0.05);
+    assert.strictEqual(jumper.patrolAxis, jumper.laneInfo.axis);
+});
+
+test('footsteps make noise only while moving and once per interval', () => {
+    const walking = { x: 0.1, y: 0, z: 0 };
+    const now = ZyrathSim.FOOTSTEP_INTERVAL + 1;
+
+    assert.strictEqual(ZyrathSim.isFootstepDue(walking, 0, now), true);
+    assert.strictEqual(ZyrathSim.isFootstepDue(walking, 1, now), false);
+    assert.strictEqual(ZyrathSim.isFootstepDue({ x: 0, y: 0, z: 0 }, 0, now), false);
+});